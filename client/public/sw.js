@@ -0,0 +1,68 @@
+// Filename: sw.js
+// Service worker that keeps the built app available offline. Vite gives every built asset a
+// hashed name, so on install the worker reads index.html to find and precache them. Hashed
+// assets are then served cache-first, and pages network-first with the cached shell as fallback.
+// Data requests (Firestore, Firebase Storage) are cross-origin and never touched here.
+
+const CACHE = 'noticeboard-shell-v1';
+const SHELL = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png'];
+
+const assetsIn = (html) => [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE);
+    const response = await fetch('/', { cache: 'reload' });
+    // Failing the install keeps the previous worker and its shell
+    if (!response.ok) throw new Error(`Could not fetch the app shell: ${response.status}`);
+    const html = await response.clone().text();
+    await cache.put('/', response);
+    await cache.addAll([...SHELL.filter((url) => url !== '/'), ...assetsIn(html)]);
+    await self.skipWaiting();
+  })());
+});
+
+// Drop caches left behind by older versions of the worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Pages: try the network so deploys show up, fall back to the cached app shell offline. Only a
+  // good response for the app's own page replaces the shell; error pages and other paths never do.
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      try {
+        const response = await fetch(request);
+        if (response.ok && url.pathname === '/') {
+          const cache = await caches.open(CACHE);
+          await cache.put('/', response.clone());
+        }
+        return response;
+      } catch {
+        return (await caches.match('/')) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Everything else same-origin: cache first, filling the cache as new assets are fetched
+  event.respondWith((async () => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok && url.pathname.startsWith('/assets/')) {
+      const cache = await caches.open(CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  })());
+});
@@ -0,0 +1,58 @@
+// Filename: board.js
+// Read access to a board's Firestore data for the scripts in this folder. Configured from the
+// environment:
+//   FIREBASE_CONFIG      Firebase web config as JSON; must contain a projectId
+//   APP_ID               the board (or community) to read
+//   FIREBASE_AUTH_TOKEN  custom token to sign in with, when the security rules require sign-in
+import { initializeApp } from 'firebase/app';
+import { getFirestore, collection, getDocs } from 'firebase/firestore';
+import { getAuth, signInWithCustomToken } from 'firebase/auth';
+import { BUILTIN_BASICS, applySectionDocs } from '../src/sections/basics.js';
+
+export const appId = process.env.APP_ID || 'default-app-id';
+
+// Connect to the board and return functions that read its data
+export const connectBoard = async () => {
+  const firebaseConfig = JSON.parse(process.env.FIREBASE_CONFIG || '{}');
+  if (!firebaseConfig.projectId) {
+    throw new Error('FIREBASE_CONFIG must contain a projectId.');
+  }
+
+  const app = initializeApp(firebaseConfig);
+  // The security rules only let signed-in users read the board
+  if (process.env.FIREBASE_AUTH_TOKEN) {
+    await signInWithCustomToken(getAuth(app), process.env.FIREBASE_AUTH_TOKEN);
+  }
+  const db = getFirestore(app);
+
+  const readPath = async (path) => {
+    const snapshot = await getDocs(collection(db, path));
+    return snapshot.docs.map((snapshotDoc) => ({ id: snapshotDoc.id, ...snapshotDoc.data() }));
+  };
+
+  // Every post in one of the board's collections
+  const readCollection = (collectionName) => readPath(`/artifacts/${appId}/public/data/${collectionName}`);
+
+  // Sections the board shows, in order, as `{ id, label, collection }`, merged as the board
+  // does (see src/sections/basics.js)
+  const readSections = async () => {
+    const docs = await readPath(`/artifacts/${appId}/sections`);
+    return applySectionDocs(BUILTIN_BASICS, docs).filter((section) => !section.hidden);
+  };
+
+  // Board-wide settings, such as the Lost & Found auto-archive age (see src/hooks/useBoardSettings.js)
+  const readSettings = async () => {
+    const docs = await readPath(`/artifacts/${appId}/settings`);
+    return docs.find((doc) => doc.id === 'board') || {};
+  };
+
+  return { readCollection, readSections, readSettings };
+};
+
+// Run a script's main function, exiting once it is done since Firestore keeps the process alive
+export const run = (main, description) => {
+  main().then(() => process.exit(0), (error) => {
+    console.error(`Error ${description}:`, error);
+    process.exit(1);
+  });
+};
@@ -0,0 +1,45 @@
+// Filename: export-digest.js
+// Generates the weekly digest, a printable HTML page summarising announcements, events and
+// open Lost & Found items for a date range, ready to pin up or paste into a newsletter.
+//
+// Usage:
+//   FIREBASE_CONFIG='{"projectId": "..."}' APP_ID=my-board [BOARD_URL=https://board.example.org/] \
+//     [FEED_NAME=...] [FIREBASE_AUTH_TOKEN=...] \
+//     node scripts/export-digest.js [from YYYY-MM-DD] [to YYYY-MM-DD] [output-file]
+//
+// Without dates the digest covers the coming week, starting today.
+import { writeFile } from 'node:fs/promises';
+import { connectBoard, run } from './board.js';
+import { buildDigest, renderDigestHtml, defaultDigestRange } from '../src/utils/digest.js';
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const [fromArg, toArg, outputFile] = process.argv.slice(2);
+
+const main = async () => {
+  const range = defaultDigestRange();
+  const from = fromArg || range.from;
+  const to = toArg || range.to;
+  if (!DATE_KEY.test(from) || !DATE_KEY.test(to) || from > to) {
+    throw new Error('Dates must be YYYY-MM-DD, with the start no later than the end.');
+  }
+
+  const { readCollection, readSettings } = await connectBoard();
+  const [announcements, events, lostfound, settings] = await Promise.all([
+    readCollection('announcements'),
+    readCollection('events'),
+    readCollection('lost-found'),
+    readSettings(),
+  ]);
+  const digest = buildDigest({ announcements, events, lostfound }, { from, to, archiveDays: settings.lostFoundArchiveDays });
+  const html = renderDigestHtml(digest, { title: process.env.FEED_NAME, boardUrl: process.env.BOARD_URL });
+
+  if (outputFile) {
+    await writeFile(outputFile, html);
+    console.log(`Wrote the digest for ${from} to ${to} to ${outputFile}`);
+  } else {
+    process.stdout.write(html);
+  }
+};
+
+run(main, 'generating digest');
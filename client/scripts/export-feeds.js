@@ -0,0 +1,57 @@
+// Filename: export-feeds.js
+// Generates RSS 2.0, Atom and JSON Feed files for every visible section and for the whole
+// board, from the same collections the app reads. Files are named after the section, e.g.
+// events.rss, events.atom and events.json, with board.* covering all sections together.
+//
+// Usage:
+//   FIREBASE_CONFIG='{"projectId": "..."}' APP_ID=my-board BOARD_URL=https://board.example.org/ \
+//     [FEED_BASE_URL=https://board.example.org/feeds/] [FEED_NAME=...] [FIREBASE_AUTH_TOKEN=...] \
+//     node scripts/export-feeds.js [output-directory]
+//
+// BOARD_URL is where the board is served, for links to posts; FEED_BASE_URL is where the feed
+// files will be published, for their self links. Re-run it on a schedule to keep the feeds current.
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { connectBoard, run } from './board.js';
+import { feedEntries, buildFeed, boardLink, FEED_FORMATS } from '../src/utils/feeds.js';
+
+const outputDir = process.argv[2] || 'feeds';
+const boardUrl = process.env.BOARD_URL;
+const feedBaseUrl = process.env.FEED_BASE_URL;
+const boardName = process.env.FEED_NAME || 'Community Noticeboard';
+
+const main = async () => {
+  if (!boardUrl) {
+    throw new Error('BOARD_URL must be set to the address the board is served from.');
+  }
+
+  const { readCollection, readSections } = await connectBoard();
+  const sections = await readSections();
+  const itemsBySection = Object.fromEntries(await Promise.all(sections.map(async (section) => (
+    [section.id, await readCollection(section.collection)]
+  ))));
+
+  // One feed per section, plus one for the whole board
+  const feeds = [
+    { name: 'board', sections, title: boardName, link: boardUrl },
+    ...sections.map((section) => ({
+      name: section.id,
+      sections: [section],
+      title: `${boardName}: ${section.label}`,
+      link: boardLink(boardUrl, section.id),
+    })),
+  ];
+
+  await mkdir(outputDir, { recursive: true });
+  for (const feed of feeds) {
+    const entries = feedEntries(feed.sections, itemsBySection, { boardUrl });
+    for (const [format, { extension }] of Object.entries(FEED_FORMATS)) {
+      const filename = `${feed.name}.${extension}`;
+      const feedUrl = feedBaseUrl ? new URL(filename, feedBaseUrl).toString() : undefined;
+      await writeFile(join(outputDir, filename), buildFeed(format, { title: feed.title, link: feed.link, feedUrl }, entries));
+    }
+    console.log(`Wrote ${entries.length} posts to ${join(outputDir, feed.name)}.{${Object.values(FEED_FORMATS).map((entry) => entry.extension).join(',')}}`);
+  }
+};
+
+run(main, 'generating feeds');
@@ -0,0 +1,30 @@
+// Filename: export-ics-feed.js
+// Generates a subscribable iCalendar feed from the events collection, for hosting next to
+// the built app (e.g. as dist/events.ics) or embedding the board's events in other tools.
+//
+// Usage:
+//   FIREBASE_CONFIG='{"projectId": "..."}' APP_ID=my-board [FIREBASE_AUTH_TOKEN=...] \
+//     node scripts/export-ics-feed.js [output-file]
+//
+// Re-run it on a schedule (cron, CI) to keep the published feed current.
+import { writeFile } from 'node:fs/promises';
+import { connectBoard, appId, run } from './board.js';
+import { buildCalendar } from '../src/utils/ics.js';
+
+const outputFile = process.argv[2];
+
+const main = async () => {
+  const { readCollection } = await connectBoard();
+  // Trashed events keep their documents, with `deletedAt` set (see src/utils/trash.js)
+  const events = (await readCollection('events')).filter((event) => !event.deletedAt);
+  const calendar = buildCalendar(events, { name: process.env.FEED_NAME || 'Community Events', domain: appId });
+
+  if (outputFile) {
+    await writeFile(outputFile, calendar);
+    console.log(`Wrote ${events.length} events to ${outputFile}`);
+  } else {
+    process.stdout.write(calendar);
+  }
+};
+
+run(main, 'generating ICS feed');
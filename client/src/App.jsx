@@ -1,10 +1,17 @@
-import React from 'react'
+import React, { useState } from 'react'
 import CommunityNoticeboard from './components/CommunityNoticeboard'
+import { initialCommunityId, selectCommunity } from './utils/communities'
 
 const App = () => {
+  const [communityId, setCommunityId] = useState(() => selectCommunity(initialCommunityId()))
+
+  // Each community gets a fresh board, so every subscription is made against its own data
   return (
-    <CommunityNoticeboard></CommunityNoticeboard>
+    <CommunityNoticeboard
+      key={communityId}
+      onSwitchCommunity={(id) => setCommunityId(selectCommunity(id))}
+    ></CommunityNoticeboard>
   )
 }
 
-export default App
\ No newline at end of file
+export default App
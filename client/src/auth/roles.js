@@ -0,0 +1,31 @@
+// Filename: roles.js
+// Role helpers shared by the UI. The same roles are enforced server-side by firestore.rules.
+import { storage, appDataPath } from '../storage';
+
+// Roles in increasing order of privilege
+export const ROLES = ['member', 'moderator', 'admin'];
+
+// Role documents live at /artifacts/{appId}/roles/{uid} as `{ role: 'admin' | 'moderator' | 'member' }`,
+// one set per community
+export const rolesPath = (community) => appDataPath('roles', community);
+
+// Custom claims win over the role document so a project owner can always grant access
+export const resolveRole = (claims = {}, roleDoc = null) => {
+  if (claims.admin === true) return 'admin';
+  if (ROLES.includes(claims.role)) return claims.role;
+  if (roleDoc && ROLES.includes(roleDoc.role)) return roleDoc.role;
+  return 'member';
+};
+
+// Moderators and admins can post, edit and delete on the board
+export const canModerate = (role) => role === 'admin' || role === 'moderator';
+
+// Browser-only backends have no project owner to hand out roles, so the first user on a
+// fresh board becomes its admin. Firestore boards must grant roles via claims or the console.
+export const ensureLocalAdmin = async (uid) => {
+  if (storage.name === 'firestore') return;
+  const roles = await storage.list(rolesPath());
+  if (roles.length === 0) {
+    await storage.update(rolesPath(), uid, { role: 'admin', grantedBy: uid, grantedAt: new Date() });
+  }
+};
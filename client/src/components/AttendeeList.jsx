@@ -0,0 +1,82 @@
+// Filename: AttendeeList.jsx
+import React from 'react';
+import { getAttendance } from '../utils/rsvp';
+import { toCsv, downloadCsv } from '../utils/csv';
+
+// Lucide-react icons for the UI
+import { Download, X } from 'lucide-react';
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+// Admin view of everyone who responded to an event, with CSV export
+const AttendeeList = ({ event, onClose }) => {
+  const attendance = getAttendance(event);
+
+  // One row per response, attendees first, then the waitlist in order, then everyone else
+  const rows = [
+    ...attendance.confirmed.map((response) => ({ ...response, list: 'Attending' })),
+    ...attendance.waitlist.map((response, index) => ({ ...response, list: `Waitlist #${index + 1}` })),
+    ...attendance.maybe.map((response) => ({ ...response, list: 'Maybe' })),
+    ...attendance.notGoing.map((response) => ({ ...response, list: 'Not going' })),
+  ];
+
+  const exportCsv = () => {
+    const csv = toCsv(rows, [
+      { key: 'uid', label: 'User ID' },
+      { key: 'list', label: 'Status' },
+      { key: (row) => row.respondedAt && new Date(row.respondedAt), label: 'Responded At' },
+    ]);
+    downloadCsv(`attendees-${event.occurrenceDate || event.date || event.id}.csv`, csv);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-xl font-bold text-gray-800">Attendees: {event.title}</h3>
+          <p className="text-sm text-gray-500">
+            {event.date}{event.time && ` at ${event.time}`}
+            {attendance.capacity > 0 && ` · capacity ${attendance.capacity}`}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={exportCsv}
+            className="flex items-center gap-2 bg-white text-green-700 border border-green-200 px-4 py-2 rounded-lg hover:bg-green-50 transition-colors"
+          >
+            <Download className="w-4 h-4" /> CSV
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-gray-600 text-sm">Nobody has responded yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2">User</th>
+              <th className="py-2">Status</th>
+              <th className="py-2">Responded</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.uid} className="border-b border-gray-100">
+                <td className="py-2 break-all">{row.uid}</td>
+                <td className="py-2">{row.list}</td>
+                <td className="py-2 text-gray-500">{formatTime(row.respondedAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default AttendeeList;
@@ -0,0 +1,22 @@
+// Filename: Avatar.jsx
+import React from 'react';
+import { initials } from '../utils/profiles';
+
+const SIZES = {
+  sm: 'w-6 h-6 text-[10px]',
+  md: 'w-10 h-10 text-sm',
+  lg: 'w-16 h-16 text-lg',
+};
+
+// A user's profile picture, or their initials when they have not chosen one
+const Avatar = ({ profile, name, size = 'sm' }) => (
+  profile && profile.avatar ? (
+    <img src={profile.avatar} alt="" className={`${SIZES[size]} rounded-full object-cover flex-shrink-0`} />
+  ) : (
+    <span className={`${SIZES[size]} rounded-full bg-blue-100 text-blue-800 font-semibold flex items-center justify-center flex-shrink-0`} aria-hidden="true">
+      {initials(name)}
+    </span>
+  )
+);
+
+export default Avatar;
@@ -0,0 +1,245 @@
+// Filename: CommentThread.jsx
+import React, { useState, useEffect } from 'react';
+import {
+  MAX_COMMENT_LENGTH, MAX_COMMENT_DEPTH, isVisibleComment, validateComment, buildThreads, addComment, editComment,
+  deleteComment, setCommentHidden, setCommentsLocked, rememberCommentCount,
+} from '../utils/comments';
+import { authorName } from '../utils/profiles';
+import { useComments } from '../hooks/useComments';
+import { useCommentCount } from '../hooks/useCommentCount';
+import { useProfiles } from '../hooks/useProfiles';
+import Avatar from './Avatar';
+import Markdown from './Markdown';
+
+// Lucide-react icons for the UI
+import { MessageSquare, Reply, Edit, Trash2, Eye, EyeOff, Lock, LockOpen } from 'lucide-react';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Text box for a new comment, a reply or an edit
+const CommentForm = ({ initialText = '', submitLabel, placeholder, onSubmit, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problem = validateComment(text);
+    setError(problem || '');
+    if (problem) return;
+    setIsSaving(true);
+    try {
+      await onSubmit(text);
+      setText('');
+    } catch (err) {
+      console.error("Error saving comment: ", err);
+      setError('Your comment could not be saved. Please try again.');
+    }
+    setIsSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={2}
+        maxLength={MAX_COMMENT_LENGTH}
+        placeholder={placeholder}
+        className={inputClass}
+      />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+        >
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 py-1 rounded-lg text-sm text-gray-700 hover:bg-gray-100">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Comments under a post, with replies, kept live while open. Authors edit and delete their
+// own comments; staff hide comments and lock the thread. `post` is the stored post (the series
+// for recurring events); `onPostChange(patch)` keeps the board's copy of its lock in step.
+// While the thread is closed, its comments are counted without being loaded; while it is open,
+// the count comes from the live comments and is remembered for when it closes.
+const CommentThread = ({ collectionName, post, userId, isStaff, authorLabel, defaultOpen = false, onPostChange }) => {
+  const [isOpen, setIsOpen] = useState(defaultOpen);
+  // Comment being answered or edited, as `{ id, mode: 'reply' | 'edit' }`
+  const [active, setActive] = useState(null);
+  const [error, setError] = useState('');
+  const { comments, isLoading } = useComments(collectionName, post.id, isOpen, isStaff);
+  const profiles = useProfiles(comments.map((comment) => comment.authorUid), isOpen);
+
+  const isLocked = Boolean(post.commentsLocked);
+  const canComment = Boolean(userId) && (isStaff || !isLocked);
+  const countedCount = useCommentCount(collectionName, post.id, !isOpen);
+  const liveCount = isOpen && !isLoading ? comments.filter(isVisibleComment).length : null;
+  const count = liveCount === null ? countedCount || 0 : liveCount;
+
+  useEffect(() => {
+    if (liveCount !== null) rememberCommentCount(collectionName, post.id, liveCount);
+  }, [collectionName, post.id, liveCount]);
+
+  const run = async (action, message) => {
+    setError('');
+    try {
+      await action();
+    } catch (e) {
+      console.error(message, e);
+      setError('That did not work. Please try again.');
+    }
+  };
+
+  const author = { uid: userId, author: authorLabel };
+
+  const handleAdd = (parentId) => async (text) => {
+    await addComment(collectionName, post.id, { text, parentId }, author);
+    setActive(null);
+  };
+
+  const handleEdit = (comment) => async (text) => {
+    await editComment(collectionName, post.id, comment, text);
+    setActive(null);
+  };
+
+  const handleDelete = (comment, hasReplies) => {
+    if (!window.confirm('Delete this comment?')) return;
+    run(() => deleteComment(collectionName, post.id, comment, { hasReplies }), "Error deleting comment: ");
+  };
+
+  const handleToggleLock = () => run(async () => {
+    await setCommentsLocked(collectionName, post.id, !isLocked);
+    onPostChange({ commentsLocked: !isLocked });
+  }, "Error locking comments: ");
+
+  const renderComment = ({ comment, replies }, depth) => {
+    const isMine = Boolean(userId) && comment.authorUid === userId;
+    const name = authorName(comment, profiles);
+    const isRemoved = comment.deleted || (comment.hidden && !isStaff);
+    return (
+      <li key={comment.id} className="space-y-2">
+        <div className={`p-3 rounded-lg ${comment.hidden ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}`}>
+          {isRemoved ? (
+            <p className="text-sm italic text-gray-500">
+              {comment.deleted ? 'This comment was deleted.' : 'This comment was hidden by a moderator.'}
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-1">
+                <Avatar profile={profiles[comment.authorUid]} name={name} />
+                <span className="font-medium text-gray-800">{name}</span>
+                <span>{comment.createdAt ? comment.createdAt.toLocaleString() : ''}</span>
+                {comment.updatedAt && <span>(edited)</span>}
+                {comment.hidden && <span className="text-yellow-800">Hidden from members</span>}
+              </div>
+              {active && active.id === comment.id && active.mode === 'edit' ? (
+                <CommentForm
+                  initialText={comment.text}
+                  submitLabel="Save"
+                  onSubmit={handleEdit(comment)}
+                  onCancel={() => setActive(null)}
+                />
+              ) : (
+                <Markdown text={comment.text} className="text-sm text-gray-700" />
+              )}
+              <div className="flex flex-wrap gap-3 mt-2 text-xs">
+                {canComment && (
+                  <button type="button" onClick={() => setActive({ id: comment.id, mode: 'reply' })} className="flex items-center gap-1 text-blue-700 hover:underline">
+                    <Reply className="w-3 h-3" /> Reply
+                  </button>
+                )}
+                {isMine && (isStaff || !isLocked) && (
+                  <button type="button" onClick={() => setActive({ id: comment.id, mode: 'edit' })} className="flex items-center gap-1 text-blue-700 hover:underline">
+                    <Edit className="w-3 h-3" /> Edit
+                  </button>
+                )}
+                {isMine && (
+                  <button type="button" onClick={() => handleDelete(comment, replies.length > 0)} className="flex items-center gap-1 text-red-700 hover:underline">
+                    <Trash2 className="w-3 h-3" /> Delete
+                  </button>
+                )}
+                {isStaff && (
+                  <button
+                    type="button"
+                    onClick={() => run(() => setCommentHidden(collectionName, post.id, comment, !comment.hidden, userId), "Error hiding comment: ")}
+                    className="flex items-center gap-1 text-gray-700 hover:underline"
+                  >
+                    {comment.hidden ? <><Eye className="w-3 h-3" /> Show</> : <><EyeOff className="w-3 h-3" /> Hide</>}
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+        {active && active.id === comment.id && active.mode === 'reply' && (
+          <div className="ml-6">
+            <CommentForm
+              submitLabel="Reply"
+              placeholder={`Reply to ${name}`}
+              onSubmit={handleAdd(comment.id)}
+              onCancel={() => setActive(null)}
+            />
+          </div>
+        )}
+        {replies.length > 0 && (
+          <ul className={`space-y-2 ${depth < MAX_COMMENT_DEPTH ? 'ml-6 border-l-2 border-gray-100 pl-3' : ''}`}>
+            {replies.map((reply) => renderComment(reply, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div>
+      <div className="flex items-center gap-3">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center gap-1 text-sm text-blue-700 hover:underline"
+          aria-expanded={isOpen}
+        >
+          <MessageSquare className="w-4 h-4" />
+          {count === 0 ? 'Comments' : `${count} ${count === 1 ? 'comment' : 'comments'}`}
+        </button>
+        {isLocked && (
+          <span className="flex items-center gap-1 text-xs text-gray-500"><Lock className="w-3 h-3" /> Closed</span>
+        )}
+        {isOpen && isStaff && (
+          <button type="button" onClick={handleToggleLock} className="ml-auto flex items-center gap-1 text-xs text-gray-700 hover:underline">
+            {isLocked ? <><LockOpen className="w-3 h-3" /> Reopen comments</> : <><Lock className="w-3 h-3" /> Lock comments</>}
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          {error && <p className="p-2 rounded-lg bg-red-50 text-xs text-red-700">{error}</p>}
+          {isLoading ? (
+            <p className="text-sm text-gray-500">Loading comments...</p>
+          ) : (
+            <ul className="space-y-2">
+              {buildThreads(comments, { showHidden: isStaff }).map((thread) => renderComment(thread, 1))}
+            </ul>
+          )}
+          {canComment && (
+            <CommentForm submitLabel="Comment" placeholder="Ask a question or add a comment" onSubmit={handleAdd(null)} />
+          )}
+          {isLocked && !isStaff && <p className="text-sm text-gray-500">Comments on this post are closed.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,166 @@
+// Filename: CommunityManager.jsx
+import React, { useState } from 'react';
+import {
+  COMMUNITY_THEMES, ACCESS_LEVELS, DEFAULT_BRANDING, communityIdFrom, validateCommunity, saveCommunity, createCommunity,
+} from '../utils/communities';
+
+// Lucide-react icons for the UI
+import { Palette, Plus, X } from 'lucide-react';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const EMPTY_COMMUNITY = { id: '', name: '', tagline: '', theme: DEFAULT_BRANDING.theme, access: 'members' };
+
+// Admin panel for the current community's branding and access, and for adding communities
+const CommunityManager = ({ community, communities, canCreate, currentUserId, onCreated, onClose }) => {
+  const [branding, setBranding] = useState({
+    name: community.name,
+    tagline: community.tagline,
+    theme: community.theme,
+    access: community.access,
+  });
+  const [errors, setErrors] = useState({});
+  const [saved, setSaved] = useState(false);
+  // Community being created, or null
+  const [draft, setDraft] = useState(null);
+  const [draftErrors, setDraftErrors] = useState({});
+  // Until the ID is edited by hand it follows the name
+  const [idEdited, setIdEdited] = useState(false);
+
+  const updateBranding = (patch) => {
+    setBranding((prev) => ({ ...prev, ...patch }));
+    setSaved(false);
+  };
+
+  const updateDraft = (patch) => {
+    setDraft((prev) => {
+      const next = { ...prev, ...patch };
+      if (!idEdited && patch.name !== undefined) next.id = communityIdFrom(patch.name);
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    const found = validateCommunity(branding, communities, false);
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
+    try {
+      await saveCommunity(community.id, branding);
+      setSaved(true);
+    } catch (e) {
+      console.error("Error saving community: ", e);
+      setErrors({ form: 'The community could not be saved. Please try again.' });
+    }
+  };
+
+  const handleCreate = async () => {
+    const found = validateCommunity(draft, communities, true);
+    setDraftErrors(found);
+    if (Object.keys(found).length > 0) return;
+    try {
+      await createCommunity(draft, currentUserId);
+      onCreated(draft.id);
+    } catch (e) {
+      console.error("Error creating community: ", e);
+      setDraftErrors({ form: 'The community could not be created. Please try again.' });
+    }
+  };
+
+  const renderError = (message) => message && <p className="mt-1 text-xs text-red-600">{message}</p>;
+
+  // Name, tagline, colours and access, shared by the branding and new community forms
+  const renderFields = (values, update, fieldErrors) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      <label className="text-sm text-gray-700">
+        Name
+        <input type="text" value={values.name} onChange={(e) => update({ name: e.target.value })} placeholder="e.g. Maple Court" className={inputClass} />
+        {renderError(fieldErrors.name)}
+      </label>
+      <label className="text-sm text-gray-700">
+        Tagline
+        <input type="text" value={values.tagline} onChange={(e) => update({ tagline: e.target.value })} placeholder="Shown under the name in the header" className={inputClass} />
+        {renderError(fieldErrors.tagline)}
+      </label>
+      <label className="text-sm text-gray-700">
+        Colours
+        <select value={values.theme} onChange={(e) => update({ theme: e.target.value })} className={inputClass}>
+          {Object.entries(COMMUNITY_THEMES).map(([id, theme]) => <option key={id} value={id}>{theme.label}</option>)}
+        </select>
+      </label>
+      <label className="text-sm text-gray-700">
+        Who can see the board
+        <select value={values.access} onChange={(e) => update({ access: e.target.value })} className={inputClass}>
+          {ACCESS_LEVELS.map((level) => <option key={level.id} value={level.id}>{level.label}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Palette className="w-5 h-5" /> Community Settings
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        {renderFields(branding, updateBranding, errors)}
+        {errors.form && <p className="p-3 rounded-lg bg-red-50 text-sm text-red-700">{errors.form}</p>}
+        <div className="flex items-center gap-3">
+          <button type="button" onClick={handleSave} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+            Save Community
+          </button>
+          {saved && <span className="text-sm text-green-700">Saved.</span>}
+        </div>
+      </div>
+
+      {canCreate && (draft ? (
+        <div className="space-y-4 border-t border-gray-200 pt-4 mt-6">
+          <h4 className="font-semibold text-gray-800">New community</h4>
+          {renderFields(draft, updateDraft, draftErrors)}
+          <label className="block text-sm text-gray-700">
+            ID
+            <input
+              type="text"
+              value={draft.id}
+              onChange={(e) => {
+                setIdEdited(true);
+                setDraft((prev) => ({ ...prev, id: e.target.value }));
+              }}
+              className={inputClass}
+            />
+            <span className="text-xs text-gray-500">Used in links and to store the community&apos;s data. It cannot be changed later.</span>
+            {renderError(draftErrors.id)}
+          </label>
+          {draftErrors.form && <p className="p-3 rounded-lg bg-red-50 text-sm text-red-700">{draftErrors.form}</p>}
+          <div className="flex gap-3">
+            <button type="button" onClick={handleCreate} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+              Create Community
+            </button>
+            <button type="button" onClick={() => setDraft(null)} className="bg-gray-500 text-white px-6 py-2 rounded-lg hover:bg-gray-600 transition-colors">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={() => {
+            setDraft(EMPTY_COMMUNITY);
+            setDraftErrors({});
+            setIdEdited(false);
+          }}
+          className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 mt-6"
+        >
+          <Plus className="w-4 h-4" /> New community
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default CommunityManager;
@@ -1,65 +1,149 @@
 // Filename: CommunityNoticeboard.jsx
-import React, { useState, useEffect } from 'react';
-// Import necessary Firebase functions
-import { initializeApp } from 'firebase/app';
-import { getFirestore, doc, onSnapshot, collection, addDoc, setDoc, deleteDoc } from 'firebase/firestore';
-import { getAuth, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+// Storage backend (Firestore, local storage or in-memory) chosen from the environment
+import { storage, publicDataPath, getCommunityId } from '../storage';
+import { rolesPath, resolveRole, canModerate, ensureLocalAdmin } from '../auth/roles';
+import {
+  DEFAULT_COMMUNITY_ID, themeFor, canAccess, canCreateCommunities, recordMembership, readCommunityFromUrl, communityParam,
+} from '../utils/communities';
+import {
+  readViewFromUrl, viewToSearch, viewUrl, filterSection, searchAllSections, needsAllPosts, eventStart, announcementState, pollState, toMillis, DEFAULT_VIEW,
+} from '../utils/filters';
+import { buildCalendar, downloadCalendar, calendarFilename } from '../utils/ics';
+import { expandEvents, OCCURRENCE_FIELDS } from '../utils/recurrence';
+import { toDateKey, addDays } from '../utils/dates';
+import { attendanceKey, getUserRsvp, buildRsvpUpdate } from '../utils/rsvp';
+import { castVote, isAnonymous, removeTally } from '../utils/polls';
+import { moveToTrash, restoreFromTrash, withoutTrashed, isTrashed } from '../utils/trash';
+import { recordChange, removeHistory } from '../utils/history';
+import { removeComments } from '../utils/comments';
+import { LOST_FOUND_STATUSES, STATUS_TRANSITIONS, DEFAULT_ARCHIVE_DAYS, effectiveStatus } from '../utils/lostFound';
+import { submitForReview, approveSubmission, rejectSubmission, withdrawSubmission } from '../utils/moderation';
+import { uploadPhotos, removePhotos, releasePreviews, memberPhotoFolder } from '../utils/photos';
+import { authorName, contactLink, moveContact } from '../utils/profiles';
+import { validateItem, applyDefaults, hasFieldType, cardBadges, cardDetails, iconFor } from '../sections';
+import RoleManager from './RoleManager';
+import SectionManager from './SectionManager';
+import CommunityManager from './CommunityManager';
+import CommunitySwitcher from './CommunitySwitcher';
+import FeedbackAnalytics from './FeedbackAnalytics';
+import ModerationQueue from './ModerationQueue';
+import MySubmissions from './MySubmissions';
+import MyPosts from './MyPosts';
+import ProfilePanel from './ProfilePanel';
+import Avatar from './Avatar';
+import CommentThread from './CommentThread';
+import OfflineStatus from './OfflineStatus';
+import NotificationCenter from './NotificationCenter';
+import TrashView from './TrashView';
+import VersionHistory from './VersionHistory';
+import ItemDetail from './ItemDetail';
+import DigestPanel from './DigestPanel';
+import DataManager from './DataManager';
+import Toast from './Toast';
+import { useSectionFeeds } from '../hooks/useSectionFeeds';
+import { useBoardSettings } from '../hooks/useBoardSettings';
+import { useLostFound } from '../hooks/useLostFound';
+import { useSubmissions } from '../hooks/useSubmissions';
+import { usePinnedAnnouncements } from '../hooks/usePinnedAnnouncements';
+import { useScheduledAnnouncements } from '../hooks/useScheduledAnnouncements';
+import { useRecurringEvents } from '../hooks/useRecurringEvents';
+import { useNow } from '../hooks/useNow';
+import { useOnline } from '../hooks/useOnline';
+import { useOutbox } from '../hooks/useOutbox';
+import { useNotifications } from '../hooks/useNotifications';
+import { useSections } from '../hooks/useSections';
+import { useTrash } from '../hooks/useTrash';
+import { useCommunities } from '../hooks/useCommunities';
+import { useItem } from '../hooks/useItem';
+import { useProfiles, useContacts } from '../hooks/useProfiles';
+import { useMyPosts } from '../hooks/useMyPosts';
+import FilterBar from './FilterBar';
+import LoadMore from './LoadMore';
+import EventCalendar from './EventCalendar';
+import RsvpBar from './RsvpBar';
+import PollBallot from './PollBallot';
+import AttendeeList from './AttendeeList';
+import LostFoundMatches from './LostFoundMatches';
+import SectionForm from './SectionForm';
+import PhotoGallery from './PhotoGallery';
+import Markdown from './Markdown';
 
 // Lucide-react icons for the UI
-import { Plus, Calendar, Megaphone, Search, MessageCircle, X, Edit, Trash2, Loader } from 'lucide-react';
+import { Plus, X, Edit, Trash2, Trash, History, Loader, Shield, LayoutList, Palette, Lock, EyeOff, CalendarPlus, CalendarX, Download, ChartColumn, Inbox, Send, Pin, PinOff, Newspaper, Database, UserRound, FileText } from 'lucide-react';
 
-// Get Firebase configuration and app ID from the environment
-const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
-const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : '';
+// Section ID -> collection name for a list of definitions, as a string so it can be memoised
+const collectionsKey = (definitions) => definitions.map((definition) => `${definition.id}:${definition.collection}`).join(',');
+const parseCollections = (key) => Object.fromEntries(key.split(',').filter(Boolean).map((entry) => entry.split(':')));
 
-// Initialize Firebase app, Firestore, and Auth instances
-const app = firebaseConfig.projectId ? initializeApp(firebaseConfig) : null;
-const db = app ? getFirestore(app) : null;
-const auth = app ? getAuth(app) : null;
+// Posts longer than this many characters are cut short on cards, with a "Read more" toggle
+const CARD_PREVIEW_LENGTH = 400;
 
-const CommunityNoticeboard = () => {
+// Without a date filter, recurring events are listed from a month ago to three months ahead
+const EVENT_WINDOW_PAST_DAYS = 30;
+const EVENT_WINDOW_FUTURE_DAYS = 90;
+
+// Board of the community the storage paths point at; `onSwitchCommunity(id)` opens another one
+const CommunityNoticeboard = ({ onSwitchCommunity }) => {
   // UI state for managing the application's interactive elements
-  const [activeSection, setActiveSection] = useState('announcements');
-  const [isAdmin, setIsAdmin] = useState(false);
+  // Active section, search, filters and sort order, mirrored in the URL for sharing
+  const [view, setView] = useState(() => readViewFromUrl());
+  const activeSection = view.section;
   const [showForm, setShowForm] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
+  // Whether an edit to a recurring event applies to one 'occurrence' or the whole 'series'
+  const [editScope, setEditScope] = useState('series');
   const [formData, setFormData] = useState({});
+  // Shown in the form when saving fails; the form keeps its contents so nothing is lost
+  const [formError, setFormError] = useState('');
+  // Validation messages keyed by field name
+  const [formErrors, setFormErrors] = useState({});
+  // Photos picked in the form, uploaded only when it is submitted
+  const [pendingPhotos, setPendingPhotos] = useState([]);
   const [isAuthReady, setIsAuthReady] = useState(false);
   const [userId, setUserId] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // Firestore data state to hold the content from the database
-  const [announcements, setAnnouncements] = useState([]);
-  const [events, setEvents] = useState([]);
-  const [lostFound, setLostFound] = useState([]);
-  const [feedbacks, setFeedbacks] = useState([]);
+  const [claims, setClaims] = useState({});
+  const [roleDoc, setRoleDoc] = useState(null);
+  const [showRoleManager, setShowRoleManager] = useState(false);
+  const [showSectionManager, setShowSectionManager] = useState(false);
+  const [showCommunityManager, setShowCommunityManager] = useState(false);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [showModeration, setShowModeration] = useState(false);
+  const [showMySubmissions, setShowMySubmissions] = useState(false);
+  const [showMyPosts, setShowMyPosts] = useState(false);
+  const [showProfile, setShowProfile] = useState(false);
+  // Submission being edited from the moderation queue; saving the form approves it
+  const [reviewing, setReviewing] = useState(null);
+  const [reviewReason, setReviewReason] = useState('');
+  const [showTrash, setShowTrash] = useState(false);
+  const [showDigest, setShowDigest] = useState(false);
+  const [showDataManager, setShowDataManager] = useState(false);
+  // Post whose version history is open, as `{ section, item }`
+  const [historyFor, setHistoryFor] = useState(null);
+  // Message shown at the bottom of the screen, such as the undo offer after a delete
+  const [toast, setToast] = useState(null);
+  const closeToast = useCallback(() => setToast(null), []);
+  // Event (or occurrence) whose attendee list is open for admins
+  const [attendeesFor, setAttendeesFor] = useState(null);
+  // Auto-archive age an admin is typing, saved once the field loses focus so the archiving
+  // sweep never runs against a half-typed number
+  const [archiveDaysDraft, setArchiveDaysDraft] = useState(null);
 
-  // Authenticate user with the provided custom token
+  // Authenticate user with the storage backend
   useEffect(() => {
-    // Check if Firebase is properly configured
-    if (!app || !auth) {
-      console.error("Firebase is not configured. Please check your firebaseConfig.");
-      return;
-    }
-
     const signInUser = async () => {
       try {
-        if (initialAuthToken) {
-          // Sign in using the custom authentication token
-          await signInWithCustomToken(auth, initialAuthToken);
-        }
+        await storage.signIn();
       } catch (error) {
-        console.error("Firebase Auth Error:", error);
+        console.error("Auth Error:", error);
       }
     };
     signInUser();
 
     // Set up a listener for authentication state changes to get the user ID
-    const unsubscribeAuth = onAuthStateChanged(auth, (user) => {
-      if (user) {
-        setUserId(user.uid);
-      }
+    const unsubscribeAuth = storage.onAuthStateChanged((user) => {
+      setUserId(user ? user.uid : null);
+      setClaims(user && user.claims ? user.claims : {});
       setIsAuthReady(true);
     });
 
@@ -67,670 +151,1420 @@ const CommunityNoticeboard = () => {
     return () => unsubscribeAuth();
   }, []);
 
-  // Set up real-time data listeners for each section using Firestore's onSnapshot
+  // Watch the signed-in user's role document so role changes apply without a reload
   useEffect(() => {
-    // Only proceed if Firebase is ready and the user is authenticated
-    if (!db || !userId) return;
-
-    setIsLoading(true);
-
-    // Base path for public data in Firestore
-    const basePath = `/artifacts/${appId}/public/data/`;
-
-    // Announcements listener: Fetches data and updates state in real-time
-    const unsubscribeAnnouncements = onSnapshot(collection(db, `${basePath}announcements`), (snapshot) => {
-      const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setAnnouncements(docs);
-      setIsLoading(false);
-    }, (error) => {
-      console.error("Error fetching announcements:", error);
-      setIsLoading(false);
-    });
+    if (!userId) {
+      setRoleDoc(null);
+      return;
+    }
 
-    // Events listener
-    const unsubscribeEvents = onSnapshot(collection(db, `${basePath}events`), (snapshot) => {
-      const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setEvents(docs);
-    }, (error) => {
-      console.error("Error fetching events:", error);
+    ensureLocalAdmin(userId).catch((error) => {
+      console.error("Error setting up local admin:", error);
     });
 
-    // Lost & Found listener
-    const unsubscribeLostFound = onSnapshot(collection(db, `${basePath}lost-found`), (snapshot) => {
-      const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setLostFound(docs);
-    }, (error) => {
-      console.error("Error fetching lost & found:", error);
+    const unsubscribeRole = storage.subscribeDoc(rolesPath(), userId, setRoleDoc, (error) => {
+      console.error("Error fetching role:", error);
     });
+    return () => unsubscribeRole();
+  }, [userId]);
 
-    // Feedback listener
-    const unsubscribeFeedbacks = onSnapshot(collection(db, `${basePath}feedback`), (snapshot) => {
-      const docs = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-      setFeedbacks(docs);
-    }, (error) => {
-      console.error("Error fetching feedback:", error);
-    });
+  // Keep the URL in sync with the current view. Opening a section or a post adds a history entry,
+  // so Back returns to where the user was; searches and filters replace the current one.
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    const url = `${pathname}${viewToSearch(view, { community: communityParam() })}${hash}`;
+    if (url === `${pathname}${search}${hash}`) return;
+    const shown = readViewFromUrl();
+    const isNewPage = shown.section !== view.section || shown.item !== view.item;
+    window.history[isNewPage ? 'pushState' : 'replaceState'](null, '', url);
+  }, [view]);
 
-    // Clean up all listeners on component unmount
-    return () => {
-      unsubscribeAnnouncements();
-      unsubscribeEvents();
-      unsubscribeLostFound();
-      unsubscribeFeedbacks();
+  // Back and forward restore the view from the URL, switching community when it names another one
+  useEffect(() => {
+    const handlePopState = () => {
+      const linked = readCommunityFromUrl() || DEFAULT_COMMUNITY_ID;
+      if (linked !== getCommunityId()) {
+        onSwitchCommunity(linked);
+        return;
+      }
+      setView(readViewFromUrl());
+      setShowForm(false);
+      setEditingItem(null);
     };
-  }, [db, userId]); // Re-run effect when db or userId changes
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [onSwitchCommunity]);
+
+  // Open another community at its front page, as a new history entry
+  const switchCommunity = (id) => {
+    const community = id === DEFAULT_COMMUNITY_ID ? '' : id;
+    window.history.pushState(null, '', `${window.location.pathname}${viewToSearch(DEFAULT_VIEW, { community })}`);
+    onSwitchCommunity(id);
+  };
+
+  const updateView = (patch) => {
+    setView(prev => ({ ...prev, ...patch }));
+  };
+
+  // Switching sections keeps the search and sort but drops the previous section's filters
+  const setActiveSection = (section) => {
+    setView(prev => ({ ...DEFAULT_VIEW, q: prev.q, sort: prev.sort, scope: prev.scope, section }));
+  };
+
+  // Open a post on its own page; the list's search and filters are kept for coming back
+  const openItem = (section, id) => {
+    setView(prev => ({ ...prev, section, item: id }));
+  };
+
+  const closeItem = () => updateView({ item: '' });
+
+  // Link to a post's page, to share or open in a new tab
+  const itemUrl = (section, id) => viewUrl({ ...DEFAULT_VIEW, section, item: id }, { community: communityParam() });
+
+  // Role of the signed-in user, driving what the UI offers
+  const role = resolveRole(claims, roleDoc);
+  const isAdmin = role === 'admin';
+  const isStaff = canModerate(role);
+  // Owners edit and delete their own posts; moderators and admins can change any post
+  const isOwner = (item) => Boolean(userId) && (item.series || item).authorUid === userId;
+  const canManage = (item) => isStaff || isOwner(item);
+  // This community's branding, the others the user belongs to, and whether they may see this one
+  const communities = useCommunities(userId);
+  const community = communities.current;
+  const theme = themeFor(community);
+  const canRead = Boolean(userId) && canAccess(community, { claims, roleDoc });
+
+  // Keep this community in the user's list with their current role, whoever granted it
+  const roleInCommunity = roleDoc ? roleDoc.role : null;
+  useEffect(() => {
+    if (!userId || !roleInCommunity || community.role === roleInCommunity) return;
+    recordMembership(userId, community.id, roleInCommunity).catch((error) => {
+      console.error("Error recording membership:", error);
+    });
+  }, [userId, roleInCommunity, community.id, community.role]);
+
+  // Joining an open community adds it to the user's list and opens it
+  const handleJoinCommunity = async (id) => {
+    try {
+      await recordMembership(userId, id, 'member');
+      switchCommunity(id);
+    } catch (e) {
+      console.error("Error joining community: ", e);
+    }
+  };
+  // Section definitions, built-in and admin-defined, kept live. Hidden sections stay available
+  // to admins so they can be checked before being shown again.
+  const allSections = useSections(canRead);
+  const visibleSections = allSections.filter((definition) => !definition.hidden);
+  const getSection = (section) => allSections.find((definition) => definition.id === section && (isAdmin || !definition.hidden));
+  // Sections in sidebar order
+  const sidebarSections = (isAdmin ? allSections : visibleSections).map((definition) => {
+    const Icon = iconFor(definition.icon);
+    return { id: definition.id, label: definition.label, hidden: definition.hidden, icon: <Icon className="w-5 h-5" /> };
+  });
+  // Collections of every section, and of the visible ones; the hooks below need stable objects
+  const allCollectionsKey = collectionsKey(allSections);
+  const visibleCollectionsKey = collectionsKey(visibleSections);
+  const allCollections = useMemo(() => parseCollections(allCollectionsKey), [allCollectionsKey]);
+  const visibleCollections = useMemo(() => parseCollections(visibleCollectionsKey), [visibleCollectionsKey]);
+
+  // Definition of the active section, driving its form and cards
+  const activeDefinition = getSection(activeSection);
+  // Members send posts in open sections, and proposals in the others, to the moderation queue
+  const canSubmit = Boolean(activeDefinition) && (isStaff || Boolean(activeDefinition.submissions));
+  const isOpenSection = Boolean(activeDefinition) && activeDefinition.submissions === 'open';
+  // Members editing their own post save it straight away, in any section
+  const isOwnEdit = Boolean(editingItem) && !isStaff && isOwner(editingItem);
+  const canUseForm = canSubmit || isOwnEdit;
+
+  // Staff see everything waiting for review; members see what they have submitted
+  const byCreatedAt = (a, b) => (a.createdAt || 0) - (b.createdAt || 0);
+  const pendingSubmissions = [...useSubmissions(canRead && isStaff, { where: [['status', '==', 'pending']] })]
+    .sort(byCreatedAt);
+  const mySubmissions = [...useSubmissions(canRead && !isStaff, { where: [['submittedBy', '==', userId]] })]
+    .sort((a, b) => byCreatedAt(b, a));
+
+  // Only the sections on screen are subscribed to: the active one, or all of them for a global search
+  const isGlobalSearch = view.scope === 'all' && view.q.trim() !== '';
+  const wantedSections = isGlobalSearch ? Object.keys(visibleCollections) : [activeDefinition ? activeSection : ''];
+  const { getFeed, loadMore, loadAll, updateCached } = useSectionFeeds(allCollections, wantedSections, canRead, isStaff);
+  const activeFeed = getFeed(activeSection);
+
+  // Searches, filters and other orders work on whole sections, so load the rest of their posts
+  const wantsAllPosts = needsAllPosts(view);
+  const partialSections = wantedSections
+    .filter((section) => section && getFeed(section).hasMore && !getFeed(section).isLoading)
+    .join(',');
+  useEffect(() => {
+    if (!wantsAllPosts) return;
+    partialSections.split(',').filter(Boolean).forEach(loadAll);
+  }, [wantsAllPosts, partialSections, loadAll]);
+  // Stop the spinner if authentication finished without a user
+  const isLoading = !isAuthReady || (canRead && Boolean(activeDefinition) && activeFeed.isLoading);
+  const showCalendar = activeSection === 'events' && view.layout !== 'cards' && !isGlobalSearch;
+
+  // Board settings, such as how long Lost & Found items stay open
+  const [settings, saveSettings, isSettingsLoaded] = useBoardSettings(canRead);
+  const archiveDays = settings.lostFoundArchiveDays === undefined ? DEFAULT_ARCHIVE_DAYS : settings.lostFoundArchiveDays;
+  // Scheduled announcements appear, and expiring ones disappear, as time passes
+  const now = useNow();
+  const isOnline = useOnline();
+  const outboxEntries = useOutbox();
+
+  // Post open on its own page, loaded by ID so a link works whichever page of the feed it is on.
+  // Trashed posts, and announcements members cannot see yet, are shown as missing.
+  const linkedItem = useItem(activeDefinition ? activeDefinition.collection : '', view.item, canRead && Boolean(view.item));
+  const detailItem = linkedItem.item && !isTrashed(linkedItem.item)
+    && (isStaff || activeSection !== 'announcements' || announcementState(linkedItem.item, now) !== 'scheduled')
+    ? linkedItem.item
+    : null;
+  const isDetailLoading = !isAuthReady || (canRead && Boolean(activeDefinition) && linkedItem.isLoading);
+
+  // Open a section from the sidebar or a notification, closing any open form
+  const openSection = (section) => {
+    setActiveSection(section);
+    setShowForm(false);
+    setEditingItem(null);
+  };
+
+  const { unread, recent, prefs: notificationPrefs, markSeen, savePrefs } = useNotifications({
+    uid: canRead ? userId : null,
+    isStaff,
+    now,
+    collections: visibleCollections,
+    activeSection,
+    onOpenSection: openSection,
+  });
+  const pinnedAnnouncements = usePinnedAnnouncements(canRead, isStaff);
+  useScheduledAnnouncements({ enabled: canRead, isStaff, now });
+  const recurringEvents = useRecurringEvents(canRead);
+  const trashItems = useTrash(allCollections, canRead && isStaff);
+  const myPosts = useMyPosts(allCollections, userId, canRead && showMyPosts);
+
+  const { matchesFor } = useLostFound({
+    enabled: canRead,
+    // Stale items are only archived against the board's saved auto-archive age
+    canSweep: isStaff && isSettingsLoaded,
+    archiveDays,
+    loadedItems: getFeed('lostfound').items,
+  });
+
+  // Save the auto-archive age typed by an admin
+  const saveArchiveDays = () => {
+    if (archiveDaysDraft === null) return;
+    const days = Math.max(0, parseInt(archiveDaysDraft) || 0);
+    setArchiveDaysDraft(null);
+    if (days !== archiveDays) {
+      saveSettings({ lostFoundArchiveDays: days });
+    }
+  };
 
   // Form handling functions
   const resetForm = () => {
+    releasePreviews(pendingPhotos);
+    setPendingPhotos([]);
     setFormData({});
     setShowForm(false);
     setEditingItem(null);
+    setReviewing(null);
+    setReviewReason('');
+    setFormError('');
+    setFormErrors({});
   };
 
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
+    // A field's error goes away as soon as it is edited
+    setFormErrors(prev => {
+      const { [field]: _cleared, ...rest } = prev;
+      return rest;
+    });
   };
 
+  const isOccurrenceEdit = Boolean(editingItem && editingItem.seriesId && editScope === 'occurrence');
+
   const handleSubmit = async () => {
-    // Ensure Firestore and user authentication are ready before proceeding
-    if (!db || !userId) {
-      console.error("Firestore not ready or user not authenticated.");
+    // Ensure the user is authenticated and allowed to post before proceeding
+    if (!userId || !canUseForm) {
+      console.error("User not authenticated or not allowed to post.");
       return;
     }
 
-    const collectionPath = `/artifacts/${appId}/public/data/`;
-    let collectionRef;
-
-    // Determine the correct Firestore collection based on the active section
-    switch (activeSection) {
-      case 'announcements':
-        collectionRef = collection(db, `${collectionPath}announcements`);
-        break;
-      case 'events':
-        collectionRef = collection(db, `${collectionPath}events`);
-        break;
-      case 'lostfound':
-        collectionRef = collection(db, `${collectionPath}lost-found`);
-        break;
-      case 'feedback':
-        collectionRef = collection(db, `${collectionPath}feedback`);
-        break;
-      default:
+    const definition = activeDefinition;
+    const collectionName = definition.collection;
+    const collectionPath = publicDataPath(collectionName);
+
+    // Nothing is saved until every field is valid
+    const errors = validateItem(definition, formData, { isStaff, isEditing: Boolean(editingItem), isOccurrenceEdit });
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    // Editing one occurrence of a recurring event stores just its changes on the series
+    if (isOccurrenceEdit) {
+      const override = Object.fromEntries(OCCURRENCE_FIELDS
+        .filter((field) => formData[field] !== undefined)
+        .map((field) => [field, formData[field]]));
+      const overrides = { [editingItem.occurrenceDate]: override };
+      try {
+        await storage.update(collectionPath, editingItem.seriesId, { overrides, updatedAt: new Date() });
+        updateCached(activeSection, editingItem.seriesId, { overrides: { ...editingItem.series.overrides, ...overrides } });
+        console.log("Occurrence updated for series: ", editingItem.seriesId);
+      } catch (e) {
+        console.error("Error updating occurrence: ", e);
+        setFormError('The occurrence could not be saved. Your changes are still here, so you can try again.');
         return;
+      }
+      resetForm();
+      return;
+    }
+
+    // Occurrence bookkeeping fields are never stored on the document itself, and RSVPs, votes and
+    // the comment lock are left out so that changes made while the form was open are not overwritten
+    const {
+      id: _id, seriesId: _seriesId, occurrenceDate: _occurrenceDate, series: _series, rsvps: _rsvps, votes: _votes,
+      commentsLocked: _commentsLocked, ...data
+    } = applyDefaults(definition, formData);
+    const targetId = editingItem && (editingItem.seriesId || editingItem.id);
+    const hasPhotos = hasFieldType(definition, 'photos');
+
+    // Upload new photos first; if that fails the form stays open so nothing typed is lost
+    let photos = data.photos || [];
+    if (hasPhotos && pendingPhotos.length > 0) {
+      // Unlike posts, photos cannot wait in the outbox
+      if (!isOnline) {
+        setFormError('Photos can only be uploaded while online. Remove them to save now, or try again once connected.');
+        return;
+      }
+      try {
+        // Members' photos, including those added to their own posts, go in their own folder
+        photos = [...photos, ...await uploadPhotos(pendingPhotos, isStaff ? collectionName : memberPhotoFolder(userId))];
+      } catch (e) {
+        console.error("Error uploading photos: ", e);
+        setFormError('The photos could not be uploaded. Please try again.');
+        return;
+      }
+      // Uploaded photos become part of the form, so a retry after a failed save does not upload them again
+      releasePreviews(pendingPhotos);
+      setPendingPhotos([]);
+      setFormData(prev => ({ ...prev, photos }));
     }
 
     // Create a new item object from the form data
-    const newItem = {
-      ...formData,
-      date: formData.date || new Date().toISOString().split('T')[0],
-      author: isAdmin ? 'Admin' : 'Anonymous', // Author is 'Admin' if in admin mode, otherwise 'Anonymous'
-      createdAt: new Date() // Add a timestamp for ordering
+    const original = editingItem || (reviewing && reviewing.data);
+    let newItem = {
+      ...data,
+      date: data.date || new Date().toISOString().split('T')[0],
+      // Keep the original author when editing or reviewing; new posts carry the poster's name
+      author: original ? original.author : displayName,
+      authorUid: original ? original.authorUid : userId,
+      // Add a timestamp for ordering; edits keep the original one and record when they happened
+      ...(editingItem ? { updatedAt: new Date() } : { createdAt: new Date() }),
     };
+    if (hasPhotos) {
+      newItem.photos = photos;
+    }
+    // Section-specific fields derived from the form, such as a new item's status
+    if (definition.prepare) {
+      newItem = definition.prepare(newItem, { isNew: !editingItem });
+    }
 
     try {
-      if (editingItem) {
-        // Update an existing document if an item is being edited
-        await setDoc(doc(db, collectionRef.path, editingItem.id), newItem, { merge: true });
-        console.log("Document updated with ID: ", editingItem.id);
+      if (reviewing) {
+        // Publish the reviewed submission with the moderator's changes
+        const { id, data: published } = await approveSubmission(reviewing, collectionName, { data: newItem, reviewerUid: userId, reason: reviewReason });
+        console.log("Submission approved as document: ", id);
+        logChange(definition, id, { after: published, action: 'approve' });
+        const keptPaths = new Set(photos.map((photo) => photo.path));
+        removePhotos((reviewing.data.photos || []).filter((photo) => !keptPaths.has(photo.path)));
+      } else if (!isStaff && !editingItem) {
+        // Members' posts wait in the moderation queue
+        const id = await submitForReview(activeSection, newItem, userId);
+        console.log("Submission sent for review with ID: ", id);
+        setShowMySubmissions(true);
+      } else if (editingItem) {
+        // Update an existing document if an item is being edited, by staff or its owner
+        await storage.update(collectionPath, targetId, newItem);
+        updateCached(activeSection, targetId, newItem);
+        console.log("Document updated with ID: ", targetId);
+        // Photos removed in the form are kept, since earlier versions still show them
+        const before = editingItem.series || editingItem;
+        logChange(definition, targetId, { before, after: { ...before, ...newItem }, action: 'update' });
       } else {
         // Add a new document to the collection
-        const docRef = await addDoc(collectionRef, newItem);
-        console.log("Document written with ID: ", docRef.id);
+        const id = await storage.create(collectionPath, newItem);
+        console.log("Document written with ID: ", id);
+        logChange(definition, id, { after: newItem, action: 'create' });
       }
     } catch (e) {
       console.error("Error adding/updating document: ", e);
+      setFormError('Your post could not be saved. Nothing you entered has been lost, so you can try again.');
+      return;
     }
-    // Reset the form after submission
+    // Reset the form only once the post has been saved (or queued to sync)
     resetForm();
   };
 
-  const handleEdit = (item) => {
+  const handleEdit = (item, section = activeSection) => {
+    // Global search results can come from any section, so switch to the item's section first
+    if (section !== activeSection) {
+      setActiveSection(section);
+    }
     // Set the editing item and populate the form
-    setEditingItem(item);
-    setFormData(item);
+    const { section: _section, ...data } = item;
+    setEditingItem(data);
+    setFormData(data);
+    setFormErrors({});
+    // Occurrences of a recurring event are edited one at a time unless the whole series is chosen
+    setEditScope(data.seriesId ? 'occurrence' : 'series');
     setShowForm(true);
   };
 
-  const handleDelete = async (id) => {
-    // Ensure Firestore and user authentication are ready before deleting
-    if (!db || !userId) {
-      console.error("Firestore not ready or user not authenticated.");
+  // Switch an occurrence edit between changing that occurrence and changing the whole series
+  const changeEditScope = (scope) => {
+    setEditScope(scope);
+    setFormData(scope === 'series' ? editingItem.series : editingItem);
+    setFormErrors({});
+  };
+
+  // Cancel a single occurrence of a recurring event by adding it to the series' exceptions
+  const handleSkipOccurrence = async (occurrence) => {
+    if (!userId || !isStaff) return;
+    const rule = occurrence.series.recurrence;
+    const recurrence = { ...rule, exceptions: [...(rule.exceptions || []), occurrence.occurrenceDate] };
+    try {
+      await storage.update(publicDataPath('events'), occurrence.seriesId, { recurrence, updatedAt: new Date() });
+      updateCached('events', occurrence.seriesId, { recurrence });
+    } catch (e) {
+      console.error("Error cancelling occurrence: ", e);
+    }
+  };
+
+  // Record a change in the post's version history without holding up the change itself
+  const logChange = (definition, id, change) => {
+    recordChange(definition, id, { ...change, uid: userId, checkEarlier: isStaff }).catch((e) => {
+      console.error("Error recording history: ", e);
+    });
+  };
+
+  // Deleting moves the post to the trash, with a toast offering to undo it
+  const handleDelete = async (item, section = activeSection) => {
+    // Ensure the user is authenticated and allowed to delete
+    if (!userId || !canManage(item)) {
+      console.error("User not authenticated or not allowed to delete.");
       return;
     }
-    
-    let collectionName;
-    // Determine the collection name for the item to be deleted
-    switch (activeSection) {
-      case 'announcements':
-        collectionName = 'announcements';
-        break;
-      case 'events':
-        collectionName = 'events';
-        break;
-      case 'lostfound':
-        collectionName = 'lost-found';
-        break;
-      case 'feedback':
-        collectionName = 'feedback';
-        break;
-      default:
-        return;
+
+    const definition = getSection(section);
+    if (!definition) return;
+
+    // Deleting an occurrence of a recurring event deletes the whole series
+    const id = item.seriesId || item.id;
+    const current = item.series || item;
+    try {
+      const patch = await moveToTrash(definition.collection, id, userId);
+      updateCached(section, id, patch);
+      console.log("Document with ID", id, "moved to the trash.");
+      logChange(definition, id, { before: current, after: current, action: 'delete' });
+      // A deleted post's page has nothing left to show
+      if (view.item) closeItem();
+      setToast({
+        message: `"${current.title}" was moved to the trash.`,
+        actionLabel: 'Undo',
+        onAction: () => handleRestore({ ...current, id, section }),
+      });
+    } catch (e) {
+      console.error("Error deleting document: ", e);
     }
-    
+  };
+
+  // Take a post out of the trash; `item.section` says where it belongs. Owners can only do this
+  // from the undo toast, since the Trash view is for staff.
+  const handleRestore = async (item) => {
+    if (!userId || !canManage(item)) return;
+    const definition = getSection(item.section);
+    if (!definition) return;
     try {
-      // Create a document reference and delete the document
-      const docRef = doc(db, `/artifacts/${appId}/public/data/${collectionName}`, id);
-      await deleteDoc(docRef);
-      console.log("Document with ID", id, "deleted successfully.");
+      const patch = await restoreFromTrash(definition.collection, item.id);
+      updateCached(item.section, item.id, patch);
+      logChange(definition, item.id, { before: item, after: item, action: 'restore' });
+    } catch (e) {
+      console.error("Error restoring document: ", e);
+    }
+  };
+
+  // Delete a trashed post for good, with its comments, its history and every photo any version used
+  const handleDeleteForever = async (item) => {
+    if (!userId || !isStaff) return;
+    const definition = getSection(item.section);
+    if (!definition || !window.confirm(`Delete "${item.title}" for good? This cannot be undone.`)) return;
+    try {
+      await storage.remove(publicDataPath(definition.collection), item.id);
+      updateCached(item.section, item.id, null);
+      removeComments(definition.collection, item.id).catch((error) => {
+        console.error("Error removing comments: ", error);
+      });
+      if (item.section === 'polls') {
+        removeTally(item.id).catch((error) => console.error("Error removing poll results: ", error));
+      }
+      const versions = await removeHistory(item.section, item.id);
+      const photos = [item, ...versions.map((version) => version.data)].flatMap((data) => data.photos || []);
+      removePhotos([...new Map(photos.map((photo) => [photo.path, photo])).values()]);
+      console.log("Document with ID", item.id, "deleted successfully.");
     } catch (e) {
       console.error("Error deleting document: ", e);
     }
   };
 
-  // Helper function to get the current data array based on the active section
-  const getCurrentData = () => {
-    switch (activeSection) {
-      case 'announcements': return announcements;
-      case 'events': return events;
-      case 'lostfound': return lostFound;
-      case 'feedback': return feedbacks;
-      default: return [];
+  // Write an earlier version of a post back, as a new version
+  const handleRestoreVersion = async (version) => {
+    if (!userId || !isStaff || !historyFor) return;
+    const definition = getSection(historyFor.section);
+    if (!definition) return;
+    const restored = { ...version.data, updatedAt: new Date() };
+    const data = definition.prepare ? definition.prepare(restored, { isNew: false }) : restored;
+    try {
+      await storage.update(publicDataPath(definition.collection), version.itemId, data);
+      updateCached(historyFor.section, version.itemId, data);
+      await recordChange(definition, version.itemId, { after: data, action: 'revert', uid: userId, restoredFrom: version.id });
+      setToast({ message: 'The earlier version was restored.' });
+    } catch (e) {
+      console.error("Error restoring version: ", e);
+    }
+  };
+
+  // Approve a submission as it was sent
+  const handleApprove = async (submission, reason) => {
+    if (!userId || !isStaff) return;
+    try {
+      const definition = getSection(submission.section);
+      const { id, data } = await approveSubmission(submission, definition.collection, { reviewerUid: userId, reason });
+      logChange(definition, id, { after: data, action: 'approve' });
+    } catch (e) {
+      console.error("Error approving submission: ", e);
+    }
+  };
+
+  const handleReject = async (submission, reason) => {
+    if (!userId || !isStaff) return;
+    try {
+      await rejectSubmission(submission, { reviewerUid: userId, reason });
+    } catch (e) {
+      console.error("Error rejecting submission: ", e);
+    }
+  };
+
+  // Open a submission in its section's form; saving the form approves it with the changes
+  const handleReviewEdit = (submission, reason) => {
+    setActiveSection(submission.section);
+    setEditingItem(null);
+    setFormData(submission.data);
+    setFormErrors({});
+    setReviewing(submission);
+    setReviewReason(reason);
+    setShowForm(true);
+  };
+
+  const handleWithdraw = async (submission) => {
+    try {
+      await withdrawSubmission(submission);
+      removePhotos(submission.data.photos);
+    } catch (e) {
+      console.error("Error withdrawing submission: ", e);
+    }
+  };
+
+  // Download a single event as an .ics file
+  const exportEvent = (event) => {
+    downloadCalendar(calendarFilename(event.title), buildCalendar([event], { name: event.title, domain: getCommunityId() }));
+  };
+
+  // Download every event, not just the loaded pages, as one .ics file
+  const exportAllEvents = async () => {
+    try {
+      const allEvents = withoutTrashed(await storage.list(publicDataPath('events')));
+      downloadCalendar('events.ics', buildCalendar(allEvents, { domain: getCommunityId() }));
+    } catch (e) {
+      console.error("Error exporting events: ", e);
+    }
+  };
+
+  const handleTogglePin = async (item) => {
+    if (!userId || !isStaff) return;
+    const patch = { pinned: !item.pinned };
+    try {
+      await storage.update(publicDataPath('announcements'), item.id, patch);
+      updateCached('announcements', item.id, patch);
+    } catch (e) {
+      console.error("Error pinning announcement: ", e);
     }
   };
 
-  // Helper function to get the title for the current section
-  const getSectionTitle = () => {
-    switch (activeSection) {
-      case 'announcements': return 'Announcements';
-      case 'events': return 'Events';
-      case 'lostfound': return 'Lost & Found';
-      case 'feedback': return 'Feedback';
-      default: return '';
+  // Move a Lost & Found item through its lifecycle
+  const handleStatusChange = async (item, status) => {
+    if (!userId || !isStaff) return;
+    const patch = { status, statusChangedAt: new Date(), autoArchived: false };
+    try {
+      await storage.update(publicDataPath('lost-found'), item.id, patch);
+      updateCached('lostfound', item.id, patch);
+    } catch (e) {
+      console.error("Error updating status: ", e);
     }
   };
 
-  // Helper function to get the icon for the current section
-  const getSectionIcon = () => {
-    switch (activeSection) {
-      case 'announcements': return <Megaphone className="w-5 h-5"/>;
-      case 'events': return <Calendar className="w-5 h-5" />;
-      case 'lostfound': return <Search className="w-5 h-5" />;
-      case 'feedback': return <MessageCircle className="w-5 h-5" />;
-      default: return null;
+  // Record the user's RSVP for an event or a single occurrence of a recurring event
+  const handleRsvp = async (event, status) => {
+    if (!userId) return;
+    const eventId = event.seriesId || event.id;
+    const key = attendanceKey(event);
+    const previous = getUserRsvp(event, userId);
+    try {
+      await storage.update(publicDataPath('events'), eventId, { rsvps: { [userId]: buildRsvpUpdate(key, previous, status) } });
+      // Cached pages are not live, so they get the browser's clock instead of the server's
+      const rsvps = event.rsvps || {};
+      updateCached('events', eventId, {
+        rsvps: { ...rsvps, [userId]: { ...rsvps[userId], ...buildRsvpUpdate(key, previous, status, new Date()) } },
+      });
+    } catch (e) {
+      console.error("Error saving RSVP: ", e);
+    }
+  };
+
+  // Record the user's ballot in a poll, replacing any earlier one. Anonymous polls keep it out
+  // of the poll document, whose cached copy only needs a legacy ballot dropped.
+  const handleVote = async (poll, choices, ballot) => {
+    if (!userId) return;
+    try {
+      const vote = await castVote(poll, userId, choices, ballot);
+      if (!isAnonymous(poll) || (poll.votes && poll.votes[userId])) {
+        updateCached('polls', poll.id, { votes: { ...poll.votes, [userId]: isAnonymous(poll) ? null : vote } });
+      }
+    } catch (e) {
+      console.error("Error saving vote: ", e);
+    }
+  };
+
+  // Close, reopen, archive or restore a poll
+  const handlePollChange = async (poll, patch) => {
+    if (!userId || !isStaff) return;
+    try {
+      await storage.update(publicDataPath('polls'), poll.id, patch);
+      updateCached('polls', poll.id, patch);
+    } catch (e) {
+      console.error("Error updating poll: ", e);
+    }
+  };
+
+  // Helper function to get the loaded data array for a section
+  const getSectionData = (section) => getFeed(section).items;
+
+  // Helper function to get a section's items as displayed, with recurring events expanded
+  const getDisplayData = (section) => {
+    if (section === 'announcements') {
+      // Pinned announcements may sit beyond the loaded pages
+      const loaded = getSectionData(section);
+      const loadedIds = new Set(loaded.map((item) => item.id));
+      return [...loaded, ...pinnedAnnouncements.filter((item) => !loadedIds.has(item.id))];
+    }
+    if (section !== 'events') return getSectionData(section);
+    const today = new Date();
+    const startKey = view.from || toDateKey(addDays(today, -EVENT_WINDOW_PAST_DAYS));
+    const endKey = view.to || toDateKey(addDays(today, EVENT_WINDOW_FUTURE_DAYS));
+    // Recurring series may sit beyond the loaded pages too
+    const loaded = getSectionData(section);
+    const loadedIds = new Set(loaded.map((item) => item.id));
+    return expandEvents([...loaded, ...recurringEvents.filter((item) => !loadedIds.has(item.id))], startKey, endKey);
+  };
+
+  // Helper function to get the items to show after search, filters and sorting
+  const getCurrentData = () => {
+    if (isGlobalSearch) {
+      const itemsBySection = Object.fromEntries(Object.keys(visibleCollections).map((section) => [section, getDisplayData(section)]));
+      // Search across sections only covers announcements that are currently published
+      if (itemsBySection.announcements) {
+        itemsBySection.announcements = itemsBySection.announcements.filter((item) => announcementState(item, now) === 'live');
+      }
+      return searchAllSections(itemsBySection, view);
+    }
+    return filterSection(getDisplayData(activeSection), activeSection, view, {
+      statusOf: (item) => effectiveStatus(item, archiveDays),
+      canSeeScheduled: isStaff,
+    });
+  };
+
+  // Profiles and contact details of the signed-in user and of the authors of the posts on screen
+  const shownUids = [
+    userId,
+    detailItem && detailItem.authorUid,
+    ...(view.item ? [] : getCurrentData().map((item) => item.authorUid)),
+  ];
+  const profiles = useProfiles(shownUids, Boolean(userId));
+  const contacts = useContacts(shownUids, canRead);
+  const myProfile = userId ? profiles[userId] || null : null;
+  const myContact = userId ? contacts[userId] || null : null;
+
+  // Contact details an older version kept on the profile, readable in every community, move
+  // into this one
+  useEffect(() => {
+    if (!userId || !canRead || !myProfile || !myProfile.contact) return;
+    moveContact(userId, myProfile).catch((error) => {
+      console.error("Error moving contact details:", error);
+    });
+  }, [userId, canRead, myProfile]);
+  // Name stored on the user's new posts and comments: their display name, or their role until
+  // they have a profile
+  const displayName = (myProfile && myProfile.displayName) || (isStaff ? (isAdmin ? 'Admin' : 'Moderator') : 'Community member');
+
+  // Helper function to get the title for a section (the active one by default)
+  const getSectionTitle = (section = activeSection) => {
+    const definition = getSection(section);
+    return definition ? definition.label : '';
+  };
+
+  // Helper function to get the icon for a section (the active one by default)
+  const getSectionIcon = (section = activeSection) => {
+    const definition = getSection(section);
+    if (!definition) return null;
+    const Icon = iconFor(definition.icon);
+    return <Icon className="w-5 h-5" />;
+  };
+
+  // Form generated from the active section's definition
+  const renderForm = () => (
+    <SectionForm
+      definition={activeDefinition}
+      data={formData}
+      errors={formErrors}
+      isEditing={Boolean(editingItem)}
+      isStaff={isStaff}
+      isOccurrenceEdit={isOccurrenceEdit}
+      pendingPhotos={pendingPhotos}
+      onPendingPhotosChange={setPendingPhotos}
+      onChange={handleInputChange}
+      onSubmit={handleSubmit}
+      onCancel={resetForm}
+    >
+      {editingItem && editingItem.seriesId && (
+        <div className="flex gap-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={editScope === 'occurrence'} onChange={() => changeEditScope('occurrence')} />
+            Only the {editingItem.occurrenceDate} occurrence
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="radio" checked={editScope === 'series'} onChange={() => changeEditScope('series')} />
+            The whole series
+          </label>
+        </div>
+      )}
+    </SectionForm>
+  );
+
+  // Attendee list for an event, from the feed or the post's own page
+  const renderAttendeeList = () => {
+    if (!isStaff || !attendeesFor) return null;
+    const events = detailItem ? [detailItem, ...getDisplayData('events')] : getDisplayData('events');
+    return (
+      <AttendeeList
+        event={events.find((event) => event.id === attendeesFor) || { id: attendeesFor, title: '' }}
+        onClose={() => setAttendeesFor(null)}
+      />
+    );
+  };
+
+  // Form panel for adding, editing or reviewing a post, with its notices
+  const renderFormPanel = () => canUseForm && showForm && (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      {reviewing && (
+        <div className="mb-4 p-3 rounded-lg bg-yellow-50 text-sm text-yellow-800 space-y-2">
+          <p>You are reviewing a submission. Saving publishes it with your changes.</p>
+          <input
+            type="text"
+            value={reviewReason}
+            onChange={(e) => setReviewReason(e.target.value)}
+            placeholder="Reason or note for the submitter (optional)"
+            className="w-full p-2 border border-yellow-200 rounded-lg bg-white"
+          />
+        </div>
+      )}
+      {formError && (
+        <p className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{formError}</p>
+      )}
+      {!isStaff && !editingItem && (
+        <p className="mb-4 p-3 rounded-lg bg-blue-50 text-sm text-blue-800">
+          A moderator will review your {isOpenSection ? 'submission' : 'proposal'} before it appears on the board.
+        </p>
+      )}
+      {renderForm()}
+    </div>
+  );
+
+  // A post's own page, with the form above it while the post is being edited
+  const renderDetail = () => (
+    <>
+      {renderAttendeeList()}
+      {renderFormPanel()}
+      <ItemDetail
+        key={`${activeSection}-${view.item}`}
+        sectionLabel={getSectionTitle()}
+        title={detailItem ? detailItem.title : ''}
+        card={detailItem && activeDefinition ? renderCard(detailItem, activeSection, { isDetail: true }) : null}
+        link={itemUrl(activeSection, view.item)}
+        isLoading={isDetailLoading}
+        onBack={closeItem}
+      />
+    </>
+  );
+
+  // Events in the card layout are split into upcoming and past groups
+  const renderItems = (items) => {
+    if (isGlobalSearch || activeSection !== 'events') {
+      return items.map((item) => renderCard(item, item.section || activeSection));
     }
+    const now = Date.now();
+    const groups = [
+      { title: 'Upcoming', items: items.filter((item) => eventStart(item) >= now) },
+      { title: 'Past', items: items.filter((item) => eventStart(item) < now) },
+    ].filter((group) => group.items.length > 0);
+    return groups.map((group) => (
+      <React.Fragment key={group.title}>
+        <h3 className="col-span-full text-sm font-semibold uppercase tracking-wide text-gray-500">{group.title}</h3>
+        {group.items.map((item) => renderCard(item))}
+      </React.Fragment>
+    ));
   };
 
-  // Function to render the correct form based on the active section
-  const renderForm = () => {
-    switch (activeSection) {
-      case 'announcements':
-        return (
-          <div className="space-y-4">
-            <h3 className="text-xl font-bold text-gray-800 mb-4">
-              {editingItem ? 'Edit Announcement' : 'New Announcement'}
+  // Function to render an individual card based on the item and section. On a post's own page
+  // (`isDetail`) the content is shown in full and the title is not a link.
+  const renderCard = (item, section = activeSection, { isDetail = false } = {}) => {
+    const definition = getSection(section);
+    const cardContext = { now, statusOf: (entry) => effectiveStatus(entry, archiveDays) };
+    const authorProfile = item.authorUid ? profiles[item.authorUid] : null;
+    const contact = contactLink(item.authorUid ? contacts[item.authorUid] : null);
+
+    return (
+      <div key={`${section}-${item.id}`} className="bg-white rounded-lg shadow-md p-6 border border-gray-200 hover:shadow-lg transition-shadow">
+        <div className="flex justify-between items-start mb-3">
+          <div>
+            {section !== activeSection && (
+              <div className="flex items-center gap-1 text-xs text-gray-500 mb-1">
+                {getSectionIcon(section)}
+                {getSectionTitle(section)}
+              </div>
+            )}
+            <h3 className="text-lg font-semibold text-gray-800">
+              {isDetail ? item.title : (
+                <a
+                  href={itemUrl(section, item.id)}
+                  onClick={(e) => {
+                    // Modified clicks keep their usual meaning, such as opening a new tab
+                    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+                    e.preventDefault();
+                    openItem(section, item.id);
+                  }}
+                  className="hover:text-blue-700 hover:underline"
+                >
+                  {item.title}
+                </a>
+              )}
             </h3>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
-              <input
-                type="text"
-                value={formData.title || ''}
-                onChange={(e) => handleInputChange('title', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Content</label>
-              <textarea
-                value={formData.content || ''}
-                onChange={(e) => handleInputChange('content', e.target.value)}
-                rows="4"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
-              <select
-                value={formData.priority || 'medium'}
-                onChange={(e) => handleInputChange('priority', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value="low">Low</option>
-                <option value="medium">Medium</option>
-                <option value="high">High</option>
-              </select>
-            </div>
-            <div className="flex gap-3 pt-4">
+          </div>
+          <div className="flex gap-2">
+            {section === 'events' && item.date && (
               <button
-                type="button"
-                onClick={handleSubmit}
-                className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                onClick={() => exportEvent(item)}
+                className="text-green-600 hover:text-green-800 p-1 rounded"
+                title="Add to calendar"
               >
-                {editingItem ? 'Update' : 'Post'} Announcement
+                <CalendarPlus className="w-4 h-4" />
               </button>
+            )}
+            {isStaff && item.seriesId && (
               <button
-                type="button"
-                onClick={resetForm}
-                className="bg-gray-500 text-white px-6 py-2 rounded-lg hover:bg-gray-600 transition-colors"
+                onClick={() => handleSkipOccurrence(item)}
+                className="text-gray-600 hover:text-gray-800 p-1 rounded"
+                title="Cancel this occurrence"
               >
-                Cancel
+                <CalendarX className="w-4 h-4" />
               </button>
-            </div>
-          </div>
-        );
-
-      case 'events':
-        return (
-          <div className="space-y-4">
-            <h3 className="text-xl font-bold text-gray-800 mb-4">
-              {editingItem ? 'Edit Event' : 'New Event'}
-            </h3>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Event Title</label>
-              <input
-                type="text"
-                value={formData.title || ''}
-                onChange={(e) => handleInputChange('title', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
-              <textarea
-                value={formData.content || ''}
-                onChange={(e) => handleInputChange('content', e.target.value)}
-                rows="4"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
-                <input
-                  type="date"
-                  value={formData.date || ''}
-                  onChange={(e) => handleInputChange('date', e.target.value)}
-                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  required
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Time</label>
-                <input
-                  type="time"
-                  value={formData.time || ''}
-                  onChange={(e) => handleInputChange('time', e.target.value)}
-                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                  required
-                />
-              </div>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
-              <input
-                type="text"
-                value={formData.location || ''}
-                onChange={(e) => handleInputChange('location', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div className="flex gap-3 pt-4">
+            )}
+            {isStaff && section === 'announcements' && (
               <button
-                type="button"
-                onClick={handleSubmit}
-                className="bg-green-600 text-white px-6 py-2 rounded-lg hover:bg-green-700 transition-colors"
+                onClick={() => handleTogglePin(item)}
+                className="text-gray-600 hover:text-gray-800 p-1 rounded"
+                title={item.pinned ? 'Unpin' : 'Pin to top'}
               >
-                {editingItem ? 'Update' : 'Post'} Event
+                {item.pinned ? <PinOff className="w-4 h-4" /> : <Pin className="w-4 h-4" />}
               </button>
+            )}
+            {canManage(item) && (
               <button
-                type="button"
-                onClick={resetForm}
-                className="bg-gray-500 text-white px-6 py-2 rounded-lg hover:bg-gray-600 transition-colors"
+                onClick={() => handleEdit(item, section)}
+                className="text-blue-600 hover:text-blue-800 p-1 rounded"
+                title="Edit"
               >
-                Cancel
+                <Edit className="w-4 h-4" />
               </button>
-            </div>
-          </div>
-        );
-
-      case 'lostfound':
-        return (
-          <div className="space-y-4">
-            <h3 className="text-xl font-bold text-gray-800 mb-4">
-              {editingItem ? 'Edit Lost & Found' : 'New Lost & Found'}
-            </h3>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
-              <select
-                value={formData.type || 'lost'}
-                onChange={(e) => handleInputChange('type', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              >
-                <option value="lost">Lost</option>
-                <option value="found">Found</option>
-              </select>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Item Title</label>
-              <input
-                type="text"
-                value={formData.title || ''}
-                onChange={(e) => handleInputChange('title', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
-              <textarea
-                value={formData.content || ''}
-                onChange={(e) => handleInputChange('content', e.target.value)}
-                rows="4"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Contact Information</label>
-              <input
-                type="text"
-                value={formData.contact || ''}
-                onChange={(e) => handleInputChange('contact', e.target.value)}
-                placeholder="Email or phone number"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div className="flex gap-3 pt-4">
+            )}
+            {isStaff && (
               <button
-                type="button"
-                onClick={handleSubmit}
-                className="bg-orange-600 text-white px-6 py-2 rounded-lg hover:bg-orange-700 transition-colors"
+                onClick={() => setHistoryFor({ section, item: { ...(item.series || item), id: item.seriesId || item.id } })}
+                className="text-gray-600 hover:text-gray-800 p-1 rounded"
+                title="History"
               >
-                {editingItem ? 'Update' : 'Post'} Item
+                <History className="w-4 h-4" />
               </button>
+            )}
+            {canManage(item) && (
               <button
-                type="button"
-                onClick={resetForm}
-                className="bg-gray-500 text-white px-6 py-2 rounded-lg hover:bg-gray-600 transition-colors"
+                onClick={() => handleDelete(item, section)}
+                className="text-red-600 hover:text-red-800 p-1 rounded"
+                title={item.seriesId ? 'Delete series' : 'Delete'}
               >
-                Cancel
+                <Trash2 className="w-4 h-4" />
               </button>
-            </div>
+            )}
           </div>
-        );
+        </div>
+        
+        <Markdown text={item.content} limit={isDetail ? undefined : CARD_PREVIEW_LENGTH} className="text-gray-600 mb-4" />
 
-      case 'feedback':
-        return (
-          <div className="space-y-4">
-            <h3 className="text-xl font-bold text-gray-800 mb-4">
-              {editingItem ? 'Edit Feedback' : 'New Feedback'}
-            </h3>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
-              <input
-                type="text"
-                value={formData.title || ''}
-                onChange={(e) => handleInputChange('title', e.target.value)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Feedback</label>
-              <textarea
-                value={formData.content || ''}
-                onChange={(e) => handleInputChange('content', e.target.value)}
-                rows="4"
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                required
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Rating</label>
-              <select
-                value={formData.rating || '5'}
-                onChange={(e) => handleInputChange('rating', parseInt(e.target.value))}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              >
-                <option value={1}>1 Star</option>
-                <option value={2}>2 Stars</option>
-                <option value={3}>3 Stars</option>
-                <option value={4}>4 Stars</option>
-                <option value={5}>5 Stars</option>
-              </select>
-            </div>
-            <div className="flex gap-3 pt-4">
+        <PhotoGallery photos={item.photos} title={item.title} />
+        
+        <div className="flex flex-wrap gap-2 mb-3">
+          {cardBadges(definition, item, cardContext).map((badge) => {
+            const Icon = badge.icon && iconFor(badge.icon);
+            return (
+              <span key={badge.key} className={`flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${badge.className}`}>
+                {Icon && <Icon className="w-3 h-3" />} {badge.text}
+              </span>
+            );
+          })}
+        </div>
+        
+        {section === 'events' && item.date && (
+          <RsvpBar
+            event={item}
+            userId={userId}
+            onRespond={handleRsvp}
+            onShowAttendees={isStaff ? (event) => setAttendeesFor(event.id) : null}
+          />
+        )}
+
+        {section === 'polls' && (
+          <PollBallot poll={item} userId={userId} now={now} isStaff={isStaff} onVote={handleVote} />
+        )}
+
+        {section === 'polls' && isStaff && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {pollState(item, now) === 'open' && (
+              <button type="button" onClick={() => handlePollChange(item, { closed: true })} className="px-3 py-1 rounded-lg text-sm border border-gray-300 text-gray-700 hover:bg-gray-50">
+                Close poll
+              </button>
+            )}
+            {pollState(item, now) === 'closed' && (
+              // Reopening also drops a deadline that has already passed
               <button
                 type="button"
-                onClick={handleSubmit}
-                className="bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition-colors"
+                onClick={() => handlePollChange(item, { closed: false, ...(item.deadline && toMillis(item.deadline) <= now ? { deadline: null } : {}) })}
+                className="px-3 py-1 rounded-lg text-sm border border-gray-300 text-gray-700 hover:bg-gray-50"
               >
-                {editingItem ? 'Update' : 'Submit'} Feedback
+                Reopen
               </button>
+            )}
+            <button
+              type="button"
+              onClick={() => handlePollChange(item, item.archived ? { archived: false } : { archived: true, closed: true })}
+              className="px-3 py-1 rounded-lg text-sm border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              {item.archived ? 'Restore' : 'Archive'}
+            </button>
+          </div>
+        )}
+
+        {section === 'lostfound' && isStaff && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {STATUS_TRANSITIONS[effectiveStatus(item, archiveDays)].map((status) => (
               <button
+                key={status}
                 type="button"
-                onClick={resetForm}
-                className="bg-gray-500 text-white px-6 py-2 rounded-lg hover:bg-gray-600 transition-colors"
+                onClick={() => handleStatusChange(item, status)}
+                className="px-3 py-1 rounded-lg text-sm border border-gray-300 text-gray-700 hover:bg-gray-50"
               >
-                Cancel
+                {status === 'open' ? 'Reopen' : `Mark ${LOST_FOUND_STATUSES.find((option) => option.id === status).label.toLowerCase()}`}
               </button>
-            </div>
+            ))}
           </div>
-        );
+        )}
 
-      default:
-        return null;
-    }
-  };
+        {/* Likely matches are shown to staff and to whoever posted the item */}
+        {section === 'lostfound' && (isStaff || item.authorUid === userId)
+          && effectiveStatus(item, archiveDays) === 'open' && (
+          <LostFoundMatches matches={matchesFor(item)} />
+        )}
 
-  // Function to render an individual card based on the item and section
-  const renderCard = (item) => {
-    const getPriorityColor = (priority) => {
-      switch (priority) {
-        case 'high': return 'bg-red-100 text-red-800';
-        case 'medium': return 'bg-yellow-100 text-yellow-800';
-        case 'low': return 'bg-green-100 text-green-800';
-        default: return 'bg-gray-100 text-gray-800';
-      }
-    };
-
-    const getTypeColor = (type) => {
-      return type === 'lost' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800';
-    };
-
-    return (
-      <div key={item.id} className="bg-white rounded-lg shadow-md p-6 border border-gray-200 hover:shadow-lg transition-shadow">
-        <div className="flex justify-between items-start mb-3">
-          <h3 className="text-lg font-semibold text-gray-800">{item.title}</h3>
-          {isAdmin && (
-            <div className="flex gap-2">
-              <button
-                onClick={() => handleEdit(item)}
-                className="text-blue-600 hover:text-blue-800 p-1 rounded"
-                title="Edit"
-              >
-                <Edit className="w-4 h-4" />
-              </button>
-              <button
-                onClick={() => handleDelete(item.id)}
-                className="text-red-600 hover:text-red-800 p-1 rounded"
-                title="Delete"
-              >
-                <Trash2 className="w-4 h-4" />
-              </button>
-            </div>
-          )}
-        </div>
-        
-        <p className="text-gray-600 mb-4">{item.content}</p>
-        
-        <div className="flex flex-wrap gap-2 mb-3">
-          {activeSection === 'announcements' && item.priority && (
-            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getPriorityColor(item.priority)}`}>
-              {item.priority.toUpperCase()}
-            </span>
-          )}
-          {activeSection === 'lostfound' && item.type && (
-            <span className={`px-2 py-1 rounded-full text-xs font-medium ${getTypeColor(item.type)}`}>
-              {item.type.toUpperCase()}
-            </span>
-          )}
-          {activeSection === 'feedback' && item.rating && (
-            <span className="px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-              {'★'.repeat(item.rating)} ({item.rating}/5)
-            </span>
-          )}
-        </div>
-        
         <div className="text-sm text-gray-500 space-y-1">
           <div>Posted: {item.date}</div>
-          {item.time && <div>Time: {item.time}</div>}
-          {item.location && <div>Location: {item.location}</div>}
-          {item.contact && <div>Contact: {item.contact}</div>}
-          <div>By: {item.author}</div>
+          {cardDetails(definition, item, cardContext).map((detail) => (
+            <div key={detail.key}>{detail.label}: {detail.text}</div>
+          ))}
+          <div className="flex flex-wrap items-center gap-2">
+            By: <Avatar profile={authorProfile} name={authorName(item, profiles)} /> {authorName(item, profiles)}
+            {contact && (
+              <a href={contact.href} className="text-blue-700 hover:underline break-all">{contact.text}</a>
+            )}
+          </div>
+        </div>
+
+        {/* Comments belong to the stored post, so every occurrence of a series shares one thread */}
+        <div className="mt-3 pt-3 border-t border-gray-100">
+          <CommentThread
+            collectionName={definition.collection}
+            post={{ ...(item.series || item), id: item.seriesId || item.id }}
+            userId={userId}
+            isStaff={isStaff}
+            authorLabel={displayName}
+            defaultOpen={isDetail}
+            onPostChange={(patch) => updateCached(section, item.seriesId || item.id, patch)}
+          />
         </div>
       </div>
     );
   };
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 font-sans">
-      {/* Header */}
-      <header className="bg-white shadow-sm border-b border-gray-200 sticky top-0 z-10">
+    <div className={`min-h-screen bg-gradient-to-br ${theme.page} font-sans`}>
+      {/* Header, branded for the community */}
+      <header className={`bg-white shadow-sm border-b border-gray-200 border-t-4 ${theme.band} sticky top-0 z-10`}>
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex justify-between items-center py-4">
             <div>
-              <h1 className="text-2xl font-bold text-gray-900">Community Noticeboard</h1>
-              <p className="text-sm text-gray-600">Stay connected with your community</p>
+              <h1 className={`text-2xl font-bold ${theme.title}`}>{community.name}</h1>
+              {community.tagline && <p className="text-sm text-gray-600">{community.tagline}</p>}
             </div>
             <div className="flex items-center gap-4">
-              <button
-                onClick={() => setIsAdmin(!isAdmin)}
-                className={`px-4 py-2 rounded-lg transition-colors text-sm font-medium ${
-                  isAdmin 
-                    ? 'bg-red-600 text-white hover:bg-red-700' 
-                    : 'bg-blue-600 text-white hover:bg-blue-700'
-                }`}
-              >
-                {isAdmin ? 'Exit Admin' : 'Admin Mode'}
-              </button>
+              {userId && (communities.mine.length > 1 || communities.joinable.length > 0) && (
+                <CommunitySwitcher communities={communities} onSwitch={switchCommunity} onJoin={handleJoinCommunity} />
+              )}
+              {canRead && (
+                <NotificationCenter
+                  sections={sidebarSections}
+                  unread={unread}
+                  recent={recent}
+                  prefs={notificationPrefs}
+                  onOpen={openSection}
+                  onMarkAllSeen={() => markSeen(visibleSections.map((section) => section.id))}
+                  onSavePrefs={savePrefs}
+                />
+              )}
+              {isStaff && (
+                <span className="px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                  {isAdmin ? 'Admin' : 'Moderator'}
+                </span>
+              )}
+              {isStaff && (
+                <button
+                  onClick={() => setShowModeration(!showModeration)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <Inbox className="w-4 h-4" />
+                  Moderation
+                  {pendingSubmissions.length > 0 && (
+                    <span className="px-2 rounded-full text-xs bg-red-600 text-white">{pendingSubmissions.length}</span>
+                  )}
+                </button>
+              )}
+              {canRead && (
+                <button
+                  onClick={() => setShowMyPosts(!showMyPosts)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <FileText className="w-4 h-4" />
+                  My Posts
+                </button>
+              )}
+              {userId && !isStaff && (
+                <button
+                  onClick={() => setShowMySubmissions(!showMySubmissions)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <Send className="w-4 h-4" />
+                  My Submissions
+                </button>
+              )}
+              {isStaff && (
+                <button
+                  onClick={() => setShowTrash(!showTrash)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <Trash className="w-4 h-4" />
+                  Trash
+                  {trashItems.length > 0 && (
+                    <span className="px-2 rounded-full text-xs bg-gray-200 text-gray-700">{trashItems.length}</span>
+                  )}
+                </button>
+              )}
+              {isStaff && (
+                <button
+                  onClick={() => setShowDigest(!showDigest)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <Newspaper className="w-4 h-4" />
+                  Digest
+                </button>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={() => setShowSectionManager(!showSectionManager)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <LayoutList className="w-4 h-4" />
+                  Sections
+                </button>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={() => setShowCommunityManager(!showCommunityManager)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <Palette className="w-4 h-4" />
+                  Community
+                </button>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={() => setShowDataManager(!showDataManager)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-white text-blue-700 border border-blue-200 hover:bg-blue-50"
+                >
+                  <Database className="w-4 h-4" />
+                  Import/Export
+                </button>
+              )}
+              {isAdmin && (
+                <button
+                  onClick={() => setShowRoleManager(!showRoleManager)}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg transition-colors text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+                >
+                  <Shield className="w-4 h-4" />
+                  Manage Roles
+                </button>
+              )}
             </div>
           </div>
         </div>
       </header>
 
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="flex flex-col lg:flex-row gap-8">
-          {/* Sidebar Navigation */}
-          <div className="lg:w-64 sticky top-[100px] h-fit">
-            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
-              <h2 className="text-lg font-semibold text-gray-800 mb-4">Sections</h2>
-              <nav className="space-y-2">
-                {[
-                  { id: 'announcements', label: 'Announcements', icon: <Megaphone className="w-5 h-5" /> },
-                  { id: 'events', label: 'Events', icon: <Calendar className="w-5 h-5" /> },
-                  { id: 'lostfound', label: 'Lost & Found', icon: <Search className="w-5 h-5" /> },
-                  { id: 'feedback', label: 'Feedback', icon: <MessageCircle className="w-5 h-5" /> },
-                ].map((section) => (
-                  <button
-                    key={section.id}
-                    onClick={() => {
-                      setActiveSection(section.id);
-                      setShowForm(false);
-                      setEditingItem(null);
-                    }}
-                    className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left transition-colors ${
-                      activeSection === section.id
-                        ? 'bg-blue-100 text-blue-800 font-medium'
-                        : 'text-gray-700 hover:bg-gray-100'
-                    }`}
-                  >
-                    {section.icon}
-                    {section.label}
-                  </button>
-                ))}
-              </nav>
-              <div className="mt-6 text-xs text-gray-500 p-2 border-t pt-4">
-                <p className="font-semibold mb-1">User ID:</p>
-                <p className="break-all">{userId || 'Authenticating...'}</p>
-              </div>
-            </div>
+      {/* Members-only community the user has not been added to */}
+      {isAuthReady && userId && !canRead && (
+        <div className="max-w-3xl mx-auto px-4 py-16">
+          <div className="text-center py-12 bg-white rounded-lg shadow-sm border border-gray-200 text-gray-600 space-y-2">
+            <Lock className="w-8 h-8 mx-auto text-gray-400" />
+            <p>{community.name} is open to its members only.</p>
+            <p className="text-sm">Ask one of its admins to add your user ID: <span className="break-all">{userId}</span></p>
           </div>
+        </div>
+      )}
 
-          {/* Main Content */}
-          <div className="flex-1">
-            {/* Section Header */}
-            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
-              <div className="flex justify-between items-center">
-                <div className="flex items-center gap-3">
-                  {getSectionIcon()}
-                  <h2 className="text-2xl font-bold text-gray-800">{getSectionTitle()}</h2>
+      {(!userId || canRead) && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="flex flex-col lg:flex-row gap-8">
+            {/* Sidebar Navigation */}
+            <div className="lg:w-64 sticky top-[100px] h-fit">
+              <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                <h2 className="text-lg font-semibold text-gray-800 mb-4">Sections</h2>
+                <nav className="space-y-2">
+                  {sidebarSections.map((section) => (
+                    <button
+                      key={section.id}
+                      onClick={() => openSection(section.id)}
+                      className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left transition-colors ${
+                        activeSection === section.id
+                          ? `${theme.active} font-medium`
+                          : 'text-gray-700 hover:bg-gray-100'
+                      }`}
+                    >
+                      {section.icon}
+                      <span className="flex-1">{section.label}</span>
+                      {section.hidden && <span title="Hidden from members"><EyeOff className="w-4 h-4 text-gray-400" /></span>}
+                      {unread[section.id] > 0 && (
+                        <span className="px-2 rounded-full text-xs bg-red-600 text-white" title="Unread posts">
+                          {unread[section.id]}
+                        </span>
+                      )}
+                    </button>
+                  ))}
+                </nav>
+                <div className="mt-6 p-2 border-t pt-4">
+                  {userId ? (
+                    <button
+                      type="button"
+                      onClick={() => setShowProfile(!showProfile)}
+                      className="w-full flex items-center gap-3 text-left rounded-lg hover:bg-gray-100 p-1"
+                      title="Edit your profile"
+                    >
+                      <Avatar profile={myProfile} name={myProfile ? myProfile.displayName : ''} size="md" />
+                      <span className="flex-1 min-w-0">
+                        <span className="block text-sm font-medium text-gray-800 truncate">
+                          {myProfile ? myProfile.displayName : 'Set up your profile'}
+                        </span>
+                        <span className="flex items-center gap-1 text-xs text-gray-500">
+                          <UserRound className="w-3 h-3" /> Your profile
+                        </span>
+                      </span>
+                    </button>
+                  ) : (
+                    <p className="text-xs text-gray-500">Authenticating...</p>
+                  )}
                 </div>
-                {isAdmin && (
-                  <button
-                    onClick={() => {
-                      setShowForm(!showForm);
-                      setEditingItem(null);
-                      setFormData({});
-                    }}
-                    className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                  >
-                    {showForm ? <X className="w-5 h-5" /> : <Plus className="w-5 h-5" />}
-                    {showForm ? 'Cancel' : 'Add New'}
-                  </button>
-                )}
               </div>
             </div>
 
-            {/* Loading Indicator */}
-            {isLoading && (
-              <div className="flex justify-center items-center py-12 bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
-                <Loader className="w-8 h-8 text-blue-500 animate-spin" />
-                <span className="ml-4 text-lg text-gray-600">Loading posts...</span>
-              </div>
-            )}
+            {/* Main Content */}
+            <div className="flex-1">
+              {/* The user's profile and own posts */}
+              {userId && showProfile && (
+                <ProfilePanel key={userId} uid={userId} profile={myProfile} contact={myContact} onClose={() => setShowProfile(false)} />
+              )}
 
-            {/* Form */}
-            {isAdmin && showForm && (
-              <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
-                {renderForm()}
-              </div>
-            )}
+              {canRead && showMyPosts && (
+                <MyPosts
+                  items={myPosts}
+                  getSection={getSection}
+                  itemUrl={itemUrl}
+                  onOpen={openItem}
+                  onEdit={handleEdit}
+                  onDelete={handleDelete}
+                  onClose={() => setShowMyPosts(false)}
+                />
+              )}
 
-            {/* Content Grid */}
-            {!isLoading && (
-              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                {getCurrentData().length > 0 ? (
-                  getCurrentData().map(renderCard)
-                ) : (
-                  <div className="col-span-full text-center py-12 bg-white rounded-lg shadow-sm border border-gray-200">
-                    <div className="text-gray-400 mb-4 flex justify-center">{getSectionIcon()}</div>
-                    <p className="text-gray-600">No {getSectionTitle().toLowerCase()} posted yet.</p>
-                    {isAdmin && (
-                      <button
-                        onClick={() => {
-                          setShowForm(true);
-                          setEditingItem(null);
-                          setFormData({});
-                        }}
-                        className="mt-4 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
-                      >
-                        Add First {getSectionTitle().slice(0, -1)}
-                      </button>
-                    )}
+              {/* Role Management */}
+              {isAdmin && showRoleManager && (
+                <RoleManager currentUserId={userId} onClose={() => setShowRoleManager(false)} />
+              )}
+
+              {/* Community branding and new communities */}
+              {isAdmin && showCommunityManager && (
+                <CommunityManager
+                  key={community.id}
+                  community={community}
+                  communities={communities.all}
+                  canCreate={canCreateCommunities(claims, role)}
+                  currentUserId={userId}
+                  onCreated={switchCommunity}
+                  onClose={() => setShowCommunityManager(false)}
+                />
+              )}
+
+              {/* Section Management */}
+              {isAdmin && showSectionManager && (
+                <SectionManager sections={allSections} currentUserId={userId} onClose={() => setShowSectionManager(false)} />
+              )}
+
+              {/* Exports, imports and backups */}
+              {isAdmin && showDataManager && (
+                <DataManager key={community.id} sections={allSections} userId={userId} onClose={() => setShowDataManager(false)} />
+              )}
+
+              {/* Trash and version history */}
+              {isStaff && showTrash && (
+                <TrashView
+                  items={trashItems}
+                  getSection={getSection}
+                  userId={userId}
+                  onRestore={handleRestore}
+                  onDeleteForever={handleDeleteForever}
+                  onShowHistory={(item) => setHistoryFor({ section: item.section, item })}
+                  onClose={() => setShowTrash(false)}
+                />
+              )}
+
+              {isStaff && historyFor && getSection(historyFor.section) && (
+                <VersionHistory
+                  key={`${historyFor.section}-${historyFor.item.id}`}
+                  definition={getSection(historyFor.section)}
+                  item={historyFor.item}
+                  userId={userId}
+                  onRestoreVersion={handleRestoreVersion}
+                  onClose={() => setHistoryFor(null)}
+                />
+              )}
+
+              {/* Printable digest */}
+              {isStaff && showDigest && (
+                <DigestPanel
+                  boardName={community.name}
+                  boardUrl={viewUrl(DEFAULT_VIEW, { community: communityParam() })}
+                  archiveDays={archiveDays}
+                  onClose={() => setShowDigest(false)}
+                />
+              )}
+
+              {/* Connection and sync status */}
+              <OfflineStatus isOnline={isOnline} entries={outboxEntries} />
+
+              {/* Moderation */}
+              {isStaff && showModeration && (
+                <ModerationQueue
+                  submissions={pendingSubmissions}
+                  getSection={getSection}
+                  onApprove={handleApprove}
+                  onReject={handleReject}
+                  onEdit={handleReviewEdit}
+                  onClose={() => setShowModeration(false)}
+                />
+              )}
+              {!isStaff && showMySubmissions && (
+                <MySubmissions
+                  submissions={mySubmissions}
+                  getSection={getSection}
+                  onWithdraw={handleWithdraw}
+                  onClose={() => setShowMySubmissions(false)}
+                />
+              )}
+
+              {view.item ? renderDetail() : (
+                <>
+                  {/* Section Header */}
+                  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+                    <div className="flex justify-between items-center">
+                      <div className="flex items-center gap-3">
+                        {getSectionIcon()}
+                        <h2 className="text-2xl font-bold text-gray-800">{getSectionTitle()}</h2>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        {activeSection === 'events' && (
+                          <button
+                            onClick={exportAllEvents}
+                            className="flex items-center gap-2 bg-white text-green-700 border border-green-200 px-4 py-2 rounded-lg hover:bg-green-50 transition-colors"
+                            title="Download all events as an iCalendar file"
+                          >
+                            <Download className="w-5 h-5" />
+                            Export .ics
+                          </button>
+                        )}
+                        {isAdmin && activeSection === 'feedback' && (
+                          <button
+                            onClick={() => setShowAnalytics(!showAnalytics)}
+                            className="flex items-center gap-2 bg-white text-purple-700 border border-purple-200 px-4 py-2 rounded-lg hover:bg-purple-50 transition-colors"
+                          >
+                            <ChartColumn className="w-5 h-5" />
+                            Analytics
+                          </button>
+                        )}
+                        {canSubmit && (
+                          <button
+                            onClick={() => {
+                              if (showForm) {
+                                resetForm();
+                              } else {
+                                setEditingItem(null);
+                                setFormData({});
+                                setFormErrors({});
+                                setShowForm(true);
+                              }
+                            }}
+                            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                          >
+                            {showForm ? <X className="w-5 h-5" /> : <Plus className="w-5 h-5" />}
+                            {showForm ? 'Cancel' : isStaff ? 'Add New' : isOpenSection ? 'Submit' : 'Propose'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
                   </div>
-                )}
-              </div>
-            )}
+
+                  {/* Auto-archive age for Lost & Found */}
+                  {isAdmin && activeSection === 'lostfound' && (
+                    <div className="flex items-center gap-2 text-sm text-gray-600 mb-4">
+                      <label htmlFor="archive-days">Auto-archive open items after</label>
+                      <input
+                        id="archive-days"
+                        type="number"
+                        min="0"
+                        value={archiveDaysDraft === null ? archiveDays : archiveDaysDraft}
+                        onChange={(e) => setArchiveDaysDraft(e.target.value)}
+                        onBlur={saveArchiveDays}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') e.target.blur();
+                        }}
+                        className="w-20 p-1 border border-gray-300 rounded-lg"
+                      />
+                      <span>days (0 to never archive)</span>
+                    </div>
+                  )}
+
+                  {/* Feedback analytics */}
+                  {isAdmin && showAnalytics && activeSection === 'feedback' && (
+                    <FeedbackAnalytics onClose={() => setShowAnalytics(false)} />
+                  )}
+
+                  {/* Search, filters and sorting */}
+                  <FilterBar section={activeSection} view={view} onChange={updateView} isStaff={isStaff} />
+
+                  {/* Loading Indicator */}
+                  {isLoading && (
+                    <div className="flex justify-center items-center py-12 bg-white rounded-lg shadow-sm border border-gray-200 mb-6">
+                      <Loader className="w-8 h-8 text-blue-500 animate-spin" />
+                      <span className="ml-4 text-lg text-gray-600">Loading posts...</span>
+                    </div>
+                  )}
+
+                  {/* Attendee list for an event, and the form */}
+                  {renderAttendeeList()}
+                  {renderFormPanel()}
+
+                  {/* Events Calendar */}
+                  {!isLoading && showCalendar && (
+                    <EventCalendar layout={view.layout} seriesEvents={recurringEvents} searchQuery={view.q} onExportEvent={exportEvent} />
+                  )}
+
+                  {/* A link to a section that was deleted or hidden */}
+                  {!isLoading && !activeDefinition && !isGlobalSearch && (
+                    <div className="text-center py-12 bg-white rounded-lg shadow-sm border border-gray-200 text-gray-600">
+                      This section is not available.
+                    </div>
+                  )}
+
+                  {/* Content Grid */}
+                  {!isLoading && !showCalendar && (activeDefinition || isGlobalSearch) && (
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                      {getCurrentData().length > 0 ? (
+                        renderItems(getCurrentData())
+                      ) : (
+                        <div className="col-span-full text-center py-12 bg-white rounded-lg shadow-sm border border-gray-200">
+                          <div className="text-gray-400 mb-4 flex justify-center">{getSectionIcon()}</div>
+                          <p className="text-gray-600">
+                            {getSectionData(activeSection).length > 0 || view.scope === 'all'
+                              ? 'No posts match your search or filters.'
+                              : `No ${getSectionTitle().toLowerCase()} posted yet.`}
+                          </p>
+                          {canSubmit && getSectionData(activeSection).length === 0 && !activeFeed.hasMore && (
+                            <button
+                              onClick={() => {
+                                setShowForm(true);
+                                setEditingItem(null);
+                                setFormData({});
+                              }}
+                              className="mt-4 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+                            >
+                              Add First {activeDefinition.itemLabel}
+                            </button>
+                          )}
+                        </div>
+                      )}
+                      {!isGlobalSearch && activeFeed.hasMore && (
+                        <LoadMore onLoadMore={() => loadMore(activeSection)} isLoading={activeFeed.isLoadingMore} />
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
           </div>
         </div>
-      </div>
+
+      )}
+
+      {toast && <Toast {...toast} onClose={closeToast} />}
     </div>
   );
 };
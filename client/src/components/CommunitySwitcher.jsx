@@ -0,0 +1,69 @@
+// Filename: CommunitySwitcher.jsx
+import React, { useState } from 'react';
+
+// Lucide-react icons for the UI
+import { Building, ChevronDown, Check, LogIn } from 'lucide-react';
+
+// Header menu listing the user's communities, plus open ones they can join
+const CommunitySwitcher = ({ communities, onSwitch, onJoin }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { current, mine, joinable } = communities;
+
+  const choose = (action, id) => {
+    setIsOpen(false);
+    action(id);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-gray-700 border border-gray-200 hover:bg-gray-50"
+        title="Switch community"
+      >
+        <Building className="w-4 h-4" />
+        <span className="max-w-40 truncate">{current.name}</span>
+        <ChevronDown className="w-4 h-4" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 max-w-[90vw] bg-white rounded-lg shadow-lg border border-gray-200 z-20 py-2">
+          <p className="px-4 py-1 text-xs font-semibold uppercase tracking-wide text-gray-500">Your communities</p>
+          {mine.map((community) => (
+            <button
+              key={community.id}
+              onClick={() => choose(onSwitch, community.id)}
+              className="w-full flex items-center gap-2 px-4 py-2 text-left text-sm hover:bg-gray-50"
+            >
+              <span className="flex-1 truncate">{community.name}</span>
+              {community.role && community.role !== 'member' && (
+                <span className="px-2 rounded-full text-xs bg-blue-100 text-blue-800">{community.role}</span>
+              )}
+              {community.id === current.id && <Check className="w-4 h-4 text-green-600" />}
+            </button>
+          ))}
+          {joinable.length > 0 && (
+            <>
+              <p className="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500 border-t border-gray-100 mt-2">
+                Open communities
+              </p>
+              {joinable.map((community) => (
+                <button
+                  key={community.id}
+                  onClick={() => choose(onJoin, community.id)}
+                  className="w-full flex items-center gap-2 px-4 py-2 text-left text-sm hover:bg-gray-50"
+                  title="Join this community"
+                >
+                  <span className="flex-1 truncate">{community.name}</span>
+                  <LogIn className="w-4 h-4 text-gray-400" />
+                </button>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommunitySwitcher;
@@ -0,0 +1,233 @@
+// Filename: DataManager.jsx
+import React, { useState } from 'react';
+import { storage, publicDataPath, getCommunityId } from '../storage';
+import { buildJsonExport, buildCsvExport, downloadJson } from '../utils/importExport';
+import { createBackup, readBackup, backupContents, restoreBackup } from '../utils/backup';
+import { downloadCsv } from '../utils/csv';
+import { withoutTrashed } from '../utils/trash';
+import { toDateKey } from '../utils/dates';
+import ImportWizard from './ImportWizard';
+
+// Lucide-react icons for the UI
+import { Database, Download, Upload, ArchiveRestore, AlertTriangle, Loader, X } from 'lucide-react';
+
+const TABS = [
+  { id: 'export', label: 'Export' },
+  { id: 'import', label: 'Import' },
+  { id: 'backup', label: 'Backup & restore' },
+];
+
+// Admin panel for moving posts in and out of the board: section exports as JSON or CSV,
+// imports with a check before anything is written, and full board backups
+const DataManager = ({ sections, userId, onClose }) => {
+  const [tab, setTab] = useState('export');
+  const [selected, setSelected] = useState(() => sections.map((definition) => definition.id));
+  const [format, setFormat] = useState('json');
+  const [includeTrash, setIncludeTrash] = useState(false);
+  // Backup chosen for restoring, with its filename and what it holds
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [busy, setBusy] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const today = toDateKey(new Date());
+
+  const run = async (label, action, failure) => {
+    setBusy(label);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (e) {
+      console.error(`Error ${label.toLowerCase()}: `, e);
+      setError(failure);
+    }
+    setBusy('');
+  };
+
+  const toggleSection = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter((entry) => entry !== id) : [...prev, id]));
+  };
+
+  const handleExport = () => run('Exporting', async () => {
+    const chosen = sections.filter((definition) => selected.includes(definition.id));
+    const exported = await Promise.all(chosen.map(async (definition) => {
+      const items = await storage.list(publicDataPath(definition.collection));
+      return { definition, items: includeTrash ? items : withoutTrashed(items) };
+    }));
+    if (format === 'json') {
+      downloadJson(`noticeboard-${today}.json`, buildJsonExport(exported));
+    } else {
+      // CSV holds one section per file
+      exported.forEach(({ definition, items }) => downloadCsv(`${definition.id}-${today}.csv`, buildCsvExport(definition, items)));
+    }
+    setMessage(`Exported ${exported.reduce((total, { items }) => total + items.length, 0)} posts.`);
+  }, 'The export failed. Please try again.');
+
+  const handleBackup = () => run('Backing up', async () => {
+    downloadJson(`noticeboard-backup-${getCommunityId()}-${today}.json`, await createBackup(sections));
+    setMessage('The backup has been downloaded.');
+  }, 'The backup failed. Please try again.');
+
+  const handleBackupFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    setMessage('');
+    try {
+      const backup = readBackup(await file.text());
+      setPendingBackup({ backup, filename: file.name, contents: backupContents(backup) });
+    } catch (err) {
+      console.error("Error reading backup: ", err);
+      setPendingBackup(null);
+      setError(err.message || 'The backup could not be read.');
+    }
+  };
+
+  const handleRestore = () => {
+    const { backup } = pendingBackup;
+    const warning = backup.community === getCommunityId()
+      ? 'This backup was made from this community. Restoring it puts every post back as it was then, overwriting later changes.'
+      : `This restores the backup of "${backup.community}" into "${getCommunityId()}". Posts with the same IDs are overwritten.`;
+    if (!window.confirm(`${warning} Continue?`)) return;
+    run('Restoring', async () => {
+      const count = await restoreBackup(backup, {
+        uid: userId,
+        onProgress: (done, total) => setBusy(`Restoring ${done} of ${total}`),
+      });
+      setPendingBackup(null);
+      setMessage(`Restored ${count} documents.`);
+    }, 'The restore stopped part way through. Restore the backup again to finish.');
+  };
+
+  const tabClass = (id) => `px-3 py-1 rounded-lg text-sm font-medium ${
+    tab === id ? 'bg-blue-600 text-white' : 'text-blue-700 hover:bg-blue-50'
+  }`;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Database className="w-5 h-5" /> Import and export
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        {TABS.map(({ id, label }) => (
+          <button key={id} type="button" onClick={() => setTab(id)} className={tabClass(id)}>{label}</button>
+        ))}
+      </div>
+
+      {error && <p className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</p>}
+      {message && <p className="mb-4 p-3 rounded-lg bg-green-50 text-sm text-green-700">{message}</p>}
+
+      {tab === 'export' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Exports keep each post's ID, dates, author and everything specific to its section, such as RSVPs, votes and statuses.
+          </p>
+          <div className="flex flex-wrap gap-3">
+            {sections.map((definition) => (
+              <label key={definition.id} className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={selected.includes(definition.id)} onChange={() => toggleSection(definition.id)} />
+                {definition.label}
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input type="radio" name="export-format" checked={format === 'json'} onChange={() => setFormat('json')} />
+              JSON (one file)
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" name="export-format" checked={format === 'csv'} onChange={() => setFormat('csv')} />
+              CSV (a file per section)
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={includeTrash} onChange={(e) => setIncludeTrash(e.target.checked)} />
+              Include posts in the trash
+            </label>
+          </div>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={Boolean(busy) || selected.length === 0}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+          >
+            {busy ? <Loader className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />} Export
+          </button>
+        </div>
+      )}
+
+      {tab === 'import' && <ImportWizard sections={sections} userId={userId} />}
+
+      {tab === 'backup' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            A backup holds every post, trashed ones included, with their comments and the sections, settings, roles and version history. It can be
+            restored here or into a new community. Photos, pending submissions and members' notification settings are not included.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={handleBackup}
+              disabled={Boolean(busy)}
+              className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" /> Download backup
+            </button>
+            <label className="flex items-center gap-2 bg-white text-blue-700 border border-blue-200 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors text-sm cursor-pointer">
+              <Upload className="w-4 h-4" /> Restore from backup
+              <input type="file" accept=".json,application/json" onChange={handleBackupFile} className="hidden" disabled={Boolean(busy)} />
+            </label>
+          </div>
+
+          {busy && (
+            <div className="flex items-center text-sm text-gray-600">
+              <Loader className="w-4 h-4 text-blue-500 animate-spin" />
+              <span className="ml-2">{busy}...</span>
+            </div>
+          )}
+
+          {pendingBackup && !busy && (
+            <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4 space-y-3">
+              <p className="text-sm text-gray-800">
+                <span className="font-medium">{pendingBackup.filename}</span>: a backup of "{pendingBackup.backup.community}"
+                {pendingBackup.backup.createdAt && ` made on ${pendingBackup.backup.createdAt.toLocaleString()}`}.
+              </p>
+              <ul className="text-sm text-gray-700 list-disc pl-5">
+                {pendingBackup.contents.map(({ label, count }) => <li key={label}>{label}: {count}</li>)}
+              </ul>
+              <p className="text-sm text-yellow-800 flex items-start gap-2">
+                <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                Documents in this community with the same IDs are replaced. Your own role is left as it is.
+              </p>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={handleRestore}
+                  className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+                >
+                  <ArchiveRestore className="w-4 h-4" /> Restore into this community
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setPendingBackup(null)}
+                  className="px-4 py-2 rounded-lg text-sm text-gray-700 hover:bg-gray-100"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataManager;
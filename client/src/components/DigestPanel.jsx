@@ -0,0 +1,160 @@
+// Filename: DigestPanel.jsx
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { buildDigest, renderDigestHtml, defaultDigestRange } from '../utils/digest';
+import { withoutTrashed } from '../utils/trash';
+
+// Lucide-react icons for the UI
+import { Newspaper, Printer, Download, Copy, Check, Loader, X } from 'lucide-react';
+
+// Sections in the digest and the collections their posts are read from
+const DIGEST_COLLECTIONS = { announcements: 'announcements', events: 'events', lostfound: 'lost-found' };
+
+// Staff panel for the weekly digest: pick the dates, check the preview, then print it for the
+// physical noticeboard or take the HTML for a newsletter. `boardUrl` is linked from every post.
+const DigestPanel = ({ boardName, boardUrl, archiveDays, onClose }) => {
+  const [range, setRange] = useState(() => defaultDigestRange());
+  // Every post of the digest's sections, not just the loaded pages, keyed by section
+  const [itemsBySection, setItemsBySection] = useState(null);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    Promise.all(Object.entries(DIGEST_COLLECTIONS).map(async ([section, collectionName]) => (
+      [section, withoutTrashed(await storage.list(publicDataPath(collectionName)))]
+    ))).then((entries) => {
+      if (isCurrent) setItemsBySection(Object.fromEntries(entries));
+    }, (e) => {
+      console.error("Error loading posts for the digest: ", e);
+      if (isCurrent) setError('The posts could not be loaded. Please try again.');
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  const isValidRange = Boolean(range.from && range.to && range.from <= range.to);
+  const html = useMemo(() => (itemsBySection && isValidRange
+    ? renderDigestHtml(buildDigest(itemsBySection, { ...range, archiveDays }), { title: boardName, boardUrl })
+    : ''), [itemsBySection, isValidRange, range, archiveDays, boardName, boardUrl]);
+
+  const changeRange = (patch) => {
+    setRange(prev => ({ ...prev, ...patch }));
+    setCopied(false);
+  };
+
+  const printDigest = () => {
+    previewRef.current.contentWindow.print();
+  };
+
+  const downloadDigest = () => {
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `digest-${range.from}-to-${range.to}.html`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const copyHtml = async () => {
+    try {
+      await navigator.clipboard.writeText(html);
+      setCopied(true);
+    } catch (e) {
+      console.error("Error copying the digest: ", e);
+      setError('The digest could not be copied. Download it instead.');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Newspaper className="w-5 h-5" /> Weekly digest
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Announcements running during these dates, the events taking place and Lost &amp; Found items still waiting to be claimed.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label htmlFor="digest-from" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            id="digest-from"
+            type="date"
+            value={range.from}
+            onChange={(e) => changeRange({ from: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg"
+          />
+        </div>
+        <div>
+          <label htmlFor="digest-to" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            id="digest-to"
+            type="date"
+            value={range.to}
+            onChange={(e) => changeRange({ to: e.target.value })}
+            className="p-2 border border-gray-300 rounded-lg"
+          />
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={printDigest}
+            disabled={!html}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+          >
+            <Printer className="w-4 h-4" /> Print
+          </button>
+          <button
+            type="button"
+            onClick={downloadDigest}
+            disabled={!html}
+            className="flex items-center gap-2 bg-white text-blue-700 border border-blue-200 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors text-sm disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" /> Download HTML
+          </button>
+          <button
+            type="button"
+            onClick={copyHtml}
+            disabled={!html}
+            className="flex items-center gap-2 bg-white text-blue-700 border border-blue-200 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors text-sm disabled:opacity-50"
+          >
+            {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+            {copied ? 'Copied' : 'Copy HTML'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mb-4 p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</p>}
+      {!isValidRange && <p className="mb-4 text-sm text-red-600">Choose a start date on or before the end date.</p>}
+
+      {!itemsBySection && !error && (
+        <div className="flex justify-center items-center py-12">
+          <Loader className="w-6 h-6 text-blue-500 animate-spin" />
+          <span className="ml-3 text-gray-600">Loading posts...</span>
+        </div>
+      )}
+      {/* Sandboxed without scripts; same-origin so it can be printed from here */}
+      {html && (
+        <iframe
+          ref={previewRef}
+          title="Digest preview"
+          srcDoc={html}
+          sandbox="allow-same-origin allow-modals"
+          className="w-full h-96 border border-gray-200 rounded-lg"
+        />
+      )}
+    </div>
+  );
+};
+
+export default DigestPanel;
@@ -0,0 +1,189 @@
+// Filename: EventCalendar.jsx
+import React, { useState, useEffect } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { matchesSearch, eventStart } from '../utils/filters';
+import { expandEvents, isRecurring } from '../utils/recurrence';
+import { withoutTrashed } from '../utils/trash';
+import {
+  toDateKey, parseDateKey, addDays, addMonths, startOfMonth, monthGridDays, weekDays,
+  WEEKDAY_LABELS, formatMonthYear, formatLongDate,
+} from '../utils/dates';
+
+// Lucide-react icons for the UI
+import { ChevronLeft, ChevronRight, CalendarPlus } from 'lucide-react';
+
+// First and last day keys covered by a layout around the anchor date
+const getRange = (layout, anchor) => {
+  if (layout === 'week') {
+    const days = weekDays(anchor);
+    return [days[0], days[6]];
+  }
+  if (layout === 'month') {
+    const days = monthGridDays(anchor);
+    return [days[0], days[days.length - 1]];
+  }
+  // Agenda lists the anchor's calendar month
+  return [startOfMonth(anchor), addDays(addMonths(anchor, 1), -1)];
+};
+
+// Month, week and agenda views of the events section. Recurring series can start long before
+// the visible range, so the board watches them separately and passes them in `seriesEvents`.
+const EventCalendar = ({ layout, seriesEvents, searchQuery, onExportEvent }) => {
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [rangeEvents, setRangeEvents] = useState([]);
+  const [rangeStart, rangeEnd] = getRange(layout, anchor);
+  const startKey = toDateKey(rangeStart);
+  const endKey = toDateKey(rangeEnd);
+  const todayKey = toDateKey(new Date());
+
+  // Only listen to the events that fall inside the visible range
+  useEffect(() => {
+    const unsubscribe = storage.subscribe(publicDataPath('events'), (items) => setRangeEvents(withoutTrashed(items)), (error) => {
+      console.error("Error fetching calendar events:", error);
+    }, { where: [['date', '>=', startKey], ['date', '<=', endKey]], orderBy: 'date' });
+    return () => unsubscribe();
+  }, [startKey, endKey]);
+
+  const visibleEvents = [
+    ...rangeEvents.filter((event) => !isRecurring(event)),
+    ...expandEvents(seriesEvents, startKey, endKey),
+  ]
+    .filter((event) => matchesSearch(event, searchQuery))
+    .sort((a, b) => eventStart(a) - eventStart(b));
+
+  const eventsOn = (dateKey) => visibleEvents.filter((event) => event.date === dateKey);
+
+  // Move the calendar by one page in the current layout
+  const step = (direction) => {
+    setAnchor((current) => (layout === 'week' ? addDays(current, 7 * direction) : addMonths(current, direction)));
+  };
+
+  const renderChip = (event) => (
+    <button
+      key={event.id}
+      type="button"
+      onClick={() => onExportEvent(event)}
+      title={`${event.title}${event.location ? ` — ${event.location}` : ''} (add to calendar)`}
+      className="w-full text-left truncate text-xs px-1 py-0.5 rounded bg-green-100 text-green-800 hover:bg-green-200"
+    >
+      {event.time && <span className="font-medium mr-1">{event.time}</span>}
+      {event.title}
+    </button>
+  );
+
+  const renderMonth = () => (
+    <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+      {WEEKDAY_LABELS.map((label) => (
+        <div key={label} className="bg-gray-50 text-xs font-medium text-gray-600 text-center py-2">{label}</div>
+      ))}
+      {monthGridDays(anchor).map((day) => {
+        const dateKey = toDateKey(day);
+        const inMonth = day.getMonth() === anchor.getMonth();
+        return (
+          <div key={dateKey} className={`min-h-24 p-1 space-y-1 ${inMonth ? 'bg-white' : 'bg-gray-50'}`}>
+            <div className={`text-xs ${dateKey === todayKey ? 'font-bold text-blue-600' : inMonth ? 'text-gray-700' : 'text-gray-400'}`}>
+              {day.getDate()}
+            </div>
+            {eventsOn(dateKey).map(renderChip)}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderWeek = () => (
+    <div className="grid grid-cols-1 md:grid-cols-7 gap-2">
+      {weekDays(anchor).map((day) => {
+        const dateKey = toDateKey(day);
+        return (
+          <div key={dateKey} className="border border-gray-200 rounded-lg p-2 min-h-32 space-y-1">
+            <div className={`text-sm font-medium ${dateKey === todayKey ? 'text-blue-600' : 'text-gray-700'}`}>
+              {WEEKDAY_LABELS[day.getDay()]} {day.getDate()}
+            </div>
+            {eventsOn(dateKey).map(renderChip)}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  // Agenda keeps upcoming and past events apart, each grouped by day
+  const renderAgenda = () => {
+    const now = Date.now();
+    const upcoming = visibleEvents.filter((event) => eventStart(event) >= now);
+    const past = visibleEvents.filter((event) => eventStart(event) < now).reverse();
+
+    const renderGroup = (title, events) => {
+      const dateKeys = [...new Set(events.map((event) => event.date))];
+      return (
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-500">{title}</h4>
+          {dateKeys.length === 0 && <p className="text-sm text-gray-500">None this month.</p>}
+          {dateKeys.map((dateKey) => (
+            <div key={dateKey}>
+              <div className="text-sm font-medium text-gray-700 mb-1">{formatLongDate(parseDateKey(dateKey))}</div>
+              <ul className="space-y-1">
+                {events.filter((event) => event.date === dateKey).map((event) => (
+                  <li key={event.id} className="flex items-center gap-3 p-2 border border-gray-200 rounded-lg">
+                    <span className="w-12 text-sm text-gray-500">{event.time || 'All day'}</span>
+                    <span className="flex-1">
+                      <span className="font-medium text-gray-800">{event.title}</span>
+                      {event.location && <span className="text-sm text-gray-500"> — {event.location}</span>}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => onExportEvent(event)}
+                      className="text-green-600 hover:text-green-800 p-1 rounded"
+                      title="Add to calendar"
+                    >
+                      <CalendarPlus className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      );
+    };
+
+    return (
+      <div className="space-y-6">
+        {renderGroup('Upcoming', upcoming)}
+        {renderGroup('Past', past)}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={() => step(-1)} className="p-1 rounded hover:bg-gray-100" title="Previous">
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <button type="button" onClick={() => step(1)} className="p-1 rounded hover:bg-gray-100" title="Next">
+            <ChevronRight className="w-5 h-5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchor(new Date())}
+            className="text-sm px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Today
+          </button>
+        </div>
+        <h3 className="text-lg font-semibold text-gray-800">
+          {layout === 'week'
+            ? `${rangeStart.toLocaleDateString()} – ${rangeEnd.toLocaleDateString()}`
+            : formatMonthYear(anchor)}
+        </h3>
+      </div>
+      {layout === 'month' && renderMonth()}
+      {layout === 'week' && renderWeek()}
+      {layout === 'agenda' && renderAgenda()}
+    </div>
+  );
+};
+
+export default EventCalendar;
@@ -0,0 +1,209 @@
+// Filename: FeedbackAnalytics.jsx
+import React, { useState, useEffect } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { postedAt } from '../utils/filters';
+import { summarizeFeedback } from '../utils/feedbackStats';
+import { toCsv, downloadCsv } from '../utils/csv';
+import { withoutTrashed } from '../utils/trash';
+
+// Lucide-react icons for the UI
+import { ChartColumn, Download, Star, X } from 'lucide-react';
+
+const RANGES = [
+  { id: 'all', label: 'All time', days: null },
+  { id: '365', label: 'Last 12 months', days: 365 },
+  { id: '90', label: 'Last 90 days', days: 90 },
+  { id: '30', label: 'Last 30 days', days: 30 },
+];
+
+const FEEDBACK_COLUMNS = [
+  { key: (item) => new Date(postedAt(item)), label: 'Posted' },
+  { key: 'title', label: 'Subject' },
+  { key: 'content', label: 'Feedback' },
+  { key: 'rating', label: 'Rating' },
+  { key: 'author', label: 'Author' },
+];
+
+const WEEK_COLUMNS = [
+  { key: 'weekStart', label: 'Week starting' },
+  { key: 'count', label: 'Feedback' },
+  { key: (week) => (week.average === null ? '' : week.average.toFixed(2)), label: 'Average rating' },
+];
+
+// Line of the weekly average rating; weeks without ratings leave a gap
+const TrendChart = ({ weeks }) => {
+  const width = 600;
+  const height = 160;
+  const x = (index) => (weeks.length > 1 ? (index / (weeks.length - 1)) * width : width / 2);
+  const y = (rating) => height - ((rating - 1) / 4) * height;
+
+  const segments = [];
+  let current = [];
+  weeks.forEach((week, index) => {
+    if (week.average === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${x(index)},${y(week.average)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <svg viewBox={`-8 -8 ${width + 16} ${height + 16}`} className="w-full h-40" preserveAspectRatio="none">
+      {[1, 2, 3, 4, 5].map((rating) => (
+        <line key={rating} x1="0" x2={width} y1={y(rating)} y2={y(rating)} stroke="#e5e7eb" strokeWidth="1" />
+      ))}
+      {segments.map((points) => (
+        points.length > 1
+          ? <polyline key={points[0]} points={points.join(' ')} fill="none" stroke="#7c3aed" strokeWidth="2" />
+          : <circle key={points[0]} cx={points[0].split(',')[0]} cy={points[0].split(',')[1]} r="3" fill="#7c3aed" />
+      ))}
+    </svg>
+  );
+};
+
+// Admin dashboard summarising every feedback item, not just the loaded pages
+const FeedbackAnalytics = ({ onClose }) => {
+  const [feedback, setFeedback] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [range, setRange] = useState('all');
+
+  useEffect(() => {
+    const unsubscribe = storage.subscribe(publicDataPath('feedback'), (items) => {
+      setFeedback(withoutTrashed(items));
+      setIsLoading(false);
+    }, (error) => {
+      console.error("Error fetching feedback for analytics:", error);
+      setIsLoading(false);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const { days } = RANGES.find((option) => option.id === range);
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  const items = feedback.filter((item) => postedAt(item) >= since);
+  const stats = summarizeFeedback(items);
+  const maxBucket = Math.max(1, ...stats.histogram.map((bucket) => bucket.count));
+  const maxWeek = Math.max(1, ...stats.weeks.map((week) => week.count));
+
+  const exportFeedback = () => {
+    const rows = [...items].sort((a, b) => postedAt(a) - postedAt(b));
+    downloadCsv('feedback.csv', toCsv(rows, FEEDBACK_COLUMNS));
+  };
+
+  const exportWeekly = () => downloadCsv('feedback-weekly.csv', toCsv(stats.weeks, WEEK_COLUMNS));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6 space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-3">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <ChartColumn className="w-5 h-5" /> Feedback Analytics
+        </h3>
+        <div className="flex items-center gap-2">
+          <select value={range} onChange={(e) => setRange(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+            {RANGES.map((option) => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+          <button
+            type="button"
+            onClick={exportFeedback}
+            className="flex items-center gap-1 text-sm px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4" /> Feedback CSV
+          </button>
+          <button
+            type="button"
+            onClick={exportWeekly}
+            className="flex items-center gap-1 text-sm px-3 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <Download className="w-4 h-4" /> Weekly CSV
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {isLoading && <p className="text-gray-600 text-sm">Loading feedback...</p>}
+      {!isLoading && stats.count === 0 && <p className="text-gray-600 text-sm">No feedback in this period.</p>}
+
+      {!isLoading && stats.count > 0 && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+            <div className="p-4 rounded-lg bg-purple-50">
+              <div className="text-sm text-purple-700">Average rating</div>
+              <div className="text-3xl font-bold text-purple-900 flex items-center gap-1">
+                {stats.average === null ? '–' : stats.average.toFixed(2)}
+                <Star className="w-6 h-6 fill-current text-yellow-500" />
+              </div>
+            </div>
+            <div className="p-4 rounded-lg bg-purple-50">
+              <div className="text-sm text-purple-700">Feedback received</div>
+              <div className="text-3xl font-bold text-purple-900">{stats.count}</div>
+            </div>
+            <div className="p-4 rounded-lg bg-purple-50">
+              <div className="text-sm text-purple-700">Per week</div>
+              <div className="text-3xl font-bold text-purple-900">
+                {stats.weeks.length ? (stats.count / stats.weeks.length).toFixed(1) : '–'}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-2">Rating distribution</h4>
+              <div className="space-y-1">
+                {[...stats.histogram].reverse().map((bucket) => (
+                  <div key={bucket.rating} className="flex items-center gap-2 text-sm">
+                    <span className="w-12 text-gray-600">{bucket.rating} star{bucket.rating > 1 && 's'}</span>
+                    <div className="flex-1 bg-gray-100 rounded h-4">
+                      <div className="bg-yellow-400 h-4 rounded" style={{ width: `${(bucket.count / maxBucket) * 100}%` }} />
+                    </div>
+                    <span className="w-8 text-right text-gray-600">{bucket.count}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-2">Frequent keywords</h4>
+              <div className="flex flex-wrap gap-2">
+                {stats.keywords.length === 0 && <p className="text-sm text-gray-500">Not enough text yet.</p>}
+                {stats.keywords.map(({ word, count }) => (
+                  <span key={word} className="px-2 py-1 rounded-full text-xs bg-purple-100 text-purple-800">
+                    {word} <span className="text-purple-500">{count}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-2">Average rating by week</h4>
+            <TrendChart weeks={stats.weeks} />
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-2">Feedback per week</h4>
+            <div className="flex items-end gap-px h-32 border-b border-gray-200">
+              {stats.weeks.map((week) => (
+                <div
+                  key={week.weekStart}
+                  className="flex-1 bg-purple-400 hover:bg-purple-600 rounded-t"
+                  style={{ height: `${(week.count / maxWeek) * 100}%` }}
+                  title={`Week of ${week.weekStart}: ${week.count}`}
+                />
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+              <span>{stats.weeks[0].weekStart}</span>
+              <span>{stats.weeks[stats.weeks.length - 1].weekStart}</span>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackAnalytics;
@@ -0,0 +1,148 @@
+// Filename: FilterBar.jsx
+import React from 'react';
+import { SORT_OPTIONS, DEFAULT_VIEW, EVENT_LAYOUTS } from '../utils/filters';
+import { LOST_FOUND_STATUSES } from '../utils/lostFound';
+import { POLL_STATES } from '../utils/polls';
+
+// Lucide-react icons for the UI
+import { Search, X } from 'lucide-react';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Search box, sort order and the filters that apply to the active section
+const FilterBar = ({ section, view, onChange, isStaff }) => {
+  const isGlobal = view.scope === 'all';
+
+  // Reset everything except the section being viewed
+  const clearFilters = () => onChange({ ...DEFAULT_VIEW, section: view.section });
+
+  const renderSectionFilters = () => {
+    switch (section) {
+      case 'announcements':
+        return (
+          <>
+            <select value={view.status} onChange={(e) => onChange({ status: e.target.value })} className={inputClass}>
+              <option value="">Current</option>
+              {isStaff && <option value="scheduled">Scheduled</option>}
+              <option value="archived">Archive (expired)</option>
+              <option value="all">All</option>
+            </select>
+            <select value={view.priority} onChange={(e) => onChange({ priority: e.target.value })} className={inputClass}>
+              <option value="">Any priority</option>
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+              <option value="low">Low</option>
+            </select>
+          </>
+        );
+      case 'events':
+        return (
+          <>
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+              {EVENT_LAYOUTS.map((layout) => (
+                <button
+                  key={layout.id}
+                  type="button"
+                  onClick={() => onChange({ layout: layout.id })}
+                  className={`px-3 py-1 text-sm ${view.layout === layout.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {layout.label}
+                </button>
+              ))}
+            </div>
+            <select value={view.when} onChange={(e) => onChange({ when: e.target.value })} className={inputClass}>
+              <option value="">All events</option>
+              <option value="upcoming">Upcoming</option>
+              <option value="past">Past</option>
+            </select>
+            <label className="flex items-center gap-1 text-sm text-gray-600">
+              From
+              <input type="date" value={view.from} onChange={(e) => onChange({ from: e.target.value })} className={inputClass} />
+            </label>
+            <label className="flex items-center gap-1 text-sm text-gray-600">
+              To
+              <input type="date" value={view.to} onChange={(e) => onChange({ to: e.target.value })} className={inputClass} />
+            </label>
+          </>
+        );
+      case 'lostfound':
+        return (
+          <>
+            <select value={view.type} onChange={(e) => onChange({ type: e.target.value })} className={inputClass}>
+              <option value="">Lost and found</option>
+              <option value="lost">Lost only</option>
+              <option value="found">Found only</option>
+            </select>
+            <select value={view.status} onChange={(e) => onChange({ status: e.target.value })} className={inputClass}>
+              <option value="">Open and claimed</option>
+              {LOST_FOUND_STATUSES.map((status) => <option key={status.id} value={status.id}>{status.label}</option>)}
+              <option value="all">Any status</option>
+            </select>
+          </>
+        );
+      case 'feedback':
+        return (
+          <>
+            <select value={view.minRating} onChange={(e) => onChange({ minRating: e.target.value })} className={inputClass}>
+              <option value="">Min rating</option>
+              {[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>{n}+ stars</option>)}
+            </select>
+            <select value={view.maxRating} onChange={(e) => onChange({ maxRating: e.target.value })} className={inputClass}>
+              <option value="">Max rating</option>
+              {[1, 2, 3, 4, 5].map((n) => <option key={n} value={n}>Up to {n} stars</option>)}
+            </select>
+          </>
+        );
+      case 'polls':
+        return (
+          <select value={view.status} onChange={(e) => onChange({ status: e.target.value })} className={inputClass}>
+            <option value="">Open and closed</option>
+            {POLL_STATES.map((state) => <option key={state.id} value={state.id}>{state.label}</option>)}
+            <option value="all">All</option>
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mb-6 space-y-3">
+      <div className="flex flex-col md:flex-row gap-3">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="search"
+            value={view.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+            placeholder={isGlobal ? 'Search all sections...' : 'Search this section...'}
+            className={`${inputClass} w-full pl-9`}
+          />
+        </div>
+        <select value={view.sort} onChange={(e) => onChange({ sort: e.target.value })} className={inputClass}>
+          {SORT_OPTIONS.map((option) => <option key={option.id} value={option.id}>{option.label}</option>)}
+        </select>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={isGlobal}
+            onChange={(e) => onChange({ scope: e.target.checked ? 'all' : 'section' })}
+          />
+          Search all sections
+        </label>
+        {!isGlobal && renderSectionFilters()}
+        <button
+          type="button"
+          onClick={clearFilters}
+          className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700 ml-auto"
+        >
+          <X className="w-4 h-4" /> Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilterBar;
@@ -0,0 +1,195 @@
+// Filename: FormField.jsx
+import React from 'react';
+import { fieldLabel } from '../sections';
+import { toDateTimeInput, fromDateTimeInput } from '../utils/dates';
+import RecurrenceFields from './RecurrenceFields';
+import PhotoPicker from './PhotoPicker';
+import MarkdownEditor from './MarkdownEditor';
+
+// Lucide-react icons for the UI
+import { Plus, X } from 'lucide-react';
+
+const inputClass = (error) => `w-full p-3 border ${error ? 'border-red-500' : 'border-gray-300'} rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent`;
+
+// One input generated from a section field definition, with its label, help text and error
+const FormField = ({ field, data, error, onChange, pendingPhotos, onPendingPhotosChange }) => {
+  const id = `field-${field.name}`;
+  const value = data[field.name];
+  const label = fieldLabel(field, data);
+  const describedBy = error ? `${id}-error` : field.help ? `${id}-help` : undefined;
+  const common = {
+    id,
+    'aria-invalid': Boolean(error),
+    'aria-describedby': describedBy,
+    className: inputClass(error),
+  };
+
+  const renderInput = () => {
+    switch (field.type) {
+      case 'textarea':
+        return (
+          <textarea
+            {...common}
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
+            rows={field.rows || 4}
+            placeholder={field.placeholder}
+          />
+        );
+      case 'markdown':
+        return (
+          <MarkdownEditor
+            inputProps={common}
+            value={value}
+            rows={field.rows || 6}
+            placeholder={field.placeholder}
+            onChange={onChange}
+          />
+        );
+      case 'select':
+        return (
+          <select {...common} value={value ?? field.default ?? ''} onChange={(e) => onChange(e.target.value)}>
+            {field.placeholder !== undefined && <option value="">{field.placeholder}</option>}
+            {field.options.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        );
+      case 'rating':
+        return (
+          <select {...common} value={value || field.default || ''} onChange={(e) => onChange(parseInt(e.target.value))}>
+            {Array.from({ length: field.max || 5 }, (_, index) => index + 1).map((stars) => (
+              <option key={stars} value={stars}>{stars} {stars === 1 ? 'Star' : 'Stars'}</option>
+            ))}
+          </select>
+        );
+      case 'number':
+        return (
+          <input
+            {...common}
+            type="number"
+            min={field.min}
+            max={field.max}
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+            placeholder={field.placeholder}
+          />
+        );
+      case 'datetime':
+        return (
+          <input
+            {...common}
+            type="datetime-local"
+            value={toDateTimeInput(value)}
+            onChange={(e) => onChange(fromDateTimeInput(e.target.value))}
+          />
+        );
+      default:
+        return (
+          <input
+            {...common}
+            type={field.type}
+            value={value || ''}
+            onChange={(e) => onChange(e.target.value)}
+            maxLength={field.maxLength}
+            placeholder={field.placeholder}
+          />
+        );
+    }
+  };
+
+  const renderMessage = () => {
+    if (error) return <p id={`${id}-error`} className="text-xs text-red-600 mt-1">{error}</p>;
+    if (field.help) return <p id={`${id}-help`} className="text-xs text-gray-500 mt-1">{field.help}</p>;
+    return null;
+  };
+
+  if (field.type === 'checkbox') {
+    return (
+      <div>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => onChange(e.target.checked)}
+            aria-describedby={describedBy}
+          />
+          {label}
+        </label>
+        {renderMessage()}
+      </div>
+    );
+  }
+
+  if (field.type === 'photos') {
+    return (
+      <PhotoPicker
+        photos={value}
+        pending={pendingPhotos}
+        onPhotosChange={onChange}
+        onPendingChange={onPendingPhotosChange}
+      />
+    );
+  }
+
+  if (field.type === 'choices') {
+    // Two empty rows to start with, since a list needs at least two entries
+    const choices = value && value.length > 0 ? value : ['', ''];
+    const setChoice = (index, text) => onChange(choices.map((choice, position) => (position === index ? text : choice)));
+    return (
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-1">
+          {label}
+          {field.required && <span className="text-red-600"> *</span>}
+        </span>
+        <div className="space-y-2">
+          {choices.map((choice, index) => (
+            <div key={index} className="flex gap-2">
+              <input
+                type="text"
+                value={choice}
+                onChange={(e) => setChoice(index, e.target.value)}
+                aria-label={`${label} ${index + 1}`}
+                aria-invalid={Boolean(error)}
+                className={inputClass(error)}
+              />
+              {choices.length > 2 && (
+                <button
+                  type="button"
+                  onClick={() => onChange(choices.filter((_, position) => position !== index))}
+                  className="text-red-600 hover:text-red-800 p-1 rounded"
+                  title="Remove"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => onChange([...choices, ''])}
+          className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800 mt-2"
+        >
+          <Plus className="w-4 h-4" /> Add option
+        </button>
+        {renderMessage()}
+      </div>
+    );
+  }
+
+  if (field.type === 'recurrence') {
+    return <RecurrenceFields value={value} startDate={data.date} onChange={onChange} />;
+  }
+
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+        {field.required && <span className="text-red-600"> *</span>}
+      </label>
+      {renderInput()}
+      {renderMessage()}
+    </div>
+  );
+};
+
+export default FormField;
@@ -0,0 +1,254 @@
+// Filename: ImportWizard.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { readImportFile, importColumns, importTargets, suggestMapping, prepareImport, importPosts } from '../utils/importExport';
+
+// Lucide-react icons for the UI
+import { FileUp, AlertTriangle, CheckCircle, Loader } from 'lucide-react';
+
+const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Rows of the validation report shown before the list is cut short
+const REPORT_LIMIT = 20;
+
+const DUPLICATE_LABELS = {
+  id: 'A post with this ID is already on the board',
+  similar: 'A post with the same title and date is already on the board',
+  file: 'Repeats an earlier row of the file',
+};
+
+// Whether a checked row is written, given how the admin chose to treat duplicates
+const shouldImport = (row, { idMode, similarMode }) => {
+  if (row.errors.length > 0 || row.duplicate === 'file') return false;
+  if (row.duplicate === 'id') return idMode === 'update';
+  if (row.duplicate === 'similar') return similarMode === 'import';
+  return true;
+};
+
+// Admin import of posts from a JSON export, a CSV file or a JSON list: choose the file and the
+// section, map its columns onto the section's fields, check the report, then import
+const ImportWizard = ({ sections, userId }) => {
+  const [filename, setFilename] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [groupIndex, setGroupIndex] = useState(0);
+  const [sectionId, setSectionId] = useState('');
+  const [mapping, setMapping] = useState({});
+  // Posts already in the target section, or null while they load
+  const [existing, setExisting] = useState(null);
+  const [idMode, setIdMode] = useState('update');
+  const [similarMode, setSimilarMode] = useState('skip');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const group = groups[groupIndex] || null;
+  const definition = sections.find((entry) => entry.id === sectionId) || null;
+  const collectionName = definition ? definition.collection : '';
+
+  useEffect(() => {
+    if (!collectionName) return undefined;
+    let isCurrent = true;
+    setExisting(null);
+    storage.list(publicDataPath(collectionName)).then((items) => {
+      if (isCurrent) setExisting(items);
+    }, (e) => {
+      console.error("Error loading posts to compare with: ", e);
+      if (isCurrent) setError('The posts already in this section could not be loaded.');
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [collectionName]);
+
+  const rows = useMemo(() => (group && definition && existing
+    ? prepareImport(group, mapping, definition, existing)
+    : []), [group, mapping, definition, existing]);
+  const toImport = rows.filter((row) => shouldImport(row, { idMode, similarMode }));
+  const invalid = rows.filter((row) => row.errors.length > 0);
+  const duplicates = rows.filter((row) => row.errors.length === 0 && row.duplicate);
+
+  // Pick a group of the file and the section it goes to, suggesting a mapping for the pair
+  const chooseGroup = (nextGroups, index, nextSectionId) => {
+    const target = sections.find((entry) => entry.id === nextSectionId);
+    setGroupIndex(index);
+    setSectionId(nextSectionId);
+    setMapping(target ? suggestMapping(nextGroups[index], target) : {});
+    setMessage('');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    setMessage('');
+    try {
+      const nextGroups = readImportFile(await file.text(), file.name);
+      if (nextGroups.length === 0) throw new Error('The file has no sections to import.');
+      setFilename(file.name);
+      setGroups(nextGroups);
+      // Sections of a board export go back to the section they came from
+      const match = sections.find((entry) => entry.id === nextGroups[0].id);
+      chooseGroup(nextGroups, 0, (match || sections[0]).id);
+    } catch (err) {
+      console.error("Error reading import file: ", err);
+      setGroups([]);
+      setError(err.message || 'The file could not be read.');
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm(`Import ${toImport.length} ${toImport.length === 1 ? 'post' : 'posts'} into ${definition.label}?`)) return;
+    setError('');
+    setProgress(0);
+    try {
+      const count = await importPosts(definition, toImport, { uid: userId, onProgress: setProgress });
+      setMessage(`Imported ${count} ${count === 1 ? 'post' : 'posts'} into ${definition.label}.`);
+      setExisting(await storage.list(publicDataPath(definition.collection)));
+    } catch (e) {
+      console.error("Error importing posts: ", e);
+      setError('The import stopped part way through. Posts imported so far have been kept; import the file again to finish.');
+    }
+    setProgress(null);
+  };
+
+  const targets = definition ? importTargets(definition) : [];
+  const isImporting = progress !== null;
+
+  return (
+    <div className="space-y-4">
+      <label className="inline-flex items-center gap-2 bg-white text-blue-700 border border-blue-200 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors text-sm cursor-pointer">
+        <FileUp className="w-4 h-4" /> Choose a JSON or CSV file
+        <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFile} className="hidden" disabled={isImporting} />
+      </label>
+      {filename && <span className="ml-3 text-sm text-gray-600">{filename}</span>}
+
+      {error && <p className="p-3 rounded-lg bg-red-50 text-sm text-red-700">{error}</p>}
+      {message && (
+        <p className="p-3 rounded-lg bg-green-50 text-sm text-green-700 flex items-center gap-2">
+          <CheckCircle className="w-4 h-4" /> {message}
+        </p>
+      )}
+
+      {group && (
+        <>
+          <div className="flex flex-wrap gap-4">
+            {groups.length > 1 && (
+              <div>
+                <label htmlFor="import-group" className="block text-sm font-medium text-gray-700 mb-1">From the file</label>
+                <select
+                  id="import-group"
+                  value={groupIndex}
+                  onChange={(e) => {
+                    const index = Number(e.target.value);
+                    const match = sections.find((entry) => entry.id === groups[index].id);
+                    chooseGroup(groups, index, match ? match.id : sectionId);
+                  }}
+                  className={inputClass}
+                >
+                  {groups.map((entry, index) => (
+                    <option key={index} value={index}>{entry.label} ({entry.records.length})</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label htmlFor="import-section" className="block text-sm font-medium text-gray-700 mb-1">Into section</label>
+              <select
+                id="import-section"
+                value={sectionId}
+                onChange={(e) => chooseGroup(groups, groupIndex, e.target.value)}
+                className={inputClass}
+              >
+                {sections.map((entry) => <option key={entry.id} value={entry.id}>{entry.label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-2">Columns</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {importColumns(group).map((column) => (
+                <div key={column} className="flex items-center gap-2">
+                  <span className="w-1/2 text-sm text-gray-700 truncate" title={column}>{column}</span>
+                  <select
+                    value={mapping[column] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [column]: e.target.value }))}
+                    className={`${inputClass} w-1/2`}
+                    aria-label={`Import "${column}" as`}
+                  >
+                    <option value="">Ignore</option>
+                    {targets.map((target) => <option key={target.name} value={target.name}>{target.label}</option>)}
+                    {!targets.some((target) => target.name === column) && (
+                      <option value={column}>Keep as "{column}"</option>
+                    )}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {!existing ? (
+            <div className="flex items-center py-4 text-gray-600">
+              <Loader className="w-5 h-5 text-blue-500 animate-spin" />
+              <span className="ml-3">Checking the file...</span>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-700">
+                {rows.length} {rows.length === 1 ? 'row' : 'rows'}: {toImport.length} will be imported,{' '}
+                {invalid.length} {invalid.length === 1 ? 'has' : 'have'} problems and {duplicates.length} look like duplicates.
+              </p>
+
+              <div className="flex flex-wrap gap-4 text-sm">
+                <label className="flex items-center gap-2">
+                  Same ID as a post on the board:
+                  <select value={idMode} onChange={(e) => setIdMode(e.target.value)} className={inputClass}>
+                    <option value="update">Update the post</option>
+                    <option value="skip">Skip the row</option>
+                  </select>
+                </label>
+                <label className="flex items-center gap-2">
+                  Same title and date:
+                  <select value={similarMode} onChange={(e) => setSimilarMode(e.target.value)} className={inputClass}>
+                    <option value="skip">Skip the row</option>
+                    <option value="import">Import anyway</option>
+                  </select>
+                </label>
+              </div>
+
+              {(invalid.length > 0 || duplicates.length > 0) && (
+                <ul className="text-sm space-y-1 max-h-64 overflow-y-auto border border-gray-200 rounded-lg p-3">
+                  {[...invalid, ...duplicates].sort((a, b) => a.row - b.row).slice(0, REPORT_LIMIT).map((row) => (
+                    <li key={row.row} className={row.errors.length > 0 ? 'text-red-700' : 'text-yellow-800'}>
+                      <AlertTriangle className="w-4 h-4 inline mr-1" />
+                      Row {row.row}{row.data.title ? ` ("${row.data.title}")` : ''}:{' '}
+                      {row.errors.length > 0 ? row.errors.join(' ') : `${DUPLICATE_LABELS[row.duplicate]}.`}
+                      {row.errors.length === 0 && !shouldImport(row, { idMode, similarMode }) && ' Skipped.'}
+                    </li>
+                  ))}
+                  {invalid.length + duplicates.length > REPORT_LIMIT && (
+                    <li className="text-gray-500">...and {invalid.length + duplicates.length - REPORT_LIMIT} more.</li>
+                  )}
+                </ul>
+              )}
+
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={isImporting || toImport.length === 0}
+                className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+              >
+                {isImporting
+                  ? <><Loader className="w-4 h-4 animate-spin" /> Importing {progress} of {toImport.length}...</>
+                  : `Import ${toImport.length} ${toImport.length === 1 ? 'post' : 'posts'}`}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportWizard;
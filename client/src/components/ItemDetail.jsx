@@ -0,0 +1,99 @@
+// Filename: ItemDetail.jsx
+import React, { useState } from 'react';
+import QrCode from './QrCode';
+
+// Lucide-react icons for the UI
+import { ArrowLeft, Link as LinkIcon, Check, QrCode as QrCodeIcon, Loader, SearchX } from 'lucide-react';
+
+// Page for a single post: the full card, plus a link and QR code to share it. `card` is the post
+// rendered by the board; without it the post is still loading or no longer exists.
+const ItemDetail = ({ sectionLabel, title, card, link, isLoading, onBack }) => {
+  const [copied, setCopied] = useState(false);
+  const [showQr, setShowQr] = useState(false);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (e) {
+      // Clipboard access can be refused; selecting the link lets the user copy it by hand
+      console.error("Error copying link: ", e);
+      window.prompt('Copy this link:', link);
+    }
+  };
+
+  const backButton = (
+    <button type="button" onClick={onBack} className="flex items-center gap-2 text-sm text-blue-700 hover:text-blue-900 mb-4">
+      <ArrowLeft className="w-4 h-4" /> Back to {sectionLabel || 'the board'}
+    </button>
+  );
+
+  if (isLoading) {
+    return (
+      <div>
+        {backButton}
+        <div className="flex justify-center items-center py-12 bg-white rounded-lg shadow-sm border border-gray-200">
+          <Loader className="w-8 h-8 text-blue-500 animate-spin" />
+          <span className="ml-4 text-lg text-gray-600">Loading post...</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (!card) {
+    return (
+      <div>
+        {backButton}
+        <div className="text-center py-12 px-6 bg-white rounded-lg shadow-sm border border-gray-200 space-y-2">
+          <SearchX className="w-10 h-10 mx-auto text-gray-400" />
+          <h2 className="text-xl font-semibold text-gray-800">This post isn&apos;t here</h2>
+          <p className="text-gray-600">It may have been removed, or the link may be incomplete.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {backButton}
+      {card}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 mt-6">
+        <h3 className="text-sm font-semibold text-gray-700 mb-3">Share this post</h3>
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={link}
+            readOnly
+            onFocus={(e) => e.target.select()}
+            aria-label="Link to this post"
+            className="flex-1 p-2 border border-gray-300 rounded-lg text-sm text-gray-600 bg-gray-50"
+          />
+          <button
+            type="button"
+            onClick={copyLink}
+            className="flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm"
+          >
+            {copied ? <Check className="w-4 h-4" /> : <LinkIcon className="w-4 h-4" />}
+            {copied ? 'Copied' : 'Copy link'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowQr(!showQr)}
+            className="flex items-center justify-center gap-2 bg-white text-blue-700 border border-blue-200 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors text-sm"
+          >
+            <QrCodeIcon className="w-4 h-4" />
+            {showQr ? 'Hide QR code' : 'QR code'}
+          </button>
+        </div>
+        {showQr && (
+          <div className="flex flex-col items-center gap-2 mt-4">
+            <QrCode text={link} size={200} title={`QR code linking to ${title}`} />
+            <p className="text-xs text-gray-500">Scan to open this post, or print it for the physical noticeboard.</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ItemDetail;
@@ -0,0 +1,45 @@
+// Filename: LoadMore.jsx
+import React, { useEffect, useRef } from 'react';
+
+// Lucide-react icons for the UI
+import { Loader } from 'lucide-react';
+
+// "Load more" button that also triggers itself when scrolled into view (infinite scroll)
+const LoadMore = ({ onLoadMore, isLoading }) => {
+  const sentinelRef = useRef(null);
+  // The observer calls the latest callback without being rebuilt when the parent re-renders
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  });
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        onLoadMoreRef.current();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <div ref={sentinelRef} className="col-span-full flex justify-center py-4">
+      <button
+        type="button"
+        onClick={onLoadMore}
+        disabled={isLoading}
+        className="flex items-center gap-2 bg-white text-blue-600 border border-blue-200 px-6 py-2 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50"
+      >
+        {isLoading && <Loader className="w-4 h-4 animate-spin" />}
+        {isLoading ? 'Loading...' : 'Load more'}
+      </button>
+    </div>
+  );
+};
+
+export default LoadMore;
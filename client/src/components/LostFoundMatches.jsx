@@ -0,0 +1,45 @@
+// Filename: LostFoundMatches.jsx
+import React, { useState } from 'react';
+
+// Lucide-react icons for the UI
+import { ChevronDown, ChevronRight, Link2 } from 'lucide-react';
+
+// Collapsible list of likely matches for a Lost & Found item
+const LostFoundMatches = ({ matches }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  if (matches.length === 0) return null;
+
+  return (
+    <div className="border-t border-gray-100 pt-3 mb-3">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1 text-sm font-medium text-orange-700 hover:text-orange-800"
+      >
+        {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <Link2 className="w-4 h-4" />
+        {matches.length} possible {matches.length === 1 ? 'match' : 'matches'}
+      </button>
+      {isOpen && (
+        <ul className="mt-2 space-y-2">
+          {matches.map(({ item, score }) => (
+            <li key={item.id} className="p-2 border border-orange-100 rounded-lg bg-orange-50 text-sm">
+              <div className="flex justify-between gap-2">
+                <span className="font-medium text-gray-800">{item.title}</span>
+                <span className="text-xs text-orange-700">{Math.round(score * 100)}% match</span>
+              </div>
+              <div className="text-gray-600">
+                {(item.type || 'lost') === 'lost' ? 'Lost' : 'Found'}
+                {item.itemDate && ` on ${item.itemDate}`}
+                {item.location && ` at ${item.location}`}
+              </div>
+              {item.contact && <div className="text-gray-500">Contact: {item.contact}</div>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LostFoundMatches;
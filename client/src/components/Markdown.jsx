@@ -0,0 +1,92 @@
+// Filename: Markdown.jsx
+import React, { useState, useMemo } from 'react';
+import { parseMarkdown, truncateBlocks } from '../utils/markdown';
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-bold text-gray-800',
+  2: 'text-base font-bold text-gray-800',
+  3: 'font-semibold text-gray-800',
+};
+
+// Web links open in a new tab; mailto: and tel: links hand over to the right app
+const linkProps = (href) => (/^https?:/i.test(href) ? { target: '_blank', rel: 'noopener noreferrer nofollow' } : {});
+
+const renderInline = (node, key) => {
+  switch (node.type) {
+    case 'break':
+      return <br key={key} />;
+    case 'strong':
+      return <strong key={key} className="font-semibold">{node.children.map(renderInline)}</strong>;
+    case 'em':
+      return <em key={key}>{node.children.map(renderInline)}</em>;
+    case 'code':
+      return <code key={key} className="px-1 rounded bg-gray-100 text-sm font-mono">{node.text}</code>;
+    case 'link':
+      return (
+        <a key={key} href={node.href} {...linkProps(node.href)} className="text-blue-600 underline hover:text-blue-800 break-all">
+          {node.children.map(renderInline)}
+        </a>
+      );
+    default:
+      return <React.Fragment key={key}>{node.text}</React.Fragment>;
+  }
+};
+
+const renderBlock = (block, key) => {
+  switch (block.type) {
+    case 'heading': {
+      const Heading = `h${block.level + 2}`;
+      return <Heading key={key} className={HEADING_CLASSES[block.level]}>{block.children.map(renderInline)}</Heading>;
+    }
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={key} start={block.start} className={`pl-5 space-y-1 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+          {block.children.map((item, index) => <li key={index}>{item.children.map(renderInline)}</li>)}
+        </List>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={key} className="border-l-4 border-gray-300 pl-3 italic space-y-2">
+          {block.children.map(renderBlock)}
+        </blockquote>
+      );
+    case 'codeblock':
+      return (
+        <pre key={key} className="p-3 rounded-lg bg-gray-100 text-sm overflow-x-auto"><code>{block.text}</code></pre>
+      );
+    case 'rule':
+      return <hr key={key} className="border-gray-200" />;
+    default:
+      return <p key={key}>{block.children.map(renderInline)}</p>;
+  }
+};
+
+// Post content written in Markdown. With `limit`, long posts show their first `limit` characters
+// and a "Read more" toggle.
+const Markdown = ({ text, limit, className = '' }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  const preview = useMemo(() => (limit ? truncateBlocks(blocks, limit) : { blocks, truncated: false }), [blocks, limit]);
+
+  if (blocks.length === 0) return null;
+
+  return (
+    <div className={`space-y-2 break-words ${className}`}>
+      {(isExpanded ? blocks : preview.blocks).map(renderBlock)}
+      {preview.truncated && (
+        <button
+          type="button"
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+          aria-expanded={isExpanded}
+        >
+          {isExpanded ? 'Show less' : 'Read more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Markdown;
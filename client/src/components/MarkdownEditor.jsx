@@ -0,0 +1,55 @@
+// Filename: MarkdownEditor.jsx
+import React, { useState } from 'react';
+import Markdown from './Markdown';
+
+const TABS = [
+  { id: 'write', label: 'Write' },
+  { id: 'preview', label: 'Preview' },
+];
+
+// Textarea for Markdown content with a preview of how the post will look. `inputProps` are the
+// id, class and aria attributes FormField gives every input.
+const MarkdownEditor = ({ inputProps, value, rows, placeholder, onChange }) => {
+  const [tab, setTab] = useState('write');
+
+  return (
+    <div>
+      <div className="flex gap-1 mb-2" role="tablist">
+        {TABS.map((entry) => (
+          <button
+            key={entry.id}
+            type="button"
+            role="tab"
+            aria-selected={tab === entry.id}
+            onClick={() => setTab(entry.id)}
+            className={`px-3 py-1 rounded-lg text-sm ${tab === entry.id ? 'bg-gray-200 text-gray-900 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+          >
+            {entry.label}
+          </button>
+        ))}
+      </div>
+      {/* Kept mounted while previewing so the label and error still point at it */}
+      <textarea
+        {...inputProps}
+        hidden={tab !== 'write'}
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        rows={rows}
+        placeholder={placeholder}
+      />
+      {tab === 'preview' && (
+        <div className="min-h-24 p-3 border border-gray-200 rounded-lg text-gray-600">
+          {(value || '').trim() ? <Markdown text={value} /> : <p className="text-gray-400">Nothing to preview yet.</p>}
+        </div>
+      )}
+      {tab === 'write' && (
+        <p className="text-xs text-gray-500 mt-1">
+          Markdown works here: **bold**, *italic*, lists starting with - or 1., [links](https://example.com),
+          {' '}&gt; quotes and # headings. Web addresses, emails and phone numbers are linked automatically.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,76 @@
+// Filename: ModerationQueue.jsx
+import React, { useState } from 'react';
+import SubmissionSummary from './SubmissionSummary';
+
+// Lucide-react icons for the UI
+import { Check, Edit, Inbox, X } from 'lucide-react';
+
+// Staff panel listing pending submissions, oldest first, with approve, reject and edit actions
+const ModerationQueue = ({ submissions, getSection, onApprove, onReject, onEdit, onClose }) => {
+  // Reason typed for each submission, keyed by submission ID
+  const [reasons, setReasons] = useState({});
+  const reasonFor = (submission) => reasons[submission.id] || '';
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Inbox className="w-5 h-5" /> Moderation Queue
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {submissions.length === 0 && <p className="text-gray-600 text-sm">Nothing is waiting for review.</p>}
+      <div className="space-y-4">
+        {submissions.map((submission) => {
+          const definition = getSection(submission.section);
+          return (
+            <div key={submission.id} className="p-4 border border-gray-200 rounded-lg space-y-3">
+              <div className="flex justify-between items-center text-xs text-gray-500">
+                <span className="px-2 py-1 rounded-full font-medium bg-gray-100 text-gray-800">
+                  {definition ? definition.label : submission.section}
+                </span>
+                <span>Submitted {submission.createdAt ? submission.createdAt.toLocaleString() : ''}</span>
+              </div>
+              <SubmissionSummary definition={definition} data={submission.data} />
+              <input
+                type="text"
+                value={reasonFor(submission)}
+                onChange={(e) => setReasons({ ...reasons, [submission.id]: e.target.value })}
+                placeholder="Reason or note for the submitter (optional)"
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => onApprove(submission, reasonFor(submission))}
+                  className="flex items-center gap-1 bg-green-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-green-700"
+                >
+                  <Check className="w-4 h-4" /> Approve
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onEdit(submission, reasonFor(submission))}
+                  className="flex items-center gap-1 border border-gray-300 text-gray-700 px-3 py-1 rounded-lg text-sm hover:bg-gray-50"
+                >
+                  <Edit className="w-4 h-4" /> Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onReject(submission, reasonFor(submission))}
+                  className="flex items-center gap-1 bg-red-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-red-700"
+                >
+                  <X className="w-4 h-4" /> Reject
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ModerationQueue;
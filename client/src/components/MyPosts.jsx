@@ -0,0 +1,67 @@
+// Filename: MyPosts.jsx
+import React from 'react';
+
+// Lucide-react icons for the UI
+import { FileText, Edit, Trash2, X } from 'lucide-react';
+
+// Posts the signed-in user owns across every section, to open, edit or delete them. `itemUrl`
+// links each one to its own page, which `onOpen` opens in place.
+const MyPosts = ({ items, getSection, itemUrl, onOpen, onEdit, onDelete, onClose }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+    <div className="flex justify-between items-center mb-4">
+      <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+        <FileText className="w-5 h-5" /> My Posts
+      </h3>
+      <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+        <X className="w-5 h-5" />
+      </button>
+    </div>
+
+    {items.length === 0 && (
+      <p className="text-gray-600 text-sm">You have no posts on this board yet. Submissions appear here once they are approved.</p>
+    )}
+    <div className="space-y-2">
+      {items.map((item) => {
+        const definition = getSection(item.section);
+        return (
+          <div key={`${item.section}-${item.id}`} className="flex items-center gap-3 p-3 border border-gray-200 rounded-lg">
+            <div className="flex-1 min-w-0">
+              {definition ? (
+                <a
+                  href={itemUrl(item.section, item.id)}
+                  onClick={(e) => {
+                    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+                    e.preventDefault();
+                    onOpen(item.section, item.id);
+                  }}
+                  className="block font-medium text-gray-800 truncate hover:text-blue-700 hover:underline"
+                >
+                  {item.title}
+                </a>
+              ) : (
+                <div className="font-medium text-gray-800 truncate">{item.title}</div>
+              )}
+              <div className="text-xs text-gray-500">
+                {definition ? definition.label : item.section} · posted {item.date}
+                {item.updatedAt && ` · edited ${item.updatedAt.toLocaleString()}`}
+              </div>
+            </div>
+            {/* Posts in sections hidden from members stay listed, but can only be changed by admins */}
+            {definition && (
+              <>
+                <button onClick={() => onEdit(item, item.section)} className="text-blue-600 hover:text-blue-800 p-1 rounded" title="Edit">
+                  <Edit className="w-4 h-4" />
+                </button>
+                <button onClick={() => onDelete(item, item.section)} className="text-red-600 hover:text-red-800 p-1 rounded" title="Delete">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default MyPosts;
@@ -0,0 +1,57 @@
+// Filename: MySubmissions.jsx
+import React from 'react';
+import { SUBMISSION_STATUSES } from '../utils/moderation';
+import SubmissionSummary from './SubmissionSummary';
+
+// Lucide-react icons for the UI
+import { Send, Trash2, X } from 'lucide-react';
+
+// A member's own submissions with their review status and any reason given
+const MySubmissions = ({ submissions, getSection, onWithdraw, onClose }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+    <div className="flex justify-between items-center mb-4">
+      <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+        <Send className="w-5 h-5" /> My Submissions
+      </h3>
+      <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+        <X className="w-5 h-5" />
+      </button>
+    </div>
+
+    {submissions.length === 0 && <p className="text-gray-600 text-sm">You have not submitted anything yet.</p>}
+    <div className="space-y-3">
+      {submissions.map((submission) => {
+        const status = SUBMISSION_STATUSES.find((option) => option.id === submission.status) || SUBMISSION_STATUSES[0];
+        const definition = getSection(submission.section);
+        return (
+          <div key={submission.id} className="p-4 border border-gray-200 rounded-lg space-y-2">
+            <div className="flex items-center gap-2 text-xs">
+              <span className="px-2 py-1 rounded-full font-medium bg-gray-100 text-gray-800">
+                {definition ? definition.label : submission.section}
+              </span>
+              <span className={`px-2 py-1 rounded-full font-medium ${status.color}`}>{status.label}</span>
+              {submission.status === 'pending' && (
+                <button
+                  type="button"
+                  onClick={() => onWithdraw(submission)}
+                  className="ml-auto text-red-600 hover:text-red-800 p-1 rounded"
+                  title="Withdraw"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+            <SubmissionSummary definition={definition} data={submission.data} />
+            {submission.reason && (
+              <p className="text-sm text-gray-700 bg-gray-50 rounded p-2">
+                <span className="font-medium">Moderator note:</span> {submission.reason}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default MySubmissions;
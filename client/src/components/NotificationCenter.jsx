@@ -0,0 +1,131 @@
+// Filename: NotificationCenter.jsx
+import React, { useState } from 'react';
+import {
+  BROWSER_NOTIFICATION_RULES, sectionPrefs, browserNotificationsSupported, requestBrowserPermission,
+} from '../utils/notifications';
+import { postedAt } from '../utils/filters';
+
+// Lucide-react icons for the UI
+import { Bell, Settings, X } from 'lucide-react';
+
+// Header bell with what is new since the last visit and per-section notification settings
+const NotificationCenter = ({ sections, unread, recent, prefs, onOpen, onMarkAllSeen, onSavePrefs }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [permissionDenied, setPermissionDenied] = useState(false);
+  const totalUnread = Object.values(unread).reduce((sum, count) => sum + count, 0);
+
+  const toggleBrowser = async (section, enabled) => {
+    if (enabled && !(await requestBrowserPermission())) {
+      setPermissionDenied(true);
+      return;
+    }
+    setPermissionDenied(false);
+    onSavePrefs(section, { browser: enabled });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-lg text-gray-600 hover:bg-gray-100"
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {totalUnread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 rounded-full text-xs bg-red-600 text-white flex items-center justify-center">
+            {totalUnread > 99 ? '99+' : totalUnread}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-96 max-w-[90vw] bg-white rounded-lg shadow-lg border border-gray-200 z-20">
+          <div className="flex justify-between items-center p-4 border-b border-gray-100">
+            <h3 className="font-semibold text-gray-800">{showSettings ? 'Notification Settings' : 'Since Your Last Visit'}</h3>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                className="text-gray-500 hover:text-gray-700 p-1 rounded"
+                title="Settings"
+              >
+                <Settings className="w-4 h-4" />
+              </button>
+              <button onClick={() => setIsOpen(false)} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+
+          {showSettings ? (
+            <div className="p-4 space-y-3 text-sm">
+              {sections.map((section) => {
+                const sectionPref = sectionPrefs(prefs, section.id);
+                return (
+                  <div key={section.id} className="flex items-center gap-3">
+                    <span className="flex-1 flex items-center gap-2 text-gray-700">{section.icon} {section.label}</span>
+                    <label className="flex items-center gap-1 text-gray-600">
+                      <input
+                        type="checkbox"
+                        checked={sectionPref.inApp}
+                        onChange={(e) => onSavePrefs(section.id, { inApp: e.target.checked })}
+                      />
+                      In app
+                    </label>
+                    {BROWSER_NOTIFICATION_RULES[section.id] && browserNotificationsSupported() && (
+                      <label className="flex items-center gap-1 text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={sectionPref.browser}
+                          onChange={(e) => toggleBrowser(section.id, e.target.checked)}
+                        />
+                        Browser
+                      </label>
+                    )}
+                  </div>
+                );
+              })}
+              <p className="text-xs text-gray-500">
+                Browser notifications cover high-priority announcements and new events, and appear while the board is open in the background.
+              </p>
+              {permissionDenied && (
+                <p className="text-xs text-red-600">Notifications are blocked for this site. Allow them in your browser settings first.</p>
+              )}
+            </div>
+          ) : (
+            <>
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {recent.length === 0 && <li className="p-4 text-sm text-gray-500">Nothing new since your last visit.</li>}
+                {recent.map((item) => (
+                  <li key={`${item.section}-${item.id}`}>
+                    <button
+                      onClick={() => {
+                        onOpen(item.section);
+                        setIsOpen(false);
+                      }}
+                      className={`w-full text-left p-3 hover:bg-gray-50 ${item.isUnread ? 'bg-blue-50' : ''}`}
+                    >
+                      <div className="flex items-center gap-2 text-xs text-gray-500">
+                        {sections.find((section) => section.id === item.section).icon}
+                        {sections.find((section) => section.id === item.section).label}
+                        <span className="ml-auto">{postedAt(item) ? new Date(postedAt(item)).toLocaleString() : ''}</span>
+                      </div>
+                      <div className="text-sm font-medium text-gray-800 truncate">{item.title}</div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              {totalUnread > 0 && (
+                <div className="p-3 border-t border-gray-100 text-right">
+                  <button onClick={onMarkAllSeen} className="text-sm text-blue-600 hover:text-blue-800">Mark all as read</button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
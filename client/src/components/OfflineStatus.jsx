@@ -0,0 +1,98 @@
+// Filename: OfflineStatus.jsx
+import React from 'react';
+import { storage } from '../storage';
+
+// Lucide-react icons for the UI
+import { CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+
+const OPERATION_LABELS = { create: 'New post', update: 'Edit', remove: 'Delete' };
+
+// Connection banner plus the outbox: changes waiting to sync, and conflicts and refused changes
+// that need a decision
+const OfflineStatus = ({ isOnline, entries }) => {
+  const conflicts = entries.filter((entry) => entry.status === 'conflict');
+  const failures = entries.filter((entry) => entry.status === 'failed');
+  const pending = entries.length - conflicts.length - failures.length;
+  if (isOnline && entries.length === 0) return null;
+
+  const resolve = (entry, resolution) => {
+    storage.outbox.resolve(entry.id, resolution).catch((error) => {
+      console.error("Error resolving unsynced change:", error);
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-amber-200 p-4 mb-6 space-y-3">
+      <div className="flex items-center gap-2 text-sm text-amber-800">
+        {isOnline ? <RefreshCw className="w-4 h-4" /> : <CloudOff className="w-4 h-4" />}
+        <span className="flex-1">
+          {isOnline ? 'Back online.' : 'You are offline. Showing the posts saved on this device.'}
+          {pending > 0 && ` ${pending} ${pending === 1 ? 'change is' : 'changes are'} waiting to sync.`}
+        </span>
+        {isOnline && pending > 0 && (
+          <button
+            type="button"
+            onClick={() => storage.outbox.flush()}
+            className="text-sm px-3 py-1 border border-amber-300 rounded-lg hover:bg-amber-50"
+          >
+            Sync now
+          </button>
+        )}
+      </div>
+      {conflicts.map((entry) => (
+        <div key={entry.id} className="flex flex-col md:flex-row md:items-center gap-2 p-3 rounded-lg bg-amber-50 text-sm">
+          <AlertTriangle className="w-4 h-4 text-amber-600 shrink-0" />
+          <span className="flex-1 text-gray-700">
+            {OPERATION_LABELS[entry.op]} of “{entry.title || 'untitled post'}” was not synced:{' '}
+            {entry.conflict.kind === 'deleted'
+              ? 'the post has been deleted since.'
+              : 'someone else changed the post while you were offline.'}
+          </span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => resolve(entry, 'overwrite')}
+              className="px-3 py-1 rounded-lg bg-amber-600 text-white hover:bg-amber-700"
+            >
+              {entry.conflict.kind === 'deleted' ? 'Restore with my changes' : 'Keep my version'}
+            </button>
+            <button
+              type="button"
+              onClick={() => resolve(entry, 'discard')}
+              className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              Discard mine
+            </button>
+          </div>
+        </div>
+      ))}
+      {failures.map((entry) => (
+        <div key={entry.id} className="flex flex-col md:flex-row md:items-center gap-2 p-3 rounded-lg bg-red-50 text-sm">
+          <AlertTriangle className="w-4 h-4 text-red-600 shrink-0" />
+          <span className="flex-1 text-gray-700">
+            {OPERATION_LABELS[entry.op]} of “{entry.title || 'untitled post'}” was refused by the server ({entry.error}).
+            You may no longer be allowed to make this change.
+          </span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => resolve(entry, 'retry')}
+              className="px-3 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700"
+            >
+              Try again
+            </button>
+            <button
+              type="button"
+              onClick={() => resolve(entry, 'discard')}
+              className="px-3 py-1 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              Discard mine
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OfflineStatus;
@@ -0,0 +1,97 @@
+// Filename: PhotoGallery.jsx
+import React, { useState, useEffect } from 'react';
+import StoredImage from './StoredImage';
+
+// Lucide-react icons for the UI
+import { ChevronLeft, ChevronRight, X } from 'lucide-react';
+
+// Full-size viewer that steps through a post's photos; Escape and the arrow keys work too
+const Lightbox = ({ photos, index, title, onIndexChange, onClose }) => {
+  const step = (direction) => onIndexChange((index + direction + photos.length) % photos.length);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+      if (e.key === 'ArrowLeft') onIndexChange((index - 1 + photos.length) % photos.length);
+      if (e.key === 'ArrowRight') onIndexChange((index + 1) % photos.length);
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [index, photos.length, onIndexChange, onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4" onClick={onClose}>
+      <button
+        type="button"
+        onClick={onClose}
+        className="absolute top-4 right-4 text-white/80 hover:text-white p-2"
+        title="Close"
+      >
+        <X className="w-6 h-6" />
+      </button>
+      {photos.length > 1 && (
+        <button
+          type="button"
+          onClick={(e) => { e.stopPropagation(); step(-1); }}
+          className="absolute left-4 text-white/80 hover:text-white p-2"
+          title="Previous photo"
+        >
+          <ChevronLeft className="w-8 h-8" />
+        </button>
+      )}
+      <div onClick={(e) => e.stopPropagation()} className="flex flex-col items-center">
+        <StoredImage
+          path={photos[index].path}
+          alt={`${title} (photo ${index + 1} of ${photos.length})`}
+          className="max-h-[85vh] max-w-[90vw] min-w-48 min-h-48 object-contain rounded"
+        />
+        {photos.length > 1 && <div className="text-white/80 text-sm mt-2">{index + 1} / {photos.length}</div>}
+      </div>
+      {photos.length > 1 && (
+        <button
+          type="button"
+          onClick={(e) => { e.stopPropagation(); step(1); }}
+          className="absolute right-4 text-white/80 hover:text-white p-2"
+          title="Next photo"
+        >
+          <ChevronRight className="w-8 h-8" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Thumbnail strip for a post's photos; clicking one opens the lightbox
+const PhotoGallery = ({ photos = [], title }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+  if (photos.length === 0) return null;
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {photos.map((photo, index) => (
+          <button
+            key={photo.path}
+            type="button"
+            onClick={() => setOpenIndex(index)}
+            className="rounded-lg overflow-hidden border border-gray-200 hover:opacity-90"
+            title="View full size"
+          >
+            <StoredImage path={photo.thumbPath} alt={`${title} (photo ${index + 1})`} className="w-20 h-20 object-cover" />
+          </button>
+        ))}
+      </div>
+      {openIndex !== null && (
+        <Lightbox
+          photos={photos}
+          index={openIndex}
+          title={title}
+          onIndexChange={setOpenIndex}
+          onClose={() => setOpenIndex(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default PhotoGallery;
@@ -0,0 +1,93 @@
+// Filename: PhotoPicker.jsx
+import React, { useState } from 'react';
+import { MAX_PHOTOS, processPhoto } from '../utils/photos';
+import StoredImage from './StoredImage';
+
+// Lucide-react icons for the UI
+import { ImagePlus, Loader, X } from 'lucide-react';
+
+// Photo field for post forms. `photos` are attachments already saved on the post and `pending`
+// are processed images that will be uploaded when the form is submitted.
+const PhotoPicker = ({ photos = [], pending, onPhotosChange, onPendingChange }) => {
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState('');
+  const remaining = MAX_PHOTOS - photos.length - pending.length;
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList).slice(0, remaining);
+    if (files.length === 0) return;
+    setIsProcessing(true);
+    setError('');
+    const processed = [];
+    for (const file of files) {
+      try {
+        processed.push(await processPhoto(file));
+      } catch (e) {
+        console.error("Error processing photo: ", e);
+        setError(e.message);
+      }
+    }
+    onPendingChange([...pending, ...processed]);
+    setIsProcessing(false);
+  };
+
+  const removePending = (photo) => {
+    URL.revokeObjectURL(photo.previewUrl);
+    onPendingChange(pending.filter((entry) => entry.id !== photo.id));
+  };
+
+  const thumbClass = 'w-20 h-20 object-cover rounded-lg border border-gray-200';
+  const removeButton = (onClick) => (
+    <button
+      type="button"
+      onClick={onClick}
+      className="absolute -top-2 -right-2 bg-white border border-gray-300 rounded-full p-0.5 text-gray-600 hover:text-red-600"
+      title="Remove photo"
+    >
+      <X className="w-3 h-3" />
+    </button>
+  );
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">Photos</label>
+      <div className="flex flex-wrap gap-3 items-center">
+        {photos.map((photo) => (
+          <div key={photo.path} className="relative">
+            <StoredImage path={photo.thumbPath} alt="Attached photo" className={thumbClass} />
+            {removeButton(() => onPhotosChange(photos.filter((entry) => entry.path !== photo.path)))}
+          </div>
+        ))}
+        {pending.map((photo) => (
+          <div key={photo.id} className="relative">
+            <img src={photo.previewUrl} alt="New photo" className={thumbClass} />
+            {removeButton(() => removePending(photo))}
+          </div>
+        ))}
+        {remaining > 0 && (
+          <label className="w-20 h-20 flex flex-col items-center justify-center border-2 border-dashed border-gray-300 rounded-lg text-gray-500 hover:bg-gray-50 cursor-pointer">
+            {isProcessing ? <Loader className="w-5 h-5 animate-spin" /> : <ImagePlus className="w-5 h-5" />}
+            <span className="text-xs mt-1">Add</span>
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              disabled={isProcessing}
+              onChange={(e) => {
+                handleFiles(e.target.files);
+                e.target.value = '';
+              }}
+              className="hidden"
+            />
+          </label>
+        )}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Up to {MAX_PHOTOS} photos. Images are resized and location data is removed before upload.
+      </p>
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default PhotoPicker;
@@ -0,0 +1,118 @@
+// Filename: PollBallot.jsx
+import React, { useState } from 'react';
+import { pollState } from '../utils/filters';
+import { getUserVote, tallyVotes } from '../utils/polls';
+import { authorName } from '../utils/profiles';
+import { usePollBallots } from '../hooks/usePollBallots';
+import { useProfiles } from '../hooks/useProfiles';
+
+// Voting controls and live result bars, shown on poll cards. Results appear once the user has
+// voted or the poll has closed; staff always see them. Public polls name the voters.
+const PollBallot = ({ poll, userId, now, isStaff, onVote }) => {
+  const { ballot, entries } = usePollBallots(poll, { uid: userId, isStaff, enabled: Boolean(userId) });
+  const current = getUserVote(poll, userId, ballot);
+  // Choices being made, before they are sent
+  const [selected, setSelected] = useState(null);
+  const [isChanging, setIsChanging] = useState(false);
+  const isOpen = pollState(poll, now) === 'open';
+  const { results, voterCount } = tallyVotes(poll, entries);
+  const showBallot = isOpen && Boolean(userId) && (!current || isChanging);
+  const showResults = !showBallot || isStaff;
+  const choices = selected || (current ? current.choices : []);
+  const profiles = useProfiles(results.flatMap((result) => result.voters), showResults && poll.visibility === 'public');
+
+  const toggle = (option) => {
+    if (!poll.multiple) {
+      setSelected([option]);
+      return;
+    }
+    setSelected(choices.includes(option) ? choices.filter((choice) => choice !== option) : [...choices, option]);
+  };
+
+  const submit = async () => {
+    if (choices.length === 0) return;
+    await onVote(poll, choices, ballot);
+    setSelected(null);
+    setIsChanging(false);
+  };
+
+  const voterLabel = (uid) => (uid === userId ? 'You' : authorName({ authorUid: uid }, profiles));
+
+  return (
+    <div className="border-t border-gray-100 pt-3 mb-3 space-y-3">
+      {showBallot && (
+        <fieldset className="space-y-2">
+          <legend className="text-xs text-gray-500 mb-1">{poll.multiple ? 'Choose one or more' : 'Choose one'}</legend>
+          {(poll.options || []).map((option) => (
+            <label key={option} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type={poll.multiple ? 'checkbox' : 'radio'}
+                name={`poll-${poll.id}`}
+                checked={choices.includes(option)}
+                onChange={() => toggle(option)}
+              />
+              {option}
+            </label>
+          ))}
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={submit}
+              disabled={choices.length === 0}
+              className="px-3 py-1 rounded-lg text-sm bg-teal-600 text-white hover:bg-teal-700 disabled:opacity-50"
+            >
+              {current ? 'Change Vote' : 'Vote'}
+            </button>
+            {isChanging && (
+              <button
+                type="button"
+                onClick={() => {
+                  setIsChanging(false);
+                  setSelected(null);
+                }}
+                className="px-3 py-1 rounded-lg text-sm border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                Keep My Vote
+              </button>
+            )}
+          </div>
+        </fieldset>
+      )}
+
+      {showResults && (
+        <div className="space-y-2">
+          {results.map((result) => {
+            const percent = voterCount > 0 ? Math.round((result.count / voterCount) * 100) : 0;
+            const isMine = current && current.choices.includes(result.option);
+            return (
+              <div key={result.option}>
+                <div className="flex justify-between text-sm text-gray-700">
+                  <span className={isMine ? 'font-medium' : ''}>{result.option}{isMine && ' ✓'}</span>
+                  <span>{result.count} ({percent}%)</span>
+                </div>
+                <div className="h-2 rounded-full bg-gray-100 overflow-hidden">
+                  <div className="h-full bg-teal-500 transition-all" style={{ width: `${percent}%` }} />
+                </div>
+                {poll.visibility === 'public' && result.voters.length > 0 && (
+                  <div className="text-xs text-gray-500 mt-1">{result.voters.map(voterLabel).join(', ')}</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 text-xs text-gray-500">
+        <span>{voterCount} {voterCount === 1 ? 'vote' : 'votes'}</span>
+        {poll.multiple && showResults && voterCount > 0 && <span>Percentages are of voters; each could pick several options.</span>}
+        {isOpen && current && !isChanging && (
+          <button type="button" onClick={() => setIsChanging(true)} className="text-teal-700 hover:text-teal-900">
+            Change my vote
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PollBallot;
@@ -0,0 +1,139 @@
+// Filename: ProfilePanel.jsx
+import React, { useState } from 'react';
+import { CONTACT_METHODS, MAX_DISPLAY_NAME_LENGTH, validateProfile, saveProfile } from '../utils/profiles';
+import { processAvatar } from '../utils/photos';
+import Avatar from './Avatar';
+
+// Lucide-react icons for the UI
+import { UserRound, ImagePlus, X } from 'lucide-react';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// The signed-in user's profile: the name and picture shown on their posts, and how others in
+// this community can reach them. `profile` and `contact` are null until they save one.
+const ProfilePanel = ({ uid, profile, contact, onClose }) => {
+  const [values, setValues] = useState({
+    displayName: profile ? profile.displayName : '',
+    avatar: profile ? profile.avatar : null,
+    contactMethod: contact ? contact.contactMethod : 'none',
+    contact: contact ? contact.contact : '',
+  });
+  const [errors, setErrors] = useState({});
+  const [saved, setSaved] = useState(false);
+
+  const update = (patch) => {
+    setValues((prev) => ({ ...prev, ...patch }));
+    setSaved(false);
+  };
+
+  const handleAvatar = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      update({ avatar: await processAvatar(file) });
+      setErrors((prev) => ({ ...prev, avatar: null }));
+    } catch (err) {
+      console.error("Error reading picture: ", err);
+      setErrors((prev) => ({ ...prev, avatar: err.message || 'The picture could not be read.' }));
+    }
+  };
+
+  const handleSave = async () => {
+    const found = validateProfile(values);
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
+    try {
+      await saveProfile(uid, values);
+      setSaved(true);
+    } catch (e) {
+      console.error("Error saving profile: ", e);
+      setErrors({ form: 'Your profile could not be saved. Please try again.' });
+    }
+  };
+
+  const renderError = (message) => message && <p className="mt-1 text-xs text-red-600">{message}</p>;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <UserRound className="w-5 h-5" /> Your Profile
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Your name and picture are shown on your posts in every community you belong to.
+      </p>
+
+      <div className="space-y-4">
+        <div className="flex items-center gap-4">
+          <Avatar profile={values} name={values.displayName} size="lg" />
+          <div className="flex flex-wrap gap-2">
+            <label className="flex items-center gap-2 bg-white text-blue-700 border border-blue-200 px-3 py-1 rounded-lg hover:bg-blue-50 transition-colors text-sm cursor-pointer">
+              <ImagePlus className="w-4 h-4" /> {values.avatar ? 'Change picture' : 'Add a picture'}
+              <input type="file" accept="image/*" onChange={handleAvatar} className="hidden" />
+            </label>
+            {values.avatar && (
+              <button type="button" onClick={() => update({ avatar: null })} className="px-3 py-1 rounded-lg text-sm text-gray-700 hover:bg-gray-100">
+                Remove picture
+              </button>
+            )}
+          </div>
+        </div>
+        {renderError(errors.avatar)}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <label className="text-sm text-gray-700">
+            Display name
+            <input
+              type="text"
+              value={values.displayName}
+              onChange={(e) => update({ displayName: e.target.value })}
+              maxLength={MAX_DISPLAY_NAME_LENGTH}
+              placeholder="e.g. Sam from flat 4B"
+              className={inputClass}
+            />
+            {renderError(errors.displayName)}
+          </label>
+          <label className="text-sm text-gray-700">
+            How people can contact you
+            <select value={values.contactMethod} onChange={(e) => update({ contactMethod: e.target.value })} className={inputClass}>
+              {CONTACT_METHODS.map((method) => <option key={method.id} value={method.id}>{method.label}</option>)}
+            </select>
+          </label>
+          {values.contactMethod !== 'none' && (
+            <label className="text-sm text-gray-700 md:col-span-2">
+              {values.contactMethod === 'email' ? 'Email address' : 'Phone number'}
+              <input
+                type={values.contactMethod === 'email' ? 'email' : 'tel'}
+                value={values.contact}
+                onChange={(e) => update({ contact: e.target.value })}
+                className={inputClass}
+              />
+              <span className="text-xs text-gray-500">Shown next to your name on your posts, to anyone who can read this board. Each community keeps its own.</span>
+              {renderError(errors.contact)}
+            </label>
+          )}
+        </div>
+
+        {errors.form && <p className="p-3 rounded-lg bg-red-50 text-sm text-red-700">{errors.form}</p>}
+        <div className="flex items-center gap-3">
+          <button type="button" onClick={handleSave} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+            Save Profile
+          </button>
+          {saved && <span className="text-sm text-green-700">Saved.</span>}
+        </div>
+
+        <p className="text-xs text-gray-500 border-t pt-4">
+          Your user ID, which admins need to give you a role: <span className="break-all">{uid}</span>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePanel;
@@ -0,0 +1,34 @@
+// Filename: QrCode.jsx
+import React, { useMemo } from 'react';
+import { encodeQr } from '../utils/qr';
+
+// Light border the standard asks for around the code, in modules
+const QUIET_ZONE = 4;
+
+// QR code for a piece of text, drawn as an SVG so it prints and scales cleanly
+const QrCode = ({ text, size = 160, title }) => {
+  const modules = useMemo(() => encodeQr(text), [text]);
+  if (!modules) return null;
+
+  const dimension = modules.length + QUIET_ZONE * 2;
+  // One path of unit squares keeps the SVG small even for larger codes
+  const path = modules
+    .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z` : '')))
+    .join('');
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${dimension} ${dimension}`}
+      shapeRendering="crispEdges"
+      role="img"
+      aria-label={title}
+    >
+      <rect width={dimension} height={dimension} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+};
+
+export default QrCode;
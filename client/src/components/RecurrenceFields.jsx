@@ -0,0 +1,180 @@
+// Filename: RecurrenceFields.jsx
+import React, { useState } from 'react';
+import { FREQUENCIES, describeRecurrence, weekdayOrdinal } from '../utils/recurrence';
+import { WEEKDAY_LABELS, parseDateKey } from '../utils/dates';
+
+// Lucide-react icons for the UI
+import { X } from 'lucide-react';
+
+const inputClass = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+// Every key is always present so that saving with merge replaces settings that were switched off
+const EMPTY_RULE = {
+  freq: 'weekly',
+  interval: 1,
+  byWeekday: [],
+  monthlyBy: 'day',
+  until: null,
+  count: null,
+  exceptions: [],
+};
+
+// Recurrence editor for the events form. `value` is the event's `recurrence` (null for a one-off event).
+const RecurrenceFields = ({ value, startDate, onChange }) => {
+  const [skipDate, setSkipDate] = useState('');
+  const rule = value ? { ...EMPTY_RULE, ...value } : null;
+  const start = startDate ? parseDateKey(startDate) : null;
+  const ends = rule && rule.until ? 'until' : rule && rule.count ? 'count' : 'never';
+
+  const update = (patch) => onChange({ ...rule, ...patch });
+
+  const toggleWeekday = (weekday) => {
+    const byWeekday = rule.byWeekday.includes(weekday)
+      ? rule.byWeekday.filter((day) => day !== weekday)
+      : [...rule.byWeekday, weekday].sort((a, b) => a - b);
+    update({ byWeekday });
+  };
+
+  const setEnds = (mode) => {
+    update({
+      until: mode === 'until' ? (rule.until || startDate || null) : null,
+      count: mode === 'count' ? (rule.count || 10) : null,
+    });
+  };
+
+  const addException = () => {
+    if (!skipDate || rule.exceptions.includes(skipDate)) return;
+    update({ exceptions: [...rule.exceptions, skipDate].sort() });
+    setSkipDate('');
+  };
+
+  return (
+    <div className="space-y-4 border border-gray-200 rounded-lg p-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Repeats</label>
+        <select
+          value={rule ? rule.freq : ''}
+          onChange={(e) => onChange(e.target.value ? { ...(rule || EMPTY_RULE), freq: e.target.value } : null)}
+          className={inputClass}
+        >
+          <option value="">Does not repeat</option>
+          {FREQUENCIES.map((frequency) => <option key={frequency.id} value={frequency.id}>{frequency.label}</option>)}
+        </select>
+      </div>
+
+      {rule && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Every how many {FREQUENCIES.find((frequency) => frequency.id === rule.freq).unit}s
+              </label>
+              <input
+                type="number"
+                min="1"
+                value={rule.interval}
+                onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value) || 1) })}
+                className={inputClass}
+              />
+            </div>
+            {rule.freq === 'monthly' && start && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">On</label>
+                <select value={rule.monthlyBy} onChange={(e) => update({ monthlyBy: e.target.value })} className={inputClass}>
+                  <option value="day">Day {start.getDate()} of the month</option>
+                  <option value="weekday">
+                    The {ORDINALS[weekdayOrdinal(start) - 1]} {WEEKDAY_LABELS[start.getDay()]} of the month
+                  </option>
+                </select>
+              </div>
+            )}
+          </div>
+
+          {rule.freq === 'weekly' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">On</label>
+              <div className="flex flex-wrap gap-2">
+                {WEEKDAY_LABELS.map((label, weekday) => (
+                  <button
+                    key={label}
+                    type="button"
+                    onClick={() => toggleWeekday(weekday)}
+                    className={`px-3 py-1 rounded-lg text-sm border ${
+                      rule.byWeekday.includes(weekday)
+                        ? 'bg-green-600 text-white border-green-600'
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+              <select value={ends} onChange={(e) => setEnds(e.target.value)} className={inputClass}>
+                <option value="never">Never</option>
+                <option value="until">On a date</option>
+                <option value="count">After a number of times</option>
+              </select>
+            </div>
+            {ends === 'until' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Last date</label>
+                <input type="date" value={rule.until || ''} onChange={(e) => update({ until: e.target.value || null })} className={inputClass} />
+              </div>
+            )}
+            {ends === 'count' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Occurrences</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.count || ''}
+                  onChange={(e) => update({ count: Math.max(1, parseInt(e.target.value) || 1) })}
+                  className={inputClass}
+                />
+              </div>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Cancelled dates</label>
+            <div className="flex gap-2">
+              <input type="date" value={skipDate} onChange={(e) => setSkipDate(e.target.value)} className={inputClass} />
+              <button
+                type="button"
+                onClick={addException}
+                className="bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-600 transition-colors"
+              >
+                Skip
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-2">
+              {rule.exceptions.map((dateKey) => (
+                <span key={dateKey} className="flex items-center gap-1 px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-700">
+                  {dateKey}
+                  <button
+                    type="button"
+                    onClick={() => update({ exceptions: rule.exceptions.filter((key) => key !== dateKey) })}
+                    title="Restore this date"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <p className="text-sm text-gray-500">{describeRecurrence(rule, startDate)}</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
@@ -0,0 +1,111 @@
+// Filename: RoleManager.jsx
+import React, { useState, useEffect } from 'react';
+import { storage, getCommunityId } from '../storage';
+import { ROLES, rolesPath } from '../auth/roles';
+import { recordMembership } from '../utils/communities';
+
+// Lucide-react icons for the UI
+import { Shield, Trash2, X } from 'lucide-react';
+
+// Admin panel for granting and revoking roles by user ID. Granting any role, including
+// 'member', also adds the community to the user's list of communities.
+const RoleManager = ({ currentUserId, onClose }) => {
+  const [roles, setRoles] = useState([]);
+  const [newUid, setNewUid] = useState('');
+  const [newRole, setNewRole] = useState('moderator');
+
+  // Keep the list of role documents in sync with the backend
+  useEffect(() => {
+    const unsubscribe = storage.subscribe(rolesPath(), setRoles, (error) => {
+      console.error("Error fetching roles:", error);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  const handleGrant = async (uid, role) => {
+    if (!uid.trim()) return;
+    try {
+      await storage.update(rolesPath(), uid.trim(), { role, grantedBy: currentUserId, grantedAt: new Date() });
+      await recordMembership(uid.trim(), getCommunityId(), role);
+      setNewUid('');
+    } catch (e) {
+      console.error("Error granting role: ", e);
+    }
+  };
+
+  const handleRevoke = async (uid) => {
+    try {
+      await storage.remove(rolesPath(), uid);
+      await recordMembership(uid, getCommunityId(), null);
+    } catch (e) {
+      console.error("Error revoking role: ", e);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <Shield className="w-5 h-5" /> Manage Roles
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-6">
+        {roles.length === 0 && <p className="text-gray-600 text-sm">No roles have been granted yet.</p>}
+        {roles.map((entry) => (
+          <div key={entry.id} className="flex items-center gap-3 p-2 border border-gray-200 rounded-lg">
+            <span className="flex-1 text-sm text-gray-700 break-all">
+              {entry.id}{entry.id === currentUserId && ' (you)'}
+            </span>
+            <select
+              value={entry.role}
+              onChange={(e) => handleGrant(entry.id, e.target.value)}
+              disabled={entry.id === currentUserId}
+              className="p-2 border border-gray-300 rounded-lg text-sm"
+            >
+              {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+            </select>
+            {entry.id !== currentUserId && (
+              <button
+                onClick={() => handleRevoke(entry.id)}
+                className="text-red-600 hover:text-red-800 p-1 rounded"
+                title="Revoke"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-3">
+        <input
+          type="text"
+          value={newUid}
+          onChange={(e) => setNewUid(e.target.value)}
+          placeholder="User ID"
+          className="flex-1 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <select
+          value={newRole}
+          onChange={(e) => setNewRole(e.target.value)}
+          className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={() => handleGrant(newUid, newRole)}
+          className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Grant Role
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RoleManager;
@@ -0,0 +1,64 @@
+// Filename: RsvpBar.jsx
+import React from 'react';
+import { RSVP_STATUSES, getAttendance, getUserRsvp, waitlistPosition } from '../utils/rsvp';
+
+// Lucide-react icons for the UI
+import { Users } from 'lucide-react';
+
+// Going / maybe / not going buttons with live counts, shown on event cards
+const RsvpBar = ({ event, userId, onRespond, onShowAttendees }) => {
+  const attendance = getAttendance(event);
+  const current = getUserRsvp(event, userId);
+  const position = current && current.status === 'going' ? waitlistPosition(event, userId) : 0;
+
+  const counts = {
+    going: attendance.confirmed.length,
+    maybe: attendance.maybe.length,
+    'not-going': attendance.notGoing.length,
+  };
+
+  return (
+    <div className="border-t border-gray-100 pt-3 mb-3 space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {RSVP_STATUSES.map((status) => (
+          <button
+            key={status.id}
+            type="button"
+            onClick={() => onRespond(event, status.id)}
+            disabled={!userId}
+            className={`px-3 py-1 rounded-lg text-sm border transition-colors ${
+              current && current.status === status.id
+                ? 'bg-green-600 text-white border-green-600'
+                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {status.label} ({counts[status.id]})
+          </button>
+        ))}
+        {onShowAttendees && (
+          <button
+            type="button"
+            onClick={() => onShowAttendees(event)}
+            className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm text-blue-600 hover:text-blue-800"
+          >
+            <Users className="w-4 h-4" /> Attendees
+          </button>
+        )}
+      </div>
+      <div className="text-xs text-gray-500">
+        {attendance.capacity > 0 && (
+          <span>
+            {attendance.confirmed.length}/{attendance.capacity} places taken
+            {attendance.waitlist.length > 0 && `, ${attendance.waitlist.length} on the waitlist`}
+          </span>
+        )}
+        {position > 0 && <span className="ml-2 font-medium text-orange-700">You are #{position} on the waitlist</span>}
+        {attendance.isFull && !(current && current.status === 'going') && (
+          <span className="ml-2">Full — saying "Going" adds you to the waitlist</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RsvpBar;
@@ -0,0 +1,77 @@
+// Filename: SectionForm.jsx
+import React from 'react';
+import { ACCENTS, visibleFields } from '../sections';
+import FormField from './FormField';
+
+const GRID_COLUMNS = { half: 'md:grid-cols-2', third: 'md:grid-cols-3' };
+
+// Consecutive half- or third-width fields share a row
+const groupFields = (fields) => fields.reduce((groups, field) => {
+  const last = groups[groups.length - 1];
+  if (field.width && GRID_COLUMNS[field.width] && last && last.width === field.width) {
+    last.fields.push(field);
+  } else {
+    groups.push({ width: GRID_COLUMNS[field.width] ? field.width : null, fields: [field] });
+  }
+  return groups;
+}, []);
+
+// Form generated from a section definition. `errors` maps field names to messages; `children`
+// are rendered above the fields for section-specific controls.
+const SectionForm = ({
+  definition, data, errors, isEditing, isStaff, isOccurrenceEdit, pendingPhotos, onPendingPhotosChange,
+  onChange, onSubmit, onCancel, children,
+}) => {
+  const fields = visibleFields(definition, { isStaff, isEditing, isOccurrenceEdit });
+
+  const renderField = (field) => (
+    <FormField
+      key={field.name}
+      field={field}
+      data={data}
+      error={errors[field.name]}
+      onChange={(value) => onChange(field.name, value)}
+      pendingPhotos={pendingPhotos}
+      onPendingPhotosChange={onPendingPhotosChange}
+    />
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit();
+  };
+
+  return (
+    <form noValidate onSubmit={handleSubmit} className="space-y-4">
+      <h3 className="text-xl font-bold text-gray-800 mb-4">
+        {isEditing ? 'Edit' : 'New'} {definition.itemLabel}
+      </h3>
+      {children}
+      {groupFields(fields).map((group) => (group.width ? (
+        <div key={group.fields[0].name} className={`grid grid-cols-1 ${GRID_COLUMNS[group.width]} gap-4`}>
+          {group.fields.map(renderField)}
+        </div>
+      ) : renderField(group.fields[0])))}
+      {Object.keys(errors).length > 0 && (
+        <p role="alert" className="text-sm text-red-600">Please fix the highlighted fields.</p>
+      )}
+      <div className="flex gap-3 pt-4">
+        <button
+          type="submit"
+          className={`${ACCENTS[definition.accent] || ACCENTS.blue} text-white px-6 py-2 rounded-lg transition-colors`}
+        >
+          {isEditing ? 'Update' : definition.submitVerb || 'Post'} {definition.itemLabel}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="bg-gray-500 text-white px-6 py-2 rounded-lg hover:bg-gray-600 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SectionForm;
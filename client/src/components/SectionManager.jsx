@@ -0,0 +1,313 @@
+// Filename: SectionManager.jsx
+import React, { useState } from 'react';
+import {
+  SECTION_ICONS, ACCENTS, CUSTOM_FIELD_TYPES, iconFor, validateCustomSection, saveCustomSection, updateSection,
+  saveSectionOrder, deleteCustomSection,
+} from '../sections';
+
+// Lucide-react icons for the UI
+import { LayoutList, ArrowUp, ArrowDown, Eye, EyeOff, Edit, Trash2, Plus, X } from 'lucide-react';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const TYPE_LABELS = {
+  text: 'Short text',
+  textarea: 'Long text',
+  email: 'Email',
+  url: 'Link',
+  tel: 'Phone number',
+  number: 'Number',
+  select: 'Choice list',
+  rating: 'Star rating',
+  date: 'Date',
+  time: 'Time',
+  datetime: 'Date and time',
+  checkbox: 'Yes/no',
+};
+
+const SUBMISSION_MODES = [
+  { value: '', label: 'Moderators and admins only' },
+  { value: 'open', label: 'Members submit for review' },
+  { value: 'proposal', label: 'Members propose for review' },
+];
+
+const EMPTY_SECTION = { label: '', itemLabel: '', icon: 'Star', accent: 'blue', submissions: '', fields: [] };
+
+// Swap an entry with its neighbour in the given direction
+const move = (list, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// Admin panel for adding, renaming, reordering, hiding and deleting sections
+const SectionManager = ({ sections, currentUserId, onClose }) => {
+  // Custom section being created or edited, or null
+  const [draft, setDraft] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [labels, setLabels] = useState({});
+
+  const run = async (action, message) => {
+    try {
+      await action();
+    } catch (e) {
+      console.error(message, e);
+    }
+  };
+
+  const handleRename = (definition) => {
+    const label = (labels[definition.id] ?? definition.label).trim();
+    if (!label || label === definition.label) return;
+    run(() => updateSection(definition.id, { label }), "Error renaming section: ");
+  };
+
+  const handleDelete = (definition) => {
+    if (!window.confirm(`Delete "${definition.label}" and all of its posts? This cannot be undone.`)) return;
+    run(() => deleteCustomSection(definition), "Error deleting section: ");
+  };
+
+  const editDraft = (definition) => {
+    setProblems([]);
+    setDraft(definition
+      ? {
+        id: definition.id,
+        label: definition.label,
+        itemLabel: definition.itemLabel,
+        icon: definition.icon,
+        accent: definition.accent,
+        submissions: definition.submissions || '',
+        // The title and details fields are part of every custom section
+        fields: definition.fields.filter((field) => field.custom).map((field) => {
+          const { custom: _custom, ...stored } = field;
+          return stored;
+        }),
+      }
+      : EMPTY_SECTION);
+  };
+
+  const updateDraft = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+
+  const updateField = (index, patch) => {
+    updateDraft({ fields: draft.fields.map((field, position) => (position === index ? { ...field, ...patch } : field)) });
+  };
+
+  const handleSave = async () => {
+    const found = validateCustomSection(draft);
+    setProblems(found);
+    if (found.length > 0) return;
+    try {
+      await saveCustomSection({ ...draft, submissions: draft.submissions || null }, sections, currentUserId);
+      setDraft(null);
+    } catch (e) {
+      console.error("Error saving section: ", e);
+      setProblems(['The section could not be saved. Please try again.']);
+    }
+  };
+
+  const renderFieldEditor = (field, index) => (
+    <div key={field.name || `new-${index}`} className="p-3 border border-gray-200 rounded-lg space-y-2">
+      <div className="flex flex-col md:flex-row gap-2">
+        <input
+          type="text"
+          value={field.label}
+          onChange={(e) => updateField(index, { label: e.target.value })}
+          placeholder="Field label"
+          className={inputClass}
+        />
+        <select
+          value={field.type}
+          onChange={(e) => updateField(index, { type: e.target.value })}
+          // Changing the type of a field that already holds data would make that data unreadable
+          disabled={Boolean(field.name)}
+          className={`${inputClass} md:w-48`}
+        >
+          {CUSTOM_FIELD_TYPES.map((type) => <option key={type} value={type}>{TYPE_LABELS[type]}</option>)}
+        </select>
+        <div className="flex items-center gap-1">
+          <button type="button" onClick={() => updateDraft({ fields: move(draft.fields, index, -1) })} className="text-gray-600 hover:text-gray-800 p-1 rounded" title="Move up">
+            <ArrowUp className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={() => updateDraft({ fields: move(draft.fields, index, 1) })} className="text-gray-600 hover:text-gray-800 p-1 rounded" title="Move down">
+            <ArrowDown className="w-4 h-4" />
+          </button>
+          <button
+            type="button"
+            onClick={() => updateDraft({ fields: draft.fields.filter((_, position) => position !== index) })}
+            className="text-red-600 hover:text-red-800 p-1 rounded"
+            title="Remove field"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      {field.type === 'select' && (
+        <input
+          type="text"
+          value={(field.options || []).map((option) => option.label).join(', ')}
+          onChange={(e) => updateField(index, {
+            options: e.target.value.split(',').map((choice) => choice.trim()).filter(Boolean)
+              .map((choice) => ({ value: choice, label: choice })),
+          })}
+          placeholder="Choices, separated by commas"
+          className={inputClass}
+        />
+      )}
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        {field.type !== 'checkbox' && (
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={Boolean(field.required)} onChange={(e) => updateField(index, { required: e.target.checked })} />
+            Required
+          </label>
+        )}
+        <input
+          type="text"
+          value={field.help || ''}
+          onChange={(e) => updateField(index, { help: e.target.value })}
+          placeholder="Help text (optional)"
+          className={`${inputClass} flex-1`}
+        />
+      </div>
+    </div>
+  );
+
+  const renderEditor = () => (
+    <div className="space-y-4 border-t border-gray-200 pt-4">
+      <h4 className="font-semibold text-gray-800">{draft.id ? `Edit ${draft.label}` : 'New section'}</h4>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-sm text-gray-700">
+          Name
+          <input type="text" value={draft.label} onChange={(e) => updateDraft({ label: e.target.value })} placeholder="e.g. Marketplace" className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          One post is called
+          <input type="text" value={draft.itemLabel} onChange={(e) => updateDraft({ itemLabel: e.target.value })} placeholder="e.g. Listing" className={inputClass} />
+        </label>
+        <label className="text-sm text-gray-700">
+          Icon
+          <select value={draft.icon} onChange={(e) => updateDraft({ icon: e.target.value })} className={inputClass}>
+            {Object.keys(SECTION_ICONS).map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          Colour
+          <select value={draft.accent} onChange={(e) => updateDraft({ accent: e.target.value })} className={inputClass}>
+            {Object.keys(ACCENTS).map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700 md:col-span-2">
+          Who can post
+          <select value={draft.submissions} onChange={(e) => updateDraft({ submissions: e.target.value })} className={inputClass}>
+            {SUBMISSION_MODES.map((mode) => <option key={mode.value} value={mode.value}>{mode.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-sm text-gray-600">Every post has a title and details. Add any other fields below.</p>
+        {draft.fields.map(renderFieldEditor)}
+        <button
+          type="button"
+          onClick={() => updateDraft({ fields: [...draft.fields, { label: '', type: 'text' }] })}
+          className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="w-4 h-4" /> Add field
+        </button>
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="p-3 rounded-lg bg-red-50 text-sm text-red-700 list-disc list-inside">
+          {problems.map((problem) => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      <div className="flex gap-3">
+        <button type="button" onClick={handleSave} className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors">
+          {draft.id ? 'Save Section' : 'Create Section'}
+        </button>
+        <button type="button" onClick={() => setDraft(null)} className="bg-gray-500 text-white px-6 py-2 rounded-lg hover:bg-gray-600 transition-colors">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <LayoutList className="w-5 h-5" /> Manage Sections
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-4">
+        {sections.map((definition, index) => {
+          const Icon = iconFor(definition.icon);
+          return (
+            <div key={definition.id} className={`flex items-center gap-3 p-2 border border-gray-200 rounded-lg ${definition.hidden ? 'opacity-60' : ''}`}>
+              <Icon className="w-4 h-4 text-gray-600" />
+              <input
+                type="text"
+                value={labels[definition.id] ?? definition.label}
+                onChange={(e) => setLabels({ ...labels, [definition.id]: e.target.value })}
+                onBlur={() => handleRename(definition)}
+                aria-label="Section name"
+                className="flex-1 p-1 border border-transparent rounded hover:border-gray-300 focus:border-gray-300 text-sm"
+              />
+              {definition.custom && <span className="text-xs text-gray-500">custom</span>}
+              <button
+                type="button"
+                onClick={() => run(() => saveSectionOrder(move(sections, index, -1)), "Error reordering sections: ")}
+                className="text-gray-600 hover:text-gray-800 p-1 rounded"
+                title="Move up"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => run(() => saveSectionOrder(move(sections, index, 1)), "Error reordering sections: ")}
+                className="text-gray-600 hover:text-gray-800 p-1 rounded"
+                title="Move down"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => run(() => updateSection(definition.id, { hidden: !definition.hidden }), "Error hiding section: ")}
+                className="text-gray-600 hover:text-gray-800 p-1 rounded"
+                title={definition.hidden ? 'Show' : 'Hide'}
+              >
+                {definition.hidden ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+              </button>
+              {definition.custom && (
+                <>
+                  <button type="button" onClick={() => editDraft(definition)} className="text-blue-600 hover:text-blue-800 p-1 rounded" title="Edit fields">
+                    <Edit className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => handleDelete(definition)} className="text-red-600 hover:text-red-800 p-1 rounded" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {draft ? renderEditor() : (
+        <button
+          type="button"
+          onClick={() => editDraft(null)}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          <Plus className="w-4 h-4" /> New Section
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SectionManager;
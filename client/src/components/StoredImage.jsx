@@ -0,0 +1,12 @@
+// Filename: StoredImage.jsx
+import React from 'react';
+import { useFileUrl } from '../hooks/useFileUrl';
+
+// An <img> for a file kept in the storage backend, with a placeholder while its URL loads
+const StoredImage = ({ path, alt, className }) => {
+  const url = useFileUrl(path);
+  if (!url) return <div className={`${className} bg-gray-100 animate-pulse`} />;
+  return <img src={url} alt={alt} className={className} />;
+};
+
+export default StoredImage;
@@ -0,0 +1,25 @@
+// Filename: SubmissionSummary.jsx
+import React from 'react';
+import PhotoGallery from './PhotoGallery';
+import Markdown from './Markdown';
+import { fieldSummary } from '../sections';
+
+// Compact read-only view of a submission's fields, shared by the moderation queue and "My submissions"
+const SubmissionSummary = ({ definition, data }) => {
+  const details = definition ? fieldSummary(definition, data).map((entry) => `${entry.label}: ${entry.text}`) : [];
+
+  return (
+    <div>
+      <div className="font-medium text-gray-800">{data.title}</div>
+      <Markdown text={data.content} limit={300} className="text-sm text-gray-600" />
+      {details.length > 0 && <div className="text-xs text-gray-500 mt-1">{details.join(' · ')}</div>}
+      {data.photos && data.photos.length > 0 && (
+        <div className="mt-2">
+          <PhotoGallery photos={data.photos} title={data.title} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubmissionSummary;
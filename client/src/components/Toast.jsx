@@ -0,0 +1,39 @@
+// Filename: Toast.jsx
+import React, { useEffect } from 'react';
+
+// Lucide-react icons for the UI
+import { X } from 'lucide-react';
+
+// How long a toast stays up
+const TOAST_MS = 8000;
+
+// Short-lived message at the bottom of the screen with an optional action, such as "Undo"
+const Toast = ({ message, actionLabel, onAction, onClose }) => {
+  useEffect(() => {
+    const timer = setTimeout(onClose, TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [message, onClose]);
+
+  return (
+    <div role="status" className="fixed bottom-6 left-1/2 -translate-x-1/2 z-30 flex items-center gap-4 bg-gray-900 text-white text-sm px-4 py-3 rounded-lg shadow-lg">
+      <span>{message}</span>
+      {onAction && (
+        <button
+          type="button"
+          onClick={() => {
+            onAction();
+            onClose();
+          }}
+          className="font-semibold text-blue-300 hover:text-blue-200"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button type="button" onClick={onClose} className="text-gray-400 hover:text-white" title="Dismiss">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default Toast;
@@ -0,0 +1,50 @@
+// Filename: TrashView.jsx
+import React from 'react';
+
+// Lucide-react icons for the UI
+import { Trash, RotateCcw, Trash2, History, X } from 'lucide-react';
+
+// Staff panel listing deleted posts across sections, to restore them or delete them for good
+const TrashView = ({ items, getSection, userId, onRestore, onDeleteForever, onShowHistory, onClose }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+    <div className="flex justify-between items-center mb-4">
+      <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+        <Trash className="w-5 h-5" /> Trash
+      </h3>
+      <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+        <X className="w-5 h-5" />
+      </button>
+    </div>
+
+    {items.length === 0 && <p className="text-gray-600 text-sm">The trash is empty.</p>}
+    <div className="space-y-2">
+      {items.map((item) => {
+        const definition = getSection(item.section);
+        return (
+          <div key={`${item.section}-${item.id}`} className="flex items-center gap-3 p-3 border border-gray-200 rounded-lg">
+            <div className="flex-1 min-w-0">
+              <div className="font-medium text-gray-800 truncate">{item.title}</div>
+              <div className="text-xs text-gray-500">
+                {definition ? definition.label : item.section} · deleted {item.deletedAt.toLocaleString()}
+                {' by '}{item.deletedBy === userId ? 'you' : (item.deletedBy || 'unknown').slice(0, 8)}
+              </div>
+            </div>
+            {definition && (
+              <button onClick={() => onShowHistory(item)} className="text-gray-600 hover:text-gray-800 p-1 rounded" title="History">
+                <History className="w-4 h-4" />
+              </button>
+            )}
+            <button onClick={() => onRestore(item)} className="text-blue-600 hover:text-blue-800 p-1 rounded" title="Restore">
+              <RotateCcw className="w-4 h-4" />
+            </button>
+            <button onClick={() => onDeleteForever(item)} className="text-red-600 hover:text-red-800 p-1 rounded" title="Delete forever">
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default TrashView;
@@ -0,0 +1,141 @@
+// Filename: VersionHistory.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { listVersions, diffVersions, HISTORY_ACTIONS } from '../utils/history';
+
+// Lucide-react icons for the UI
+import { History, RotateCcw, X } from 'lucide-react';
+
+const DIFF_CLASSES = {
+  same: 'text-gray-700',
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800 line-through',
+};
+
+// Versions of one post, the differences between any two of them, and restoring an earlier one
+const VersionHistory = ({ definition, item, userId, onRestoreVersion, onClose }) => {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  // Version being looked at, and the one it is compared with (by default the one before it)
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setVersions(await listVersions(definition.id, item.id));
+    } catch (e) {
+      console.error("Error loading history: ", e);
+    }
+    setIsLoading(false);
+  }, [definition.id, item.id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const selectedIndex = Math.max(0, versions.findIndex((version) => version.id === selectedId));
+  const selected = versions[selectedIndex];
+  const compared = versions.find((version) => version.id === compareId) || versions[selectedIndex + 1];
+  const changes = selected ? diffVersions(definition, compared ? compared.data : {}, selected.data) : [];
+
+  const describeUser = (uid) => (uid === userId ? 'you' : uid ? uid.slice(0, 8) : 'unknown');
+
+  const handleRestore = async (version) => {
+    await onRestoreVersion(version);
+    setSelectedId(null);
+    setCompareId(null);
+    load();
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          <History className="w-5 h-5" /> History of “{item.title}”
+        </h3>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700 p-1 rounded" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {isLoading && <p className="text-sm text-gray-600">Loading history...</p>}
+      {!isLoading && versions.length === 0 && (
+        <p className="text-sm text-gray-600">No changes have been recorded for this post yet.</p>
+      )}
+
+      {versions.length > 0 && (
+        <div className="flex flex-col md:flex-row gap-6">
+          <ol className="md:w-64 space-y-1">
+            {versions.map((version, index) => (
+              <li key={version.id}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setSelectedId(version.id);
+                    setCompareId(null);
+                  }}
+                  className={`w-full text-left px-3 py-2 rounded-lg text-sm ${
+                    version === selected ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100 text-gray-700'
+                  }`}
+                >
+                  <div className="font-medium">{HISTORY_ACTIONS[version.action] || version.action}{index === 0 && ' (current)'}</div>
+                  <div className="text-xs text-gray-500">
+                    {version.changedAt ? version.changedAt.toLocaleString() : ''} by {describeUser(version.changedBy)}
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ol>
+
+          <div className="flex-1 space-y-4">
+            <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+              <span>Compared with</span>
+              <select
+                value={compared ? compared.id : ''}
+                onChange={(e) => setCompareId(e.target.value)}
+                className="p-1 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">Nothing (first version)</option>
+                {versions.filter((version) => version !== selected).map((version) => (
+                  <option key={version.id} value={version.id}>
+                    {HISTORY_ACTIONS[version.action] || version.action}, {version.changedAt ? version.changedAt.toLocaleString() : ''}
+                  </option>
+                ))}
+              </select>
+              {selectedIndex > 0 && (
+                <button
+                  type="button"
+                  onClick={() => handleRestore(selected)}
+                  className="ml-auto flex items-center gap-1 bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700"
+                >
+                  <RotateCcw className="w-4 h-4" /> Restore this version
+                </button>
+              )}
+            </div>
+
+            {changes.length === 0 && <p className="text-sm text-gray-600">No differences in the post's fields.</p>}
+            {changes.map((change) => (
+              <div key={change.name} className="border border-gray-200 rounded-lg p-3">
+                <div className="text-sm font-medium text-gray-700 mb-1">{change.label}</div>
+                {change.words ? (
+                  <p className="text-sm whitespace-pre-line">
+                    {change.words.map((run, index) => (
+                      <span key={index} className={DIFF_CLASSES[run.type]}>{run.text}</span>
+                    ))}
+                  </p>
+                ) : (
+                  <p className="text-sm">
+                    {change.before && <span className={DIFF_CLASSES.removed}>{change.before}</span>}
+                    {change.before && change.after && ' → '}
+                    {change.after && <span className={DIFF_CLASSES.added}>{change.after}</span>}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
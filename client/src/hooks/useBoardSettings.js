@@ -0,0 +1,35 @@
+// Filename: useBoardSettings.js
+import { useState, useEffect, useCallback } from 'react';
+import { storage, appDataPath } from '../storage';
+
+// Board-wide settings are a single document at /artifacts/{appId}/settings/board
+const settingsPath = () => appDataPath('settings');
+const SETTINGS_ID = 'board';
+
+// Live board settings, a function admins can use to change them, and whether the settings
+// have loaded; until then every setting reads as its default
+export const useBoardSettings = (enabled) => {
+  const [settings, setSettings] = useState({});
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = storage.subscribeDoc(settingsPath(), SETTINGS_ID, (doc) => {
+      setSettings(doc || {});
+      setIsLoaded(true);
+    }, (error) => {
+      console.error("Error fetching board settings:", error);
+    });
+    return () => unsubscribe();
+  }, [enabled]);
+
+  const saveSettings = useCallback(async (patch) => {
+    try {
+      await storage.update(settingsPath(), SETTINGS_ID, patch);
+    } catch (error) {
+      console.error("Error saving board settings:", error);
+    }
+  }, []);
+
+  return [settings, saveSettings, isLoaded];
+};
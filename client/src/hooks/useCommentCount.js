@@ -0,0 +1,27 @@
+// Filename: useCommentCount.js
+import { useState, useEffect } from 'react';
+import { countVisibleComments } from '../utils/comments';
+
+// Number of comments readers can see on a post, fetched each time `enabled` turns on from the
+// counts shared by every card (see countVisibleComments); null until the count arrives or when
+// it cannot be had, such as while offline.
+export const useCommentCount = (collectionName, postId, enabled) => {
+  const key = `${collectionName}/${postId}`;
+  // Tagged with the post it belongs to, like useComments
+  const [state, setState] = useState({ key: '', count: null });
+
+  useEffect(() => {
+    if (!enabled || !collectionName || !postId) return;
+    let isCurrent = true;
+    countVisibleComments(collectionName, postId).then((count) => {
+      if (isCurrent) setState({ key, count });
+    }, (error) => {
+      console.error("Error counting comments:", error);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [collectionName, postId, key, enabled]);
+
+  return state.key === key ? state.count : null;
+};
@@ -0,0 +1,37 @@
+// Filename: useComments.js
+import { useState, useEffect, useRef } from 'react';
+import { storage } from '../storage';
+import { commentsPath, readableComments, withCommentDefaults, lacksCommentDefaults } from '../utils/comments';
+
+// Comments on a post that the reader may see, kept live while its thread is open: every one for
+// staff, and those not hidden for members. Returns `{ comments, isLoading }`.
+export const useComments = (collectionName, postId, enabled, isStaff) => {
+  const key = `${collectionName}/${postId}`;
+  // Tagged with the post they belong to, so another post's thread never shows them
+  const [state, setState] = useState({ key: '', comments: [] });
+  const filledIds = useRef(new Set());
+
+  useEffect(() => {
+    if (!enabled || !collectionName || !postId) return;
+    const path = commentsPath(collectionName, postId);
+    const unsubscribe = storage.subscribe(path, (comments) => {
+      setState({ key, comments: comments.map(withCommentDefaults) });
+      // Staff give comments written before `hidden` and `deleted` were always set both fields,
+      // so that members' threads and counts, which filter on them, include them
+      if (!isStaff) return;
+      comments.filter((comment) => lacksCommentDefaults(comment) && !filledIds.current.has(comment.id)).forEach((comment) => {
+        filledIds.current.add(comment.id);
+        const { hidden, deleted } = withCommentDefaults(comment);
+        storage.update(path, comment.id, { hidden, deleted }).catch((error) => {
+          console.error("Error updating comment:", error);
+        });
+      });
+    }, (error) => {
+      console.error("Error fetching comments:", error);
+      setState({ key, comments: [] });
+    }, readableComments(isStaff));
+    return () => unsubscribe();
+  }, [collectionName, postId, key, enabled, isStaff]);
+
+  return { comments: state.key === key ? state.comments : [], isLoading: state.key !== key };
+};
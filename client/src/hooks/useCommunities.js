@@ -0,0 +1,50 @@
+// Filename: useCommunities.js
+import { useState, useEffect, useMemo } from 'react';
+import { storage, getCommunityId } from '../storage';
+import { communitiesPath, membershipsPath, withBranding, DEFAULT_COMMUNITY_ID } from '../utils/communities';
+
+// The community directory and the signed-in user's memberships, kept live. Returns the current
+// community, the ones the user belongs to (with their `role` there) and open ones they could join.
+export const useCommunities = (uid) => {
+  const [directory, setDirectory] = useState([]);
+  const [membership, setMembership] = useState(null);
+
+  useEffect(() => {
+    if (!uid) return;
+    const unsubscribe = storage.subscribe(communitiesPath(), setDirectory, (error) => {
+      console.error("Error fetching communities:", error);
+    });
+    return () => unsubscribe();
+  }, [uid]);
+
+  useEffect(() => {
+    if (!uid) {
+      setMembership(null);
+      return;
+    }
+    const unsubscribe = storage.subscribeDoc(membershipsPath(), uid, setMembership, (error) => {
+      console.error("Error fetching memberships:", error);
+    });
+    return () => unsubscribe();
+  }, [uid]);
+
+  return useMemo(() => {
+    const currentId = getCommunityId();
+    const roles = (membership && membership.communities) || {};
+    const entries = Object.fromEntries(directory.map((entry) => [entry.id, entry]));
+    // The default and current communities are listed even before anyone gives them an entry
+    const ids = [...new Set([DEFAULT_COMMUNITY_ID, currentId, ...Object.keys(entries)])];
+    const all = ids
+      .map((id) => ({ ...withBranding(id, entries[id]), role: roles[id] || null }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const isMine = (community) => Boolean(community.role) || community.id === currentId
+      || (community.id === DEFAULT_COMMUNITY_ID && community.access === 'open');
+
+    return {
+      current: all.find((community) => community.id === currentId),
+      all,
+      mine: all.filter(isMine),
+      joinable: all.filter((community) => !isMine(community) && community.access === 'open'),
+    };
+  }, [directory, membership]);
+};
@@ -0,0 +1,31 @@
+// Filename: useFileUrl.js
+import { useState, useEffect } from 'react';
+import { storage } from '../storage';
+
+// Resolved URLs are shared between every image showing the same file
+const urlCache = new Map();
+
+// URL for a stored file, or null while it is being looked up (or if it is missing)
+export const useFileUrl = (path) => {
+  const [url, setUrl] = useState(() => urlCache.get(path) || null);
+
+  useEffect(() => {
+    if (!path) return;
+    if (urlCache.has(path)) {
+      setUrl(urlCache.get(path));
+      return;
+    }
+    let cancelled = false;
+    storage.getFileUrl(path).then((resolved) => {
+      urlCache.set(path, resolved);
+      if (!cancelled) setUrl(resolved);
+    }).catch((error) => {
+      console.error("Error loading file:", path, error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  return url;
+};
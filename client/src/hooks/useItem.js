@@ -0,0 +1,27 @@
+// Filename: useItem.js
+import { useState, useEffect } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { parseOccurrenceId, findOccurrence } from '../utils/recurrence';
+
+// One post kept live, for its own page. Occurrences of recurring events are addressed by their
+// `{seriesId}_{date}` id and resolved from the series. Returns `{ item, isLoading }`; `item` is
+// null when the post does not exist.
+export const useItem = (collectionName, id, enabled) => {
+  const key = `${collectionName}/${id}`;
+  // Tagged with the post it belongs to, so a new link never shows the previous post
+  const [state, setState] = useState({ key: '', item: null });
+
+  useEffect(() => {
+    if (!enabled || !collectionName || !id) return;
+    const { seriesId, dateKey } = parseOccurrenceId(id);
+    const unsubscribe = storage.subscribeDoc(publicDataPath(collectionName), seriesId, (doc) => {
+      setState({ key, item: doc && dateKey ? findOccurrence(doc, dateKey) : doc });
+    }, (error) => {
+      console.error("Error fetching post:", error);
+      setState({ key, item: null });
+    });
+    return () => unsubscribe();
+  }, [collectionName, id, key, enabled]);
+
+  return { item: state.key === key ? state.item : null, isLoading: state.key !== key };
+};
@@ -0,0 +1,47 @@
+// Filename: useLostFound.js
+import { useState, useEffect, useRef } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { isStale, findMatches } from '../utils/lostFound';
+import { withoutTrashed } from '../utils/trash';
+
+// Watches every open Lost & Found item so new posts can be matched against all of them, not
+// just the loaded page. With `canSweep` (staff, once the board settings have loaded) it also
+// saves the lifecycle changes the board works out on its own: archiving stale items and giving
+// a status to items posted before statuses existed.
+export const useLostFound = ({ enabled, canSweep, archiveDays, loadedItems }) => {
+  const [openItems, setOpenItems] = useState([]);
+  const sweptIds = useRef(new Set());
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = storage.subscribe(publicDataPath('lost-found'), (items) => setOpenItems(withoutTrashed(items)), (error) => {
+      console.error("Error fetching open lost & found items:", error);
+    }, { where: [['status', '==', 'open']] });
+    return () => unsubscribe();
+  }, [enabled]);
+
+  useEffect(() => {
+    if (!enabled || !canSweep) return;
+    [...openItems, ...loadedItems].forEach((item) => {
+      if (sweptIds.current.has(item.id)) return;
+      const status = isStale(item, archiveDays) ? 'archived' : (item.status ? null : 'open');
+      if (!status) return;
+      sweptIds.current.add(item.id);
+      storage.update(publicDataPath('lost-found'), item.id, {
+        status,
+        statusChangedAt: new Date(),
+        ...(status === 'archived' ? { autoArchived: true } : {}),
+      }).catch((error) => {
+        console.error("Error updating lost & found status:", error);
+      });
+    });
+  }, [enabled, canSweep, archiveDays, openItems, loadedItems]);
+
+  // Items without a status are not returned by the query yet, so include the loaded ones
+  const openIds = new Set(openItems.map((item) => item.id));
+  const candidates = [...openItems, ...loadedItems.filter((item) => !item.status && !openIds.has(item.id))];
+
+  const matchesFor = (item) => findMatches(item, candidates, { archiveDays });
+
+  return { matchesFor };
+};
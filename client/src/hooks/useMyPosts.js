@@ -0,0 +1,29 @@
+// Filename: useMyPosts.js
+import { useState, useEffect } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { withoutTrashed } from '../utils/trash';
+
+// Posts the user owns in every section, newest first, each tagged with its section. Trashed
+// posts are left out. `collections` maps section ids to collection names and must be a stable object.
+export const useMyPosts = (collections, uid, enabled) => {
+  const [bySection, setBySection] = useState({});
+
+  useEffect(() => {
+    if (!enabled || !uid) return;
+    const unsubscribes = Object.entries(collections).map(([section, collectionName]) => storage.subscribe(
+      publicDataPath(collectionName),
+      (items) => setBySection((prev) => ({ ...prev, [section]: withoutTrashed(items).map((item) => ({ ...item, section })) })),
+      (error) => console.error("Error fetching my posts:", section, error),
+      { where: [['authorUid', '==', uid]] },
+    ));
+    return () => {
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      setBySection({});
+    };
+  }, [collections, uid, enabled]);
+
+  return Object.entries(bySection)
+    .filter(([section]) => collections[section])
+    .flatMap(([, items]) => items)
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+};
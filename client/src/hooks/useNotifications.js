@@ -0,0 +1,155 @@
+// Filename: useNotifications.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { toMillis, postedAt, readableWhere } from '../utils/filters';
+import { toPlainText } from '../utils/markdown';
+import {
+  usersPath, sectionPrefs, isNotifiable, BROWSER_NOTIFICATION_RULES, showBrowserNotification,
+} from '../utils/notifications';
+
+// How far back the notification center looks for a first-time visitor, and at most
+const MAX_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+const FIRST_VISIT_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Fields whose recent values can make a post news: when it was written, and for announcements
+// when it was published, since a scheduled announcement is news once its time comes
+const NEWS_FIELDS = { announcements: ['createdAt', 'publishAt'] };
+const newsFields = (section) => NEWS_FIELDS[section] || ['createdAt'];
+
+// Unread counts, the "since your last visit" list and browser notifications for the board.
+// Posts count as new by when they were posted (see postedAt), re-checked as `now` moves on.
+// `collections` maps section ids to collection names and must be a stable object;
+// `onOpenSection` is called when a browser notification is clicked.
+export const useNotifications = ({ uid, isStaff, collections, activeSection, now, onOpenSection }) => {
+  const [userDoc, setUserDoc] = useState(undefined);
+  // Latest snapshot of each watch, as `{ [section]: { [field]: items } }`
+  const [snapshots, setSnapshots] = useState({});
+  // Start of the notification window, fixed for the session once the user document has loaded
+  const [since, setSince] = useState(null);
+  // When the board was last opened before this session
+  const previousVisit = useRef(null);
+  const knownIds = useRef({});
+  const openSection = useRef(onOpenSection);
+  useEffect(() => {
+    openSection.current = onOpenSection;
+  });
+
+  useEffect(() => {
+    if (!uid) return;
+    const unsubscribe = storage.subscribeDoc(usersPath(), uid, (doc) => setUserDoc(doc || {}), (error) => {
+      console.error("Error fetching notification state:", error);
+    });
+    return () => unsubscribe();
+  }, [uid]);
+
+  // Once per session: remember the previous visit, pick the window and record this visit
+  useEffect(() => {
+    if (!uid || userDoc === undefined || since !== null) return;
+    const visitedAt = Date.now();
+    const lastVisit = toMillis(userDoc.lastVisit) || visitedAt - FIRST_VISIT_LOOKBACK_MS;
+    const seenTimes = Object.values(userDoc.lastSeen || {}).map(toMillis).filter(Boolean);
+    previousVisit.current = lastVisit;
+    setSince(new Date(Math.max(visitedAt - MAX_LOOKBACK_MS, Math.min(lastVisit, ...seenTimes))));
+    storage.update(usersPath(), uid, { lastVisit: new Date(visitedAt) }).catch((error) => {
+      console.error("Error recording visit:", error);
+    });
+  }, [uid, userDoc, since]);
+
+  const prefs = (userDoc && userDoc.notificationPrefs) || {};
+  const prefsKey = JSON.stringify(prefs);
+
+  // Watch each section for posts written, or published, after the window start
+  useEffect(() => {
+    if (!uid || !since) return;
+    const unsubscribes = Object.entries(collections).flatMap(([section, collectionName]) => newsFields(section)
+      .map((field) => storage.subscribe(
+        publicDataPath(collectionName),
+        (items) => setSnapshots((prev) => ({ ...prev, [section]: { ...prev[section], [field]: items } })),
+        (error) => console.error("Error watching for new posts:", section, error),
+        { where: [[field, '>', since], ...readableWhere(collectionName, isStaff)] },
+      )));
+    return () => {
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      setSnapshots({});
+    };
+  }, [uid, isStaff, since, collections]);
+
+  // Posts that are news right now, for the sections whose watches have all reported
+  const recentBySection = Object.fromEntries(Object.keys(collections).flatMap((section) => {
+    const bySubscription = snapshots[section] || {};
+    if (!newsFields(section).every((field) => bySubscription[field])) return [];
+    const items = new Map(newsFields(section).flatMap((field) => bySubscription[field]).map((item) => [item.id, item]));
+    return [[section, [...items.values()]
+      .filter((item) => isNotifiable(item, section, uid, now) && postedAt(item) > toMillis(since))]];
+  }));
+  const recentKey = Object.entries(recentBySection)
+    .map(([section, items]) => `${section}:${items.map((item) => item.id).join(',')}`)
+    .join(';');
+  const recentRef = useRef(recentBySection);
+  useEffect(() => {
+    recentRef.current = recentBySection;
+  });
+
+  // Raise browser notifications for posts that became news while the board is in the background.
+  // The first report of a section is what was already there.
+  useEffect(() => {
+    const currentPrefs = JSON.parse(prefsKey);
+    Object.entries(recentRef.current).forEach(([section, relevant]) => {
+      const known = knownIds.current[section];
+      const rule = BROWSER_NOTIFICATION_RULES[section];
+      if (known && rule && sectionPrefs(currentPrefs, section).browser && document.visibilityState !== 'visible') {
+        relevant.filter((item) => !known.has(item.id) && rule(item)).forEach((item) => {
+          showBrowserNotification(item.title || 'New post', {
+            body: item.content ? toPlainText(item.content).slice(0, 140) : '',
+            tag: `${section}-${item.id}`,
+            onClick: () => openSection.current(section),
+          });
+        });
+      }
+      knownIds.current[section] = new Set(relevant.map((item) => item.id));
+    });
+  }, [recentKey, prefsKey]);
+
+  const lastSeen = (userDoc && userDoc.lastSeen) || {};
+  const unreadFor = (section) => {
+    if (!sectionPrefs(prefs, section).inApp) return [];
+    const seenAt = toMillis(lastSeen[section]) || previousVisit.current || 0;
+    return (recentBySection[section] || []).filter((item) => postedAt(item) > seenAt);
+  };
+  const unread = Object.fromEntries(Object.keys(collections).map((section) => [section, unreadFor(section).length]));
+
+  // Everything new since the previous visit, newest first, for the notification center
+  const recent = Object.entries(recentBySection)
+    .filter(([section]) => sectionPrefs(prefs, section).inApp)
+    .flatMap(([section, items]) => items
+      .filter((item) => postedAt(item) > (previousVisit.current || 0))
+      .map((item) => ({ ...item, section, isUnread: unreadFor(section).some((entry) => entry.id === item.id) })))
+    .sort((a, b) => postedAt(b) - postedAt(a));
+
+  const markSeen = useCallback((sections) => {
+    if (!uid) return;
+    const seenAt = new Date();
+    storage.update(usersPath(), uid, { lastSeen: Object.fromEntries(sections.map((section) => [section, seenAt])) })
+      .catch((error) => console.error("Error marking posts as read:", error));
+  }, [uid]);
+
+  // Looking at a section marks its posts as read, including when the tab is brought back
+  const activeUnread = unread[activeSection] || 0;
+  useEffect(() => {
+    if (activeUnread === 0) return;
+    const markIfVisible = () => {
+      if (document.visibilityState === 'visible') markSeen([activeSection]);
+    };
+    markIfVisible();
+    document.addEventListener('visibilitychange', markIfVisible);
+    return () => document.removeEventListener('visibilitychange', markIfVisible);
+  }, [activeSection, activeUnread, markSeen]);
+
+  const savePrefs = useCallback((section, patch) => {
+    if (!uid) return;
+    storage.update(usersPath(), uid, { notificationPrefs: { [section]: patch } })
+      .catch((error) => console.error("Error saving notification preferences:", error));
+  }, [uid]);
+
+  return { unread, recent, prefs, markSeen, savePrefs };
+};
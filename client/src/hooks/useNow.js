@@ -0,0 +1,15 @@
+// Filename: useNow.js
+import { useState, useEffect } from 'react';
+
+// Current time, refreshed every `intervalMs` so time-based visibility (such as scheduled
+// and expiring announcements) updates without a reload
+export const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
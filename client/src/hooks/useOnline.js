@@ -0,0 +1,19 @@
+// Filename: useOnline.js
+import { useState, useEffect } from 'react';
+
+// Whether the browser currently believes it has a network connection
+export const useOnline = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
@@ -0,0 +1,15 @@
+// Filename: useOutbox.js
+import { useState, useEffect } from 'react';
+import { storage } from '../storage';
+
+// Writes waiting to be synced; always empty for backends without an outbox
+export const useOutbox = () => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    if (!storage.outbox) return;
+    return storage.outbox.subscribe(setEntries);
+  }, []);
+
+  return entries;
+};
@@ -0,0 +1,21 @@
+// Filename: usePinnedAnnouncements.js
+import { useState, useEffect } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { withoutTrashed } from '../utils/trash';
+import { readableWhere } from '../utils/filters';
+
+// Pinned announcements are watched on their own so they stay on top even when they are
+// older than the pages of the feed loaded so far
+export const usePinnedAnnouncements = (enabled, isStaff) => {
+  const [pinned, setPinned] = useState([]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = storage.subscribe(publicDataPath('announcements'), (items) => setPinned(withoutTrashed(items)), (error) => {
+      console.error("Error fetching pinned announcements:", error);
+    }, { where: [['pinned', '==', true], ...readableWhere('announcements', isStaff)] });
+    return () => unsubscribe();
+  }, [enabled, isStaff]);
+
+  return pinned;
+};
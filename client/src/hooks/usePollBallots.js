@@ -0,0 +1,47 @@
+// Filename: usePollBallots.js
+import { useState, useEffect, useRef } from 'react';
+import { storage } from '../storage';
+import { ballotsPath, tallyPath, isAnonymous, hasLegacyVotes, moveLegacyVotes } from '../utils/polls';
+
+// The user's own ballot and the tally entries of an anonymous poll, kept live. Returns
+// `{ ballot, entries }`; public polls keep their votes on the poll, so both stay empty. Staff
+// also move the poll's legacy ballots out of its `votes` map (see polls.js).
+export const usePollBallots = (poll, { uid, isStaff, enabled }) => {
+  const isWatched = enabled && isAnonymous(poll);
+  const key = `${poll.id}/${uid}`;
+  // Tagged with the poll and user they belong to, like useComments
+  const [ballot, setBallot] = useState({ key: '', doc: null });
+  const [entries, setEntries] = useState({ key: '', docs: [] });
+
+  useEffect(() => {
+    if (!isWatched || !uid) return;
+    const unsubscribe = storage.subscribeDoc(ballotsPath(poll.id), uid, (doc) => setBallot({ key, doc }), (error) => {
+      console.error("Error fetching ballot:", error);
+    });
+    return () => unsubscribe();
+  }, [isWatched, poll.id, uid, key]);
+
+  useEffect(() => {
+    if (!isWatched) return;
+    const unsubscribe = storage.subscribe(tallyPath(poll.id), (docs) => setEntries({ key: poll.id, docs }), (error) => {
+      console.error("Error fetching poll results:", error);
+    });
+    return () => unsubscribe();
+  }, [isWatched, poll.id]);
+
+  // Moved once per poll; the cleared `votes` map ends it
+  const needsMove = Boolean(isStaff && enabled && hasLegacyVotes(poll));
+  const latestPoll = useRef(poll);
+  useEffect(() => {
+    latestPoll.current = poll;
+  });
+  useEffect(() => {
+    if (!needsMove) return;
+    moveLegacyVotes(latestPoll.current).catch((error) => console.error("Error moving poll ballots:", error));
+  }, [needsMove, poll.id]);
+
+  return {
+    ballot: isWatched && ballot.key === key ? ballot.doc : null,
+    entries: isWatched && entries.key === poll.id ? entries.docs : [],
+  };
+};
@@ -0,0 +1,30 @@
+// Filename: useProfiles.js
+import { useState, useEffect } from 'react';
+import { storage } from '../storage';
+import { profilesPath, contactsPath } from '../utils/profiles';
+
+// Documents of the given users in the collection at `path`, kept live as `{ [uid]: doc }`;
+// users without one are left out. Empty uids and repeats in `uids` are ignored.
+const useUserDocs = (path, uids, enabled) => {
+  const key = [...new Set(uids.filter(Boolean))].sort().join(',');
+  const [docs, setDocs] = useState({});
+
+  useEffect(() => {
+    if (!enabled || !key) return;
+    const unsubscribes = key.split(',').map((uid) => storage.subscribeDoc(path, uid, (doc) => {
+      setDocs((prev) => {
+        const { [uid]: _previous, ...rest } = prev;
+        return doc ? { ...rest, [uid]: doc } : rest;
+      });
+    }, (error) => console.error("Error fetching user details:", path, uid, error)));
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [path, key, enabled]);
+
+  return docs;
+};
+
+// Profiles of the given users, shared by every community
+export const useProfiles = (uids, enabled) => useUserDocs(profilesPath(), uids, enabled);
+
+// Contact details the given users left in the current community
+export const useContacts = (uids, enabled) => useUserDocs(contactsPath(), uids, enabled);
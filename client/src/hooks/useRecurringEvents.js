@@ -0,0 +1,20 @@
+// Filename: useRecurringEvents.js
+import { useState, useEffect } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { withoutTrashed } from '../utils/trash';
+
+// Recurring series are watched on their own, since a series posted long ago still has
+// upcoming occurrences that the newest pages of the feed would miss
+export const useRecurringEvents = (enabled) => {
+  const [series, setSeries] = useState([]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = storage.subscribe(publicDataPath('events'), (items) => setSeries(withoutTrashed(items)), (error) => {
+      console.error("Error fetching recurring events:", error);
+    }, { where: [['isRecurring', '==', true]] });
+    return () => unsubscribe();
+  }, [enabled]);
+
+  return series;
+};
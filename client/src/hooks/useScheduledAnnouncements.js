@@ -0,0 +1,65 @@
+// Filename: useScheduledAnnouncements.js
+import { useState, useEffect, useRef } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { announcementState } from '../utils/filters';
+
+// Scheduled announcements watched at once, soonest first; later ones come into the page as
+// these are published
+const SCHEDULED_PAGE_SIZE = 50;
+// Announcements checked at a time for a missing `scheduled` flag
+const FLAG_PAGE_SIZE = 100;
+
+// Scheduled announcements carry `scheduled: true` until they are published, which keeps them
+// out of members' queries. Staff boards publish them once their time has come, and set the
+// flag on announcements written before it existed. Members only see a scheduled announcement
+// after a staff board has published it, since asking for announcements that are due would
+// depend on their clock agreeing with the server's.
+export const useScheduledAnnouncements = ({ enabled, isStaff, now }) => {
+  const [scheduled, setScheduled] = useState([]);
+  const sweptIds = useRef(new Set());
+  const path = publicDataPath('announcements');
+
+  // Staff: watch the announcements that are published next
+  useEffect(() => {
+    if (!enabled || !isStaff) return;
+    const unsubscribe = storage.subscribe(path, setScheduled, (error) => {
+      console.error("Error fetching scheduled announcements:", error);
+    }, { where: [['scheduled', '==', true]], orderBy: 'publishAt', limit: SCHEDULED_PAGE_SIZE });
+    return () => unsubscribe();
+  }, [enabled, isStaff, path]);
+
+  // Staff: flag announcements written before `scheduled` existed, oldest first. Those are older
+  // than every flagged one, so a page without any means there are no more; once all are flagged
+  // this reads a single page per session.
+  useEffect(() => {
+    if (!enabled || !isStaff) return;
+    let isCurrent = true;
+    const flagOlder = async (cursor) => {
+      const page = await storage.list(path, { orderBy: 'createdAt', limit: FLAG_PAGE_SIZE, startAfter: cursor });
+      const unflagged = page.filter((item) => item.scheduled === undefined);
+      await Promise.all(unflagged.map((item) => storage.update(path, item.id, {
+        scheduled: announcementState(item) === 'scheduled',
+      })));
+      if (isCurrent && unflagged.length > 0 && page.length === FLAG_PAGE_SIZE) await flagOlder(page[page.length - 1]);
+    };
+    flagOlder().catch((error) => {
+      console.error("Error flagging announcements:", error);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [enabled, isStaff, path]);
+
+  // Published announcements are dated by their publish time, like approved submissions, so they
+  // appear at the top of the feed rather than where they were written
+  useEffect(() => {
+    if (!enabled || !isStaff) return;
+    scheduled.forEach((item) => {
+      if (sweptIds.current.has(item.id) || announcementState(item, now) === 'scheduled') return;
+      sweptIds.current.add(item.id);
+      storage.update(path, item.id, { scheduled: false, createdAt: item.publishAt }).catch((error) => {
+        console.error("Error publishing scheduled announcement:", error);
+      });
+    });
+  }, [enabled, isStaff, scheduled, now, path]);
+};
@@ -0,0 +1,169 @@
+// Filename: useSectionFeeds.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { toMillis, readableWhere } from '../utils/filters';
+import { withoutTrashed } from '../utils/trash';
+
+// Number of posts per page; the newest page of each section is kept live
+export const PAGE_SIZE = 20;
+// Listeners for sections nobody is looking at are released after this long
+const IDLE_RELEASE_MS = 5 * 60 * 1000;
+// Every section is paged newest first, asking only for posts the reader may see
+const feedQuery = (collectionName, isStaff) => ({
+  where: readableWhere(collectionName, isStaff), orderBy: 'createdAt', direction: 'desc',
+});
+
+// `isComplete` is set once every post of the section has been loaded
+const EMPTY_FEED = { live: [], older: [], isLoading: true, isLoadingMore: false, hasMore: false, isComplete: false };
+
+// Live first page followed by the older pages loaded so far; live copies win over cached ones
+const mergeFeed = (feed) => {
+  const liveIds = new Set(feed.live.map((item) => item.id));
+  return [...feed.live, ...feed.older.filter((item) => !liveIds.has(item.id))];
+};
+
+// Lazily subscribes to the sections in `wantedSections` and caches what was loaded, so that
+// switching back to a section shows its posts immediately instead of refetching them.
+// `collections` maps section ids to collection names and must be a stable object.
+export const useSectionFeeds = (collections, wantedSections, enabled, isStaff) => {
+  const [feeds, setFeeds] = useState({});
+  const feedsRef = useRef(feeds);
+  const subscriptions = useRef({});
+  const releaseTimers = useRef({});
+  const wantedKey = wantedSections.join(',');
+
+  useEffect(() => {
+    feedsRef.current = feeds;
+  });
+
+  const patchFeed = useCallback((section, updater) => {
+    setFeeds(prev => ({ ...prev, [section]: updater(prev[section] || EMPTY_FEED) }));
+  }, []);
+
+  // Drop every listener and cached page when the user signs out, their role changes what they
+  // may read, or the board unmounts
+  useEffect(() => {
+    if (!enabled) return;
+    const activeSubscriptions = subscriptions.current;
+    const activeTimers = releaseTimers.current;
+    return () => {
+      Object.keys(activeSubscriptions).forEach((section) => {
+        activeSubscriptions[section]();
+        delete activeSubscriptions[section];
+      });
+      Object.keys(activeTimers).forEach((section) => {
+        clearTimeout(activeTimers[section]);
+        delete activeTimers[section];
+      });
+      setFeeds({});
+    };
+  }, [enabled, isStaff]);
+
+  // Fetch the newest page of every section once, so that backends with an offline cache
+  // (Firestore) can show all sections later even if they were never opened while online
+  useEffect(() => {
+    if (!enabled || storage.name !== 'firestore' || !navigator.onLine) return;
+    Object.values(collections).forEach((collectionName) => {
+      storage.list(publicDataPath(collectionName), { ...feedQuery(collectionName, isStaff), limit: PAGE_SIZE }).catch((error) => {
+        console.warn("Could not prefetch section for offline use:", collectionName, error);
+      });
+    });
+  }, [enabled, collections, isStaff]);
+
+  // Subscribe to newly wanted sections and schedule the release of unwanted ones
+  useEffect(() => {
+    if (!enabled) return;
+    const wanted = wantedKey.split(',').filter(Boolean);
+
+    wanted.forEach((section) => {
+      // A section that is back in view keeps its listener
+      clearTimeout(releaseTimers.current[section]);
+      delete releaseTimers.current[section];
+      if (subscriptions.current[section]) return;
+
+      subscriptions.current[section] = storage.subscribe(publicDataPath(collections[section]), (docs) => {
+        patchFeed(section, (feed) => {
+          // Posts that fell off the end of a full first page were pushed out by newer posts
+          // rather than deleted, so keep them at the top of the older pages
+          const isFullPage = docs.length === PAGE_SIZE;
+          const oldestLive = isFullPage ? toMillis(docs[docs.length - 1].createdAt) : Infinity;
+          const liveIds = new Set(docs.map((item) => item.id));
+          const pushedOut = isFullPage
+            ? feed.live.filter((item) => !liveIds.has(item.id) && toMillis(item.createdAt) < oldestLive)
+            : [];
+          return {
+            ...feed,
+            live: docs,
+            older: [...pushedOut, ...feed.older.filter((item) => !liveIds.has(item.id))],
+            hasMore: !feed.isComplete && (feed.older.length > 0 ? feed.hasMore : isFullPage),
+            isLoading: false,
+          };
+        });
+      }, (error) => {
+        console.error(`Error fetching ${collections[section]}:`, error);
+        patchFeed(section, (feed) => ({ ...feed, isLoading: false }));
+      }, { ...feedQuery(collections[section], isStaff), limit: PAGE_SIZE });
+    });
+
+    // Keep the cached posts of sections that left the view, but stop listening after a while
+    Object.keys(subscriptions.current).forEach((section) => {
+      if (wanted.includes(section) || releaseTimers.current[section]) return;
+      releaseTimers.current[section] = setTimeout(() => {
+        subscriptions.current[section]();
+        delete subscriptions.current[section];
+        delete releaseTimers.current[section];
+      }, IDLE_RELEASE_MS);
+    });
+  }, [collections, wantedKey, enabled, isStaff, patchFeed]);
+
+  // Fetch older posts after the last one currently loaded: the next page, or with `all`
+  // every remaining post, which searches, filters and sorts need to see the whole section
+  const fetchOlder = useCallback(async (section, { all = false } = {}) => {
+    const feed = feedsRef.current[section];
+    if (!feed || feed.isLoading || feed.isLoadingMore || !feed.hasMore) return;
+
+    const loaded = mergeFeed(feed);
+    patchFeed(section, (current) => ({ ...current, isLoadingMore: true }));
+    try {
+      const page = await storage.list(publicDataPath(collections[section]), {
+        ...feedQuery(collections[section], isStaff),
+        limit: all ? undefined : PAGE_SIZE,
+        startAfter: loaded[loaded.length - 1],
+      });
+      patchFeed(section, (current) => {
+        const knownIds = new Set(mergeFeed(current).map((item) => item.id));
+        return {
+          ...current,
+          older: [...current.older, ...page.filter((item) => !knownIds.has(item.id))],
+          hasMore: !all && page.length === PAGE_SIZE,
+          isComplete: all,
+          isLoadingMore: false,
+        };
+      });
+    } catch (error) {
+      console.error(`Error loading more ${collections[section]}:`, error);
+      patchFeed(section, (current) => ({ ...current, isLoadingMore: false }));
+    }
+  }, [collections, isStaff, patchFeed]);
+
+  const loadMore = useCallback((section) => fetchOlder(section), [fetchOlder]);
+  const loadAll = useCallback((section) => fetchOlder(section, { all: true }), [fetchOlder]);
+
+  // Reflect a local edit (or deletion, when `data` is null) in cached older pages, which are not live
+  const updateCached = useCallback((section, id, data) => {
+    patchFeed(section, (feed) => ({
+      ...feed,
+      older: data
+        ? feed.older.map((item) => (item.id === id ? { ...item, ...data } : item))
+        : feed.older.filter((item) => item.id !== id),
+    }));
+  }, [patchFeed]);
+
+  const getFeed = (section) => {
+    const feed = feeds[section] || EMPTY_FEED;
+    // Trashed posts still count towards paging but are never shown
+    return { ...feed, items: withoutTrashed(mergeFeed(feed)) };
+  };
+
+  return { getFeed, loadMore, loadAll, updateCached };
+};
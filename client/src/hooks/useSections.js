@@ -0,0 +1,20 @@
+// Filename: useSections.js
+import { useState, useEffect, useMemo } from 'react';
+import { storage } from '../storage';
+import { sectionsPath, mergeSections } from '../sections';
+
+// Every section definition, built-in and custom, in display order and kept live. Hidden sections
+// are included and flagged with `hidden`.
+export const useSections = (enabled) => {
+  const [docs, setDocs] = useState([]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribe = storage.subscribe(sectionsPath(), setDocs, (error) => {
+      console.error("Error fetching sections:", error);
+    });
+    return () => unsubscribe();
+  }, [enabled]);
+
+  return useMemo(() => mergeSections(docs), [docs]);
+};
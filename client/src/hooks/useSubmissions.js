@@ -0,0 +1,23 @@
+// Filename: useSubmissions.js
+import { useState, useEffect } from 'react';
+import { storage } from '../storage';
+import { submissionsPath } from '../utils/moderation';
+
+// Live list of submissions matching the query `options`, or an empty list while disabled
+export const useSubmissions = (enabled, options) => {
+  const [submissions, setSubmissions] = useState([]);
+  const key = JSON.stringify(options);
+
+  useEffect(() => {
+    if (!enabled) {
+      setSubmissions([]);
+      return;
+    }
+    const unsubscribe = storage.subscribe(submissionsPath(), setSubmissions, (error) => {
+      console.error("Error fetching submissions:", error);
+    }, JSON.parse(key));
+    return () => unsubscribe();
+  }, [enabled, key]);
+
+  return submissions;
+};
@@ -0,0 +1,29 @@
+// Filename: useTrash.js
+import { useState, useEffect } from 'react';
+import { storage, publicDataPath } from '../storage';
+import { TRASH_QUERY } from '../utils/trash';
+
+// Trashed posts of every section, most recently deleted first, each tagged with its section.
+// `collections` maps section ids to collection names and must be a stable object.
+export const useTrash = (collections, enabled) => {
+  const [bySection, setBySection] = useState({});
+
+  useEffect(() => {
+    if (!enabled) return;
+    const unsubscribes = Object.entries(collections).map(([section, collectionName]) => storage.subscribe(
+      publicDataPath(collectionName),
+      (items) => setBySection((prev) => ({ ...prev, [section]: items.map((item) => ({ ...item, section })) })),
+      (error) => console.error("Error fetching trash:", section, error),
+      TRASH_QUERY,
+    ));
+    return () => {
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      setBySection({});
+    };
+  }, [collections, enabled]);
+
+  return Object.entries(bySection)
+    .filter(([section]) => collections[section])
+    .flatMap(([, items]) => items)
+    .sort((a, b) => b.deletedAt - a.deletedAt);
+};
@@ -0,0 +1,47 @@
+// Filename: basics.js
+// What identifies each section: its id, label and collection, for the built-in sections and for
+// the custom ones admins add, and how the admins' section documents apply to them (see
+// custom.js). The full definitions build on these. This module has no imports so that the
+// scripts in scripts/ can read a board's sections from Node.
+
+// The built-in sections, in their default (sidebar) order. firestore.rules repeats the
+// collections to find the post a history entry belongs to.
+export const BUILTIN_BASICS = [
+  { id: 'announcements', label: 'Announcements', collection: 'announcements' },
+  { id: 'events', label: 'Events', collection: 'events' },
+  { id: 'lostfound', label: 'Lost & Found', collection: 'lost-found' },
+  { id: 'feedback', label: 'Feedback', collection: 'feedback' },
+  { id: 'polls', label: 'Polls', collection: 'polls' },
+];
+
+export const customCollection = (sectionId) => `section-${sectionId}`;
+
+// The identifying part of a custom section's definition, from its document
+export const customBasics = (doc) => ({
+  id: doc.id,
+  custom: true,
+  label: doc.label || 'Untitled',
+  collection: customCollection(doc.id),
+  hidden: Boolean(doc.hidden),
+});
+
+// Apply section documents to the built-in sections `builtins`, in their default order, and add
+// the custom ones made by `toCustom(doc)`. Returns every section in display order, hidden ones
+// included.
+export const applySectionDocs = (builtins, docs, toCustom = customBasics) => {
+  const byId = Object.fromEntries(docs.map((doc) => [doc.id, doc]));
+  const merged = builtins.map((definition, index) => {
+    const override = byId[definition.id] || {};
+    return {
+      ...definition,
+      label: override.label || definition.label,
+      hidden: Boolean(override.hidden),
+      order: override.order ?? index,
+    };
+  });
+  const builtinIds = new Set(builtins.map((definition) => definition.id));
+  const custom = docs
+    .filter((doc) => doc.custom && !builtinIds.has(doc.id))
+    .map((doc) => ({ ...toCustom(doc), order: doc.order ?? builtins.length }));
+  return [...merged, ...custom].sort((a, b) => a.order - b.order);
+};
@@ -0,0 +1,248 @@
+// Filename: builtins.js
+// Definitions of the board's built-in sections. See schema.js for the shape of a definition.
+import { announcementState, pollState, toMillis } from '../utils/filters';
+import { isRecurring, describeRecurrence } from '../utils/recurrence';
+import { LOST_FOUND_STATUSES, LOST_FOUND_CATEGORIES } from '../utils/lostFound';
+import { pollStateInfo, checkOptions } from '../utils/polls';
+import { BUILTIN_BASICS } from './basics';
+
+// Ids, labels and collections, shared with the scripts
+const basics = Object.fromEntries(BUILTIN_BASICS.map((section) => [section.id, section]));
+
+const PRIORITY_OPTIONS = [
+  { value: 'low', label: 'Low' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'high', label: 'High' },
+];
+
+const announcements = {
+  ...basics.announcements,
+  itemLabel: 'Announcement',
+  icon: 'Megaphone',
+  accent: 'blue',
+  submissions: 'proposal',
+  fields: [
+    { name: 'title', label: 'Title', type: 'text', required: true, maxLength: 200 },
+    { name: 'content', label: 'Content', type: 'markdown', required: true },
+    { name: 'priority', label: 'Priority', type: 'select', options: PRIORITY_OPTIONS, default: 'medium' },
+    { name: 'publishAt', label: 'Publish At', type: 'datetime', width: 'half', help: 'Leave empty to publish straight away.' },
+    {
+      name: 'expiresAt',
+      label: 'Expires At',
+      type: 'datetime',
+      width: 'half',
+      help: 'Expired announcements move to the archive.',
+      // An announcement cannot expire before it is published
+      validate: (value, data) => (
+        toMillis(value) > toMillis(data.publishAt || data.createdAt || Date.now()) ? null : 'Must be after the publish time.'
+      ),
+    },
+    { name: 'pinned', label: 'Pin to the top of Announcements', type: 'checkbox', staffOnly: true },
+    { name: 'photos', label: 'Photos', type: 'photos' },
+  ],
+  card: {
+    badges: [
+      {
+        key: 'pinned',
+        render: (item, { now }) => item.pinned && announcementState(item, now) === 'live'
+          && { text: 'PINNED', icon: 'Pin', className: 'bg-blue-100 text-blue-800' },
+      },
+      {
+        key: 'scheduled',
+        render: (item, { now }) => announcementState(item, now) === 'scheduled'
+          && { text: 'SCHEDULED', icon: 'Clock', className: 'bg-purple-100 text-purple-800' },
+      },
+      {
+        key: 'expired',
+        render: (item, { now }) => announcementState(item, now) === 'expired'
+          && { text: 'EXPIRED', className: 'bg-gray-100 text-gray-800' },
+      },
+      {
+        field: 'priority',
+        format: 'upper',
+        colors: { high: 'bg-red-100 text-red-800', medium: 'bg-yellow-100 text-yellow-800', low: 'bg-green-100 text-green-800' },
+      },
+    ],
+    details: [
+      { field: 'publishAt', label: (item, { now }) => (announcementState(item, now) === 'scheduled' ? 'Publishes' : 'Published') },
+      { field: 'expiresAt', label: (item, { now }) => (announcementState(item, now) === 'expired' ? 'Expired' : 'Expires') },
+    ],
+  },
+  // Kept alongside the publish time so members' queries can ask for published announcements only
+  prepare: (item) => ({ ...item, scheduled: announcementState(item) === 'scheduled' }),
+};
+
+const events = {
+  ...basics.events,
+  itemLabel: 'Event',
+  icon: 'Calendar',
+  accent: 'green',
+  submissions: 'proposal',
+  fields: [
+    { name: 'title', label: 'Event Title', type: 'text', required: true, maxLength: 200 },
+    { name: 'content', label: 'Description', type: 'markdown', required: true },
+    { name: 'date', label: 'Date', type: 'date', required: true, width: 'half' },
+    { name: 'time', label: 'Time', type: 'time', required: true, width: 'half' },
+    { name: 'location', label: 'Location', type: 'text', required: true },
+    // Capacity and recurrence belong to the whole series, not to one occurrence
+    { name: 'capacity', label: 'Capacity (optional)', type: 'number', min: 1, placeholder: 'Leave empty for no limit', seriesOnly: true },
+    { name: 'recurrence', label: 'Repeats', type: 'recurrence', seriesOnly: true },
+  ],
+  card: {
+    badges: [],
+    details: [
+      { field: 'time', label: 'Time' },
+      {
+        key: 'recurrence',
+        label: 'Repeats',
+        render: (item) => isRecurring(item) && describeRecurrence(item.recurrence, item.series ? item.series.date : item.date),
+      },
+      { key: 'capacity', label: 'Capacity', render: (item) => item.capacity > 0 && String(item.capacity) },
+      { field: 'location', label: 'Location' },
+    ],
+  },
+  // Kept alongside the rule so series can be queried without scanning every event
+  prepare: (item) => ({ ...item, recurrence: item.recurrence || null, isRecurring: isRecurring(item) }),
+};
+
+const lostfound = {
+  ...basics.lostfound,
+  itemLabel: 'Lost & Found Item',
+  icon: 'Search',
+  accent: 'orange',
+  submissions: 'open',
+  fields: [
+    {
+      name: 'type',
+      label: 'Type',
+      type: 'select',
+      required: true,
+      options: [{ value: 'lost', label: 'Lost' }, { value: 'found', label: 'Found' }],
+      default: 'lost',
+    },
+    { name: 'title', label: 'Item Title', type: 'text', required: true, maxLength: 200 },
+    { name: 'content', label: 'Description', type: 'markdown', required: true },
+    {
+      name: 'category',
+      label: 'Category',
+      type: 'select',
+      placeholder: 'Choose...',
+      options: LOST_FOUND_CATEGORIES.map((category) => ({ value: category, label: category })),
+      width: 'third',
+    },
+    {
+      name: 'itemDate',
+      label: 'Date Lost',
+      labelFor: (data) => ((data.type || 'lost') === 'lost' ? 'Date Lost' : 'Date Found'),
+      type: 'date',
+      width: 'third',
+    },
+    { name: 'location', label: 'Where', type: 'text', placeholder: 'e.g. Lobby, Block B', width: 'third' },
+    { name: 'contact', label: 'Contact Information', type: 'text', required: true, placeholder: 'Email or phone number' },
+    { name: 'photos', label: 'Photos', type: 'photos' },
+  ],
+  card: {
+    badges: [
+      { field: 'type', format: 'upper', colors: { lost: 'bg-red-100 text-red-800', found: 'bg-green-100 text-green-800' } },
+      {
+        key: 'status',
+        render: (item, { statusOf }) => {
+          const status = statusOf && LOST_FOUND_STATUSES.find((option) => option.id === statusOf(item));
+          return status && { text: status.label.toUpperCase(), className: status.color };
+        },
+      },
+      { field: 'category' },
+    ],
+    details: [
+      { field: 'itemDate', label: (item) => `${item.type === 'found' ? 'Found' : 'Lost'} on` },
+      { field: 'location', label: 'Location' },
+      { field: 'contact', label: 'Contact' },
+    ],
+  },
+  // New items start open
+  prepare: (item, { isNew }) => (isNew ? { ...item, status: 'open', statusChangedAt: new Date() } : item),
+};
+
+const feedback = {
+  ...basics.feedback,
+  itemLabel: 'Feedback',
+  submitVerb: 'Submit',
+  icon: 'MessageCircle',
+  accent: 'purple',
+  submissions: 'open',
+  fields: [
+    { name: 'title', label: 'Subject', type: 'text', required: true, maxLength: 200 },
+    { name: 'content', label: 'Feedback', type: 'markdown', required: true },
+    { name: 'rating', label: 'Rating', type: 'rating', max: 5, default: 5 },
+  ],
+  card: {
+    badges: [{ field: 'rating', className: 'bg-blue-100 text-blue-800' }],
+    details: [],
+  },
+};
+
+const polls = {
+  ...basics.polls,
+  itemLabel: 'Poll',
+  icon: 'Vote',
+  accent: 'teal',
+  submissions: 'proposal',
+  fields: [
+    { name: 'title', label: 'Question', type: 'text', required: true, maxLength: 200 },
+    { name: 'content', label: 'Details', type: 'markdown', rows: 2 },
+    // Changing these after votes are cast would change what the votes mean, so owners cannot
+    {
+      name: 'options',
+      label: 'Options',
+      type: 'choices',
+      required: true,
+      fixedOnceUp: true,
+      validate: (value) => checkOptions(value),
+    },
+    { name: 'multiple', label: 'Allow more than one choice', type: 'checkbox', fixedOnceUp: true },
+    {
+      name: 'visibility',
+      label: 'Voting',
+      type: 'select',
+      options: [
+        { value: 'anonymous', label: 'Anonymous (only totals are shown)' },
+        { value: 'public', label: 'Public (everyone can see who voted for what)' },
+      ],
+      default: 'anonymous',
+      width: 'half',
+      fixedOnceUp: true,
+    },
+    {
+      name: 'deadline',
+      label: 'Closes At',
+      type: 'datetime',
+      width: 'half',
+      help: 'Leave empty to keep the poll open until it is closed.',
+      // Existing polls may keep a deadline that has passed
+      validate: (value, data) => (!data.createdAt && toMillis(value) <= Date.now() ? 'Must be in the future.' : null),
+    },
+  ],
+  card: {
+    badges: [
+      {
+        key: 'state',
+        render: (item, { now }) => {
+          const state = pollStateInfo(item, now);
+          return { text: state.label.toUpperCase(), className: state.color };
+        },
+      },
+      { field: 'multiple', text: 'MULTIPLE CHOICE', className: 'bg-teal-100 text-teal-800' },
+      { field: 'visibility', format: 'upper', colors: { anonymous: 'bg-gray-100 text-gray-800', public: 'bg-blue-100 text-blue-800' } },
+    ],
+    details: [
+      { field: 'deadline', label: (item, { now }) => (pollState(item, now) === 'open' ? 'Closes' : 'Deadline') },
+    ],
+  },
+  // Blank options left in the form are dropped
+  prepare: (item) => ({ ...item, options: item.options.map((option) => option.trim()).filter(Boolean) }),
+};
+
+const definitions = { announcements, events, lostfound, feedback, polls };
+
+// In sidebar order
+export const BUILTIN_SECTIONS = BUILTIN_BASICS.map((section) => definitions[section.id]);
@@ -0,0 +1,140 @@
+// Filename: custom.js
+// Admin-managed sections. Definitions live at /artifacts/{appId}/sections/{sectionId}:
+//   - a document whose id is a built-in section's id overrides its `label`, `order` and `hidden`;
+//   - any other document is a custom section `{ custom: true, label, itemLabel, icon, accent,
+//     submissions, fields, order, hidden }` whose posts are stored in the `section-{id}` collection.
+// Every custom section has a title and details field ahead of the fields the admin chose.
+import { storage, appDataPath, publicDataPath } from '../storage';
+import { removeComments } from '../utils/comments';
+import { historyPath } from '../utils/history';
+import { submissionsPath } from '../utils/moderation';
+import { memberPhotos, removePhotos } from '../utils/photos';
+import { BUILTIN_SECTIONS } from './builtins';
+import { customBasics, applySectionDocs } from './basics';
+
+export { customCollection } from './basics';
+
+export const sectionsPath = () => appDataPath('sections');
+
+const BASE_FIELDS = [
+  { name: 'title', label: 'Title', type: 'text', required: true, maxLength: 200 },
+  { name: 'content', label: 'Details', type: 'markdown' },
+];
+
+// Names used by the board itself, which custom fields must not overwrite: the fields of the
+// built-in sections and everything the board stores alongside them
+const RESERVED_NAMES = [...new Set([
+  ...BUILTIN_SECTIONS.flatMap((definition) => definition.fields.map((field) => field.name)),
+  'id', 'author', 'authorUid', 'date', 'createdAt', 'updatedAt', 'section', 'status', 'statusChangedAt',
+  'autoArchived', 'submissionId', 'approvedBy', 'deletedAt', 'deletedBy', 'commentCount', 'commentsLocked',
+  'rsvps', 'lastResponse', 'votes', 'closed', 'archived', 'scheduled', 'isRecurring', 'overrides',
+  'seriesId', 'occurrenceDate', 'series',
+])];
+
+// Badge-like fields go on the card as badges, the rest as labelled details
+const BADGE_TYPES = ['select', 'rating', 'checkbox'];
+
+// Turn a custom section document into a full section definition
+export const customDefinition = (doc) => {
+  const fields = (doc.fields || []).map((field) => ({ ...field, custom: true }));
+  return {
+    ...customBasics(doc),
+    itemLabel: doc.itemLabel || 'Post',
+    icon: doc.icon || 'Star',
+    accent: doc.accent || 'blue',
+    submissions: doc.submissions || null,
+    fields: [...BASE_FIELDS, ...fields],
+    card: {
+      badges: fields.filter((field) => BADGE_TYPES.includes(field.type)).map((field) => ({
+        field: field.name,
+        className: 'bg-gray-100 text-gray-800',
+        text: field.type === 'checkbox' ? field.label : undefined,
+      })),
+      details: fields.filter((field) => !BADGE_TYPES.includes(field.type) && field.type !== 'textarea')
+        .map((field) => ({ field: field.name, label: field.label })),
+    },
+  };
+};
+
+// Built-in sections with their overrides applied, followed by the custom ones, in display order
+export const mergeSections = (docs) => applySectionDocs(BUILTIN_SECTIONS, docs, customDefinition);
+
+// A readable, unused identifier made from a label, e.g. 'Volunteer Shifts' -> 'volunteerShifts'
+const identifierFor = (label, taken, fallback) => {
+  const words = label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  const base = words.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('')
+    .replace(/^\d+/, '') || fallback;
+  let candidate = base;
+  for (let suffix = 2; taken.includes(candidate); suffix += 1) {
+    candidate = `${base}${suffix}`;
+  }
+  return candidate;
+};
+
+// Give new fields a stored name; existing fields keep theirs so renaming a field keeps its data
+export const nameFields = (fields) => fields.reduce((named, field) => {
+  const taken = [...RESERVED_NAMES, ...named.map((entry) => entry.name), ...fields.map((entry) => entry.name).filter(Boolean)];
+  return [...named, { ...field, name: field.name || identifierFor(field.label, taken, 'field') }];
+}, []);
+
+// Problems with a custom section being edited, as a list of messages
+export const validateCustomSection = (section) => {
+  const problems = [];
+  if (!section.label || !section.label.trim()) problems.push('The section needs a name.');
+  section.fields.forEach((field, index) => {
+    if (!field.label || !field.label.trim()) problems.push(`Field ${index + 1} needs a label.`);
+    if (field.type === 'select' && (!field.options || field.options.length === 0)) {
+      problems.push(`"${field.label || `Field ${index + 1}`}" needs at least one choice.`);
+    }
+  });
+  return problems;
+};
+
+// Create or update a custom section; returns its id
+export const saveCustomSection = async (section, sections, uid) => {
+  const { id, ...data } = section;
+  const sectionId = id || identifierFor(section.label, sections.map((entry) => entry.id), 'section');
+  await storage.update(sectionsPath(), sectionId, {
+    ...data,
+    custom: true,
+    label: section.label.trim(),
+    itemLabel: (section.itemLabel || '').trim() || 'Post',
+    fields: nameFields(section.fields),
+    ...(id ? { updatedAt: new Date(), updatedBy: uid } : { order: sections.length, hidden: false, createdAt: new Date(), createdBy: uid }),
+  });
+  return sectionId;
+};
+
+// Rename, hide or show any section, built-in or custom
+export const updateSection = (sectionId, patch) => storage.update(sectionsPath(), sectionId, patch);
+
+// Store the position of every section after a reorder
+export const saveSectionOrder = (sections) => Promise.all(sections
+  .map((definition, order) => (definition.order === order ? null : storage.update(sectionsPath(), definition.id, { order })))
+  .filter(Boolean));
+
+// Delete a custom section with everything stored for it: its posts and their comments, its
+// version history, its submissions and every photo any of these used
+export const deleteCustomSection = async (definition) => {
+  const collectionPath = publicDataPath(definition.collection);
+  const [posts, versions, submissions] = await Promise.all([
+    storage.list(collectionPath),
+    storage.list(historyPath(), { where: [['section', '==', definition.id]] }),
+    storage.list(submissionsPath(), { where: [['section', '==', definition.id]] }),
+  ]);
+  await Promise.all(posts.map(async (post) => {
+    await removeComments(definition.collection, post.id);
+    await storage.remove(collectionPath, post.id);
+  }));
+  await Promise.all([
+    ...versions.map((version) => storage.remove(historyPath(), version.id)),
+    ...submissions.map((submission) => storage.remove(submissionsPath(), submission.id)),
+  ]);
+  // Published photos live in the section's folder; pending and rejected submissions keep theirs in the members' folders
+  const photos = [
+    ...[...posts, ...versions.map((version) => version.data)].flatMap((data) => data.photos || []),
+    ...submissions.flatMap((submission) => memberPhotos(submission.data.photos)),
+  ];
+  await removePhotos([...new Map(photos.map((photo) => [photo.path, photo])).values()]);
+  await storage.remove(sectionsPath(), definition.id);
+};
@@ -0,0 +1,7 @@
+// Filename: index.js
+// The board's sections, each described by a declarative definition (see schema.js) that drives
+// its form, validation and cards. The built-in sections can be renamed, reordered and hidden,
+// and admins can add their own (see custom.js); useSections() gives the current list.
+export * from './schema';
+export * from './custom';
+export { BUILTIN_SECTIONS } from './builtins';
@@ -0,0 +1,189 @@
+// Filename: schema.js
+// Building blocks for declarative section definitions. A section definition looks like:
+//   {
+//     id, label, itemLabel, icon, accent, collection,
+//     submissions: 'open' | 'proposal',   // how members contribute (see utils/moderation.js)
+//     fields: [{ name, label, type, required, ... }],
+//     card: { badges: [...], details: [...] },
+//   }
+// Everything is plain data so that definitions can also be stored in the database. Built-in
+// sections may additionally use functions where noted (`labelFor`, `validate`, badge `render`,
+// detail `label`), which receive the item or form data plus a context object.
+import {
+  Megaphone, Calendar, Search, MessageCircle, Pin, Clock, Wrench, Users, Car, Dog, Leaf, Gift,
+  ShoppingBag, Heart, BookOpen, Home, Star, Bell, Vote,
+} from 'lucide-react';
+import { toMillis } from '../utils/filters';
+
+// Icons a section (or a badge) can use, by name
+export const SECTION_ICONS = {
+  Megaphone, Calendar, Search, MessageCircle, Pin, Clock, Wrench, Users, Car, Dog, Leaf, Gift,
+  ShoppingBag, Heart, BookOpen, Home, Star, Bell, Vote,
+};
+
+// Colour themes for a section's primary button
+export const ACCENTS = {
+  blue: 'bg-blue-600 hover:bg-blue-700',
+  green: 'bg-green-600 hover:bg-green-700',
+  orange: 'bg-orange-600 hover:bg-orange-700',
+  purple: 'bg-purple-600 hover:bg-purple-700',
+  red: 'bg-red-600 hover:bg-red-700',
+  teal: 'bg-teal-600 hover:bg-teal-700',
+  pink: 'bg-pink-600 hover:bg-pink-700',
+  gray: 'bg-gray-700 hover:bg-gray-800',
+};
+
+// Field types the generated form understands. Options for `select` are `{ value, label }`.
+//   text, textarea, email, url, tel: strings (`maxLength`, `placeholder`, `rows` for textarea)
+//   markdown: a textarea with a preview tab, rendered as formatted text (see utils/markdown.js)
+//   number: `min`, `max`; stored as a number, or null when empty
+//   select: `options`, optional `placeholder` for an empty first choice
+//   rating: 1 to `max` (5) stars, stored as a number
+//   date, time: 'YYYY-MM-DD' and 'HH:MM' strings
+//   datetime: stored as a Date
+//   checkbox: stored as a boolean
+//   choices: a list of option labels, such as a poll's answers
+//   photos, recurrence: the photo picker and the recurrence editor
+// Every field can also have `help`, `default`, `width` ('full', 'half' or 'third'),
+// `staffOnly` (only shown to moderators and admins), `fixedOnceUp` (only moderators and admins
+// change it after the post is up, as firestore.rules enforces) and `seriesOnly` (hidden while
+// editing a single occurrence of a recurring event).
+export const FIELD_TYPES = [
+  'text', 'textarea', 'markdown', 'email', 'url', 'tel', 'number', 'select', 'rating', 'date', 'time', 'datetime',
+  'checkbox', 'choices', 'photos', 'recurrence',
+];
+
+// Field types admins can pick for their own sections. Their details field is already Markdown.
+export const CUSTOM_FIELD_TYPES = FIELD_TYPES.filter((type) => !['markdown', 'choices', 'photos', 'recurrence'].includes(type));
+
+const PATTERNS = {
+  email: { regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'Enter a valid email address.' },
+  url: { regex: /^https?:\/\/\S+$/i, message: 'Enter a link starting with http:// or https://.' },
+  tel: { regex: /^[+()\d\s.-]{6,}$/, message: 'Enter a valid phone number.' },
+};
+
+export const fieldLabel = (field, data = {}) => (field.labelFor ? field.labelFor(data) : field.label);
+
+// Fields shown in the form, given `{ isStaff, isEditing, isOccurrenceEdit }`
+export const visibleFields = (definition, context = {}) => definition.fields.filter((field) => (
+  (!field.staffOnly || context.isStaff) && (!field.fixedOnceUp || context.isStaff || !context.isEditing)
+  && (!field.seriesOnly || !context.isOccurrenceEdit)
+));
+
+export const isEmpty = (value) => value === undefined || value === null || value === ''
+  || (Array.isArray(value) && value.length === 0);
+
+// Check one field, returning an error message or null
+export const validateField = (field, data, context = {}) => {
+  const value = data[field.name];
+  const label = fieldLabel(field, data);
+  if (isEmpty(value)) {
+    if (field.required && field.type !== 'checkbox' && isEmpty(field.default)) return `${label} is required.`;
+    return null;
+  }
+  if (field.maxLength && String(value).length > field.maxLength) {
+    return `${label} must be at most ${field.maxLength} characters.`;
+  }
+  if (field.type === 'number') {
+    if (Number.isNaN(Number(value))) return `${label} must be a number.`;
+    if (field.min !== undefined && Number(value) < field.min) return `${label} must be at least ${field.min}.`;
+    if (field.max !== undefined && Number(value) > field.max) return `${label} must be at most ${field.max}.`;
+  }
+  if (PATTERNS[field.type] && !PATTERNS[field.type].regex.test(String(value).trim())) {
+    return PATTERNS[field.type].message;
+  }
+  if (field.type === 'select' && field.options && !field.options.some((option) => String(option.value) === String(value))) {
+    return `Choose a valid ${label.toLowerCase()}.`;
+  }
+  return field.validate ? field.validate(value, data, context) : null;
+};
+
+// Validate every visible field; returns `{ [fieldName]: message }`, empty when the data is valid
+export const validateItem = (definition, data, context = {}) => Object.fromEntries(visibleFields(definition, context)
+  .map((field) => [field.name, validateField(field, data, context)])
+  .filter(([, message]) => message));
+
+// Fill in defaults for fields the user never touched, so what is stored matches what the form showed
+export const applyDefaults = (definition, data) => {
+  const result = { ...data };
+  definition.fields.forEach((field) => {
+    if (isEmpty(result[field.name]) && field.default !== undefined) {
+      result[field.name] = field.default;
+    }
+  });
+  return result;
+};
+
+export const hasFieldType = (definition, type) => definition.fields.some((field) => field.type === type);
+
+// Display text for a stored value
+export const formatValue = (value, format, field) => {
+  if (isEmpty(value)) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  switch (format) {
+    case 'datetime':
+      return new Date(toMillis(value)).toLocaleString();
+    case 'upper':
+      return String(value).toUpperCase();
+    case 'stars':
+      return `${'★'.repeat(Number(value))} (${value}/5)`;
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    default: {
+      const option = field && field.options && field.options.find((entry) => String(entry.value) === String(value));
+      return option ? option.label : String(value);
+    }
+  }
+};
+
+// Default display format for a field type
+const formatFor = (field) => {
+  if (!field) return 'text';
+  if (field.type === 'datetime') return 'datetime';
+  if (field.type === 'rating') return 'stars';
+  if (field.type === 'checkbox') return 'boolean';
+  return 'text';
+};
+
+// Badges for a card: `{ key, text, className, icon }`. A badge spec is either
+// `{ field, colors: { [value]: className }, className, format }` or, for built-ins, `{ key, render }`.
+export const cardBadges = (definition, item, context = {}) => ((definition.card && definition.card.badges) || [])
+  .map((badge) => {
+    if (badge.render) {
+      const rendered = badge.render(item, context);
+      return rendered && { key: badge.key, ...rendered };
+    }
+    const value = item[badge.field];
+    if (isEmpty(value) || value === false) return null;
+    const field = definition.fields.find((entry) => entry.name === badge.field);
+    return {
+      key: badge.field,
+      text: badge.text || formatValue(value, badge.format || formatFor(field), field),
+      className: (badge.colors && badge.colors[value]) || badge.className || 'bg-gray-100 text-gray-800',
+      icon: badge.icon,
+    };
+  })
+  .filter(Boolean);
+
+// Label/value lines for a card. A detail spec is `{ field, label, format }`; built-ins may give
+// `label` as a function of the item.
+export const cardDetails = (definition, item, context = {}) => ((definition.card && definition.card.details) || [])
+  .map((detail) => {
+    const field = definition.fields.find((entry) => entry.name === detail.field);
+    const text = detail.render
+      ? detail.render(item, context)
+      : formatValue(item[detail.field], detail.format || formatFor(field), field);
+    if (!text) return null;
+    const label = typeof detail.label === 'function' ? detail.label(item, context) : detail.label || (field && field.label);
+    return { key: detail.field || detail.key, label, text };
+  })
+  .filter(Boolean);
+
+// Labelled values of the fields below the title and content, for compact summaries
+export const fieldSummary = (definition, data) => definition.fields
+  .filter((field) => data[field.name] !== false && !['title', 'content'].includes(field.name) && !['photos', 'recurrence'].includes(field.type))
+  .map((field) => ({ key: field.name, label: fieldLabel(field, data), text: formatValue(data[field.name], formatFor(field), field) }))
+  .filter((entry) => entry.text);
+
+// Lucide component for a section or badge icon name
+export const iconFor = (name) => SECTION_ICONS[name] || SECTION_ICONS.Megaphone;
@@ -0,0 +1,55 @@
+// Filename: fileStore.js
+// Blob stores used for photo attachments when the board is not backed by Firebase Storage.
+// Both expose `get(path)`, `put(path, blob)` and `delete(path)`, all returning promises.
+
+// Keeps blobs for the lifetime of the page only
+export const createMemoryFileStore = () => {
+  const blobs = new Map();
+  return {
+    get: async (path) => blobs.get(path) || null,
+    put: async (path, blob) => {
+      blobs.set(path, blob);
+    },
+    delete: async (path) => {
+      blobs.delete(path);
+    },
+  };
+};
+
+// Keeps blobs in IndexedDB, which unlike localStorage has room for images
+export const createIndexedDbFileStore = (dbName = 'noticeboard-files') => {
+  const STORE = 'files';
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run one request in its own transaction and resolve with its result
+  const run = async (mode, makeRequest) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    get: async (path) => (await run('readonly', (store) => store.get(path))) || null,
+    put: async (path, blob) => {
+      await run('readwrite', (store) => store.put(blob, path));
+    },
+    delete: async (path) => {
+      await run('readwrite', (store) => store.delete(path));
+    },
+  };
+};
@@ -0,0 +1,135 @@
+// Filename: firestoreAdapter.js
+// Storage adapter backed by Cloud Firestore and Firebase Auth.
+import { initializeApp } from 'firebase/app';
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager,
+  doc, onSnapshot, collection, getDoc, getDocs, getCountFromServer, addDoc, setDoc, deleteDoc, Timestamp, serverTimestamp,
+  query, where, orderBy, limit, startAfter, documentId,
+} from 'firebase/firestore';
+import { getAuth, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { getStorage, ref, uploadBytes, getBlob, getDownloadURL, deleteObject } from 'firebase/storage';
+import { resolveServerTime } from './serverTime';
+
+// Convert Firestore Timestamps back to Dates, including inside nested maps such as a
+// submission's `data`, so every adapter hands out the same shapes
+const reviveDates = (value) => {
+  if (value instanceof Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(reviveDates);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, reviveDates(entry)]));
+  }
+  return value;
+};
+
+const toItem = (snapshotDoc) => ({ id: snapshotDoc.id, ...reviveDates(snapshotDoc.data()) });
+
+// Let Firestore fill in SERVER_TIME placeholders with its own clock
+const toStored = (data) => resolveServerTime(data, serverTimestamp);
+
+export const createFirestoreAdapter = (firebaseConfig, { initialAuthToken } = {}) => {
+  // Initialize Firebase app, Firestore, and Auth instances
+  const app = initializeApp(firebaseConfig);
+  // Documents are cached in IndexedDB so the board can still be read offline
+  const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+  });
+  const auth = getAuth(app);
+  // Firebase Storage is only needed once photos are used, and needs a `storageBucket` in the config
+  let bucket = null;
+  const fileRef = (path) => {
+    if (!bucket) {
+      bucket = getStorage(app);
+    }
+    return ref(bucket, path.replace(/^\/+/, ''));
+  };
+
+  // Build a query from `{ where, orderBy, direction, limit, startAfter }` options. Ties are broken by
+  // document ID so that `startAfter` (the last item of the previous page) is a stable cursor.
+  const buildQuery = (path, { where: filters = [], orderBy: field, direction = 'asc', limit: max, startAfter: cursor } = {}) => {
+    const constraints = filters.map(([filterField, op, value]) => where(filterField, op, value));
+    if (field) {
+      constraints.push(orderBy(field, direction), orderBy(documentId(), direction));
+      if (cursor) {
+        constraints.push(startAfter(cursor[field], cursor.id));
+      }
+    }
+    if (max) {
+      constraints.push(limit(max));
+    }
+    return query(collection(db, path), ...constraints);
+  };
+
+  return {
+    name: 'firestore',
+
+    // Sign in using the custom authentication token, if one was provided
+    signIn: async () => {
+      if (initialAuthToken) {
+        await signInWithCustomToken(auth, initialAuthToken);
+      }
+      return auth.currentUser;
+    },
+
+    // Report the signed-in user along with any custom claims (e.g. `role` or `admin`)
+    onAuthStateChanged: (callback) => onAuthStateChanged(auth, async (user) => {
+      if (!user) {
+        callback(null);
+        return;
+      }
+      try {
+        const { claims } = await user.getIdTokenResult();
+        callback({ uid: user.uid, claims });
+      } catch (error) {
+        console.error("Error reading auth claims:", error);
+        callback({ uid: user.uid, claims: {} });
+      }
+    }),
+
+    subscribe: (path, onData, onError, options) => onSnapshot(buildQuery(path, options), (snapshot) => {
+      onData(snapshot.docs.map(toItem));
+    }, onError),
+
+    subscribeDoc: (path, id, onData, onError) => onSnapshot(doc(db, path, id), (snapshot) => {
+      onData(snapshot.exists() ? toItem(snapshot) : null);
+    }, onError),
+
+    get: async (path, id) => {
+      const snapshot = await getDoc(doc(db, path, id));
+      return snapshot.exists() ? toItem(snapshot) : null;
+    },
+
+    list: async (path, options) => {
+      const snapshot = await getDocs(buildQuery(path, options));
+      return snapshot.docs.map(toItem);
+    },
+
+    // Counted by the backend, so the documents are never downloaded
+    count: async (path, options) => {
+      const snapshot = await getCountFromServer(buildQuery(path, options));
+      return snapshot.data().count;
+    },
+
+    create: async (path, data) => {
+      const docRef = await addDoc(collection(db, path), toStored(data));
+      return docRef.id;
+    },
+
+    // Merge into the existing document rather than overwriting fields the form does not know about
+    update: (path, id, data) => setDoc(doc(db, path, id), toStored(data), { merge: true }),
+
+    remove: (path, id) => deleteDoc(doc(db, path, id)),
+
+    uploadFile: async (path, blob) => {
+      await uploadBytes(fileRef(path), blob, { contentType: blob.type });
+    },
+
+    getFileUrl: (path) => getDownloadURL(fileRef(path)),
+
+    copyFile: async (from, to) => {
+      const blob = await getBlob(fileRef(from));
+      await uploadBytes(fileRef(to), blob, { contentType: blob.type });
+    },
+
+    removeFile: (path) => deleteObject(fileRef(path)),
+  };
+};
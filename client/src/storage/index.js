@@ -0,0 +1,75 @@
+// Filename: index.js
+// Picks the storage backend for the board. Every adapter exposes the same interface:
+//   signIn(), onAuthStateChanged(callback)
+//   subscribe(path, onData, onError, options) -> unsubscribe
+//   subscribeDoc(path, id, onData, onError) -> unsubscribe
+//   list(path, options), count(path, options) -> number
+//   create(path, data) -> id, update(path, id, data), remove(path, id)
+//   get(path, id) -> item or null
+//   uploadFile(path, blob), getFileUrl(path) -> url, copyFile(from, to), removeFile(path)
+// where the optional query `options` are `{ where, orderBy, direction, limit, startAfter }`,
+// `where` is a list of `[field, op, value]` filters and `startAfter` is the last item of the
+// previous page. Fields written as SERVER_TIME take the time the write reaches the backend.
+import { createFirestoreAdapter } from './firestoreAdapter';
+import { createLocalAdapter } from './localAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+import { withOutbox } from './outbox';
+import { SERVER_TIME } from './serverTime';
+
+// Get Firebase configuration and app ID from the environment. The app ID is the deployment's
+// default community; see setCommunityId() for serving others.
+const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
+export const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : '';
+
+// Use Firestore when a Firebase project is configured, otherwise keep data in the browser.
+// `__storage_backend` can force a specific backend ('firestore', 'local' or 'memory').
+const requestedBackend = typeof __storage_backend !== 'undefined'
+  ? __storage_backend
+  : (firebaseConfig.projectId ? 'firestore' : 'local');
+
+const createStorage = (backend) => {
+  switch (backend) {
+    case 'firestore':
+      if (!firebaseConfig.projectId) {
+        console.warn("Firebase is not configured, falling back to local storage.");
+        return createLocalAdapter();
+      }
+      return createFirestoreAdapter(firebaseConfig, { initialAuthToken });
+    case 'local':
+      return createLocalAdapter();
+    case 'memory':
+      return createMemoryAdapter();
+    default:
+      console.warn(`Unknown storage backend "${backend}", falling back to local storage.`);
+      return createLocalAdapter();
+  }
+};
+
+// Writes to a remote backend are queued while offline; browser-only backends never need to.
+// `storage.outbox` is only present when writes can be queued.
+const backend = createStorage(requestedBackend);
+export const storage = backend.name === 'firestore' ? withOutbox(backend) : backend;
+
+// Each community keeps all of its data under /artifacts/{communityId}. The path helpers below
+// point at the community being viewed; switch it before mounting that community's board.
+let communityId = appId;
+export const getCommunityId = () => communityId;
+export const setCommunityId = (id) => {
+  communityId = id || appId;
+};
+
+// Base path for public data, shared by every backend
+export const publicDataPath = (collectionName) => `/artifacts/${communityId}/public/data/${collectionName}`;
+
+// Folder for uploaded files such as photo attachments
+export const publicFilePath = (folder) => `/artifacts/${communityId}/public/files/${folder}`;
+
+// Path for app-level collections that are not part of the public board, such as roles.
+// Pass `community` to reach another community's collection.
+export const appDataPath = (collectionName, community = communityId) => `/artifacts/${community}/${collectionName}`;
+
+// Path for collections shared by every community of the deployment, such as the directory
+export const globalDataPath = (collectionName) => `/${collectionName}`;
+
+export { createFirestoreAdapter, createLocalAdapter, createMemoryAdapter, withOutbox, SERVER_TIME };
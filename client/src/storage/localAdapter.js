@@ -0,0 +1,80 @@
+// Filename: localAdapter.js
+// Browser storage adapter backed by localStorage. Every collection is kept under its own
+// key so communities can self-host the board without a Firebase project.
+// Photo attachments go to IndexedDB, since localStorage is too small for images.
+import { createMemoryAdapter, generateId } from './memoryAdapter';
+import { createIndexedDbFileStore } from './fileStore';
+
+const STORAGE_PREFIX = 'noticeboard:';
+
+// JSON does not round-trip Date objects, so tag them on the way in and revive them on the way out
+export const replacer = function (key, value) {
+  return this[key] instanceof Date ? { __date: this[key].toISOString() } : value;
+};
+export const reviver = (key, value) => (value && value.__date ? new Date(value.__date) : value);
+
+// Parse a stored collection, or return null if it cannot be read
+const parseCollection = (key, value) => {
+  try {
+    return JSON.parse(value, reviver);
+  } catch (error) {
+    console.error("Ignoring unreadable stored collection:", key, error);
+    return null;
+  }
+};
+
+const readCollections = (storageArea) => {
+  const data = {};
+  for (let i = 0; i < storageArea.length; i++) {
+    const key = storageArea.key(i);
+    if (key.startsWith(`${STORAGE_PREFIX}data:`)) {
+      const docs = parseCollection(key, storageArea.getItem(key));
+      if (docs) {
+        data[key.slice(`${STORAGE_PREFIX}data:`.length)] = docs;
+      }
+    }
+  }
+  return data;
+};
+
+// Keep a stable anonymous user ID per browser so posts and preferences survive reloads
+const readUid = (storageArea) => {
+  const key = `${STORAGE_PREFIX}uid`;
+  let uid = storageArea.getItem(key);
+  if (!uid) {
+    uid = generateId();
+    storageArea.setItem(key, uid);
+  }
+  return uid;
+};
+
+export const createLocalAdapter = ({ storageArea = window.localStorage } = {}) => {
+  const adapter = createMemoryAdapter({
+    initialData: readCollections(storageArea),
+    uid: readUid(storageArea),
+    fileStore: createIndexedDbFileStore(),
+    onChange: (path, docs) => {
+      try {
+        storageArea.setItem(`${STORAGE_PREFIX}data:${path}`, JSON.stringify(Object.fromEntries(docs), replacer));
+      } catch (error) {
+        console.error("Error saving to local storage:", error);
+      }
+    },
+  });
+
+  // Pick up writes made in other tabs so the board stays live like it does with Firestore
+  window.addEventListener('storage', (event) => {
+    if (event.storageArea !== storageArea || !event.key || !event.key.startsWith(`${STORAGE_PREFIX}data:`)) return;
+    const path = event.key.slice(`${STORAGE_PREFIX}data:`.length);
+    if (!event.newValue) {
+      adapter.replaceCollection(path, {});
+      return;
+    }
+    const docs = parseCollection(event.key, event.newValue);
+    if (docs) {
+      adapter.replaceCollection(path, docs);
+    }
+  });
+
+  return { ...adapter, name: 'local' };
+};
@@ -0,0 +1,210 @@
+// Filename: memoryAdapter.js
+// In-memory storage adapter. Data lives only for the lifetime of the page, which makes
+// it handy for demos and tests. The local adapter builds on top of it for persistence.
+import { createMemoryFileStore } from './fileStore';
+import { resolveServerTime } from './serverTime';
+
+// Generate a random document ID similar in shape to Firestore's auto IDs
+export const generateId = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  return Array.from(bytes, (byte) => chars[byte % chars.length]).join('');
+};
+
+// Normalize a collection path so '/a/b/' and 'a/b' refer to the same collection
+const normalizePath = (path) => path.split('/').filter(Boolean).join('/');
+
+// Order Dates, numbers and strings the way Firestore would for our data
+const compareValues = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Merge nested maps the way Firestore's `setDoc(..., { merge: true })` does; arrays, Dates
+// and other values replace what was there
+const mergeDeep = (target = {}, source) => {
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? mergeDeep(result[key], value) : value;
+  });
+  return result;
+};
+
+// Evaluate a single `[field, op, value]` filter against an item
+const matchesWhere = (item, [field, op, value]) => {
+  const actual = item[field];
+  switch (op) {
+    case '==': return compareValues(actual, value) === 0;
+    case '!=': return actual !== undefined && compareValues(actual, value) !== 0;
+    case '<': return actual !== undefined && compareValues(actual, value) < 0;
+    case '<=': return actual !== undefined && compareValues(actual, value) <= 0;
+    case '>': return actual !== undefined && compareValues(actual, value) > 0;
+    case '>=': return actual !== undefined && compareValues(actual, value) >= 0;
+    case 'in': return value.some((candidate) => compareValues(actual, candidate) === 0);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+// Apply `{ where, orderBy, direction, limit, startAfter }` query options to a list of items.
+// Like Firestore, ordering on a field drops documents that do not have it.
+const applyQuery = (items, { where = [], orderBy, direction = 'asc', limit, startAfter } = {}) => {
+  let result = items.filter((item) => where.every((condition) => matchesWhere(item, condition)));
+  if (orderBy) {
+    const sign = direction === 'desc' ? -1 : 1;
+    const compare = (a, b) => sign * (compareValues(a[orderBy], b[orderBy]) || compareValues(a.id, b.id));
+    result = result.filter((item) => item[orderBy] !== undefined && item[orderBy] !== null).sort(compare);
+    if (startAfter) {
+      result = result.filter((item) => compare(item, startAfter) > 0);
+    }
+  }
+  return limit ? result.slice(0, limit) : result;
+};
+
+export const createMemoryAdapter = ({ initialData = {}, onChange, uid, fileStore = createMemoryFileStore() } = {}) => {
+  // Map of collection path -> Map of document ID -> document data
+  const collections = new Map();
+  // Map of collection path -> Set of `{ onData, options }` subscribers
+  const listeners = new Map();
+  const currentUser = { uid: uid || generateId() };
+  // Object URLs handed out for stored files, revoked when the file is removed
+  const fileUrls = new Map();
+
+  Object.entries(initialData).forEach(([path, docs]) => {
+    collections.set(normalizePath(path), new Map(Object.entries(docs)));
+  });
+
+  const getCollection = (path) => {
+    const key = normalizePath(path);
+    if (!collections.has(key)) {
+      collections.set(key, new Map());
+    }
+    return collections.get(key);
+  };
+
+  // Build the array of `{ id, ...data }` items handed to subscribers
+  const snapshot = (path) => Array.from(getCollection(path), ([id, data]) => ({ id, ...data }));
+
+  // Hand every subscriber of a collection its own view of the latest data
+  const notify = (key) => {
+    const items = snapshot(key);
+    (listeners.get(key) || []).forEach(({ onData, options }) => onData(applyQuery(items, options)));
+  };
+
+  // Notify subscribers of a collection and let the owner persist the change
+  const emit = (path) => {
+    const key = normalizePath(path);
+    notify(key);
+    if (onChange) {
+      onChange(key, getCollection(key));
+    }
+  };
+
+  // Call `onData` with every change to a collection until unsubscribed
+  const subscribe = (path, onData, onError, options) => {
+    const key = normalizePath(path);
+    const listener = { onData, options };
+    if (!listeners.has(key)) {
+      listeners.set(key, new Set());
+    }
+    listeners.get(key).add(listener);
+    // Deliver the initial snapshot asynchronously, like onSnapshot does
+    const timer = setTimeout(() => onData(applyQuery(snapshot(key), options)), 0);
+    return () => {
+      clearTimeout(timer);
+      listeners.get(key).delete(listener);
+    };
+  };
+
+  return {
+    name: 'memory',
+
+    // There is no real sign-in step; the adapter always has a single anonymous user
+    signIn: async () => currentUser,
+
+    onAuthStateChanged: (callback) => {
+      // Mimic Firebase, which reports the auth state asynchronously
+      const timer = setTimeout(() => callback(currentUser), 0);
+      return () => clearTimeout(timer);
+    },
+
+    subscribe,
+
+    // Watch a single document; `onData` receives null while it does not exist
+    subscribeDoc: (path, id, onData) => subscribe(path, (items) => {
+      onData(items.find((item) => item.id === id) || null);
+    }),
+
+    get: async (path, id) => {
+      const data = getCollection(path).get(id);
+      return data ? { id, ...data } : null;
+    },
+
+    list: async (path, options) => applyQuery(snapshot(path), options),
+
+    count: async (path, options) => applyQuery(snapshot(path), options).length,
+
+    create: async (path, data) => {
+      const id = generateId();
+      getCollection(path).set(id, resolveServerTime({ ...data }, () => new Date()));
+      emit(path);
+      return id;
+    },
+
+    update: async (path, id, data) => {
+      const docs = getCollection(path);
+      docs.set(id, mergeDeep(docs.get(id), resolveServerTime(data, () => new Date())));
+      emit(path);
+    },
+
+    remove: async (path, id) => {
+      getCollection(path).delete(id);
+      emit(path);
+    },
+
+    uploadFile: async (path, blob) => {
+      const key = normalizePath(path);
+      await fileStore.put(key, blob);
+      if (fileUrls.has(key)) {
+        URL.revokeObjectURL(fileUrls.get(key));
+        fileUrls.delete(key);
+      }
+    },
+
+    getFileUrl: async (path) => {
+      const key = normalizePath(path);
+      if (!fileUrls.has(key)) {
+        const blob = await fileStore.get(key);
+        if (!blob) throw new Error(`File not found: ${key}`);
+        fileUrls.set(key, URL.createObjectURL(blob));
+      }
+      return fileUrls.get(key);
+    },
+
+    copyFile: async (from, to) => {
+      const blob = await fileStore.get(normalizePath(from));
+      if (!blob) throw new Error(`File not found: ${normalizePath(from)}`);
+      await fileStore.put(normalizePath(to), blob);
+    },
+
+    removeFile: async (path) => {
+      const key = normalizePath(path);
+      await fileStore.delete(key);
+      if (fileUrls.has(key)) {
+        URL.revokeObjectURL(fileUrls.get(key));
+        fileUrls.delete(key);
+      }
+    },
+
+    // Replace a collection wholesale, used by the local adapter for cross-tab sync
+    replaceCollection: (path, docs) => {
+      const key = normalizePath(path);
+      collections.set(key, new Map(Object.entries(docs)));
+      notify(key);
+    },
+  };
+};
@@ -0,0 +1,236 @@
+// Filename: outbox.js
+// Offline write queue for remote backends. While the browser is offline, or the backend reports
+// that it is unreachable or does not answer in time, creates, updates and removes are saved to
+// localStorage instead of failing, and replayed in order once the connection returns.
+//
+// Firestore never fails a write it cannot deliver: it applies it to its cache and keeps it pending
+// until the server answers, which on a weak connection that still counts as online can take
+// minutes. Such writes are queued after WRITE_TIMEOUT_MS, and the queued copy is dropped if
+// Firestore delivers the original first. Replaying a change the backend already holds is harmless:
+// creates use an ID chosen up front and updates merge.
+//
+// Each queued edit remembers the `updatedAt` of the document it was based on. When it is replayed,
+// a document that has since been edited by someone else, or deleted, is a conflict: the entry is
+// kept back until the user chooses to overwrite or discard it. Partial updates that do not touch
+// `updatedAt` (pins, statuses, RSVPs) merge field by field and never conflict.
+//
+// An entry the backend refuses outright, such as one the security rules no longer allow, is marked
+// failed and kept back until the user retries or discards it; the rest of the queue carries on.
+import { generateId } from './memoryAdapter';
+import { replacer, reviver } from './localAdapter';
+import { toMillis } from '../utils/filters';
+
+const OUTBOX_KEY = 'noticeboard:outbox';
+
+// Errors that mean "could not reach the backend" rather than "the backend said no"
+const isNetworkError = (error) => Boolean(error) && error.code === 'unavailable';
+
+// How long a write may wait for the backend before it is queued
+const WRITE_TIMEOUT_MS = 10 * 1000;
+// How long to wait before replaying the queue again after the backend stopped answering
+const RETRY_MS = 30 * 1000;
+
+// Settle with `promise`, or fail as unreachable when it takes longer than WRITE_TIMEOUT_MS
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('The backend did not answer in time.');
+      error.code = 'unavailable';
+      reject(error);
+    }, WRITE_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const versionOf = (item) => (item ? toMillis(item.updatedAt) || toMillis(item.createdAt) : 0);
+
+export const withOutbox = (adapter, { storageArea = window.localStorage } = {}) => {
+  let entries = [];
+  try {
+    entries = JSON.parse(storageArea.getItem(OUTBOX_KEY) || '[]', reviver);
+  } catch (error) {
+    console.error("Ignoring unreadable outbox:", error);
+  }
+  const listeners = new Set();
+  let isFlushing = false;
+  let retryTimer = null;
+
+  const save = () => {
+    storageArea.setItem(OUTBOX_KEY, JSON.stringify(entries, replacer));
+    listeners.forEach((listener) => listener(entries));
+  };
+
+  // Queue a change, returning the ID of its entry
+  const enqueue = async (entry) => {
+    // Read the document as this browser last saw it, from the offline cache if need be
+    let base = null;
+    if (entry.op !== 'create') {
+      try {
+        base = await adapter.get(entry.path, entry.docId);
+      } catch (error) {
+        console.warn("Could not read the document being changed offline:", error);
+      }
+    }
+    const id = generateId();
+    entries = [...entries, {
+      ...entry,
+      id,
+      status: 'pending',
+      baseVersion: versionOf(base),
+      hadBase: Boolean(base),
+      title: entry.data && entry.data.title ? entry.data.title : (base && base.title) || '',
+      queuedAt: new Date(),
+    }];
+    save();
+    return id;
+  };
+
+  const drop = (entryId) => {
+    if (!entries.some((queued) => queued.id === entryId)) return;
+    entries = entries.filter((queued) => queued.id !== entryId);
+    save();
+  };
+
+  const apply = (entry) => {
+    switch (entry.op) {
+      // Queued creates use an ID chosen up front, so replaying one twice cannot duplicate it
+      case 'create':
+      case 'update':
+        return adapter.update(entry.path, entry.docId, entry.data);
+      case 'remove':
+        return adapter.remove(entry.path, entry.docId);
+      default:
+        return Promise.resolve();
+    }
+  };
+
+  // Compare the queued change with the current server copy of its document
+  const findConflict = async (entry) => {
+    if (entry.op === 'create' || !entry.hadBase) return null;
+    const current = await adapter.get(entry.path, entry.docId);
+    if (!current) return entry.op === 'remove' ? null : { kind: 'deleted' };
+    if (entry.data && entry.data.updatedAt === undefined && entry.op === 'update') return null;
+    // The backend already holds this very change, delivered after it was queued
+    if (entry.data && versionOf(current) === toMillis(entry.data.updatedAt)) return null;
+    return versionOf(current) > entry.baseVersion ? { kind: 'changed', current } : null;
+  };
+
+  const markEntry = (entryId, changes) => {
+    entries = entries.map((queued) => (queued.id === entryId ? { ...queued, ...changes } : queued));
+  };
+
+  // Replay pending entries in order; stops early, and tries again later, if the backend is unreachable
+  const flush = async () => {
+    if (isFlushing || !navigator.onLine) return;
+    isFlushing = true;
+    clearTimeout(retryTimer);
+    try {
+      const blocked = new Set();
+      for (const entry of [...entries]) {
+        const key = `${entry.path}/${entry.docId}`;
+        if (entry.status === 'conflict' || entry.status === 'failed') {
+          blocked.add(key);
+          continue;
+        }
+        // Later changes to a document wait behind an unresolved conflict or failure on it
+        if (blocked.has(key)) continue;
+        try {
+          const conflict = await findConflict(entry);
+          if (conflict) {
+            blocked.add(key);
+            markEntry(entry.id, { status: 'conflict', conflict });
+          } else {
+            await withTimeout(apply(entry));
+            entries = entries.filter((queued) => queued.id !== entry.id);
+          }
+        } catch (error) {
+          if (isNetworkError(error)) throw error;
+          console.error("Queued change was refused:", error);
+          blocked.add(key);
+          markEntry(entry.id, { status: 'failed', error: error.code || error.message || 'unknown' });
+        }
+        save();
+      }
+    } catch (error) {
+      console.error("Outbox sync stopped:", error);
+      if (isNetworkError(error)) {
+        retryTimer = setTimeout(flush, RETRY_MS);
+      }
+    } finally {
+      isFlushing = false;
+    }
+  };
+
+  // Run a write now, or queue it when there is no connection or the backend does not answer
+  const write = async (entry, run) => {
+    if (!navigator.onLine) {
+      await enqueue(entry);
+      return;
+    }
+    const pending = run();
+    try {
+      await withTimeout(pending);
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      const entryId = await enqueue(entry);
+      // A write the backend was still holding needs no replay once it is delivered
+      pending.then(() => {
+        drop(entryId);
+        flush();
+      }, (pendingError) => {
+        if (isNetworkError(pendingError)) return;
+        console.error("Queued change was refused:", pendingError);
+        drop(entryId);
+      });
+    }
+  };
+
+  window.addEventListener('online', flush);
+  if (entries.length > 0) {
+    setTimeout(flush, 0);
+  }
+
+  return {
+    ...adapter,
+
+    // New documents get their ID up front, so a create that is both queued and delivered is written once
+    create: async (path, data) => {
+      const docId = generateId();
+      await write({ op: 'create', path, docId, data }, () => adapter.update(path, docId, data));
+      return docId;
+    },
+
+    update: (path, id, data) => write({ op: 'update', path, docId: id, data }, () => adapter.update(path, id, data)),
+
+    remove: (path, id) => write({ op: 'remove', path, docId: id }, () => adapter.remove(path, id)),
+
+    outbox: {
+      // Call `listener` with the queued entries now and whenever they change
+      subscribe: (listener) => {
+        listeners.add(listener);
+        listener(entries);
+        return () => listeners.delete(listener);
+      },
+
+      flush,
+
+      // Settle a conflict by applying the queued change anyway ('overwrite'), put a failed change
+      // back in line ('retry'), or drop either ('discard')
+      resolve: async (entryId, resolution) => {
+        const entry = entries.find((queued) => queued.id === entryId);
+        if (!entry) return;
+        if (resolution === 'retry') {
+          markEntry(entryId, { status: 'pending', error: null });
+        } else {
+          if (resolution === 'overwrite') {
+            await apply(entry);
+          }
+          entries = entries.filter((queued) => queued.id !== entryId);
+        }
+        save();
+        flush();
+      },
+    },
+  };
+};
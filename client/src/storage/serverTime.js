@@ -0,0 +1,17 @@
+// Filename: serverTime.js
+// Placeholder for "when this write reaches the backend". Firestore stores its own clock, which
+// the security rules see as `request.time`, so nobody can backdate a field written with it;
+// browser-only backends use the local clock. It is a plain object so that writes waiting in
+// the outbox keep it until they are replayed.
+export const SERVER_TIME = Object.freeze({ __serverTime: true });
+
+const isServerTime = (value) => Boolean(value) && value.__serverTime === true;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Replace every placeholder in `value`, including inside nested maps, with `stamp()`
+export const resolveServerTime = (value, stamp) => {
+  if (isServerTime(value)) return stamp();
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, resolveServerTime(entry, stamp)]));
+};
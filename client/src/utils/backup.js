@@ -0,0 +1,114 @@
+// Filename: backup.js
+// Full board backups, to keep a copy of a board or move it to a fresh community (appId). A
+// backup is a JSON file:
+//   { format: 'noticeboard-backup', version: 1, community, createdAt,
+//     collections: { [collectionName]: [post] },   // every section's posts, trashed ones too
+//     comments: { '{collectionName}/{postId}': [comment] },
+//     tallies: { [pollId]: [entry] },              // anonymous polls' results
+//     sections: [doc], settings: [doc], roles: [doc], history: [doc] }
+// with dates encoded as in exports (see importExport.js). Every document keeps its id.
+// Photos are not copied: restored posts point at the files uploaded to the original board.
+// Pending submissions, users' private notification state and their ballots in anonymous polls
+// are left out, so voters in a restored anonymous poll can vote once more.
+import { storage, publicDataPath, appDataPath, getCommunityId } from '../storage';
+import { rolesPath } from '../auth/roles';
+import { sectionsPath } from '../sections';
+import { historyPath } from './history';
+import { commentsPath, withCommentDefaults } from './comments';
+import { tallyPath, isAnonymous } from './polls';
+import { encodeValue, decodeValue, BACKUP_FORMAT } from './importExport';
+
+const BACKUP_VERSION = 1;
+
+const settingsPath = () => appDataPath('settings');
+
+// Board-wide documents in a backup and where they are stored
+const BOARD_DOCUMENTS = [
+  { key: 'sections', label: 'Section settings', path: sectionsPath },
+  { key: 'settings', label: 'Board settings', path: settingsPath },
+  { key: 'history', label: 'Versions in the history', path: historyPath },
+  { key: 'roles', label: 'Roles', path: () => rolesPath() },
+];
+
+// Everything on the current board as backup file text. `sections` are all of its section
+// definitions, hidden ones included.
+export const createBackup = async (sections) => {
+  const collections = Object.fromEntries(await Promise.all(sections.map(async (definition) => (
+    [definition.collection, await storage.list(publicDataPath(definition.collection))]
+  ))));
+  const posts = Object.entries(collections).flatMap(([collectionName, items]) => items
+    .map((item) => [collectionName, item.id]));
+  const comments = Object.fromEntries((await Promise.all(posts.map(async ([collectionName, postId]) => (
+    [`${collectionName}/${postId}`, await storage.list(commentsPath(collectionName, postId))]
+  )))).filter(([, list]) => list.length > 0));
+  const tallies = Object.fromEntries((await Promise.all((collections.polls || []).filter(isAnonymous).map(async (poll) => (
+    [poll.id, await storage.list(tallyPath(poll.id))]
+  )))).filter(([, list]) => list.length > 0));
+  const documents = Object.fromEntries(await Promise.all(BOARD_DOCUMENTS.map(async ({ key, path }) => (
+    [key, await storage.list(path())]
+  ))));
+  return `${JSON.stringify(encodeValue({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    community: getCommunityId(),
+    createdAt: new Date(),
+    collections,
+    comments,
+    tallies,
+    ...documents,
+  }), null, 2)}\n`;
+};
+
+// Parse backup file text, checking it is a backup this version of the board can restore
+export const readBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    console.error("Error reading backup:", error);
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!parsed || parsed.format !== BACKUP_FORMAT) {
+    throw new Error('The file is not a board backup. Section exports are loaded with "Import" instead.');
+  }
+  if (parsed.version > BACKUP_VERSION) {
+    throw new Error('The backup was made by a newer version of the board.');
+  }
+  return decodeValue(parsed);
+};
+
+// What a backup holds, as `[{ label, count }]`, for the confirmation before restoring
+export const backupContents = (backup) => [
+  ...Object.entries(backup.collections || {}).map(([collectionName, items]) => ({ label: `Posts in ${collectionName}`, count: items.length })),
+  { label: 'Comments', count: Object.values(backup.comments || {}).reduce((total, list) => total + list.length, 0) },
+  { label: 'Votes in anonymous polls', count: Object.values(backup.tallies || {}).reduce((total, list) => total + list.length, 0) },
+  ...BOARD_DOCUMENTS.map(({ key, label }) => ({ label, count: (backup[key] || []).length })),
+];
+
+// Write a backup into the current community. Section settings go first so that custom sections
+// exist before their posts arrive. The restoring admin's own role is left alone so they keep
+// their access. `onProgress(done, total)` is called after every document.
+export const restoreBackup = async (backup, { uid, onProgress } = {}) => {
+  const writes = [
+    ...(backup.sections || []).map((doc) => [sectionsPath(), doc]),
+    ...(backup.settings || []).map((doc) => [settingsPath(), doc]),
+    ...Object.entries(backup.collections || {}).flatMap(([collectionName, items]) => (
+      items.map((doc) => [publicDataPath(collectionName), doc])
+    )),
+    ...Object.entries(backup.comments || {}).flatMap(([key, list]) => {
+      const [collectionName, postId] = key.split('/');
+      return list.map((doc) => [commentsPath(collectionName, postId), withCommentDefaults(doc)]);
+    }),
+    ...Object.entries(backup.tallies || {}).flatMap(([pollId, list]) => list.map((doc) => [tallyPath(pollId), doc])),
+    // Restored versions keep who recorded them and also name who restored them
+    ...(backup.history || []).map((doc) => [historyPath(), { ...doc, restoredBy: uid }]),
+    ...(backup.roles || []).filter((doc) => doc.id !== uid).map((doc) => [rolesPath(), doc]),
+  ];
+  let done = 0;
+  for (const [path, { id, ...data }] of writes) {
+    await storage.update(path, id, data);
+    done += 1;
+    if (onProgress) onProgress(done, writes.length);
+  }
+  return done;
+};
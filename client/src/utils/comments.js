@@ -0,0 +1,127 @@
+// Filename: comments.js
+// Comments on posts, kept in a subcollection under each post:
+//   /artifacts/{appId}/public/data/{collectionName}/{postId}/comments/{commentId}
+//   { text, parentId, author, authorUid, createdAt, updatedAt, hidden, hiddenBy, deleted }
+// `parentId` is null for a comment on the post itself and the ID of the comment being answered
+// otherwise, so replies can nest. Authors edit and delete their own comments; moderators and
+// admins hide them, and hidden comments are readable only by staff and their author. A deleted
+// comment that has replies stays as a placeholder, without its text, so the replies keep their
+// place. Every comment carries `hidden` and `deleted`, which members' threads and counts filter
+// on; staff threads fill them in on comments written before they were always set (see
+// withCommentDefaults). The post itself keeps `commentsLocked` once staff close the thread.
+// Recurring events have one thread for the whole series.
+import { storage, publicDataPath } from '../storage';
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+// Replies deeper than this are shown at the same indent as their parent
+export const MAX_COMMENT_DEPTH = 4;
+
+export const commentsPath = (collectionName, postId) => `${publicDataPath(collectionName)}/${postId}/comments`;
+
+export const isVisibleComment = (comment) => !comment.hidden && !comment.deleted;
+
+// Comments without `hidden` or `deleted` are neither
+export const withCommentDefaults = (comment) => ({ hidden: false, deleted: false, ...comment });
+export const lacksCommentDefaults = (comment) => comment.hidden === undefined || comment.deleted === undefined;
+
+// Query options for the comments a reader may load: all of them for staff, the ones not hidden
+// for members
+export const readableComments = (isStaff) => (isStaff ? {} : { where: [['hidden', '==', false]] });
+
+// Check a comment's text, returning an error message or null
+export const validateComment = (text) => {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return 'Write something first.';
+  if (trimmed.length > MAX_COMMENT_LENGTH) return `Comments must be ${MAX_COMMENT_LENGTH} characters or fewer.`;
+  return null;
+};
+
+// Arrange comments into threads, oldest first: `[{ comment, replies: [...] }]`. Hidden comments
+// are only kept for staff (`showHidden`); hidden and deleted ones stay as placeholders while
+// they have replies. Replies to a comment that no longer exists move to the top level.
+export const buildThreads = (comments, { showHidden = false } = {}) => {
+  const ids = new Set(comments.map((comment) => comment.id));
+  const byParent = new Map();
+  comments.forEach((comment) => {
+    const parentId = comment.parentId && ids.has(comment.parentId) ? comment.parentId : null;
+    byParent.set(parentId, [...(byParent.get(parentId) || []), comment]);
+  });
+  const build = (parentId) => (byParent.get(parentId) || [])
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+    .map((comment) => ({ comment, replies: build(comment.id) }))
+    .filter(({ comment, replies }) => replies.length > 0 || (!comment.deleted && (showHidden || !comment.hidden)));
+  return build(null);
+};
+
+// How long a post's comment count is reused before the backend is asked again
+const COUNT_CACHE_MS = 5 * 60 * 1000;
+// Recent counts by comments path, as `{ count, at }`, or `{ pending }` while one is being made
+const counts = new Map();
+
+// Record a post's comment count, as seen by an open thread
+export const rememberCommentCount = (collectionName, postId, count) => {
+  counts.set(commentsPath(collectionName, postId), { count, at: Date.now() });
+};
+
+// Number of comments on a post that readers can see, counted by the backend with one aggregate
+// query. Counts are shared by every card showing the post and kept for COUNT_CACHE_MS; an open
+// thread keeps its post's count current with rememberCommentCount.
+export const countVisibleComments = (collectionName, postId) => {
+  const path = commentsPath(collectionName, postId);
+  const cached = counts.get(path);
+  if (cached && cached.pending) return cached.pending;
+  if (cached && Date.now() - cached.at < COUNT_CACHE_MS) return Promise.resolve(cached.count);
+  const pending = storage.count(path, { where: [['hidden', '==', false], ['deleted', '==', false]] }).then((count) => {
+    rememberCommentCount(collectionName, postId, count);
+    return count;
+  }, (error) => {
+    counts.delete(path);
+    throw error;
+  });
+  counts.set(path, { pending });
+  return pending;
+};
+
+// Add a comment, or a reply when `parentId` is set. Returns the new comment's ID.
+export const addComment = async (collectionName, postId, { text, parentId = null }, { uid, author }) => {
+  const id = await storage.create(commentsPath(collectionName, postId), {
+    text: text.trim(),
+    parentId,
+    author,
+    authorUid: uid,
+    createdAt: new Date(),
+    hidden: false,
+    deleted: false,
+  });
+  return id;
+};
+
+export const editComment = (collectionName, postId, comment, text) => storage.update(
+  commentsPath(collectionName, postId), comment.id, { text: text.trim(), updatedAt: new Date() },
+);
+
+// Delete a comment. One with replies keeps its place in the thread, emptied.
+export const deleteComment = async (collectionName, postId, comment, { hasReplies }) => {
+  if (hasReplies) {
+    await storage.update(commentsPath(collectionName, postId), comment.id, { text: '', deleted: true, updatedAt: new Date() });
+  } else {
+    await storage.remove(commentsPath(collectionName, postId), comment.id);
+  }
+};
+
+// Hide a comment from members, or show it again
+export const setCommentHidden = (collectionName, postId, comment, hidden, uid) => storage.update(
+  commentsPath(collectionName, postId), comment.id, { hidden, hiddenBy: hidden ? uid : null },
+);
+
+// Close a post's thread to new comments and edits, or open it again
+export const setCommentsLocked = (collectionName, postId, locked) => storage.update(
+  publicDataPath(collectionName), postId, { commentsLocked: locked },
+);
+
+// Remove every comment on a post, once the post is deleted for good
+export const removeComments = async (collectionName, postId) => {
+  const comments = await storage.list(commentsPath(collectionName, postId));
+  await Promise.all(comments.map((comment) => storage.remove(commentsPath(collectionName, postId), comment.id)));
+};
@@ -0,0 +1,152 @@
+// Filename: communities.js
+// One deployment can serve several communities, such as one per building. Each community's board
+// lives under /artifacts/{communityId}, with its own roles, sections and settings; the deployment's
+// app ID is the default community. Two collections are shared by every community:
+//   /communities/{communityId} - directory entry `{ name, tagline, theme, access, createdBy, createdAt }`
+//   /memberships/{uid}         - `{ communities: { [communityId]: role }, changedCommunity }`, the
+//                                communities a user has joined or been given a role in, so one login
+//                                can list all of them, and the one the last write changed, which the
+//                                security rules check admins' writes against
+// A community's `access` is 'open' (any signed-in user can read and join it) or 'members' (only
+// users with a role document in that community). The default community is open until an admin
+// says otherwise.
+import { storage, appId, globalDataPath, getCommunityId, setCommunityId } from '../storage';
+import { rolesPath } from '../auth/roles';
+
+export const communitiesPath = () => globalDataPath('communities');
+export const membershipsPath = () => globalDataPath('memberships');
+
+export const DEFAULT_COMMUNITY_ID = appId;
+
+// Colours a community can brand its board with. Class names are spelled out so Tailwind keeps them.
+export const COMMUNITY_THEMES = {
+  blue: { label: 'Blue', page: 'from-blue-50 to-indigo-100', band: 'border-t-blue-600', title: 'text-blue-900', active: 'bg-blue-100 text-blue-800' },
+  green: { label: 'Green', page: 'from-green-50 to-emerald-100', band: 'border-t-green-600', title: 'text-green-900', active: 'bg-green-100 text-green-800' },
+  orange: { label: 'Orange', page: 'from-orange-50 to-amber-100', band: 'border-t-orange-600', title: 'text-orange-900', active: 'bg-orange-100 text-orange-800' },
+  purple: { label: 'Purple', page: 'from-purple-50 to-violet-100', band: 'border-t-purple-600', title: 'text-purple-900', active: 'bg-purple-100 text-purple-800' },
+  red: { label: 'Red', page: 'from-red-50 to-rose-100', band: 'border-t-red-600', title: 'text-red-900', active: 'bg-red-100 text-red-800' },
+  teal: { label: 'Teal', page: 'from-teal-50 to-cyan-100', band: 'border-t-teal-600', title: 'text-teal-900', active: 'bg-teal-100 text-teal-800' },
+  pink: { label: 'Pink', page: 'from-pink-50 to-fuchsia-100', band: 'border-t-pink-600', title: 'text-pink-900', active: 'bg-pink-100 text-pink-800' },
+  gray: { label: 'Gray', page: 'from-gray-50 to-slate-200', band: 'border-t-gray-700', title: 'text-gray-900', active: 'bg-gray-200 text-gray-900' },
+};
+
+export const ACCESS_LEVELS = [
+  { id: 'open', label: 'Open: any signed-in user can join' },
+  { id: 'members', label: 'Members only: admins add people from Manage Roles' },
+];
+
+// Branding shown until an admin sets the community's own
+export const DEFAULT_BRANDING = {
+  name: 'Community Noticeboard',
+  tagline: 'Stay connected with your community',
+  theme: 'blue',
+  access: 'open',
+};
+
+// A directory entry with every branding field filled in. Works for communities without an entry.
+export const withBranding = (id, entry = null) => {
+  const community = { ...DEFAULT_BRANDING, ...(entry || {}), id };
+  if (!COMMUNITY_THEMES[community.theme]) community.theme = DEFAULT_BRANDING.theme;
+  if (!community.name) community.name = id === DEFAULT_COMMUNITY_ID ? DEFAULT_BRANDING.name : id;
+  return community;
+};
+
+export const themeFor = (community) => COMMUNITY_THEMES[community.theme] || COMMUNITY_THEMES.blue;
+
+// Whether a user can see a community's board. Staff claims apply to every community.
+export const canAccess = (community, { claims = {}, roleDoc = null } = {}) => community.access !== 'members'
+  || Boolean(roleDoc) || claims.admin === true || Boolean(claims.role);
+
+// Operators with the `admin` claim create communities. Browser-only backends have no claims,
+// so there any community admin can.
+export const canCreateCommunities = (claims, role) => claims.admin === true || (storage.name !== 'firestore' && role === 'admin');
+
+// Community IDs become path segments, so they are limited to lowercase letters, digits and dashes
+const COMMUNITY_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Whether `id` can name a community: the default one, whatever the deployment calls it, or one
+// made here. Anything else, such as `a/b` from a hand-edited link, would break the storage paths.
+export const isCommunityId = (id) => id === DEFAULT_COMMUNITY_ID || COMMUNITY_ID_PATTERN.test(id || '');
+
+export const communityIdFrom = (name) => name.toLowerCase().trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 40);
+
+// Problems with a community's details as `{ field: message }`; `isNew` also checks the ID
+export const validateCommunity = (community, communities, isNew) => {
+  const errors = {};
+  if (!(community.name || '').trim()) errors.name = 'Enter a name for the community.';
+  if ((community.tagline || '').length > 120) errors.tagline = 'Keep the tagline under 120 characters.';
+  if (isNew) {
+    if (!COMMUNITY_ID_PATTERN.test(community.id || '')) {
+      errors.id = 'Use lowercase letters, digits and dashes.';
+    } else if (community.id === DEFAULT_COMMUNITY_ID || communities.some((entry) => entry.id === community.id)) {
+      errors.id = 'Another community already uses this ID.';
+    }
+  }
+  return errors;
+};
+
+// The community being viewed comes from a `?community=` link, then the last one picked in this browser
+const SELECTED_KEY = 'noticeboard:community';
+
+// Links naming something that cannot be a community are treated as naming none
+export const readCommunityFromUrl = (search = window.location.search) => {
+  const id = new URLSearchParams(search).get('community') || '';
+  return isCommunityId(id) ? id : '';
+};
+
+// Value of the `community` link parameter for the community being viewed; empty for the default one
+export const communityParam = () => (getCommunityId() === DEFAULT_COMMUNITY_ID ? '' : getCommunityId());
+
+export const initialCommunityId = () => {
+  const fromUrl = readCommunityFromUrl();
+  if (fromUrl) return fromUrl;
+  try {
+    const stored = window.localStorage.getItem(SELECTED_KEY);
+    return isCommunityId(stored) ? stored : DEFAULT_COMMUNITY_ID;
+  } catch (error) {
+    console.error("Error reading the selected community:", error);
+    return DEFAULT_COMMUNITY_ID;
+  }
+};
+
+// Point the storage paths at a community and remember the choice. Returns the community's ID,
+// which is the default community's when `id` cannot name one.
+export const selectCommunity = (id) => {
+  setCommunityId(isCommunityId(id) ? id : DEFAULT_COMMUNITY_ID);
+  try {
+    window.localStorage.setItem(SELECTED_KEY, getCommunityId());
+  } catch (error) {
+    console.error("Error remembering the selected community:", error);
+  }
+  return getCommunityId();
+};
+
+// Add a community to a user's list with their role there, or drop it with a null role
+export const recordMembership = (uid, communityId, role) => storage.update(membershipsPath(), uid, {
+  communities: { [communityId]: role },
+  changedCommunity: communityId,
+});
+
+export const saveCommunity = (communityId, { name, tagline, theme, access }) => storage.update(communitiesPath(), communityId, {
+  name: name.trim(),
+  tagline: (tagline || '').trim(),
+  theme,
+  access,
+});
+
+// Add a community to the directory with its creator as the first admin
+export const createCommunity = async (community, uid) => {
+  await storage.update(communitiesPath(), community.id, {
+    name: community.name.trim(),
+    tagline: (community.tagline || '').trim(),
+    theme: community.theme,
+    access: community.access,
+    createdBy: uid,
+    createdAt: new Date(),
+  });
+  await storage.update(rolesPath(community.id), uid, { role: 'admin', grantedBy: uid, grantedAt: new Date() });
+  await recordMembership(uid, community.id, 'admin');
+};
@@ -0,0 +1,82 @@
+// Filename: csv.js
+// CSV (RFC 4180) helpers for admin exports and imports.
+
+// Spreadsheet apps run cells starting with these as formulas, so exports put a `'` in front,
+// which they show as text. Cells that already start with quotes before one of them get one more,
+// so that taking a single `'` off on import gives back exactly what was exported.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+const GUARDED_START = /^'+[=+\-@\t\r]/;
+
+const guardCell = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+const unguardCell = (text) => (GUARDED_START.test(text) ? text.slice(1) : text);
+
+// Quote a value when it contains a delimiter, quote or line break
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = guardCell(value instanceof Date ? value.toISOString() : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from rows of objects. `columns` is a list of `{ key, label }`, where `key` is
+// either a property name or a function of the row.
+export const toCsv = (rows, columns) => {
+  const header = columns.map((column) => escapeCell(column.label)).join(',');
+  const lines = rows.map((row) => columns
+    .map((column) => escapeCell(typeof column.key === 'function' ? column.key(row) : row[column.key]))
+    .join(','));
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+// Parse CSV text into rows of cells. Quoted cells may contain commas, quotes and line breaks;
+// a leading byte order mark and a final line break are ignored, and so is the `'` exports put
+// in front of cells that would read as formulas.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(unguardCell(cell));
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(unguardCell(cell));
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(unguardCell(cell));
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Offer CSV text to the user as a file download
+export const downloadCsv = (filename, csvText) => {
+  // The byte order mark makes spreadsheet apps read the file as UTF-8
+  const blob = new Blob(['\uFEFF', csvText], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,48 @@
+// Filename: dates.js
+// Small local-time date helpers. Event dates are stored as 'YYYY-MM-DD' strings, which
+// compare correctly as plain strings and are used as calendar day keys.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Format a Date as a 'YYYY-MM-DD' key in local time
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Value for an <input type="datetime-local">, in local time
+export const toDateTimeInput = (date) => (date
+  ? `${toDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  : '');
+
+// Date from an <input type="datetime-local"> value, or null when it is empty
+export const fromDateTimeInput = (value) => (value ? new Date(value) : null);
+
+// Parse a 'YYYY-MM-DD' key as local midnight
+export const parseDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+export const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, 1);
+
+// Weeks start on Sunday, matching Date#getDay
+export const startOfWeek = (date) => addDays(date, -date.getDay());
+
+export const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+// Six full weeks covering the month, as shown in a month grid
+export const monthGridDays = (date) => {
+  const first = startOfWeek(startOfMonth(date));
+  return Array.from({ length: 42 }, (_, i) => addDays(first, i));
+};
+
+export const weekDays = (date) => {
+  const first = startOfWeek(date);
+  return Array.from({ length: 7 }, (_, i) => addDays(first, i));
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const formatMonthYear = (date) => date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+export const formatLongDate = (date) => date.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
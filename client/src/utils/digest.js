@@ -0,0 +1,129 @@
+// Filename: digest.js
+// The weekly digest: a summary of the board for a date range, rendered as a standalone HTML page
+// that prints on one or two sheets for the physical noticeboard and can be pasted into an email
+// newsletter (all styles are inline). Like feeds.js, it has no browser dependencies so that
+// scripts/export-digest.js can use it from Node.
+import { postedAt, toMillis, eventStart } from './filters.js';
+import { expandEvents } from './recurrence.js';
+import { effectiveStatus, DEFAULT_ARCHIVE_DAYS } from './lostFound.js';
+import { parseDateKey, addDays, toDateKey, formatLongDate } from './dates.js';
+import { toHtml, escapeHtml } from './markdown.js';
+import { boardLink } from './feeds.js';
+
+// Posts are cut short in the digest; the link leads to the rest
+const EXCERPT_LENGTH = 280;
+
+// Date range of the digest when none is chosen: the coming week, starting today
+export const defaultDigestRange = (today = new Date()) => ({
+  from: toDateKey(today),
+  to: toDateKey(addDays(today, 6)),
+});
+
+// Posts for the digest of [from, to] (inclusive 'YYYY-MM-DD' keys). `itemsBySection` holds the
+// announcements, events and lostfound posts. Returns `{ from, to, announcements, events, lostFound }`:
+//   - announcements published by the end of the range and not expired before it starts, pinned
+//     ones first, each flagged `isNew` when it was published within the range;
+//   - event occurrences taking place within the range, in date order;
+//   - Lost & Found items still open, newest first.
+export const buildDigest = (itemsBySection, { from, to, archiveDays = DEFAULT_ARCHIVE_DAYS, now = Date.now() }) => {
+  const start = parseDateKey(from).getTime();
+  const end = addDays(parseDateKey(to), 1).getTime();
+  const current = (section) => (itemsBySection[section] || []).filter((item) => !item.deletedAt);
+
+  const announcements = current('announcements')
+    .filter((item) => postedAt(item) < end && !(item.expiresAt && toMillis(item.expiresAt) <= start))
+    .map((item) => ({ ...item, isNew: postedAt(item) >= start }))
+    .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || postedAt(b) - postedAt(a));
+
+  const events = expandEvents(current('events'), from, to)
+    .filter((item) => item.date >= from && item.date <= to)
+    .sort((a, b) => eventStart(a) - eventStart(b));
+
+  // A range ending in the future is judged as of now, so nothing is archived ahead of time
+  const statusTime = Math.min(end, now);
+  const lostFound = current('lostfound')
+    .filter((item) => postedAt(item) < end && effectiveStatus(item, archiveDays, statusTime) === 'open')
+    .sort((a, b) => postedAt(b) - postedAt(a));
+
+  return { from, to, announcements, events, lostFound };
+};
+
+const STYLES = {
+  body: 'margin:0;padding:24px;background:#ffffff;color:#1f2937;font-family:Helvetica,Arial,sans-serif;font-size:14px;line-height:1.5;',
+  container: 'max-width:680px;margin:0 auto;',
+  title: 'margin:0 0 4px;font-size:26px;color:#111827;',
+  range: 'margin:0 0 24px;color:#6b7280;',
+  heading: 'margin:28px 0 12px;padding-bottom:6px;border-bottom:2px solid #e5e7eb;font-size:18px;color:#111827;',
+  post: 'margin:0 0 16px;padding:0 0 12px;border-bottom:1px solid #f3f4f6;',
+  postTitle: 'margin:0 0 4px;font-size:15px;',
+  link: 'color:#1d4ed8;text-decoration:none;',
+  meta: 'margin:0 0 6px;color:#6b7280;font-size:13px;',
+  badge: 'display:inline-block;margin-left:6px;padding:0 6px;border-radius:8px;background:#dbeafe;color:#1e40af;font-size:11px;font-weight:bold;',
+  empty: 'margin:0;color:#6b7280;font-style:italic;',
+  footer: 'margin-top:32px;color:#9ca3af;font-size:12px;',
+};
+
+// Page-only adjustments: email clients drop <style>, so the layout does not depend on them
+const PAGE_STYLE = '@media print { body { padding: 0 !important; } a { color: inherit !important; } .post { break-inside: avoid; } }';
+
+const formatDay = (dateKey) => formatLongDate(parseDateKey(dateKey));
+
+const renderPost = (item, { section, boardUrl, meta, badge }) => {
+  const title = escapeHtml(item.title || 'Untitled');
+  const linkedTitle = boardUrl ? `<a href="${escapeHtml(boardLink(boardUrl, section, item.id))}" style="${STYLES.link}">${title}</a>` : title;
+  return [
+    `<div class="post" style="${STYLES.post}">`,
+    `<h3 style="${STYLES.postTitle}">${linkedTitle}${badge ? `<span style="${STYLES.badge}">${escapeHtml(badge)}</span>` : ''}</h3>`,
+    meta.length > 0 ? `<p style="${STYLES.meta}">${meta.map(escapeHtml).join(' · ')}</p>` : '',
+    toHtml(item.content, { limit: EXCERPT_LENGTH }),
+    '</div>',
+  ].filter(Boolean).join('\n');
+};
+
+const renderGroup = (heading, posts, emptyText) => [
+  `<h2 style="${STYLES.heading}">${escapeHtml(heading)}</h2>`,
+  posts.length > 0 ? posts.join('\n') : `<p style="${STYLES.empty}">${escapeHtml(emptyText)}</p>`,
+].join('\n');
+
+// The digest as a complete HTML document. `title` names the board; with `boardUrl` every post
+// title links to its page on the board.
+export const renderDigestHtml = (digest, { title = 'Community Noticeboard', boardUrl } = {}) => {
+  const range = digest.from === digest.to ? formatDay(digest.from) : `${formatDay(digest.from)} to ${formatDay(digest.to)}`;
+  const announcements = digest.announcements.map((item) => renderPost(item, {
+    section: 'announcements',
+    boardUrl,
+    meta: item.priority === 'high' ? ['Important'] : [],
+    badge: item.isNew ? 'New' : '',
+  }));
+  const events = digest.events.map((item) => renderPost(item, {
+    section: 'events',
+    boardUrl,
+    meta: [formatDay(item.date), item.time, item.location].filter(Boolean),
+  }));
+  const lostFound = digest.lostFound.map((item) => renderPost(item, {
+    section: 'lostfound',
+    boardUrl,
+    meta: [item.type === 'found' ? 'Found' : 'Lost', item.location, item.contact && `Contact: ${item.contact}`].filter(Boolean),
+  }));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(`${title}: ${range}`)}</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body style="${STYLES.body}">
+<div style="${STYLES.container}">
+<h1 style="${STYLES.title}">${escapeHtml(title)}</h1>
+<p style="${STYLES.range}">${escapeHtml(range)}</p>
+${renderGroup('Announcements', announcements, 'No announcements for these dates.')}
+${renderGroup('Upcoming events', events, 'No events on these dates.')}
+${renderGroup('Lost & Found', lostFound, 'Nothing is waiting to be claimed.')}
+${boardUrl ? `<p style="${STYLES.footer}">More on the board: <a href="${escapeHtml(boardUrl)}" style="${STYLES.link}">${escapeHtml(boardUrl)}</a></p>` : ''}
+</div>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,82 @@
+// Filename: feedbackStats.js
+// Summary statistics for the feedback analytics dashboard, computed from raw feedback documents.
+import { postedAt } from './filters';
+import { toDateKey, startOfWeek, addDays } from './dates';
+
+// Common English words left out of the keyword counts
+const STOP_WORDS = new Set(`
+a about after again all also am an and any are as at be because been before being but by can
+could did do does doing don for from get got had has have having he her here hers him his how
+i if in into is it its just like me more most my no not now of on once only or other our out
+over own same she should so some such than that the their them then there these they this
+those through to too under until up very was we were what when where which while who why will
+with would you your yours really much many thanks thank please still even well one
+`.trim().split(/\s+/));
+
+const ratingOf = (item) => {
+  const rating = Number(item.rating);
+  return rating >= 1 && rating <= 5 ? Math.round(rating) : null;
+};
+
+const average = (ratings) => (ratings.length ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null);
+
+// Number of feedback items for each star rating, from 1 to 5
+export const ratingHistogram = (items) => {
+  const counts = [0, 0, 0, 0, 0];
+  items.forEach((item) => {
+    const rating = ratingOf(item);
+    if (rating) counts[rating - 1] += 1;
+  });
+  return counts.map((count, index) => ({ rating: index + 1, count }));
+};
+
+// Count and average rating per week (weeks start on Sunday), with empty weeks filled in
+export const weeklyStats = (items) => {
+  const weeks = new Map();
+  items.forEach((item) => {
+    const time = postedAt(item);
+    if (!time) return;
+    const key = toDateKey(startOfWeek(new Date(time)));
+    if (!weeks.has(key)) weeks.set(key, []);
+    weeks.get(key).push(item);
+  });
+  if (weeks.size === 0) return [];
+
+  const keys = [...weeks.keys()].sort();
+  const result = [];
+  const last = keys[keys.length - 1];
+  for (let week = new Date(`${keys[0]}T00:00:00`); toDateKey(week) <= last; week = addDays(week, 7)) {
+    const weekItems = weeks.get(toDateKey(week)) || [];
+    const ratings = weekItems.map(ratingOf).filter(Boolean);
+    result.push({ weekStart: toDateKey(week), count: weekItems.length, average: average(ratings) });
+  }
+  return result;
+};
+
+// Most frequent words in feedback subjects and content
+export const topKeywords = (items, limit = 15) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    const words = `${item.title || ''} ${item.content || ''}`.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    // Each item counts a word once, so one long rant cannot dominate the list
+    new Set(words.map((word) => word.replace(/^'+|'+$/g, ''))).forEach((word) => {
+      if (word.length < 3 || STOP_WORDS.has(word) || /^\d+$/.test(word)) return;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    });
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word, count]) => ({ word, count }));
+};
+
+export const summarizeFeedback = (items) => {
+  const ratings = items.map(ratingOf).filter(Boolean);
+  return {
+    count: items.length,
+    average: average(ratings),
+    histogram: ratingHistogram(items),
+    weeks: weeklyStats(items),
+    keywords: topKeywords(items),
+  };
+};
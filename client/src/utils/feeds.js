@@ -0,0 +1,159 @@
+// Filename: feeds.js
+// Syndication feeds of board posts in RSS 2.0, Atom (RFC 4287) and JSON Feed 1.1 formats, for a
+// single section or the whole board. Posts are first turned into format-neutral entries, which
+// each builder then writes out. Like ics.js, this module only imports modules without browser
+// dependencies so that scripts/export-feeds.js can use it from Node.
+import { postedAt, announcementState, toMillis } from './filters.js';
+import { toHtml, toPlainText, escapeHtml } from './markdown.js';
+
+// File extension and media type of each format
+export const FEED_FORMATS = {
+  rss: { extension: 'rss', type: 'application/rss+xml' },
+  atom: { extension: 'atom', type: 'application/atom+xml' },
+  json: { extension: 'json', type: 'application/feed+json' },
+};
+
+// Most recent posts included in a feed
+export const DEFAULT_FEED_LIMIT = 50;
+
+const GENERATOR = 'Community Noticeboard';
+
+// Control characters other than tabs and line breaks are not allowed in XML 1.0, even escaped
+const isXmlChar = (char) => char >= ' ' || char === '\t' || char === '\n' || char === '\r';
+
+const escapeXml = (value) => escapeHtml(Array.from(String(value)).filter(isXmlChar).join(''));
+
+// Link to a section of the board, or to a single post's page. `boardUrl` is the address the
+// board is served from and may already carry parameters, such as the community.
+export const boardLink = (boardUrl, section, id) => {
+  const url = new URL(boardUrl);
+  url.searchParams.set('section', section);
+  if (id) url.searchParams.set('item', id);
+  return url.toString();
+};
+
+// Whether a post belongs in feeds: trashed posts (see trash.js) never do, and announcements
+// only while they are published
+const isListed = (item, section, now) => {
+  if (item.deletedAt) return false;
+  return section !== 'announcements' || announcementState(item, now) === 'live';
+};
+
+// When and where an event takes place, shown ahead of its description
+const eventSummary = (item) => [
+  item.date && `When: ${item.date}${item.time ? ` ${item.time}` : ''}`,
+  item.location && `Where: ${item.location}`,
+].filter(Boolean);
+
+// Feed entries for the posts of one or more sections, newest first. `sections` are section
+// definitions (`{ id, label }`) and `itemsBySection` maps a section's id to its posts.
+export const feedEntries = (sections, itemsBySection, { boardUrl, now = Date.now(), limit = DEFAULT_FEED_LIMIT } = {}) => sections
+  .flatMap((section) => (itemsBySection[section.id] || [])
+    .filter((item) => isListed(item, section.id, now))
+    .map((item) => {
+      const published = postedAt(item) || now;
+      const summary = section.id === 'events' ? eventSummary(item) : [];
+      return {
+        id: boardLink(boardUrl, section.id, item.id),
+        url: boardLink(boardUrl, section.id, item.id),
+        section: section.id,
+        sectionLabel: section.label,
+        title: item.title || 'Untitled',
+        html: [...summary.map((line) => `<p>${escapeHtml(line)}</p>`), toHtml(item.content)].join('\n'),
+        text: [...summary, toPlainText(item.content)].filter(Boolean).join('\n\n'),
+        author: item.author || '',
+        published: new Date(published),
+        updated: new Date(Math.max(toMillis(item.updatedAt), published)),
+      };
+    }))
+  .sort((a, b) => b.published - a.published)
+  .slice(0, limit);
+
+// Time of the latest change in a feed, for its own updated date
+const lastUpdated = (entries, now) => new Date(Math.max(now, ...entries.map((entry) => entry.updated.getTime())));
+
+// RSS 2.0. `feed` is `{ title, description, link, feedUrl }`.
+export const buildRss = (feed, entries, { now = Date.now() } = {}) => {
+  const items = entries.map((entry) => [
+    '    <item>',
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.url)}</link>`,
+    `      <guid isPermaLink="true">${escapeXml(entry.id)}</guid>`,
+    `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+    `      <category>${escapeXml(entry.sectionLabel)}</category>`,
+    `      <description>${escapeXml(entry.html)}</description>`,
+    '    </item>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+    ...(feed.feedUrl ? [`    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="${FEED_FORMATS.rss.type}"/>`] : []),
+    `    <lastBuildDate>${lastUpdated(entries, now).toUTCString()}</lastBuildDate>`,
+    `    <generator>${GENERATOR}</generator>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+// Atom, with each post's page as its ID
+export const buildAtom = (feed, entries, { now = Date.now() } = {}) => {
+  const items = entries.map((entry) => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+    `    <published>${entry.published.toISOString()}</published>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    ...(entry.author ? [`    <author><name>${escapeXml(entry.author)}</name></author>`] : []),
+    `    <category term="${escapeXml(entry.section)}" label="${escapeXml(entry.sectionLabel)}"/>`,
+    `    <content type="html">${escapeXml(entry.html)}</content>`,
+    '  </entry>',
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl || feed.link)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    ...(feed.description ? [`  <subtitle>${escapeXml(feed.description)}</subtitle>`] : []),
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    ...(feed.feedUrl ? [`  <link rel="self" type="${FEED_FORMATS.atom.type}" href="${escapeXml(feed.feedUrl)}"/>`] : []),
+    `  <updated>${lastUpdated(entries, now).toISOString()}</updated>`,
+    // Atom requires an author for every entry; the board stands in for posts without one
+    `  <author><name>${escapeXml(feed.title)}</name></author>`,
+    `  <generator>${GENERATOR}</generator>`,
+    ...items,
+    '</feed>',
+    '',
+  ].join('\n');
+};
+
+// JSON Feed 1.1
+export const buildJsonFeed = (feed, entries) => `${JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.link,
+  ...(feed.feedUrl ? { feed_url: feed.feedUrl } : {}),
+  ...(feed.description ? { description: feed.description } : {}),
+  items: entries.map((entry) => ({
+    id: entry.id,
+    url: entry.url,
+    title: entry.title,
+    content_html: entry.html,
+    content_text: entry.text,
+    date_published: entry.published.toISOString(),
+    date_modified: entry.updated.toISOString(),
+    tags: [entry.sectionLabel],
+    ...(entry.author ? { authors: [{ name: entry.author }] } : {}),
+  })),
+}, null, 2)}\n`;
+
+const BUILDERS = { rss: buildRss, atom: buildAtom, json: buildJsonFeed };
+
+// A feed document in one of the FEED_FORMATS
+export const buildFeed = (format, feed, entries, options) => BUILDERS[format](feed, entries, options);
@@ -0,0 +1,211 @@
+// Filename: filters.js
+// Pure helpers for searching, filtering and sorting board items, plus URL (de)serialization
+// of the current view so filtered views can be shared as links.
+
+// Values the forms show as selected even when the user never touched the field
+const DEFAULT_PRIORITY = 'medium';
+const DEFAULT_TYPE = 'lost';
+const DEFAULT_RATING = 5;
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+export const SORT_OPTIONS = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'priority', label: 'Priority' },
+  { id: 'eventDate', label: 'Event date' },
+];
+
+// Default view state; anything equal to these is left out of the URL
+export const DEFAULT_VIEW = {
+  section: 'announcements',
+  q: '',
+  scope: 'section',
+  sort: 'newest',
+  priority: '',
+  type: '',
+  minRating: '',
+  maxRating: '',
+  from: '',
+  to: '',
+  when: '',
+  layout: 'cards',
+  status: '',
+  // ID of the post open on its own page, if any
+  item: '',
+};
+
+// Ways the events section can be laid out
+export const EVENT_LAYOUTS = [
+  { id: 'cards', label: 'Cards' },
+  { id: 'month', label: 'Month' },
+  { id: 'week', label: 'Week' },
+  { id: 'agenda', label: 'Agenda' },
+];
+
+// Convert Dates, Firestore Timestamps, ISO strings and numbers to milliseconds
+export const toMillis = (value) => {
+  if (!value) return 0;
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// Posting time, falling back to the `date` field for items written before `createdAt` was used.
+// Scheduled announcements count as posted when they are published.
+export const postedAt = (item) => toMillis(item.publishAt) || toMillis(item.createdAt) || toMillis(item.date);
+
+// Whether an announcement is 'scheduled' (publish time still ahead), 'expired' or 'live'
+export const announcementState = (item, now = Date.now()) => {
+  if (item.publishAt && toMillis(item.publishAt) > now) return 'scheduled';
+  if (item.expiresAt && toMillis(item.expiresAt) <= now) return 'expired';
+  return 'live';
+};
+
+// Filters a reader's queries of a collection must include. The security rules only let members
+// read announcements that are published, and a query may not ask for more than it can read, so
+// members ask for announcements whose `scheduled` flag is cleared (see useScheduledAnnouncements).
+// firestore.indexes.json has the indexes these queries need.
+export const readableWhere = (collectionName, isStaff) => (
+  collectionName === 'announcements' && !isStaff ? [['scheduled', '==', false]] : []
+);
+
+// Whether a poll is 'open', 'closed' (by a moderator or because its deadline passed) or 'archived'
+export const pollState = (item, now = Date.now()) => {
+  if (item.archived) return 'archived';
+  if (item.closed || (item.deadline && toMillis(item.deadline) <= now)) return 'closed';
+  return 'open';
+};
+
+// Start of an event in local time, built from its `date` and optional `time`
+export const eventStart = (item) => {
+  if (!item.date) return 0;
+  return toMillis(`${item.date}T${item.time || '00:00'}`);
+};
+
+// True when every search term appears somewhere in the item's searchable text
+export const matchesSearch = (item, query) => {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = [item.title, item.content, item.location, item.contact]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return terms.every((term) => text.includes(term));
+};
+
+// Apply the section-specific filters from the view state. `context.statusOf` gives the
+// effective Lost & Found status of an item, and `context.canSeeScheduled` lets staff see
+// announcements that are not published yet.
+export const matchesSectionFilters = (item, section, view, context = {}, now = Date.now()) => {
+  switch (section) {
+    case 'announcements': {
+      if (view.priority && (item.priority || DEFAULT_PRIORITY) !== view.priority) return false;
+      const state = announcementState(item, now);
+      if (state === 'scheduled' && !context.canSeeScheduled) return false;
+      if (view.status === 'scheduled') return state === 'scheduled';
+      if (view.status === 'archived') return state === 'expired';
+      return view.status === 'all' || state === 'live';
+    }
+    case 'events': {
+      if (view.from && (!item.date || item.date < view.from)) return false;
+      if (view.to && (!item.date || item.date > view.to)) return false;
+      if (view.when === 'upcoming') return eventStart(item) >= now;
+      if (view.when === 'past') return eventStart(item) < now;
+      return true;
+    }
+    case 'lostfound': {
+      if (view.type && (item.type || DEFAULT_TYPE) !== view.type) return false;
+      const status = context.statusOf ? context.statusOf(item) : (item.status || 'open');
+      // By default only items that are still being looked for are shown
+      if (!view.status) return status === 'open' || status === 'claimed';
+      return view.status === 'all' || status === view.status;
+    }
+    case 'feedback': {
+      const rating = Number(item.rating || DEFAULT_RATING);
+      if (view.minRating && rating < Number(view.minRating)) return false;
+      if (view.maxRating && rating > Number(view.maxRating)) return false;
+      return true;
+    }
+    case 'polls': {
+      const state = pollState(item, now);
+      // Archived polls are only listed when asked for
+      if (!view.status) return state !== 'archived';
+      return view.status === 'all' || state === view.status;
+    }
+    default:
+      return true;
+  }
+};
+
+const compareBy = (sort) => {
+  switch (sort) {
+    case 'oldest':
+      return (a, b) => postedAt(a) - postedAt(b);
+    case 'priority':
+      return (a, b) => (PRIORITY_RANK[b.priority || DEFAULT_PRIORITY] - PRIORITY_RANK[a.priority || DEFAULT_PRIORITY])
+        || postedAt(b) - postedAt(a);
+    case 'eventDate':
+      // Items without an event date sink to the bottom
+      return (a, b) => (eventStart(a) || Infinity) - (eventStart(b) || Infinity) || postedAt(b) - postedAt(a);
+    case 'newest':
+    default:
+      return (a, b) => postedAt(b) - postedAt(a);
+  }
+};
+
+// Return a new, sorted array; the input is left untouched
+export const sortItems = (items, sort) => [...items].sort(compareBy(sort));
+
+// Search, filter and sort one section's items. Pinned announcements stay on top of the
+// current announcements whatever the sort order.
+export const filterSection = (items, section, view, context) => {
+  const sorted = sortItems(
+    items.filter((item) => matchesSearch(item, view.q) && matchesSectionFilters(item, section, view, context)),
+    view.sort,
+  );
+  if (section !== 'announcements' || view.status) return sorted;
+  return [...sorted.filter((item) => item.pinned), ...sorted.filter((item) => !item.pinned)];
+};
+
+// Whether a view needs every post of a section rather than the pages loaded so far: feeds are
+// paged newest first, so searching, filtering or any other order would miss older posts
+export const needsAllPosts = (view) => view.q.trim() !== '' || view.sort !== DEFAULT_VIEW.sort
+  || ['priority', 'type', 'minRating', 'maxRating', 'from', 'to', 'when', 'status'].some((key) => view[key] !== '');
+
+// Search every section at once. Each result carries the section it came from.
+export const searchAllSections = (itemsBySection, view) => sortItems(
+  Object.entries(itemsBySection).flatMap(([section, items]) => items
+    .filter((item) => matchesSearch(item, view.q))
+    .map((item) => ({ ...item, section }))),
+  view.sort,
+);
+
+// Read the view state from a query string such as `?section=events&when=upcoming`
+export const readViewFromUrl = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const view = { ...DEFAULT_VIEW };
+  Object.keys(DEFAULT_VIEW).forEach((key) => {
+    if (params.has(key)) view[key] = params.get(key);
+  });
+  return view;
+};
+
+// Full link to a view, such as a single post's page
+export const viewUrl = (view, extra = {}) => `${window.location.origin}${window.location.pathname}${viewToSearch(view, extra)}`;
+
+// Build the query string for a view state, omitting defaults to keep links short. `extra`
+// holds other parameters to keep in the link, such as the community.
+export const viewToSearch = (view, extra = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(extra).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  Object.entries(view).forEach(([key, value]) => {
+    if (value !== '' && value !== DEFAULT_VIEW[key]) params.set(key, value);
+  });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
@@ -0,0 +1,145 @@
+// Filename: history.js
+// Version history of posts. Changes made through the board are recorded at
+// /artifacts/{appId}/history as
+//   { itemKey, section, itemId, action, data, changedBy, changedAt, recordedBy, restoredFrom }
+// where `data` holds the section's form fields as they were after the change, so any two
+// versions can be compared and an earlier one written back. `recordedBy` is whoever wrote the
+// entry, which differs from `changedBy` only for the reconstructed first version of older posts.
+import { storage, appDataPath } from '../storage';
+import { fieldLabel, formatValue } from '../sections';
+import { describeRecurrence } from './recurrence';
+
+export const historyPath = () => appDataPath('history');
+
+// Single field to query one item's versions by, so no composite index is needed
+export const itemKey = (section, id) => `${section}/${id}`;
+
+export const HISTORY_ACTIONS = {
+  create: 'Created',
+  approve: 'Published from a submission',
+  update: 'Edited',
+  revert: 'Restored an earlier version',
+  import: 'Imported',
+  delete: 'Moved to trash',
+  restore: 'Restored from trash',
+};
+
+// The part of a post that is versioned: its form fields, with missing ones as null so that
+// restoring a version also clears fields that were added later
+export const versionData = (definition, item) => Object.fromEntries(definition.fields
+  .map((field) => [field.name, item[field.name] === undefined ? null : item[field.name]]));
+
+// Versions of an item, newest first
+export const listVersions = async (section, id) => {
+  const versions = await storage.list(historyPath(), { where: [['itemKey', '==', itemKey(section, id)]] });
+  return versions.sort((a, b) => b.changedAt - a.changedAt);
+};
+
+const addVersion = (definition, id, item, { action, uid, recordedBy = uid, at = new Date(), restoredFrom = null }) => storage.create(historyPath(), {
+  itemKey: itemKey(definition.id, id),
+  section: definition.id,
+  itemId: id,
+  action,
+  data: versionData(definition, item),
+  changedBy: uid,
+  changedAt: at,
+  recordedBy,
+  restoredFrom,
+});
+
+// Record a change to a post. Posts written before history was kept get their previous state
+// recorded first, attributed to their author, so the change can still be undone. Members cannot
+// read the history to check for that, so changes to their own posts pass `checkEarlier: false`.
+export const recordChange = async (definition, id, { before, after, action, uid, restoredFrom, checkEarlier = true }) => {
+  if (before && checkEarlier) {
+    const existing = await storage.list(historyPath(), { where: [['itemKey', '==', itemKey(definition.id, id)]], limit: 1 });
+    if (existing.length === 0) {
+      await addVersion(definition, id, before, {
+        action: 'create',
+        uid: before.authorUid || null,
+        recordedBy: uid,
+        at: before.createdAt || new Date(),
+      });
+    }
+  }
+  return addVersion(definition, id, after, { action, uid, restoredFrom });
+};
+
+// Forget an item's history once it has been deleted for good
+export const removeHistory = async (section, id) => {
+  const versions = await listVersions(section, id);
+  await Promise.all(versions.map((version) => storage.remove(historyPath(), version.id)));
+  return versions;
+};
+
+// Word-level differences between two texts, as `{ type: 'same' | 'added' | 'removed', text }` runs
+export const diffWords = (before, after) => {
+  const a = before ? before.split(/(\s+)/) : [];
+  const b = after ? after.split(/(\s+)/) : [];
+  // Longest common subsequence table, filled from the end
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.text += text;
+    else runs.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('same', a[i]);
+      i += 1;
+      j += 1;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Removals come before the additions that replace them
+      push('removed', a[i]);
+      i += 1;
+    } else {
+      push('added', b[j]);
+      j += 1;
+    }
+  }
+  return runs;
+};
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// How a field's value reads in a diff
+const displayValue = (field, data) => {
+  const value = data[field.name];
+  if (value === null || value === undefined) return '';
+  switch (field.type) {
+    case 'photos':
+      return value.length === 0 ? '' : `${value.length} ${value.length === 1 ? 'photo' : 'photos'}`;
+    case 'recurrence':
+      return describeRecurrence(value, data.date);
+    case 'datetime':
+      return formatValue(value, 'datetime', field);
+    case 'checkbox':
+      return value ? 'Yes' : 'No';
+    default:
+      return formatValue(value, 'text', field);
+  }
+};
+
+// Fields that differ between two versions, with their display text before and after. Text
+// fields also get a word-level diff.
+export const diffVersions = (definition, older, newer) => definition.fields
+  .filter((field) => !sameValue(older[field.name], newer[field.name]))
+  .map((field) => {
+    const before = displayValue(field, older);
+    const after = displayValue(field, newer);
+    return {
+      name: field.name,
+      label: fieldLabel(field, newer),
+      before,
+      after,
+      words: ['text', 'textarea', 'markdown'].includes(field.type) ? diffWords(before, after) : null,
+    };
+  });
@@ -0,0 +1,160 @@
+// Filename: ics.js
+// iCalendar (RFC 5545) generation for board events. This module only imports markdown.js, which
+// has no imports of its own, so that the feed script in /scripts can use it from Node as well as
+// from the browser.
+import { toPlainText } from './markdown.js';
+
+const PRODID = '-//Community Noticeboard//Events//EN';
+// Events only store a start time, so timed events are given a default length
+const DEFAULT_DURATION = 'PT1H';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1) without splitting characters
+export const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Convert Dates, Firestore Timestamps and date strings to a Date
+const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// UTC DATE-TIME, e.g. 20250102T030405Z
+const formatUtc = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+  + `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// 'YYYY-MM-DD' -> 'YYYYMMDD'
+const formatDateValue = (dateKey) => dateKey.replace(/-/g, '');
+
+// The day after a 'YYYY-MM-DD' key, for the exclusive DTEND of all-day events
+const nextDateValue = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1));
+  return `${next.getUTCFullYear()}${pad(next.getUTCMonth() + 1)}${pad(next.getUTCDate())}`;
+};
+
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// DATE-TIME (floating) or DATE value for a day and optional 'HH:MM' time, with its parameter
+const dateProperty = (name, dateKey, time) => {
+  if (!time) return `${name};VALUE=DATE:${formatDateValue(dateKey)}`;
+  const [hours, minutes] = time.split(':');
+  return `${name}:${formatDateValue(dateKey)}T${pad(hours)}${pad(minutes)}00`;
+};
+
+// RRULE value for a board recurrence rule (see src/utils/recurrence.js) starting on `dateKey`
+export const recurrenceToRRule = (rule, dateKey, isTimed) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const startWeekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (rule.freq === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length ? rule.byWeekday : [startWeekday];
+    parts.push(`BYDAY=${weekdays.map((weekday) => RRULE_DAYS[weekday]).join(',')}`);
+  }
+  if (rule.freq === 'monthly') {
+    parts.push(rule.monthlyBy === 'weekday' ? `BYDAY=${Math.ceil(day / 7)}${RRULE_DAYS[startWeekday]}` : `BYMONTHDAY=${day}`);
+  }
+  // UNTIL must have the same value type as DTSTART
+  if (rule.until) parts.push(`UNTIL=${formatDateValue(rule.until)}${isTimed ? 'T235959' : ''}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+// Build the content lines of a single VEVENT. Times are floating (no time zone), matching how
+// the board stores them: as the local time of the community. A series is exported with an
+// RRULE and EXDATEs, followed by one overriding VEVENT per individually edited occurrence.
+export const eventToLines = (event, { domain = 'noticeboard', now = new Date(), uid = event.id, recurrenceId } = {}) => {
+  const isSeries = Boolean(event.recurrence && event.recurrence.freq && !event.seriesId);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${domain}`,
+    `DTSTAMP:${formatUtc(toDate(event.updatedAt) || toDate(event.createdAt) || now)}`,
+  ];
+
+  if (recurrenceId) lines.push(dateProperty('RECURRENCE-ID', recurrenceId.date, recurrenceId.time));
+  lines.push(dateProperty('DTSTART', event.date, event.time));
+  lines.push(event.time ? `DURATION:${DEFAULT_DURATION}` : `DTEND;VALUE=DATE:${nextDateValue(event.date)}`);
+
+  if (isSeries) {
+    lines.push(`RRULE:${recurrenceToRRule(event.recurrence, event.date, Boolean(event.time))}`);
+    (event.recurrence.exceptions || []).forEach((dateKey) => {
+      lines.push(dateProperty('EXDATE', dateKey, event.time));
+    });
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title || 'Event')}`);
+  if (event.content) lines.push(`DESCRIPTION:${escapeText(toPlainText(event.content))}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  const created = toDate(event.createdAt);
+  if (created) lines.push(`CREATED:${formatUtc(created)}`);
+  lines.push('END:VEVENT');
+
+  if (isSeries) {
+    Object.entries(event.overrides || {}).forEach(([dateKey, override]) => {
+      const occurrence = { ...event, ...override, date: override.date || dateKey, recurrence: null, overrides: null };
+      lines.push(...eventToLines(occurrence, { domain, now, uid, recurrenceId: { date: dateKey, time: event.time } }));
+    });
+  }
+  return lines;
+};
+
+// Build a complete VCALENDAR document for a list of events
+export const buildCalendar = (events, { name = 'Community Events', domain, now } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.filter((event) => event.date).flatMap((event) => eventToLines(event, { domain, now })),
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Offer an .ics document to the user as a file download
+export const downloadCalendar = (filename, calendarText) => {
+  const blob = new Blob([calendarText], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Turn a title into a safe file name, e.g. 'Summer Fair!' -> 'summer-fair.ics'
+export const calendarFilename = (title) => `${String(title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event'}.ics`;
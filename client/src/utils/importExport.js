@@ -0,0 +1,303 @@
+// Filename: importExport.js
+// Admin export and import of posts. Exports keep everything stored on a post, including its
+// id, timestamps, author and section-specific data such as RSVPs, votes and statuses:
+//   JSON: { format: 'noticeboard-export', version: 1, exportedAt, sections: [{ id, label, items }] }
+//         with dates written as { "$date": "<ISO 8601>" } so they are read back as dates;
+//   CSV:  one file per section with a column per stored value, dates in ISO 8601 and lists
+//         and maps as JSON.
+// Imports read either format, or a plain JSON list of posts. The file's columns are mapped
+// onto the section's fields, and every row is checked, with duplicates flagged, before
+// anything is written.
+import { storage, publicDataPath } from '../storage';
+import { validateItem, applyDefaults, fieldLabel, isEmpty } from '../sections';
+import { toMillis } from './filters';
+import { toCsv, parseCsv } from './csv';
+import { recordChange } from './history';
+
+export const EXPORT_FORMAT = 'noticeboard-export';
+export const BACKUP_FORMAT = 'noticeboard-backup';
+const FORMAT_VERSION = 1;
+
+// Stored values every post has besides its section's fields
+const META_COLUMNS = ['author', 'authorUid', 'date', 'createdAt', 'updatedAt'];
+const META_LABELS = {
+  id: 'ID',
+  author: 'Author',
+  authorUid: 'Author user ID',
+  date: 'Posted date',
+  createdAt: 'Created at',
+  updatedAt: 'Updated at',
+};
+const DATE_COLUMNS = ['createdAt', 'updatedAt'];
+// Stored values that are dates without being form fields, such as `deletedAt`
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Turn Dates and Firestore Timestamps into `{ $date }` markers so values survive JSON
+export const encodeValue = (value) => {
+  if (value instanceof Date || (value && typeof value.toDate === 'function')) {
+    return { $date: new Date(toMillis(value)).toISOString() };
+  }
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, encodeValue(entry)]));
+  }
+  return value;
+};
+
+// The reverse of encodeValue
+export const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === '$date') return new Date(value.$date);
+    return Object.fromEntries(keys.map((key) => [key, decodeValue(value[key])]));
+  }
+  return value;
+};
+
+// JSON export of one or more sections, given as `[{ definition, items }]`
+export const buildJsonExport = (sections, { now = new Date() } = {}) => `${JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: FORMAT_VERSION,
+  exportedAt: now.toISOString(),
+  sections: sections.map(({ definition, items }) => ({
+    id: definition.id,
+    label: definition.label,
+    items: items.map(encodeValue),
+  })),
+}, null, 2)}\n`;
+
+// Columns of a section's CSV export: the id, the section's fields, the common values, then
+// anything else found on its posts
+const csvColumnNames = (definition, items) => {
+  const known = ['id', ...definition.fields.map((field) => field.name), ...META_COLUMNS];
+  const extra = [...new Set(items.flatMap((item) => Object.keys(item)))].filter((key) => !known.includes(key)).sort();
+  return [...new Set([...known, ...extra])];
+};
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value.toDate === 'function') return new Date(toMillis(value)).toISOString();
+  if (typeof value === 'object') return JSON.stringify(encodeValue(value));
+  return value;
+};
+
+// CSV export of one section's posts
+export const buildCsvExport = (definition, items) => toCsv(items, csvColumnNames(definition, items)
+  .map((name) => ({ key: (item) => toCell(item[name]), label: name })));
+
+// Read an uploaded file into groups of records, `[{ id, label, records, isBoardExport }]`: one
+// per section of a JSON export, or a single group for a CSV file or plain JSON list. Records
+// from CSV hold strings; records from JSON hold decoded values.
+export const readImportFile = (text, filename = '') => {
+  const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+  if (/\.csv$/i.test(filename) || !/^[[{]/.test(trimmed)) {
+    const [header = [], ...rows] = parseCsv(trimmed);
+    const columns = header.map((column) => column.trim());
+    const records = rows
+      .filter((row) => row.some((cell) => cell.trim() !== ''))
+      .map((row) => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+    // The board's own CSV files start with the id column
+    return [{ id: '', label: filename || 'CSV file', records, isBoardExport: columns[0] === 'id' }];
+  }
+
+  const parsed = JSON.parse(trimmed);
+  if (parsed && parsed.format === BACKUP_FORMAT) {
+    throw new Error('This is a full board backup. Use "Restore from backup" to load it.');
+  }
+  if (parsed && parsed.format === EXPORT_FORMAT) {
+    return (parsed.sections || []).map((section) => ({
+      id: section.id,
+      label: section.label || section.id,
+      records: (section.items || []).map(decodeValue),
+      isBoardExport: true,
+    }));
+  }
+  if (Array.isArray(parsed)) {
+    return [{ id: '', label: filename || 'JSON file', records: parsed.filter((entry) => entry && typeof entry === 'object').map(decodeValue), isBoardExport: false }];
+  }
+  throw new Error('The file is not a board export, a CSV file or a JSON list of posts.');
+};
+
+// Columns of an import group, in the order they first appear
+export const importColumns = (group) => [...new Set(group.records.flatMap((record) => Object.keys(record)))];
+
+// What a column can be imported as: `[{ name, label }]` for the section's fields and the common values
+export const importTargets = (definition) => [
+  { name: 'id', label: META_LABELS.id },
+  ...definition.fields.map((field) => ({ name: field.name, label: fieldLabel(field) })),
+  ...META_COLUMNS.filter((name) => !definition.fields.some((field) => field.name === name))
+    .map((name) => ({ name, label: META_LABELS[name] })),
+];
+
+// Initial mapping of columns to targets, matching on names and then labels. Columns of the
+// board's own exports that match nothing are kept under their own name (statuses, RSVPs and
+// so on); other unmatched columns are ignored.
+export const suggestMapping = (group, definition) => {
+  const targets = importTargets(definition);
+  return Object.fromEntries(importColumns(group).map((column) => {
+    const normalized = column.trim().toLowerCase();
+    const target = targets.find((entry) => entry.name.toLowerCase() === normalized)
+      || targets.find((entry) => entry.label.toLowerCase() === normalized);
+    return [column, target ? target.name : (group.isBoardExport ? column : '')];
+  }));
+};
+
+const parseJsonCell = (text) => {
+  try {
+    return { value: decodeValue(JSON.parse(text)) };
+  } catch (error) {
+    console.error("Error reading a JSON cell:", error);
+    return { error: 'is not valid JSON' };
+  }
+};
+
+// Convert a CSV cell to the value stored for a field (or common value). Returns `{ value }`, or
+// `{ error }` with the end of a sentence starting with the field's label.
+const coerceCell = (text, field, name) => {
+  const value = text.trim();
+  const type = field ? field.type : null;
+  if (type === 'number' || type === 'rating') {
+    return Number.isNaN(Number(value)) ? { error: 'must be a number' } : { value: Number(value) };
+  }
+  if (type === 'checkbox') return { value: /^(true|yes|y|1|x)$/i.test(value) };
+  if (type === 'datetime' || DATE_COLUMNS.includes(name) || (!field && ISO_DATE_TIME.test(value))) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: 'must be a date and time' } : { value: date };
+  }
+  if (type === 'choices') {
+    // A JSON list, as exported, or choices separated by semicolons
+    return value.startsWith('[') ? parseJsonCell(value) : { value: value.split(';').map((choice) => choice.trim()).filter(Boolean) };
+  }
+  if (type === 'photos' || type === 'recurrence' || (!field && /^[[{]/.test(value))) return parseJsonCell(value);
+  if (!field && /^(true|false)$/.test(value)) return { value: value === 'true' };
+  return { value };
+};
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_KEY = /^\d{2}:\d{2}$/;
+
+// Checks on stored formats that the form's inputs normally guarantee
+const formatError = (field, value) => {
+  if (isEmpty(value)) return null;
+  if (field.type === 'date' && !DATE_KEY.test(value)) return 'must be a date written as YYYY-MM-DD';
+  if (field.type === 'time' && !TIME_KEY.test(value)) return 'must be a time written as HH:MM';
+  if (field.type === 'choices' && !Array.isArray(value)) return 'must be a list';
+  return null;
+};
+
+// Same title on the same day counts as the same post
+const fingerprint = (item) => `${String(item.title || '').trim().toLowerCase()}|${item.date || ''}`;
+
+// Check every record of a group against the section and the posts already on the board.
+// Returns one entry per record:
+//   { row, id, data, errors: [message], duplicate: null | 'id' | 'similar' | 'file', duplicateOf }
+// where 'id' means a post with the same ID exists, 'similar' one with the same title and date,
+// and 'file' an earlier row of the same file.
+export const prepareImport = (group, mapping, definition, existing) => {
+  const fieldsByName = Object.fromEntries(definition.fields.map((field) => [field.name, field]));
+  const existingById = new Map(existing.map((item) => [item.id, item]));
+  const existingByFingerprint = new Map(existing.map((item) => [fingerprint(item), item]));
+  const seenIds = new Set();
+  const seenFingerprints = new Set();
+
+  return group.records.map((record, index) => {
+    const data = {};
+    const errors = [];
+    Object.entries(mapping).forEach(([column, name]) => {
+      if (!name || record[column] === undefined || record[column] === null) return;
+      const raw = record[column];
+      const field = fieldsByName[name];
+      const label = field ? fieldLabel(field) : (META_LABELS[name] || name);
+      if (typeof raw !== 'string') {
+        data[name] = raw;
+        return;
+      }
+      if (raw.trim() === '') return;
+      const { value, error } = coerceCell(raw, field, name);
+      if (error) {
+        errors.push(`${label} ${error}.`);
+      } else {
+        data[name] = value;
+      }
+    });
+
+    const id = data.id === undefined ? null : String(data.id).trim() || null;
+    delete data.id;
+    const values = applyDefaults(definition, data);
+    errors.push(...Object.values(validateItem(definition, values, { isStaff: true })));
+    definition.fields.forEach((field) => {
+      const error = formatError(field, values[field.name]);
+      if (error) errors.push(`${fieldLabel(field)} ${error}.`);
+    });
+
+    const key = fingerprint(values);
+    let duplicate = null;
+    let duplicateOf = null;
+    if ((id && seenIds.has(id)) || seenFingerprints.has(key)) {
+      duplicate = 'file';
+    } else if (id && existingById.has(id)) {
+      duplicate = 'id';
+      duplicateOf = existingById.get(id);
+    } else if (existingByFingerprint.has(key)) {
+      duplicate = 'similar';
+      duplicateOf = existingByFingerprint.get(key);
+    }
+    if (id) seenIds.add(id);
+    seenFingerprints.add(key);
+
+    return { row: index + 1, id, data, errors, duplicate, duplicateOf };
+  });
+};
+
+// Write checked rows to a section. Rows keep their ID when they have one, so importing a
+// board's own export updates the same posts; values missing from the file get the same
+// defaults as a post made with the form. `onProgress(done)` is called after every post.
+export const importPosts = async (definition, rows, { uid, author = 'Admin', onProgress } = {}) => {
+  const collectionPath = publicDataPath(definition.collection);
+  let done = 0;
+  for (const row of rows) {
+    const now = new Date();
+    // A row for an existing post only changes the values the file has
+    const before = row.duplicate === 'id' ? row.duplicateOf : null;
+    let item;
+    if (before) {
+      item = { updatedAt: now, ...row.data };
+    } else {
+      const base = {
+        ...applyDefaults(definition, row.data),
+        author,
+        authorUid: uid,
+        date: now.toISOString().split('T')[0],
+        createdAt: now,
+      };
+      // Section-specific values are derived as for a new post, but what the file says wins
+      item = { ...(definition.prepare ? definition.prepare(base, { isNew: true }) : base), ...row.data };
+    }
+    let id = row.id;
+    if (id) {
+      await storage.update(collectionPath, id, item);
+    } else {
+      id = await storage.create(collectionPath, item);
+    }
+    // History is best effort, as for changes made through the form
+    const after = before ? { ...before, ...item } : item;
+    recordChange(definition, id, { before, after, action: 'import', uid }).catch((error) => {
+      console.error("Error recording history:", error);
+    });
+    done += 1;
+    if (onProgress) onProgress(done);
+  }
+  return done;
+};
+
+// Offer JSON text, such as an export or a backup, to the user as a file download
+export const downloadJson = (filename, jsonText) => {
+  const blob = new Blob([jsonText], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,117 @@
+// Filename: lostFound.js
+// Lost & Found item lifecycle and lost/found matching.
+//
+// Items move open -> claimed -> returned, and can be archived from any state. Open items
+// older than the board's auto-archive age are archived automatically.
+import { toMillis } from './filters.js';
+import { parseDateKey } from './dates.js';
+
+export const LOST_FOUND_STATUSES = [
+  { id: 'open', label: 'Open', color: 'bg-blue-100 text-blue-800' },
+  { id: 'claimed', label: 'Claimed', color: 'bg-yellow-100 text-yellow-800' },
+  { id: 'returned', label: 'Returned', color: 'bg-green-100 text-green-800' },
+  { id: 'archived', label: 'Archived', color: 'bg-gray-100 text-gray-800' },
+];
+
+// Statuses an item can move to from each status
+export const STATUS_TRANSITIONS = {
+  open: ['claimed', 'archived'],
+  claimed: ['returned', 'open', 'archived'],
+  returned: ['archived'],
+  archived: ['open'],
+};
+
+export const LOST_FOUND_CATEGORIES = [
+  'Keys', 'Wallet / Purse', 'Phone / Electronics', 'Bag', 'Clothing', 'Jewellery', 'Documents / Cards', 'Pet', 'Other',
+];
+
+export const DEFAULT_ARCHIVE_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Items written before statuses existed count as open
+export const getStatus = (item) => item.status || 'open';
+
+// True when an open item has been up longer than the auto-archive age
+export const isStale = (item, archiveDays, now = Date.now()) => {
+  if (!archiveDays || getStatus(item) !== 'open') return false;
+  const posted = toMillis(item.createdAt) || toMillis(item.date);
+  return posted > 0 && now - posted > archiveDays * DAY_MS;
+};
+
+// Status to show: stale open items are archived even before anyone has saved that
+export const effectiveStatus = (item, archiveDays, now = Date.now()) => (
+  isStale(item, archiveDays, now) ? 'archived' : getStatus(item)
+);
+
+// Words too common to say anything about an item
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'my', 'i', 'it', 'is', 'was', 'near',
+  'by', 'lost', 'found', 'from', 'this', 'that', 'has', 'have', 'some', 'please', 'contact', 'me', 'if',
+]);
+
+// Lowercased, de-pluralised words of a text, without stop words
+export const tokenize = (text) => new Set(String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+  .map((word) => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word)));
+
+// Jaccard similarity of two token sets, from 0 to 1
+const similarity = (left, right) => {
+  if (left.size === 0 || right.size === 0) return 0;
+  let shared = 0;
+  left.forEach((token) => {
+    if (right.has(token)) shared++;
+  });
+  return shared / (left.size + right.size - shared);
+};
+
+// Day the item was lost or found, falling back to when it was posted
+const itemDay = (item) => (item.itemDate ? parseDateKey(item.itemDate).getTime() : toMillis(item.createdAt) || toMillis(item.date));
+
+// 1 when found on the day it was lost, fading to 0 over two weeks. Items found well before
+// they were reported lost are unlikely to be the same thing.
+const dateScore = (lost, found) => {
+  const days = (itemDay(found) - itemDay(lost)) / DAY_MS;
+  if (days < -2) return 0;
+  return Math.max(0, 1 - Math.abs(days) / 14);
+};
+
+const WEIGHTS = { text: 0.45, category: 0.25, date: 0.15, place: 0.15 };
+// Minimum score for a pair to be suggested as a match
+export const MATCH_THRESHOLD = 0.35;
+
+// Score how likely a lost and a found item are the same thing, from 0 to 1. Items whose titles
+// and descriptions share no words score 0: the same category and a close date alone fit too
+// many items to be worth suggesting.
+export const matchScore = (lost, found) => {
+  const text = similarity(tokenize(`${lost.title} ${lost.content}`), tokenize(`${found.title} ${found.content}`));
+  if (text === 0) return 0;
+  const category = lost.category && found.category
+    ? (lost.category === found.category ? 1 : 0)
+    : 0.5;
+  const place = lost.location && found.location
+    ? similarity(tokenize(lost.location), tokenize(found.location))
+    : 0;
+  // Text similarity is usually low for short posts, so boost it before weighting
+  return WEIGHTS.text * Math.min(1, text * 2)
+    + WEIGHTS.category * category
+    + WEIGHTS.date * dateScore(lost, found)
+    + WEIGHTS.place * Math.min(1, place * 2);
+};
+
+// Likely matches for an item among the other open items of the opposite type, best first
+export const findMatches = (item, candidates, { archiveDays, limit = 5 } = {}) => {
+  const isLost = (item.type || 'lost') === 'lost';
+  return candidates
+    .filter((candidate) => candidate.id !== item.id
+      && (candidate.type || 'lost') !== (item.type || 'lost')
+      && effectiveStatus(candidate, archiveDays) === 'open')
+    .map((candidate) => ({
+      item: candidate,
+      score: isLost ? matchScore(item, candidate) : matchScore(candidate, item),
+    }))
+    .filter((match) => match.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
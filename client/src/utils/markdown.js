@@ -0,0 +1,288 @@
+// Filename: markdown.js
+// A small Markdown dialect for post content. Text is parsed into a tree of plain objects that
+// components/Markdown.jsx turns into React elements, so nothing is ever inserted as HTML: tags
+// typed into a post show up as text, and links are only kept when they use a safe scheme.
+//   blocks: paragraphs (single line breaks are kept), `#` to `###` headings, `-`, `*` or `1.`
+//           lists, `>` quotes, ``` fenced code and `---` rules
+//   inline: **bold**, *italic* or _italic_, `code`, [text](url), and bare links, email
+//           addresses and phone numbers, which become links by themselves
+// Every node has a `type`; text-bearing nodes have `text`, containers have `children`.
+// This module has no imports so that the calendar feed script can use it from Node.
+
+// Links may only point at web pages, email addresses and phone numbers
+const SAFE_URL = /^(?:https?:\/\/[^\s]+|mailto:[^\s@]+@[^\s@]+|tel:\+?[\d().-]+)$/i;
+
+// The URL to link to, or null when it is not safe to follow (javascript:, data: and so on)
+export const safeUrl = (url) => {
+  const trimmed = String(url || '').trim();
+  const withScheme = /^www\./i.test(trimmed) ? `https://${trimmed}` : trimmed;
+  return SAFE_URL.test(withScheme) ? withScheme : null;
+};
+
+// Bare URLs, email addresses and phone numbers such as +44 20 7946 0958 or (555) 123-4567
+const AUTOLINK = new RegExp([
+  /(https?:\/\/[^\s<]+|www\.[^\s<]+)/.source,
+  /([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/.source,
+  /((?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}(?!\d))/.source,
+].join('|'), 'g');
+
+// Punctuation that ends a sentence rather than the URL before it
+const TRAILING_PUNCTUATION = /[.,;:!?)\]'"]+$/;
+
+const autolink = (text) => {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(AUTOLINK)) {
+    const [, url, email, phone] = match;
+    let linkText = match[0];
+    let href;
+    if (url) {
+      linkText = url.replace(TRAILING_PUNCTUATION, '');
+      href = safeUrl(linkText);
+    } else if (email) {
+      href = `mailto:${email}`;
+    } else {
+      href = `tel:${phone.replace(/[^\d+]/g, '')}`;
+    }
+    if (!href) continue;
+    if (match.index > last) nodes.push({ type: 'text', text: text.slice(last, match.index) });
+    nodes.push({ type: 'link', href, children: [{ type: 'text', text: linkText }] });
+    last = match.index + linkText.length;
+  }
+  if (last < text.length) nodes.push({ type: 'text', text: text.slice(last) });
+  return nodes;
+};
+
+// `code`, [text](url), **bold**, *italic* and _italic_ (but not snake_case words)
+const INLINE = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(\S(?:.*?\S)?)\*\*|\*(\S(?:.*?\S)?)\*|(?<!\w)_(\S(?:.*?\S)?)_(?!\w)/g;
+
+const parseInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    const [whole, code, linkText, href, strong, em, underscored] = match;
+    if (match.index > last) nodes.push(...autolink(text.slice(last, match.index)));
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (linkText !== undefined) {
+      const url = safeUrl(href);
+      // An unsafe link keeps its text but loses the link
+      nodes.push(url ? { type: 'link', href: url, children: [{ type: 'text', text: linkText }] } : { type: 'text', text: linkText });
+    } else if (strong !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(strong) });
+    } else {
+      nodes.push({ type: 'em', children: parseInline(em ?? underscored) });
+    }
+    last = match.index + whole.length;
+  }
+  if (last < text.length) nodes.push(...autolink(text.slice(last)));
+  return nodes;
+};
+
+// Inline nodes for several lines, keeping the line breaks
+const parseLines = (lines) => lines.flatMap((line, index) => [
+  ...(index > 0 ? [{ type: 'break' }] : []),
+  ...parseInline(line.trim()),
+]);
+
+const FENCE = /^\s*```/;
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const RULE = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?/;
+const LIST_ITEM = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+const startsBlock = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line)
+  || QUOTE.test(line) || LIST_ITEM.test(line);
+
+// Parse Markdown text into a list of block nodes
+export const parseMarkdown = (source) => {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    if (!line.trim()) {
+      index++;
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      const code = [];
+      index++;
+      while (index < lines.length && !FENCE.test(lines[index])) code.push(lines[index++]);
+      index++;
+      blocks.push({ type: 'codeblock', text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2].trim()) });
+      index++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      index++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (index < lines.length && QUOTE.test(lines[index])) quoted.push(lines[index++].replace(QUOTE, ''));
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM);
+    if (listItem) {
+      const ordered = !listItem[1];
+      const items = [];
+      while (index < lines.length && lines[index].trim()) {
+        const item = lines[index].match(LIST_ITEM);
+        if (item && Boolean(item[1]) === !ordered) {
+          items.push([item[3]]);
+        } else if (item || (startsBlock(lines[index]) && !LIST_ITEM.test(lines[index]))) {
+          break;
+        } else {
+          // A wrapped line continues the item above it
+          items[items.length - 1].push(lines[index]);
+        }
+        index++;
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(listItem[2]) : undefined,
+        children: items.map((itemLines) => ({ type: 'item', children: parseLines(itemLines) })),
+      });
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() && !(paragraph.length > 0 && startsBlock(lines[index]))) {
+      paragraph.push(lines[index++]);
+    }
+    blocks.push({ type: 'paragraph', children: parseLines(paragraph) });
+  }
+
+  return blocks;
+};
+
+// Number of characters a tree shows; breaks and rules count as one
+const textLength = (nodes) => nodes.reduce((sum, node) => {
+  if (node.text !== undefined) return sum + node.text.length;
+  if (node.children) return sum + textLength(node.children);
+  return sum + 1;
+}, 0);
+
+// Shorten text to at most `length` characters, at a word boundary when there is one
+const shorten = (text, length) => {
+  const cut = text.slice(0, length);
+  const atWord = cut.replace(/\s+\S*$/, '');
+  return `${atWord || cut}…`;
+};
+
+// The first `limit` characters of a parsed document, as `{ blocks, truncated }`. Formatting and
+// links are kept; the text node where the limit falls is shortened with an ellipsis.
+export const truncateBlocks = (blocks, limit) => {
+  if (textLength(blocks) <= limit) return { blocks, truncated: false };
+  let budget = limit;
+  const cut = (nodes) => {
+    const kept = [];
+    for (const node of nodes) {
+      if (budget <= 0) break;
+      if (node.text !== undefined) {
+        kept.push(node.text.length <= budget ? node : { ...node, text: shorten(node.text, budget) });
+        budget -= node.text.length;
+      } else if (node.children) {
+        kept.push({ ...node, children: cut(node.children) });
+      } else {
+        kept.push(node);
+        budget -= 1;
+      }
+    }
+    return kept;
+  };
+  return { blocks: cut(blocks), truncated: true };
+};
+
+// Markdown as plain text, for notifications, calendar descriptions and other places without formatting
+export const toPlainText = (source) => {
+  const inlineText = (nodes) => nodes.map((node) => {
+    if (node.type === 'break') return '\n';
+    if (node.text !== undefined) return node.text;
+    return node.children ? inlineText(node.children) : '';
+  }).join('');
+  const blockText = (block) => {
+    switch (block.type) {
+      case 'list':
+        return block.children
+          .map((item, position) => `${block.ordered ? `${block.start + position}.` : '-'} ${inlineText(item.children)}`)
+          .join('\n');
+      case 'quote':
+        return block.children.map(blockText).join('\n\n');
+      case 'rule':
+        return '';
+      case 'codeblock':
+        return block.text;
+      default:
+        return inlineText(block.children);
+    }
+  };
+  return parseMarkdown(source).map(blockText).filter(Boolean).join('\n\n');
+};
+
+// Escape text for HTML element content and double-quoted attribute values
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Markdown as an HTML string, for feeds and the printable digest. Built from the same tree as
+// components/Markdown.jsx: all text is escaped and links are the safe ones the parser kept.
+// With `limit`, only the first `limit` characters are included.
+export const toHtml = (source, { limit } = {}) => {
+  const parsed = parseMarkdown(source);
+  const blocks = limit ? truncateBlocks(parsed, limit).blocks : parsed;
+  const inlineHtml = (nodes) => nodes.map((node) => {
+    switch (node.type) {
+      case 'break':
+        return '<br>';
+      case 'strong':
+        return `<strong>${inlineHtml(node.children)}</strong>`;
+      case 'em':
+        return `<em>${inlineHtml(node.children)}</em>`;
+      case 'code':
+        return `<code>${escapeHtml(node.text)}</code>`;
+      case 'link':
+        return `<a href="${escapeHtml(node.href)}">${inlineHtml(node.children)}</a>`;
+      default:
+        return escapeHtml(node.text);
+    }
+  }).join('');
+  const blockHtml = (block) => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level + 2}>${inlineHtml(block.children)}</h${block.level + 2}>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        return `<${tag}${start}>${block.children.map((item) => `<li>${inlineHtml(item.children)}</li>`).join('')}</${tag}>`;
+      }
+      case 'quote':
+        return `<blockquote>${block.children.map(blockHtml).join('')}</blockquote>`;
+      case 'codeblock':
+        return `<pre><code>${escapeHtml(block.text)}</code></pre>`;
+      case 'rule':
+        return '<hr>';
+      default:
+        return `<p>${inlineHtml(block.children)}</p>`;
+    }
+  };
+  return blocks.map(blockHtml).join('\n');
+};
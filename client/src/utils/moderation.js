@@ -0,0 +1,57 @@
+// Filename: moderation.js
+// Submissions from members who cannot post directly. They wait at /artifacts/{appId}/submissions
+// as `{ section, data, status, submittedBy, createdAt }` until a moderator or admin approves them,
+// which publishes `data` to the section's collection, or rejects them with a reason.
+import { storage, appDataPath, publicDataPath } from '../storage';
+import { publishPhotos, memberPhotos, removePhotos } from './photos';
+
+export const submissionsPath = () => appDataPath('submissions');
+
+export const SUBMISSION_STATUSES = [
+  { id: 'pending', label: 'Pending review', color: 'bg-yellow-100 text-yellow-800' },
+  { id: 'approved', label: 'Approved', color: 'bg-green-100 text-green-800' },
+  { id: 'rejected', label: 'Rejected', color: 'bg-red-100 text-red-800' },
+];
+
+export const submitForReview = (section, data, uid) => storage.create(submissionsPath(), {
+  section,
+  data,
+  status: 'pending',
+  submittedBy: uid,
+  createdAt: new Date(),
+});
+
+// Publish a submission, possibly edited by the reviewer, and mark it approved. Its photos are
+// copied out of the member's folder first, so the member cannot change them once published.
+// Returns the new post's ID and the data published.
+export const approveSubmission = async (submission, collectionName, { data: submitted = submission.data, reviewerUid, reason = '' }) => {
+  const now = new Date();
+  const data = submitted.photos ? { ...submitted, photos: await publishPhotos(submitted.photos, collectionName) } : submitted;
+  const publishedId = await storage.create(publicDataPath(collectionName), {
+    ...data,
+    submissionId: submission.id,
+    approvedBy: reviewerUid,
+    // Approved posts are dated by when they went public so they appear at the top of the feed
+    createdAt: now,
+  });
+  await storage.update(submissionsPath(), submission.id, {
+    status: 'approved',
+    data,
+    reason,
+    reviewedBy: reviewerUid,
+    reviewedAt: now,
+    publishedId,
+  });
+  removePhotos(memberPhotos(submitted.photos));
+  return { id: publishedId, data };
+};
+
+export const rejectSubmission = (submission, { reviewerUid, reason = '' }) => storage.update(submissionsPath(), submission.id, {
+  status: 'rejected',
+  reason,
+  reviewedBy: reviewerUid,
+  reviewedAt: new Date(),
+});
+
+// Members can withdraw their submissions while they are still pending
+export const withdrawSubmission = (submission) => storage.remove(submissionsPath(), submission.id);
@@ -0,0 +1,44 @@
+// Filename: notifications.js
+// Per-user notification state lives at /artifacts/{appId}/users/{uid}:
+//   lastVisit: when the board was last opened, the baseline for the notification center
+//   lastSeen: { [section]: Date } when each section was last looked at, for unread counts
+//   notificationPrefs: { [section]: { inApp, browser } }
+import { appDataPath } from '../storage';
+import { announcementState } from './filters';
+
+export const usersPath = () => appDataPath('users');
+
+// Sections that can raise browser notifications, and which of their posts do
+export const BROWSER_NOTIFICATION_RULES = {
+  announcements: (item) => item.priority === 'high',
+  events: () => true,
+};
+
+export const DEFAULT_SECTION_PREFS = { inApp: true, browser: false };
+
+export const sectionPrefs = (prefs = {}, section) => ({ ...DEFAULT_SECTION_PREFS, ...prefs[section] });
+
+// Posts that count as news for a user: someone else's, not in the trash, and already published
+export const isNotifiable = (item, section, uid, now = Date.now()) => item.authorUid !== uid && !item.deletedAt
+  && (section !== 'announcements' || announcementState(item, now) === 'live');
+
+export const browserNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask for permission if it has not been decided yet; resolves true when notifications may be shown
+export const requestBrowserPermission = async () => {
+  if (!browserNotificationsSupported()) return false;
+  if (Notification.permission === 'default') {
+    return (await Notification.requestPermission()) === 'granted';
+  }
+  return Notification.permission === 'granted';
+};
+
+export const showBrowserNotification = (title, { body, tag, onClick }) => {
+  if (!browserNotificationsSupported() || Notification.permission !== 'granted') return;
+  const notification = new Notification(title, { body, tag, icon: '/icon-192.png' });
+  notification.onclick = () => {
+    window.focus();
+    if (onClick) onClick();
+    notification.close();
+  };
+};
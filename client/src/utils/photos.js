@@ -0,0 +1,128 @@
+// Filename: photos.js
+// Photo attachments: images are resized and re-encoded in the browser before upload. Drawing
+// onto a canvas and exporting a new JPEG drops EXIF metadata such as GPS location and camera
+// details, while the browser's decoder has already applied the EXIF orientation.
+import { storage, publicFilePath } from '../storage';
+import { generateId } from '../storage/memoryAdapter';
+
+export const MAX_PHOTOS = 4;
+export const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+const FULL_SIZE = 1600;
+const THUMB_SIZE = 320;
+const JPEG_QUALITY = 0.82;
+const AVATAR_SIZE = 128;
+
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Scale the image to fit within `maxSize` and encode it as a JPEG
+const renderJpeg = (image, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency, so give transparent PNGs a white background instead of black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, 0, 0, width, height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve({ blob, width, height }) : reject(new Error('Could not encode image'))),
+      'image/jpeg', JPEG_QUALITY);
+  });
+};
+
+const checkImageFile = (file) => {
+  if (!file.type.startsWith('image/')) {
+    throw new Error(`${file.name} is not an image.`);
+  }
+  if (file.size > MAX_UPLOAD_BYTES) {
+    throw new Error(`${file.name} is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB.`);
+  }
+};
+
+// Turn a picked file into a full-size image and a thumbnail, ready to upload
+export const processPhoto = async (file) => {
+  checkImageFile(file);
+  const image = await decodeImage(file);
+  const full = await renderJpeg(image, FULL_SIZE);
+  const thumb = await renderJpeg(image, THUMB_SIZE);
+  if (image.close) image.close();
+  return {
+    id: generateId(),
+    blob: full.blob,
+    thumbBlob: thumb.blob,
+    width: full.width,
+    height: full.height,
+    previewUrl: URL.createObjectURL(thumb.blob),
+  };
+};
+
+// Turn a picked file into a profile picture: the middle square of the image as a small JPEG
+// data URL, stored on the profile itself
+export const processAvatar = async (file) => {
+  checkImageFile(file);
+  const image = await decodeImage(file);
+  const side = Math.min(image.width, image.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = AVATAR_SIZE;
+  canvas.height = AVATAR_SIZE;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, AVATAR_SIZE, AVATAR_SIZE);
+  context.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+  if (image.close) image.close();
+  return canvas.toDataURL('image/jpeg', JPEG_QUALITY);
+};
+
+// Members upload photos to a folder of their own, which they can add files to but never
+// overwrite. Approving a submission copies its photos into the section's folder.
+export const memberPhotoFolder = (uid) => `submissions/${uid}`;
+
+const isMemberPhoto = (photo) => photo.path.startsWith(`${publicFilePath('submissions')}/`);
+
+// Upload processed photos and return the attachment records stored on the post
+export const uploadPhotos = (pending, folder) => Promise.all(pending.map(async (photo) => {
+  const path = `${publicFilePath(folder)}/${photo.id}.jpg`;
+  const thumbPath = `${publicFilePath(folder)}/${photo.id}_thumb.jpg`;
+  await Promise.all([storage.uploadFile(path, photo.blob), storage.uploadFile(thumbPath, photo.thumbBlob)]);
+  return { path, thumbPath, width: photo.width, height: photo.height };
+}));
+
+// Copy members' photos among `photos` into `folder`, returning the attachment records to publish.
+// Photos already outside the members' folders are kept as they are.
+export const publishPhotos = (photos = [], folder) => Promise.all(photos.map(async (photo) => {
+  if (!isMemberPhoto(photo)) return photo;
+  const id = generateId();
+  const path = `${publicFilePath(folder)}/${id}.jpg`;
+  const thumbPath = `${publicFilePath(folder)}/${id}_thumb.jpg`;
+  await Promise.all([storage.copyFile(photo.path, path), storage.copyFile(photo.thumbPath, thumbPath)]);
+  return { ...photo, path, thumbPath };
+}));
+
+// Members' photos among `photos`, whose copies have been published
+export const memberPhotos = (photos = []) => photos.filter(isMemberPhoto);
+
+// Delete the stored files behind attachments; missing files are not an error
+export const removePhotos = (photos = []) => Promise.all(photos.flatMap((photo) => [photo.path, photo.thumbPath])
+  .map((path) => storage.removeFile(path).catch((error) => {
+    console.error("Error removing photo:", path, error);
+  })));
+
+export const releasePreviews = (pending) => {
+  pending.forEach((photo) => URL.revokeObjectURL(photo.previewUrl));
+};
@@ -0,0 +1,110 @@
+// Filename: polls.js
+// How votes are stored depends on the poll's `visibility`.
+//
+// Public polls keep them on the poll document itself, like event RSVPs, so the poll listeners
+// keep results live. `votes` maps each voter's uid to their ballot:
+//   votes: { [uid]: { choices: [optionLabel, ...], votedAt } }
+// Keying by uid is what limits everyone to a single ballot, which they can change while the
+// poll is open, and lets the security rules check that users only ever touch their own.
+//
+// Anonymous polls (the default) must not show who voted for what, so their ballots live in
+// subcollections of the poll:
+//   ballots/{uid}     { choices, votedAt, entryId }   readable only by the voter
+//   tally/{entryId}   { choices }                     readable by every member
+// `entryId` is a random ID picked with the first vote and never changed, so each voter has one
+// unattributed entry in the tally; the rules only let them write the entry their ballot names,
+// with the same choices. Results are counted from the tally.
+import { storage, publicDataPath } from '../storage';
+import { generateId } from '../storage/memoryAdapter';
+import { pollState } from './filters';
+
+export const ballotsPath = (pollId) => `${publicDataPath('polls')}/${pollId}/ballots`;
+export const tallyPath = (pollId) => `${publicDataPath('polls')}/${pollId}/tally`;
+
+// Polls written before `visibility` existed are anonymous, as new ones are by default
+export const isAnonymous = (poll) => (poll.visibility || 'anonymous') === 'anonymous';
+
+export const POLL_STATES = [
+  { id: 'open', label: 'Open', color: 'bg-green-100 text-green-800' },
+  { id: 'closed', label: 'Closed', color: 'bg-gray-100 text-gray-800' },
+  { id: 'archived', label: 'Archived', color: 'bg-gray-100 text-gray-600' },
+];
+
+export const pollStateInfo = (poll, now) => POLL_STATES.find((state) => state.id === pollState(poll, now));
+
+// Ballots in the `votes` map of anonymous polls, from before those polls had a tally. Staff
+// move them into ballots and tally entries (see moveLegacyVotes).
+const legacyVotes = (poll) => Object.entries(poll.votes || {}).filter(([, vote]) => vote && vote.choices);
+
+// The user's vote: for anonymous polls, their ballot (see usePollBallots)
+export const getUserVote = (poll, uid, ballot = null) => {
+  const legacy = (poll.votes && poll.votes[uid]) || null;
+  return isAnonymous(poll) ? ballot || legacy : legacy;
+};
+
+export const buildVote = (choices) => ({ choices, votedAt: new Date() });
+
+// Record a ballot, replacing any earlier one. `ballot` is the user's current ballot in an
+// anonymous poll; the tally entry is written after it, since the rules check one against the other.
+export const castVote = async (poll, uid, choices, ballot = null) => {
+  const vote = buildVote(choices);
+  if (!isAnonymous(poll)) {
+    await storage.update(publicDataPath('polls'), poll.id, { votes: { [uid]: vote } });
+    return vote;
+  }
+  const entryId = (ballot && ballot.entryId) || generateId();
+  await storage.update(ballotsPath(poll.id), uid, { ...vote, entryId });
+  await storage.update(tallyPath(poll.id), entryId, { choices });
+  // A ballot from before the tally now counts twice, so it goes
+  if (poll.votes && poll.votes[uid]) await storage.update(publicDataPath('polls'), poll.id, { votes: { [uid]: null } });
+  return vote;
+};
+
+// Whether an anonymous poll still has ballots in its `votes` map
+export const hasLegacyVotes = (poll) => isAnonymous(poll) && legacyVotes(poll).length > 0;
+
+// Move an anonymous poll's legacy ballots into ballots and tally entries, then clear the map
+export const moveLegacyVotes = async (poll) => {
+  await Promise.all(legacyVotes(poll).map(async ([uid, vote]) => {
+    const entryId = generateId();
+    await storage.update(ballotsPath(poll.id), uid, { choices: vote.choices, votedAt: vote.votedAt || new Date(), entryId });
+    await storage.update(tallyPath(poll.id), entryId, { choices: vote.choices });
+  }));
+  await storage.update(publicDataPath('polls'), poll.id, { votes: null });
+};
+
+// Remove an anonymous poll's tally once the poll is deleted for good. Ballots are left, since
+// only their voters can list them.
+export const removeTally = async (pollId) => {
+  const entries = await storage.list(tallyPath(pollId));
+  await Promise.all(entries.map((entry) => storage.remove(tallyPath(pollId), entry.id)));
+};
+
+// Votes and voters per option, counting only choices that are still options of the poll.
+// Anonymous polls are counted from their tally `entries` and any legacy ballots, naming no voters.
+export const tallyVotes = (poll, entries = []) => {
+  const options = poll.options || [];
+  const results = options.map((option) => ({ option, count: 0, voters: [] }));
+  const ballots = (isAnonymous(poll)
+    ? [...entries, ...legacyVotes(poll).map(([, vote]) => vote)].map((entry) => [null, entry])
+    : Object.entries(poll.votes || {}))
+    .filter(([, vote]) => vote && vote.choices && vote.choices.some((choice) => options.includes(choice)));
+  ballots.forEach(([uid, vote]) => {
+    vote.choices.forEach((choice) => {
+      const result = results[options.indexOf(choice)];
+      if (result) {
+        result.count += 1;
+        if (uid) result.voters.push(uid);
+      }
+    });
+  });
+  return { results, voterCount: ballots.length };
+};
+
+// Problems with a list of poll options, or null
+export const checkOptions = (options = []) => {
+  const labels = options.map((option) => option.trim()).filter(Boolean);
+  if (labels.length < 2) return 'Add at least two options.';
+  if (new Set(labels.map((label) => label.toLowerCase())).size !== labels.length) return 'Options must be different from each other.';
+  return null;
+};
@@ -0,0 +1,99 @@
+// Filename: profiles.js
+// Public profiles, one per user and shared by every community of the deployment:
+//   /profiles/{uid} - `{ displayName, avatar, updatedAt }`
+// `avatar` is a small square JPEG kept as a data URL (see processAvatar in photos.js), so it
+// shows in every community without storage rules of its own. Posts keep their owner's uid in
+// `authorUid` and a copy of the display name in `author`, used by feeds and exports and for
+// owners without a profile.
+//
+// Contact details are kept per community, readable only by people who can read that board:
+//   /artifacts/{appId}/contacts/{uid} - `{ contactMethod, contact, updatedAt }`
+// `contactMethod` says how the user is happy to be reached about their posts: 'none', 'email'
+// or 'phone', with the address or number in `contact`. Profiles written by older versions held
+// these fields themselves; moveContact() moves them into the current community.
+import { storage, globalDataPath, appDataPath } from '../storage';
+
+export const profilesPath = () => globalDataPath('profiles');
+export const contactsPath = () => appDataPath('contacts');
+
+export const MAX_DISPLAY_NAME_LENGTH = 50;
+const MAX_CONTACT_LENGTH = 100;
+
+export const CONTACT_METHODS = [
+  { id: 'none', label: 'Do not show a way to contact me' },
+  { id: 'email', label: 'Email' },
+  { id: 'phone', label: 'Phone' },
+];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[\d\s().-]{6,}$/;
+
+// Check a profile before saving it. Returns messages keyed by field name, like validateItem.
+export const validateProfile = (profile) => {
+  const errors = {};
+  const displayName = (profile.displayName || '').trim();
+  if (!displayName) {
+    errors.displayName = 'Display name is required.';
+  } else if (displayName.length > MAX_DISPLAY_NAME_LENGTH) {
+    errors.displayName = `Display name must be ${MAX_DISPLAY_NAME_LENGTH} characters or fewer.`;
+  }
+  const method = profile.contactMethod || 'none';
+  const contact = (profile.contact || '').trim();
+  if (method === 'email' && !EMAIL.test(contact)) {
+    errors.contact = 'Enter an email address.';
+  } else if (method === 'phone' && !PHONE.test(contact)) {
+    errors.contact = 'Enter a phone number.';
+  } else if (contact.length > MAX_CONTACT_LENGTH) {
+    errors.contact = `Contact details must be ${MAX_CONTACT_LENGTH} characters or fewer.`;
+  }
+  return errors;
+};
+
+export const saveContact = (uid, contact) => {
+  const contactMethod = contact.contactMethod || 'none';
+  return storage.update(contactsPath(), uid, {
+    contactMethod,
+    contact: contactMethod === 'none' ? '' : contact.contact.trim(),
+    updatedAt: new Date(),
+  });
+};
+
+// Save the profile, and the contact details for the current community. Clearing `contact`
+// removes one an older version stored on the profile.
+export const saveProfile = async (uid, profile) => {
+  await saveContact(uid, profile);
+  await storage.update(profilesPath(), uid, {
+    displayName: profile.displayName.trim(),
+    avatar: profile.avatar || null,
+    contact: '',
+    updatedAt: new Date(),
+  });
+};
+
+// Move contact details an older version stored on the profile into the current community
+export const moveContact = async (uid, profile) => {
+  await saveContact(uid, profile);
+  await storage.update(profilesPath(), uid, { contact: '', updatedAt: new Date() });
+};
+
+// Name shown for a post's author: their current display name, or the one stored on the post
+export const authorName = (item, profiles = {}) => {
+  const profile = item.authorUid ? profiles[item.authorUid] : null;
+  return (profile && profile.displayName) || item.author || 'Community member';
+};
+
+// How to reach a user about their posts, as `{ href, text }`, or null if they would rather not say
+export const contactLink = (details) => {
+  if (!details || !details.contact) return null;
+  if (details.contactMethod === 'email') return { href: `mailto:${details.contact}`, text: details.contact };
+  if (details.contactMethod === 'phone') return { href: `tel:${details.contact.replace(/[^\d+]/g, '')}`, text: details.contact };
+  return null;
+};
+
+// Up to two initials for an avatar placeholder
+export const initials = (name) => String(name || '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map((word) => word[0].toUpperCase())
+  .join('') || '?';
@@ -0,0 +1,281 @@
+// Filename: qr.js
+// QR code (ISO/IEC 18004) encoder for share links. Text is encoded as UTF-8 bytes at error
+// correction level M in the smallest of versions 1 to 10 that fits, which holds up to 213 bytes:
+// plenty for a link to a post. Follows the structure of Project Nayuki's reference encoder.
+
+// Error correction codewords per block and number of blocks at level M, by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const NUM_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const MAX_VERSION = 10;
+// Format bits for level M
+const ECC_FORMAT_BITS = 0;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and error correction, after the function patterns
+const rawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const dataCodewords = (version) => Math.floor(rawDataModules(version) / 8)
+  - ECC_CODEWORDS_PER_BLOCK[version] * NUM_BLOCKS[version];
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Data codewords for the text: byte mode header, the bytes, terminator and padding
+const encodeData = (bytes, version) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  const capacity = dataCodewords(version) * 8;
+  append(0x4, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Split data into blocks, add each block's error correction and interleave them
+const addErrorCorrection = (data, version) => {
+  const numBlocks = NUM_BLOCKS[version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const blockData = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+    offset += blockData.length;
+    const ecc = reedSolomonRemainder(blockData, divisor);
+    // Short blocks get a placeholder so every block has the same length while interleaving
+    if (i < numShortBlocks) blockData.push(0);
+    blocks.push([...blockData, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+const alignmentPositions = (version, size) => {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < numAlign; position -= step) result.splice(1, 0, position);
+  return result;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Penalty used to pick a mask: long runs of one colour, 2x2 blocks and an unbalanced mix of
+// dark and light. (The finder-lookalike rule of the standard is left out; any mask decodes.)
+const penalty = (modules) => {
+  const size = modules.length;
+  let score = 0;
+  const scoreRuns = (get) => {
+    for (let a = 0; a < size; a++) {
+      let run = 1;
+      for (let b = 1; b <= size; b++) {
+        if (b < size && get(a, b) === get(a, b - 1)) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+    }
+  };
+  scoreRuns((y, x) => modules[y][x]);
+  scoreRuns((x, y) => modules[y][x]);
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+  return score;
+};
+
+// Encode text as a QR code. Returns rows of booleans (true is dark) without the quiet zone,
+// or null when the text is too long.
+export const encodeQr = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) version++;
+  if (version > MAX_VERSION) return null;
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  const drawFormatBits = (mask) => {
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+  };
+
+  // Timing patterns, finder patterns, alignment patterns, format and version information
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+  const positions = alignmentPositions(version, size);
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      const last = positions.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+  drawFormatBits(0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(bits, i));
+      setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Codewords go in two-module columns, zigzagging up and down from the bottom right
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const score = penalty(modules);
+    if (score < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = score;
+    }
+    // Masks are their own inverse
+    applyMask(mask);
+  });
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return modules;
+};
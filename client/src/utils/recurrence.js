@@ -0,0 +1,149 @@
+// Filename: recurrence.js
+// Recurring events. A series is a normal event document whose `recurrence` field holds:
+//   {
+//     freq: 'daily' | 'weekly' | 'monthly',
+//     interval: 1,                  // every N days/weeks/months
+//     byWeekday: [1, 3],            // weekly: days of the week, 0 = Sunday
+//     monthlyBy: 'day' | 'weekday', // monthly: same day of month, or e.g. "2nd Tuesday"
+//     until: 'YYYY-MM-DD' | null,   // last possible date, inclusive
+//     count: 10 | null,             // number of occurrences, counted before exceptions
+//     exceptions: ['YYYY-MM-DD'],   // cancelled occurrences
+//   }
+// and `overrides` maps an occurrence date to the fields changed for that occurrence only.
+import { toDateKey, parseDateKey, addDays, startOfWeek, WEEKDAY_LABELS } from './dates.js';
+
+// Stop expanding runaway rules (e.g. daily with no end) after this many occurrences
+const MAX_OCCURRENCES = 5000;
+
+export const FREQUENCIES = [
+  { id: 'daily', label: 'Daily', unit: 'day' },
+  { id: 'weekly', label: 'Weekly', unit: 'week' },
+  { id: 'monthly', label: 'Monthly', unit: 'month' },
+];
+
+// Fields that can be changed for a single occurrence of a series
+export const OCCURRENCE_FIELDS = ['title', 'content', 'date', 'time', 'location'];
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+export const isRecurring = (event) => Boolean(event.recurrence && event.recurrence.freq);
+
+// Which occurrence of its weekday a date is within its month: 1 for the first Tuesday, etc.
+export const weekdayOrdinal = (date) => Math.ceil(date.getDate() / 7);
+
+// The nth weekday of a month, or null when that month has no such day (e.g. a 5th Monday)
+const nthWeekdayOfMonth = (year, month, weekday, n) => {
+  const first = new Date(year, month, 1);
+  const date = new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (n - 1) * 7);
+  return date.getMonth() === first.getMonth() ? date : null;
+};
+
+function* dailyDates(start, interval) {
+  for (let i = 0; ; i += interval) {
+    yield addDays(start, i);
+  }
+}
+
+function* weeklyDates(start, interval, byWeekday) {
+  const weekdays = (byWeekday && byWeekday.length ? byWeekday : [start.getDay()])
+    .map(Number)
+    .sort((a, b) => a - b);
+  for (let week = startOfWeek(start); ; week = addDays(week, 7 * interval)) {
+    for (const weekday of weekdays) {
+      const date = addDays(week, weekday);
+      if (date >= start) yield date;
+    }
+  }
+}
+
+function* monthlyDates(start, interval, monthlyBy) {
+  for (let i = 0; ; i += interval) {
+    const month = new Date(start.getFullYear(), start.getMonth() + i, 1);
+    const date = monthlyBy === 'weekday'
+      ? nthWeekdayOfMonth(month.getFullYear(), month.getMonth(), start.getDay(), weekdayOrdinal(start))
+      : new Date(month.getFullYear(), month.getMonth(), start.getDate());
+    // Skip months that do not have the day, e.g. the 31st or a 5th Friday
+    if (date && date.getMonth() === month.getMonth()) yield date;
+  }
+}
+
+// Candidate dates for a rule in chronological order, starting at the series start
+const candidateDates = (start, rule) => {
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  switch (rule.freq) {
+    case 'daily': return dailyDates(start, interval);
+    case 'weekly': return weeklyDates(start, interval, rule.byWeekday);
+    case 'monthly': return monthlyDates(start, interval, rule.monthlyBy);
+    default: return [start];
+  }
+};
+
+// Build the item shown for one occurrence; its id is unique per date so cards can be keyed by it
+const toOccurrence = (event, dateKey, override = {}) => ({
+  ...event,
+  ...override,
+  id: `${event.id}_${dateKey}`,
+  date: override.date || dateKey,
+  seriesId: event.id,
+  occurrenceDate: dateKey,
+  series: event,
+});
+
+// Split an occurrence's id back into its series id and original date. `dateKey` is null for
+// ids of ordinary posts.
+export const parseOccurrenceId = (id) => {
+  const match = /^(.+)_(\d{4}-\d{2}-\d{2})$/.exec(id || '');
+  return match ? { seriesId: match[1], dateKey: match[2] } : { seriesId: id, dateKey: null };
+};
+
+// Occurrences of a series whose original date falls within [startKey, endKey]
+export const expandOccurrences = (event, startKey, endKey) => {
+  const rule = event.recurrence;
+  const exceptions = new Set(rule.exceptions || []);
+  const overrides = event.overrides || {};
+  const occurrences = [];
+  let generated = 0;
+
+  for (const date of candidateDates(parseDateKey(event.date), rule)) {
+    const dateKey = toDateKey(date);
+    if (rule.until && dateKey > rule.until) break;
+    if (rule.count && generated >= Number(rule.count)) break;
+    if (dateKey > endKey || generated >= MAX_OCCURRENCES) break;
+    generated++;
+    if (dateKey >= startKey && !exceptions.has(dateKey)) {
+      occurrences.push(toOccurrence(event, dateKey, overrides[dateKey]));
+    }
+  }
+  return occurrences;
+};
+
+// Replace every series with its occurrences in the range; one-off events are kept as they are
+export const expandEvents = (events, startKey, endKey) => events.flatMap((event) => (
+  isRecurring(event) && event.date ? expandOccurrences(event, startKey, endKey) : [event]
+));
+
+// The occurrence of a series on its original date, or null when the series skips that date
+export const findOccurrence = (event, dateKey) => (
+  isRecurring(event) && event.date ? expandOccurrences(event, dateKey, dateKey)[0] || null : null
+);
+
+// Human-readable summary, e.g. "Every 2 weeks on Mon, Wed until 2025-06-01"
+export const describeRecurrence = (rule, startKey) => {
+  if (!rule || !rule.freq) return '';
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const frequency = FREQUENCIES.find((option) => option.id === rule.freq);
+  let text = interval === 1 ? `Every ${frequency.unit}` : `Every ${interval} ${frequency.unit}s`;
+
+  if (rule.freq === 'weekly' && rule.byWeekday && rule.byWeekday.length) {
+    text += ` on ${[...rule.byWeekday].sort().map((day) => WEEKDAY_LABELS[day]).join(', ')}`;
+  }
+  if (rule.freq === 'monthly' && startKey) {
+    const start = parseDateKey(startKey);
+    text += rule.monthlyBy === 'weekday'
+      ? ` on the ${ORDINALS[weekdayOrdinal(start) - 1]} ${WEEKDAY_LABELS[start.getDay()]}`
+      : ` on day ${start.getDate()}`;
+  }
+  if (rule.until) text += ` until ${rule.until}`;
+  else if (rule.count) text += `, ${rule.count} times`;
+  return text;
+};
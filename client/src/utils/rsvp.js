@@ -0,0 +1,71 @@
+// Filename: rsvp.js
+// RSVPs are stored on the event document itself so the existing event listeners keep counts
+// live. `rsvps` maps each user's uid to their responses, keyed by occurrence date for a
+// recurring series or by 'event' for a one-off event:
+//   rsvps: { [uid]: { [attendanceKey]: { status, respondedAt, goingSince }, lastResponse } }
+// Keying by uid is what limits everyone to a single response, and lets the security rules
+// check that users only ever change their own entry. `lastResponse` names the key of the latest
+// change, which the rules need since they cannot list a map's keys. Response times are the
+// server's, so nobody can move up the waitlist by backdating `goingSince`.
+import { SERVER_TIME } from '../storage';
+import { toMillis } from './filters';
+
+export const RSVP_STATUSES = [
+  { id: 'going', label: 'Going' },
+  { id: 'maybe', label: 'Maybe' },
+  { id: 'not-going', label: 'Not going' },
+];
+
+// Responses to a one-off event are stored under this key
+const SINGLE_EVENT_KEY = 'event';
+
+// Key of the event or occurrence a response belongs to
+export const attendanceKey = (event) => event.occurrenceDate || SINGLE_EVENT_KEY;
+
+// The current user's response to an event or occurrence, if any
+export const getUserRsvp = (event, uid) => {
+  const responses = event.rsvps && event.rsvps[uid];
+  return (responses && responses[attendanceKey(event)]) || null;
+};
+
+// Everyone's responses, split into confirmed attendees and a waitlist when a capacity is set.
+// Places are given out in the order people said they were going.
+export const getAttendance = (event) => {
+  const key = attendanceKey(event);
+  const responses = Object.entries(event.rsvps || {})
+    .filter(([, byKey]) => byKey && byKey[key])
+    .map(([uid, byKey]) => ({ uid, ...byKey[key] }));
+
+  const going = responses
+    .filter((response) => response.status === 'going')
+    .sort((a, b) => toMillis(a.goingSince) - toMillis(b.goingSince));
+  const capacity = Number(event.capacity) || 0;
+  const confirmed = capacity ? going.slice(0, capacity) : going;
+  const waitlist = capacity ? going.slice(capacity) : [];
+
+  return {
+    responses,
+    confirmed,
+    waitlist,
+    maybe: responses.filter((response) => response.status === 'maybe'),
+    notGoing: responses.filter((response) => response.status === 'not-going'),
+    capacity,
+    isFull: capacity > 0 && going.length >= capacity,
+  };
+};
+
+// Waitlist position (1-based) of a user, or 0 when they are not waitlisted
+export const waitlistPosition = (event, uid) => getAttendance(event).waitlist.findIndex((response) => response.uid === uid) + 1;
+
+// Build the entry saved for a response. Someone who stays 'going' keeps their place in line.
+export const buildRsvpEntry = (previous, status, now = SERVER_TIME) => ({
+  status,
+  respondedAt: now,
+  goingSince: status === 'going' ? ((previous && previous.status === 'going' && previous.goingSince) || now) : null,
+});
+
+// The change to a user's `rsvps` entry for a response to the event or occurrence under `key`
+export const buildRsvpUpdate = (key, previous, status, now = SERVER_TIME) => ({
+  [key]: buildRsvpEntry(previous, status, now),
+  lastResponse: key,
+});
@@ -0,0 +1,22 @@
+// Filename: trash.js
+// Deleting a post moves it to the trash: the document stays where it is with `deletedAt` and
+// `deletedBy` set, and every view of the board leaves it out. Staff can restore it from the
+// Trash view or delete it for good from there.
+import { storage, publicDataPath } from '../storage';
+
+export const isTrashed = (item) => Boolean(item.deletedAt);
+
+export const withoutTrashed = (items) => items.filter((item) => !isTrashed(item));
+
+// Only trashed documents have a `deletedAt` date; restored ones have it cleared to null
+export const TRASH_QUERY = { where: [['deletedAt', '>', new Date(0)]] };
+
+export const moveToTrash = (collectionName, id, uid) => {
+  const patch = { deletedAt: new Date(), deletedBy: uid };
+  return storage.update(publicDataPath(collectionName), id, patch).then(() => patch);
+};
+
+export const restoreFromTrash = (collectionName, id) => {
+  const patch = { deletedAt: null, deletedBy: null };
+  return storage.update(publicDataPath(collectionName), id, patch).then(() => patch);
+};
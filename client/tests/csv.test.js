@@ -0,0 +1,50 @@
+// Filename: csv.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseCsv } from '../src/utils/csv.js';
+
+// The cells of a single-column CSV document, without undoing the formula guard
+const parseRaw = (text) => text.split('\r\n').filter(Boolean)
+  .map((line) => (line.startsWith('"') ? line.slice(1, -1).replace(/""/g, '"') : line));
+
+const columns = [{ key: 'title', label: 'Title' }, { key: (row) => row.count * 2, label: 'Double' }];
+
+describe('toCsv', () => {
+  test('writes a header and CRLF lines, quoting only where needed', () => {
+    assert.equal(
+      toCsv([{ title: 'Plain', count: 1 }, { title: 'Comma, "quote"\nbreak', count: 2 }], columns),
+      'Title,Double\r\nPlain,2\r\n"Comma, ""quote""\nbreak",4\r\n',
+    );
+  });
+
+  test('writes dates as ISO 8601 and leaves missing values empty', () => {
+    assert.equal(toCsv([{ when: new Date(Date.UTC(2024, 0, 2)), what: null }], [{ key: 'when', label: 'When' }, { key: 'what', label: 'What' }]),
+      'When,What\r\n2024-01-02T00:00:00.000Z,\r\n');
+  });
+
+  test('keeps cells from starting formulas', () => {
+    const formulas = ['=HYPERLINK("http://evil.example","x")', '+1+1', '-2+3', '@SUM(A1)', '\t=1', '\r=1'];
+    const [, ...lines] = parseRaw(toCsv(formulas.map((title) => ({ title })), [{ key: 'title', label: 'Title' }]));
+    lines.forEach((cell, index) => assert.equal(cell, `'${formulas[index]}`));
+  });
+});
+
+describe('parseCsv', () => {
+  test('reads quoted cells with commas, quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('a,"b, ""c""\nd"\r\ne,f\r\n'), [['a', 'b, "c"\nd'], ['e', 'f']]);
+  });
+
+  test('ignores a byte order mark and a final line break', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\n'), [['a', 'b']]);
+  });
+
+  test('gives back exactly what was exported', () => {
+    const values = ['=1+1', "'=1+1", "''@x", "'quoted", '-', 'plain', 'multi\nline, "quoted"', '', '42'];
+    const rows = parseCsv(toCsv(values.map((title) => ({ title })), [{ key: 'title', label: 'Title' }]));
+    assert.deepEqual(rows.slice(1).map(([cell]) => cell), values);
+  });
+
+  test('only takes the guard off cells it would have been put on', () => {
+    assert.deepEqual(parseCsv("'hello,'=1"), [["'hello", '=1']]);
+  });
+});
@@ -0,0 +1,120 @@
+// Filename: filters.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_VIEW, toMillis, matchesSearch, matchesSectionFilters, sortItems, filterSection, needsAllPosts,
+  searchAllSections, readViewFromUrl, viewToSearch,
+} from '../src/utils/filters.js';
+
+const view = (changes = {}) => ({ ...DEFAULT_VIEW, ...changes });
+
+describe('toMillis', () => {
+  test('reads dates, timestamps, strings and numbers', () => {
+    assert.equal(toMillis(new Date(1000)), 1000);
+    assert.equal(toMillis({ toMillis: () => 2000 }), 2000);
+    assert.equal(toMillis('1970-01-01T00:00:03Z'), 3000);
+    assert.equal(toMillis(4000), 4000);
+  });
+
+  test('gives 0 for missing or unreadable values', () => {
+    assert.equal(toMillis(null), 0);
+    assert.equal(toMillis('not a date'), 0);
+  });
+});
+
+describe('matchesSearch', () => {
+  const item = { title: 'Summer picnic', content: 'Bring a blanket', location: 'Riverside park' };
+
+  test('needs every term, in any of the searchable fields, ignoring case', () => {
+    assert.equal(matchesSearch(item, 'PICNIC riverside'), true);
+    assert.equal(matchesSearch(item, 'picnic winter'), false);
+  });
+
+  test('matches everything for an empty query', () => {
+    assert.equal(matchesSearch(item, '   '), true);
+  });
+});
+
+describe('matchesSectionFilters', () => {
+  const now = Date.parse('2024-06-15T12:00:00');
+
+  test('filters announcements by priority, treating a missing one as medium', () => {
+    assert.equal(matchesSectionFilters({}, 'announcements', view({ priority: 'medium' }), {}, now), true);
+    assert.equal(matchesSectionFilters({ priority: 'high' }, 'announcements', view({ priority: 'medium' }), {}, now), false);
+  });
+
+  test('filters events by date range and by upcoming or past', () => {
+    const picnic = { date: '2024-06-20' };
+    assert.equal(matchesSectionFilters(picnic, 'events', view({ from: '2024-06-01', to: '2024-06-30' }), {}, now), true);
+    assert.equal(matchesSectionFilters(picnic, 'events', view({ to: '2024-06-19' }), {}, now), false);
+    assert.equal(matchesSectionFilters(picnic, 'events', view({ when: 'upcoming' }), {}, now), true);
+    assert.equal(matchesSectionFilters(picnic, 'events', view({ when: 'past' }), {}, now), false);
+  });
+
+  test('filters feedback by rating, treating a missing one as 5', () => {
+    assert.equal(matchesSectionFilters({ rating: 2 }, 'feedback', view({ minRating: '3' }), {}, now), false);
+    assert.equal(matchesSectionFilters({}, 'feedback', view({ minRating: '3', maxRating: '5' }), {}, now), true);
+  });
+});
+
+describe('sortItems', () => {
+  const items = [
+    { id: 'a', createdAt: 1, priority: 'low', date: '2024-07-01' },
+    { id: 'b', createdAt: 3, priority: 'high' },
+    { id: 'c', createdAt: 2, date: '2024-06-01' },
+  ];
+  const ids = (sorted) => sorted.map((item) => item.id);
+
+  test('sorts by posting time either way', () => {
+    assert.deepEqual(ids(sortItems(items, 'newest')), ['b', 'c', 'a']);
+    assert.deepEqual(ids(sortItems(items, 'oldest')), ['a', 'c', 'b']);
+  });
+
+  test('sorts by priority, then newest first', () => {
+    assert.deepEqual(ids(sortItems(items, 'priority')), ['b', 'c', 'a']);
+  });
+
+  test('sorts by event date with undated items last', () => {
+    assert.deepEqual(ids(sortItems(items, 'eventDate')), ['c', 'a', 'b']);
+  });
+
+  test('leaves the input alone', () => {
+    sortItems(items, 'oldest');
+    assert.deepEqual(ids(items), ['a', 'b', 'c']);
+  });
+});
+
+describe('filterSection', () => {
+  test('keeps pinned announcements on top', () => {
+    const items = [{ id: 'old', createdAt: 1, pinned: true }, { id: 'new', createdAt: 2 }];
+    assert.deepEqual(filterSection(items, 'announcements', view()).map((item) => item.id), ['old', 'new']);
+  });
+});
+
+describe('needsAllPosts', () => {
+  test('is only needed for searches, filters and other orders', () => {
+    assert.equal(needsAllPosts(view()), false);
+    assert.equal(needsAllPosts(view({ q: 'picnic' })), true);
+    assert.equal(needsAllPosts(view({ sort: 'oldest' })), true);
+    assert.equal(needsAllPosts(view({ when: 'upcoming' })), true);
+  });
+});
+
+describe('searchAllSections', () => {
+  test('tags each result with its section', () => {
+    const results = searchAllSections({ events: [{ title: 'Picnic' }], feedback: [{ title: 'Noise' }] }, view({ q: 'picnic' }));
+    assert.deepEqual(results, [{ title: 'Picnic', section: 'events' }]);
+  });
+});
+
+describe('view URLs', () => {
+  test('leave defaults out of the query string', () => {
+    assert.equal(viewToSearch(view()), '');
+    assert.equal(viewToSearch(view({ section: 'events', when: 'upcoming' }), { community: 'north' }), '?community=north&section=events&when=upcoming');
+  });
+
+  test('read back the view they were made from', () => {
+    const shared = view({ section: 'lostfound', q: 'blue scarf', type: 'found' });
+    assert.deepEqual(readViewFromUrl(viewToSearch(shared)), shared);
+  });
+});
@@ -0,0 +1,103 @@
+// Filename: ics.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeText, foldLine, recurrenceToRRule, eventToLines, buildCalendar, calendarFilename } from '../src/utils/ics.js';
+
+const NOW = new Date(Date.UTC(2024, 5, 1, 9, 30, 0));
+
+describe('escapeText', () => {
+  test('escapes backslashes, semicolons, commas and line breaks', () => {
+    assert.equal(escapeText('a\\b; c, d\r\ne\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+  });
+});
+
+describe('foldLine', () => {
+  test('leaves short lines alone', () => {
+    assert.equal(foldLine('SUMMARY:Picnic'), 'SUMMARY:Picnic');
+  });
+
+  test('folds at 75 octets, counting the leading space of continuation lines', () => {
+    const parts = foldLine(`SUMMARY:${'x'.repeat(200)}`).split('\r\n');
+    assert.equal(parts[0].length, 75);
+    parts.slice(1).forEach((part) => assert.ok(part.startsWith(' ') && part.length <= 75));
+    assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(''), `SUMMARY:${'x'.repeat(200)}`);
+  });
+
+  test('never splits a character', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const parts = foldLine(line).split('\r\n ');
+    const encoder = new TextEncoder();
+    assert.equal(parts.join(''), line);
+    assert.ok(encoder.encode(parts[0]).length <= 75);
+  });
+});
+
+describe('eventToLines', () => {
+  test('writes timed events with a start and a default length', () => {
+    const lines = eventToLines({ id: 'e1', title: 'Picnic', date: '2024-06-20', time: '14:05', location: 'Park, north gate' }, { now: NOW });
+    assert.ok(lines.includes('UID:e1@noticeboard'));
+    assert.ok(lines.includes('DTSTAMP:20240601T093000Z'));
+    assert.ok(lines.includes('DTSTART:20240620T140500'));
+    assert.ok(lines.includes('DURATION:PT1H'));
+    assert.ok(lines.includes('LOCATION:Park\\, north gate'));
+  });
+
+  test('writes all-day events as dates ending the next day', () => {
+    const lines = eventToLines({ id: 'e2', title: 'Fair', date: '2024-12-31' }, { now: NOW });
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20241231'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20250101'));
+  });
+
+  test('describes events in plain text', () => {
+    const lines = eventToLines({ id: 'e3', title: 'Talk', date: '2024-06-20', content: 'Bring **snacks**' }, { now: NOW });
+    assert.ok(lines.includes('DESCRIPTION:Bring snacks'));
+  });
+
+  test('writes a series as an RRULE with exceptions and edited occurrences', () => {
+    const series = {
+      id: 's1',
+      title: 'Yoga',
+      date: '2024-06-03',
+      time: '18:00',
+      recurrence: { freq: 'weekly', interval: 1, exceptions: ['2024-06-10'] },
+      overrides: { '2024-06-17': { title: 'Yoga outside' } },
+    };
+    const lines = eventToLines(series, { now: NOW });
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=MO'));
+    assert.ok(lines.includes('EXDATE:20240610T180000'));
+    assert.ok(lines.includes('RECURRENCE-ID:20240617T180000'));
+    assert.ok(lines.includes('SUMMARY:Yoga outside'));
+    assert.equal(lines.filter((line) => line === 'UID:s1@noticeboard').length, 2);
+  });
+});
+
+describe('recurrenceToRRule', () => {
+  test('repeats monthly on the same day of the month or the same weekday', () => {
+    assert.equal(recurrenceToRRule({ freq: 'monthly' }, '2024-06-11', false), 'FREQ=MONTHLY;BYMONTHDAY=11');
+    assert.equal(recurrenceToRRule({ freq: 'monthly', monthlyBy: 'weekday' }, '2024-06-11', false), 'FREQ=MONTHLY;BYDAY=2TU');
+  });
+
+  test('ends on a date of the same type as the start, or after a count', () => {
+    assert.equal(recurrenceToRRule({ freq: 'daily', interval: 2, until: '2024-07-01' }, '2024-06-11', true), 'FREQ=DAILY;INTERVAL=2;UNTIL=20240701T235959');
+    assert.equal(recurrenceToRRule({ freq: 'daily', until: '2024-07-01' }, '2024-06-11', false), 'FREQ=DAILY;UNTIL=20240701');
+    assert.equal(recurrenceToRRule({ freq: 'weekly', byWeekday: [1, 3], count: 5 }, '2024-06-11', false), 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=5');
+  });
+});
+
+describe('buildCalendar', () => {
+  test('wraps events in a calendar with CRLF line endings and skips undated ones', () => {
+    const text = buildCalendar([{ id: 'e1', title: 'Picnic', date: '2024-06-20' }, { id: 'e2', title: 'Someday' }], { name: 'Town, events', now: NOW });
+    assert.ok(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(text.includes('X-WR-CALNAME:Town\\, events\r\n'));
+    assert.equal(text.split('BEGIN:VEVENT').length, 2);
+    assert.ok(!/[^\r]\n/.test(text));
+  });
+});
+
+describe('calendarFilename', () => {
+  test('makes a safe file name from a title', () => {
+    assert.equal(calendarFilename('Summer Fair!'), 'summer-fair.ics');
+    assert.equal(calendarFilename('!!!'), 'event.ics');
+  });
+});
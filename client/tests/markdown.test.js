@@ -0,0 +1,92 @@
+// Filename: markdown.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { safeUrl, parseMarkdown, truncateBlocks, toPlainText, escapeHtml, toHtml } from '../src/utils/markdown.js';
+
+describe('safeUrl', () => {
+  test('keeps web, email and phone links', () => {
+    assert.equal(safeUrl('https://example.org/a?b=c'), 'https://example.org/a?b=c');
+    assert.equal(safeUrl('www.example.org'), 'https://www.example.org');
+    assert.equal(safeUrl('mailto:desk@example.org'), 'mailto:desk@example.org');
+    assert.equal(safeUrl('tel:+44(20)7946-0958'), 'tel:+44(20)7946-0958');
+  });
+
+  test('refuses scripts, data and other schemes, whatever their case or padding', () => {
+    ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:msgbox', 'file:///etc/passwd', '//evil.example', '']
+      .forEach((url) => assert.equal(safeUrl(url), null, url));
+  });
+});
+
+describe('parseMarkdown', () => {
+  test('parses headings, lists, quotes, code and rules', () => {
+    const blocks = parseMarkdown('# Title\n\n- one\n- two\n\n3. three\n\n> quoted\n\n```\ncode *here*\n```\n\n---');
+    assert.deepEqual(blocks.map((block) => block.type), ['heading', 'list', 'list', 'quote', 'codeblock', 'rule']);
+    assert.equal(blocks[2].start, 3);
+    assert.equal(blocks[4].text, 'code *here*');
+  });
+
+  test('parses inline formatting', () => {
+    const [paragraph] = parseMarkdown('**bold** *em* _also em_ `code` snake_case_word');
+    assert.deepEqual(paragraph.children.map((node) => node.type), ['strong', 'text', 'em', 'text', 'em', 'text', 'code', 'text']);
+    assert.equal(paragraph.children.at(-1).text, ' snake_case_word');
+  });
+
+  test('keeps unsafe links as text only', () => {
+    const [paragraph] = parseMarkdown('[click me](javascript:alert(1))');
+    assert.ok(paragraph.children.every((node) => node.type === 'text'));
+  });
+
+  test('links bare URLs, email addresses and phone numbers, leaving trailing punctuation out', () => {
+    const [paragraph] = parseMarkdown('See https://example.org/info. Mail desk@example.org or call (555) 123-4567');
+    const links = paragraph.children.filter((node) => node.type === 'link');
+    assert.deepEqual(links.map((link) => link.href), ['https://example.org/info', 'mailto:desk@example.org', 'tel:5551234567']);
+  });
+});
+
+describe('truncateBlocks', () => {
+  test('shortens at a word boundary and says so', () => {
+    const { blocks, truncated } = truncateBlocks(parseMarkdown('The quick brown fox jumps'), 12);
+    assert.equal(truncated, true);
+    assert.equal(blocks[0].children[0].text, 'The quick…');
+  });
+
+  test('leaves short documents alone', () => {
+    const parsed = parseMarkdown('Short');
+    assert.deepEqual(truncateBlocks(parsed, 100), { blocks: parsed, truncated: false });
+  });
+});
+
+describe('toPlainText', () => {
+  test('drops the formatting', () => {
+    assert.equal(toPlainText('# Hello\n\n**Bring** a [map](https://example.org)\n\n1. one\n2. two'), 'Hello\n\nBring a map\n\n1. one\n2. two');
+  });
+});
+
+describe('toHtml', () => {
+  test('escapes tags and attributes typed into posts', () => {
+    const html = toHtml('<script>alert("x")</script> <img src=x onerror=alert(1)>');
+    assert.ok(!html.includes('<script'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+  });
+
+  test('never writes an unsafe link', () => {
+    const html = toHtml('[a](javascript:alert(1)) [b](data:text/html,hi) [c](https://example.org/"onmouseover="x)');
+    assert.ok(!/href="(?:javascript|data):/i.test(html));
+    assert.ok(!html.includes('"onmouseover'));
+  });
+
+  test('escapes code', () => {
+    assert.equal(toHtml('```\n<b>&</b>\n```'), '<pre><code>&lt;b&gt;&amp;&lt;/b&gt;</code></pre>');
+  });
+
+  test('renders the formatting it knows', () => {
+    assert.equal(toHtml('## Hi **there**\n\n2. two\n3. three'), '<h4>Hi <strong>there</strong></h4>\n<ol start="2"><li>two</li><li>three</li></ol>');
+  });
+});
+
+describe('escapeHtml', () => {
+  test('escapes every character that matters in content and attributes', () => {
+    assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  });
+});
@@ -0,0 +1,92 @@
+// Filename: recurrence.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandOccurrences, expandEvents, findOccurrence, parseOccurrenceId, describeRecurrence } from '../src/utils/recurrence.js';
+
+const series = (recurrence, changes = {}) => ({ id: 's1', title: 'Yoga', date: '2024-06-03', recurrence, ...changes });
+const dates = (occurrences) => occurrences.map((occurrence) => occurrence.date);
+
+describe('expandOccurrences', () => {
+  test('repeats daily and every few days', () => {
+    assert.deepEqual(dates(expandOccurrences(series({ freq: 'daily' }), '2024-06-03', '2024-06-05')), ['2024-06-03', '2024-06-04', '2024-06-05']);
+    assert.deepEqual(dates(expandOccurrences(series({ freq: 'daily', interval: 3 }), '2024-06-01', '2024-06-10')), ['2024-06-03', '2024-06-06', '2024-06-09']);
+  });
+
+  test('repeats weekly on the chosen days, from the start date on', () => {
+    // 2024-06-05 is a Wednesday, so that week's Monday comes before the series starts
+    const rule = { freq: 'weekly', interval: 2, byWeekday: [1, 5] };
+    assert.deepEqual(
+      dates(expandOccurrences(series(rule, { date: '2024-06-05' }), '2024-06-01', '2024-06-30')),
+      ['2024-06-07', '2024-06-17', '2024-06-21'],
+    );
+  });
+
+  test('repeats monthly on the same day, skipping months without it', () => {
+    const rule = { freq: 'monthly' };
+    assert.deepEqual(
+      dates(expandOccurrences(series(rule, { date: '2024-01-31' }), '2024-01-01', '2024-05-31')),
+      ['2024-01-31', '2024-03-31', '2024-05-31'],
+    );
+  });
+
+  test('repeats monthly on the same weekday of the month', () => {
+    // The 2nd Tuesday of each month
+    const rule = { freq: 'monthly', monthlyBy: 'weekday' };
+    assert.deepEqual(
+      dates(expandOccurrences(series(rule, { date: '2024-06-11' }), '2024-06-01', '2024-08-31')),
+      ['2024-06-11', '2024-07-09', '2024-08-13'],
+    );
+  });
+
+  test('stops at the until date or after count occurrences, exceptions included', () => {
+    assert.deepEqual(dates(expandOccurrences(series({ freq: 'daily', until: '2024-06-04' }), '2024-06-01', '2024-06-30')), ['2024-06-03', '2024-06-04']);
+    assert.deepEqual(
+      dates(expandOccurrences(series({ freq: 'daily', count: 3, exceptions: ['2024-06-04'] }), '2024-06-01', '2024-06-30')),
+      ['2024-06-03', '2024-06-05'],
+    );
+  });
+
+  test('applies per-occurrence edits, keyed by the original date', () => {
+    const event = series({ freq: 'weekly' }, { overrides: { '2024-06-10': { title: 'Yoga outside', date: '2024-06-11' } } });
+    const [first, second] = expandOccurrences(event, '2024-06-01', '2024-06-14');
+    assert.equal(first.title, 'Yoga');
+    assert.deepEqual(
+      { id: second.id, title: second.title, date: second.date, seriesId: second.seriesId, occurrenceDate: second.occurrenceDate },
+      { id: 's1_2024-06-10', title: 'Yoga outside', date: '2024-06-11', seriesId: 's1', occurrenceDate: '2024-06-10' },
+    );
+  });
+
+  test('stops rules without an end', () => {
+    assert.equal(expandOccurrences(series({ freq: 'daily' }), '2024-06-01', '9999-12-31').length, 5000);
+  });
+});
+
+describe('expandEvents', () => {
+  test('replaces series with their occurrences and keeps one-off events', () => {
+    const oneOff = { id: 'e1', date: '2030-01-01' };
+    const expanded = expandEvents([oneOff, series({ freq: 'daily', count: 2 })], '2024-06-01', '2024-06-30');
+    assert.deepEqual(expanded.map((event) => event.id), ['e1', 's1_2024-06-03', 's1_2024-06-04']);
+  });
+});
+
+describe('findOccurrence', () => {
+  test('finds an occurrence by its original date', () => {
+    assert.equal(findOccurrence(series({ freq: 'weekly' }), '2024-06-10').id, 's1_2024-06-10');
+    assert.equal(findOccurrence(series({ freq: 'weekly' }), '2024-06-11'), null);
+  });
+});
+
+describe('parseOccurrenceId', () => {
+  test('splits occurrence ids and leaves other ids alone', () => {
+    assert.deepEqual(parseOccurrenceId('abc_def_2024-06-10'), { seriesId: 'abc_def', dateKey: '2024-06-10' });
+    assert.deepEqual(parseOccurrenceId('abc'), { seriesId: 'abc', dateKey: null });
+  });
+});
+
+describe('describeRecurrence', () => {
+  test('summarises a rule', () => {
+    assert.equal(describeRecurrence({ freq: 'weekly', interval: 2, byWeekday: [3, 1], until: '2025-06-01' }), 'Every 2 weeks on Mon, Wed until 2025-06-01');
+    assert.equal(describeRecurrence({ freq: 'monthly', monthlyBy: 'weekday', count: 4 }, '2024-06-11'), 'Every month on the 2nd Tue, 4 times');
+    assert.equal(describeRecurrence(null), '');
+  });
+});
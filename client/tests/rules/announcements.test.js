@@ -0,0 +1,42 @@
+// Filename: announcements.test.js
+// Scheduled announcements in firestore.rules: hidden from members until their publish time.
+import { beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, getDoc, getDocs, query, where, orderBy, limit, Timestamp } from 'firebase/firestore';
+import { HOUR_MS, as, dataPath, needsEmulators, seed, setUpRules } from './setup.js';
+
+setUpRules();
+
+describe('scheduled announcements', needsEmulators, () => {
+  beforeEach(async () => {
+    const later = Timestamp.fromMillis(Date.now() + HOUR_MS);
+    await seed({
+      [`${dataPath('announcements')}/scheduled`]: { title: 'Soon', authorUid: 'carol', scheduled: true, publishAt: later },
+      [`${dataPath('announcements')}/own-scheduled`]: { title: 'Mine, soon', authorUid: 'bob', scheduled: true, publishAt: later },
+      [`${dataPath('announcements')}/due`]: {
+        title: 'Due', authorUid: 'carol', scheduled: true, publishAt: Timestamp.fromMillis(Date.now() - HOUR_MS),
+      },
+    });
+  });
+
+  test('stay hidden from members until their publish time', async () => {
+    await assertFails(getDoc(doc(as('bob'), dataPath('announcements'), 'scheduled')));
+    await assertSucceeds(getDoc(doc(as('bob'), dataPath('announcements'), 'due')));
+  });
+
+  test('are readable by their owner and by staff', async () => {
+    await assertSucceeds(getDoc(doc(as('bob'), dataPath('announcements'), 'own-scheduled')));
+    await assertSucceeds(getDoc(doc(as('mod'), dataPath('announcements'), 'scheduled')));
+  });
+
+  test('are left out of members\' feeds, which ask for published announcements', async () => {
+    const announcements = collection(as('bob'), dataPath('announcements'));
+    await assertSucceeds(getDocs(query(announcements, where('scheduled', '==', false), orderBy('createdAt', 'desc'), limit(20))));
+    await assertFails(getDocs(query(announcements, orderBy('createdAt', 'desc'), limit(20))));
+  });
+
+  test('are watched by staff, soonest first', async () => {
+    const announcements = collection(as('mod'), dataPath('announcements'));
+    await assertSucceeds(getDocs(query(announcements, where('scheduled', '==', true), orderBy('publishAt'), limit(50))));
+  });
+});
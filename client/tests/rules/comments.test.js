@@ -0,0 +1,48 @@
+// Filename: comments.test.js
+// Comments in firestore.rules: who may comment, and who may read hidden comments.
+import { beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, getDoc, getDocs, setDoc, query, where } from 'firebase/firestore';
+import { as, dataPath, needsEmulators, seed, setUpRules } from './setup.js';
+
+setUpRules();
+
+const comments = `${dataPath('announcements')}/theirs/comments`;
+const comment = (uid, text = 'Thanks!') => ({ text, authorUid: uid, hidden: false, deleted: false });
+
+describe('comments', needsEmulators, () => {
+  test('members comment as themselves', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), comments, 'c1'), comment('bob')));
+    await assertFails(setDoc(doc(as('bob'), comments, 'c2'), comment('carol')));
+    await assertFails(setDoc(doc(as('bob'), comments, 'c3'), { ...comment('bob'), hidden: true }));
+  });
+
+  test('locked threads take no comments from members', async () => {
+    await seed({ [`${dataPath('announcements')}/theirs`]: { title: 'Closed', authorUid: 'carol', scheduled: false, commentsLocked: true } });
+    await assertFails(setDoc(doc(as('bob'), comments, 'c1'), comment('bob', 'Hello')));
+    await assertSucceeds(setDoc(doc(as('mod'), comments, 'c1'), comment('mod', 'Hello')));
+  });
+});
+
+describe('hidden comments', needsEmulators, () => {
+  beforeEach(async () => {
+    await seed({
+      [`${comments}/shown`]: comment('carol'),
+      [`${comments}/older`]: { text: 'Written before comments were flagged', authorUid: 'carol' },
+      [`${comments}/hidden`]: { ...comment('carol', 'Rude'), hidden: true, hiddenBy: 'mod' },
+    });
+  });
+
+  test('are readable only by staff and their author', async () => {
+    await assertFails(getDoc(doc(as('bob'), comments, 'hidden')));
+    await assertSucceeds(getDoc(doc(as('carol'), comments, 'hidden')));
+    await assertSucceeds(getDoc(doc(as('mod'), comments, 'hidden')));
+    await assertSucceeds(getDoc(doc(as('bob'), comments, 'older')));
+  });
+
+  test('are left out of members\' threads, which ask for comments not hidden', async () => {
+    await assertSucceeds(getDocs(query(collection(as('bob'), comments), where('hidden', '==', false))));
+    await assertFails(getDocs(collection(as('bob'), comments)));
+    await assertSucceeds(getDocs(collection(as('mod'), comments)));
+  });
+});
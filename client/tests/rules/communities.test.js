@@ -0,0 +1,40 @@
+// Filename: communities.test.js
+// Communities in firestore.rules: members-only boards and the shared membership lists.
+import { describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { APP_ID, OTHER_APP_ID, as, dataPath, needsEmulators, seed, setUpRules } from './setup.js';
+
+setUpRules();
+
+describe('members-only communities', needsEmulators, () => {
+  test('keep out users without a role', async () => {
+    await seed({ [`communities/${APP_ID}`]: { name: 'Test', access: 'members' } });
+    await assertFails(getDoc(doc(as('bob'), dataPath('announcements'), 'theirs')));
+    await assertSucceeds(getDoc(doc(as('mod'), dataPath('announcements'), 'theirs')));
+  });
+});
+
+describe('memberships', needsEmulators, () => {
+  test('users keep their own list', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'memberships', 'bob'), {
+      communities: { [APP_ID]: 'member', [OTHER_APP_ID]: 'member' }, changedCommunity: OTHER_APP_ID,
+    }));
+    await assertFails(getDoc(doc(as('carol'), 'memberships', 'bob')));
+  });
+
+  test('admins change only their own community\'s entry', async () => {
+    const membership = doc(as('alice'), 'memberships', 'bob');
+    await assertSucceeds(setDoc(membership, { communities: { [APP_ID]: 'moderator' }, changedCommunity: APP_ID }, { merge: true }));
+    await assertFails(setDoc(membership, { communities: { [OTHER_APP_ID]: 'admin' }, changedCommunity: OTHER_APP_ID }, { merge: true }));
+    await assertFails(setDoc(membership, { communities: { [OTHER_APP_ID]: 'admin' }, changedCommunity: APP_ID }, { merge: true }));
+    await assertFails(setDoc(membership, {
+      communities: { [APP_ID]: 'member', [OTHER_APP_ID]: 'admin' }, changedCommunity: APP_ID,
+    }, { merge: true }));
+  });
+
+  test('revoking a role empties the entry', async () => {
+    await seed({ 'memberships/bob': { communities: { [APP_ID]: 'moderator' }, changedCommunity: APP_ID } });
+    await assertSucceeds(updateDoc(doc(as('alice'), 'memberships', 'bob'), { [`communities.${APP_ID}`]: null, changedCommunity: APP_ID }));
+  });
+});
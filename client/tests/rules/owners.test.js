@@ -0,0 +1,57 @@
+// Filename: owners.test.js
+// Post ownership in firestore.rules: what owners may change on their posts, and the version
+// history they record of them.
+import { describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, getDoc, setDoc, updateDoc, Timestamp } from 'firebase/firestore';
+import { APP_ID, as, dataPath, needsEmulators, seed, setUpRules } from './setup.js';
+
+setUpRules();
+
+describe('owners', needsEmulators, () => {
+  test('edit their own posts but not moderators\' fields', async () => {
+    const mine = doc(as('bob'), dataPath('announcements'), 'mine');
+    await assertSucceeds(updateDoc(mine, { title: 'Bob\'s notice, edited' }));
+    await assertFails(updateDoc(mine, { pinned: true }));
+    await assertFails(updateDoc(mine, { authorUid: 'carol' }));
+  });
+
+  test('cannot re-date their posts', async () => {
+    await assertFails(updateDoc(doc(as('bob'), dataPath('announcements'), 'mine'), { createdAt: Timestamp.now() }));
+  });
+
+  test('cannot change what a poll asks once it is up', async () => {
+    await seed({ [`${dataPath('polls')}/lunch`]: { title: 'Lunch?', authorUid: 'bob', options: ['Yes', 'No'], multiple: false, visibility: 'public' } });
+    const poll = doc(as('bob'), dataPath('polls'), 'lunch');
+    await assertSucceeds(updateDoc(poll, { title: 'Lunch on Friday?' }));
+    await assertFails(updateDoc(poll, { options: ['No', 'Yes'] }));
+    await assertFails(updateDoc(poll, { multiple: true }));
+    await assertFails(updateDoc(poll, { visibility: 'anonymous' }));
+  });
+
+  test('cannot edit other people\'s posts', async () => {
+    await assertFails(updateDoc(doc(as('bob'), dataPath('announcements'), 'theirs'), { title: 'Mine now' }));
+  });
+
+  test('cannot store a comment count on posts they do not own', async () => {
+    await assertFails(updateDoc(doc(as('bob'), dataPath('announcements'), 'theirs'), { commentCount: 0 }));
+  });
+});
+
+describe('history', needsEmulators, () => {
+  const version = (uid, section, itemId) => ({
+    itemKey: `${section}/${itemId}`, section, itemId, action: 'update', data: {}, changedBy: uid, recordedBy: uid,
+  });
+
+  test('members record versions of their own posts only', async () => {
+    const history = collection(as('bob'), `artifacts/${APP_ID}/history`);
+    await assertSucceeds(setDoc(doc(history, 'v1'), version('bob', 'announcements', 'mine')));
+    await assertFails(setDoc(doc(history, 'v2'), version('bob', 'announcements', 'theirs')));
+    await assertFails(setDoc(doc(history, 'v3'), { ...version('bob', 'announcements', 'mine'), itemKey: 'announcements/theirs' }));
+  });
+
+  test('staff record any change but members cannot read the history', async () => {
+    await assertSucceeds(setDoc(doc(as('mod'), `artifacts/${APP_ID}/history`, 'v1'), version('mod', 'announcements', 'theirs')));
+    await assertFails(getDoc(doc(as('bob'), `artifacts/${APP_ID}/history`, 'v1')));
+  });
+});
@@ -0,0 +1,72 @@
+// Filename: polls.test.js
+// Polls in firestore.rules: public polls keep ballots in the `votes` map, anonymous ones in
+// per-voter ballots and an unattributed tally.
+import { beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, collection, getDoc, getDocs, setDoc, updateDoc, Timestamp } from 'firebase/firestore';
+import { as, dataPath, needsEmulators, seed, setUpRules } from './setup.js';
+
+const polls = dataPath('polls');
+
+setUpRules();
+
+describe('polls', needsEmulators, () => {
+  beforeEach(async () => {
+    await seed({
+      [`${polls}/public`]: { title: 'Colour?', authorUid: 'mod', options: ['Red', 'Blue'], visibility: 'public' },
+      [`${polls}/secret`]: { title: 'Chair?', authorUid: 'mod', options: ['Ann', 'Ben'], visibility: 'anonymous' },
+      [`${polls}/secret/ballots/carol`]: { choices: ['Ann'], votedAt: Timestamp.now(), entryId: 'carol-entry' },
+      [`${polls}/secret/tally/carol-entry`]: { choices: ['Ann'] },
+    });
+  });
+
+  test('public polls take members\' own ballots in the votes map', async () => {
+    const poll = doc(as('bob'), polls, 'public');
+    await assertSucceeds(updateDoc(poll, { 'votes.bob': { choices: ['Red'], votedAt: Timestamp.now() } }));
+    await assertFails(updateDoc(poll, { 'votes.bob': { choices: ['Green'], votedAt: Timestamp.now() } }));
+    await assertFails(updateDoc(poll, { 'votes.bob': { choices: ['Red', 'Blue'], votedAt: Timestamp.now() } }));
+    await assertFails(updateDoc(poll, { 'votes.carol': { choices: ['Red'], votedAt: Timestamp.now() } }));
+  });
+
+  test('anonymous polls keep ballots out of the votes map', async () => {
+    await assertFails(updateDoc(doc(as('bob'), polls, 'secret'), {
+      'votes.bob': { choices: ['Ann'], votedAt: Timestamp.now() },
+    }));
+  });
+
+  test('ballots in anonymous polls are readable only by their voter', async () => {
+    await assertSucceeds(getDoc(doc(as('carol'), `${polls}/secret/ballots`, 'carol')));
+    await assertFails(getDoc(doc(as('bob'), `${polls}/secret/ballots`, 'carol')));
+    await assertFails(getDoc(doc(as('mod'), `${polls}/secret/ballots`, 'carol')));
+    await assertSucceeds(getDocs(collection(as('bob'), `${polls}/secret/tally`)));
+  });
+
+  test('voters write the tally entry their ballot names, with its choices', async () => {
+    const bob = as('bob');
+    await assertSucceeds(setDoc(doc(bob, `${polls}/secret/ballots`, 'bob'), {
+      choices: ['Ben'], votedAt: Timestamp.now(), entryId: 'bob-entry',
+    }));
+    await assertFails(setDoc(doc(bob, `${polls}/secret/tally`, 'bob-entry'), { choices: ['Ann'] }));
+    await assertSucceeds(setDoc(doc(bob, `${polls}/secret/tally`, 'bob-entry'), { choices: ['Ben'] }));
+    await assertFails(setDoc(doc(bob, `${polls}/secret/tally`, 'carol-entry'), { choices: ['Ben'] }));
+  });
+
+  test('voters cannot claim someone else\'s tally entry', async () => {
+    await assertFails(setDoc(doc(as('bob'), `${polls}/secret/ballots`, 'bob'), {
+      choices: ['Ben'], votedAt: Timestamp.now(), entryId: 'carol-entry',
+    }));
+  });
+
+  test('voters keep their tally entry when changing their vote', async () => {
+    const ballot = doc(as('carol'), `${polls}/secret/ballots`, 'carol');
+    await assertSucceeds(updateDoc(ballot, { choices: ['Ben'] }));
+    await assertFails(updateDoc(ballot, { entryId: 'fresh-entry' }));
+  });
+
+  test('closed polls take no more votes', async () => {
+    await seed({ [`${polls}/secret`]: { title: 'Chair?', authorUid: 'mod', options: ['Ann', 'Ben'], closed: true } });
+    await assertFails(setDoc(doc(as('bob'), `${polls}/secret/ballots`, 'bob'), {
+      choices: ['Ben'], votedAt: Timestamp.now(), entryId: 'bob-entry',
+    }));
+  });
+});
@@ -0,0 +1,49 @@
+// Filename: profiles.test.js
+// Profiles and contact details in firestore.rules: profiles are shared by every community,
+// contact details only with the members of one.
+import { beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { APP_ID, OTHER_APP_ID, as, needsEmulators, seed, setUpRules } from './setup.js';
+
+setUpRules();
+
+const contactPath = (community) => `artifacts/${community}/contacts`;
+
+describe('profiles', needsEmulators, () => {
+  test('are written by their owner, without contact details', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), 'profiles', 'bob'), { displayName: 'Bob', avatar: null, contact: '' }));
+    await assertFails(setDoc(doc(as('bob'), 'profiles', 'bob'), { displayName: 'Bob', contact: 'bob@example.com' }));
+    await assertFails(setDoc(doc(as('bob'), 'profiles', 'carol'), { displayName: 'Carol' }));
+  });
+
+  test('are readable by any signed-in user', async () => {
+    await seed({ 'profiles/carol': { displayName: 'Carol' } });
+    await assertSucceeds(getDoc(doc(as('bob'), 'profiles', 'carol')));
+    await assertFails(getDoc(doc(as(null), 'profiles', 'carol')));
+  });
+});
+
+describe('contact details', needsEmulators, () => {
+  beforeEach(async () => {
+    await seed({
+      [`communities/${OTHER_APP_ID}`]: { name: 'Private', access: 'members' },
+      [`${contactPath(APP_ID)}/carol`]: { contactMethod: 'email', contact: 'carol@example.com' },
+      [`${contactPath(OTHER_APP_ID)}/carol`]: { contactMethod: 'phone', contact: '555 0100' },
+    });
+  });
+
+  test('are written by their owner', async () => {
+    const contact = { contactMethod: 'email', contact: 'bob@example.com' };
+    await assertSucceeds(setDoc(doc(as('bob'), contactPath(APP_ID), 'bob'), contact));
+    await assertFails(setDoc(doc(as('bob'), contactPath(APP_ID), 'carol'), contact));
+    await assertFails(setDoc(doc(as('bob'), contactPath(APP_ID), 'bob'), { ...contact, contactMethod: 'pigeon' }));
+  });
+
+  test('are readable only by the community\'s members', async () => {
+    await assertSucceeds(getDoc(doc(as('bob'), contactPath(APP_ID), 'carol')));
+    await assertFails(getDoc(doc(as('bob'), contactPath(OTHER_APP_ID), 'carol')));
+    await seed({ [`artifacts/${OTHER_APP_ID}/roles/bob`]: { role: 'member' } });
+    await assertSucceeds(getDoc(doc(as('bob'), contactPath(OTHER_APP_ID), 'carol')));
+  });
+});
@@ -0,0 +1,34 @@
+// Filename: roles.test.js
+// Roles in firestore.rules: who can read the board, post and hand out roles.
+import { describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc } from 'firebase/firestore';
+import { APP_ID, as, dataPath, needsEmulators, setUpRules } from './setup.js';
+
+setUpRules();
+
+describe('roles', needsEmulators, () => {
+  test('signed-out visitors cannot read posts', async () => {
+    await assertFails(getDoc(doc(as(null), dataPath('announcements'), 'mine')));
+  });
+
+  test('members read posts but cannot post directly', async () => {
+    await assertSucceeds(getDoc(doc(as('bob'), dataPath('announcements'), 'theirs')));
+    await assertFails(setDoc(doc(as('bob'), dataPath('announcements'), 'new'), { title: 'Hi', authorUid: 'bob' }));
+  });
+
+  test('moderators post as themselves only', async () => {
+    await assertSucceeds(setDoc(doc(as('mod'), dataPath('announcements'), 'new'), { title: 'Hi', authorUid: 'mod', scheduled: false }));
+    await assertFails(setDoc(doc(as('mod'), dataPath('announcements'), 'other'), { title: 'Hi', authorUid: 'bob', scheduled: false }));
+  });
+
+  test('moderators edit and delete any post', async () => {
+    await assertSucceeds(updateDoc(doc(as('mod'), dataPath('announcements'), 'theirs'), { pinned: true }));
+  });
+
+  test('members cannot give themselves a role', async () => {
+    await assertFails(setDoc(doc(as('bob'), `artifacts/${APP_ID}/roles/bob`), { role: 'admin' }));
+    await assertFails(setDoc(doc(as('mod'), `artifacts/${APP_ID}/roles/bob`), { role: 'moderator' }));
+    await assertSucceeds(setDoc(doc(as('alice'), `artifacts/${APP_ID}/roles/bob`), { role: 'moderator' }));
+  });
+});
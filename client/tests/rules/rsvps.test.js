@@ -0,0 +1,39 @@
+// Filename: rsvps.test.js
+// RSVPs in firestore.rules: members answer for themselves, with the server's time.
+import { beforeEach, describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, updateDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { HOUR_MS, as, dataPath, needsEmulators, seed, setUpRules } from './setup.js';
+
+setUpRules();
+
+describe('RSVPs', needsEmulators, () => {
+  beforeEach(async () => {
+    await seed({
+      [`${dataPath('events')}/picnic`]: {
+        title: 'Picnic',
+        authorUid: 'mod',
+        rsvps: { carol: { event: { status: 'going', respondedAt: Timestamp.now(), goingSince: Timestamp.now() }, lastResponse: 'event' } },
+      },
+    });
+  });
+
+  test('members answer for themselves with the server\'s time', async () => {
+    await assertSucceeds(updateDoc(doc(as('bob'), dataPath('events'), 'picnic'), {
+      'rsvps.bob': { event: { status: 'going', respondedAt: serverTimestamp(), goingSince: serverTimestamp() }, lastResponse: 'event' },
+    }));
+  });
+
+  test('members cannot backdate their place in line', async () => {
+    const earlier = Timestamp.fromMillis(Date.now() - 24 * HOUR_MS);
+    await assertFails(updateDoc(doc(as('bob'), dataPath('events'), 'picnic'), {
+      'rsvps.bob': { event: { status: 'going', respondedAt: serverTimestamp(), goingSince: earlier }, lastResponse: 'event' },
+    }));
+  });
+
+  test('members cannot change someone else\'s response', async () => {
+    await assertFails(updateDoc(doc(as('bob'), dataPath('events'), 'picnic'), {
+      'rsvps.carol': { event: { status: 'not-going', respondedAt: serverTimestamp(), goingSince: null }, lastResponse: 'event' },
+    }));
+  });
+});
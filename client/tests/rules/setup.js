@@ -0,0 +1,67 @@
+// Filename: setup.js
+// Shared set-up for the security rules tests. These need the Firestore and Storage emulators,
+// which `npm run test:rules` starts; under a plain `npm test` they are skipped.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach } from 'node:test';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+export const APP_ID = 'test-app';
+export const OTHER_APP_ID = 'other-app';
+export const HOUR_MS = 60 * 60 * 1000;
+
+// `firebase emulators:exec` tells the processes it starts where the emulators are
+export const emulated = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+// Options for describe(): skip the suite when the emulators are not running
+export const needsEmulators = { skip: emulated ? false : 'needs the emulators, run `npm run test:rules`' };
+
+export const dataPath = (collectionName) => `artifacts/${APP_ID}/public/data/${collectionName}`;
+
+let testEnv;
+
+// Load the rules into the emulators and start every test from the same board: an admin
+// (alice), a moderator (mod) and an announcement each from members bob and carol. Call once
+// at the top of each test file.
+export const setUpRules = ({ storage = false } = {}) => {
+  if (!emulated) return;
+  const rules = (file) => readFileSync(new URL(`../../${file}`, import.meta.url), 'utf8');
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-noticeboard',
+      firestore: { rules: rules('firestore.rules') },
+      ...(storage ? { storage: { rules: rules('storage.rules') } } : {}),
+    });
+  });
+
+  after(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    if (storage) await testEnv.clearStorage();
+    await seed({
+      [`artifacts/${APP_ID}/roles/alice`]: { role: 'admin' },
+      [`artifacts/${APP_ID}/roles/mod`]: { role: 'moderator' },
+      [`${dataPath('announcements')}/mine`]: { title: 'Bob\'s notice', authorUid: 'bob', scheduled: false },
+      [`${dataPath('announcements')}/theirs`]: { title: 'Carol\'s notice', authorUid: 'carol', scheduled: false },
+    });
+  });
+};
+
+// Documents written past the rules, as `{ [path]: data }`
+export const seed = (docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(docs).map(([path, data]) => setDoc(doc(db, path), data)));
+});
+
+// Firestore as a signed-in user, or signed out without a uid
+export const as = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).firestore();
+
+// Firebase Storage as a signed-in user, or signed out without a uid
+export const storageAs = (uid) => (uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext()).storage();
+
+// Run `fn` with a context that bypasses the rules
+export const withoutRules = (fn) => testEnv.withSecurityRulesDisabled(fn);
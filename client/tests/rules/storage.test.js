@@ -0,0 +1,58 @@
+// Filename: storage.test.js
+// storage.rules, which asks Firestore for roles and community access.
+import { describe, test } from 'node:test';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+import { APP_ID, needsEmulators, setUpRules, storageAs, withoutRules } from './setup.js';
+
+const FILES = `artifacts/${APP_ID}/public/files`;
+const JPEG = { contentType: 'image/jpeg' };
+const photo = () => new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+
+// Files written past the rules
+const seedFile = (path) => withoutRules((context) => uploadBytes(ref(context.storage(), path), photo(), JPEG));
+
+setUpRules({ storage: true });
+
+describe('section photos', needsEmulators, () => {
+  test('are uploaded by staff only', async () => {
+    await assertSucceeds(uploadBytes(ref(storageAs('mod'), `${FILES}/events/a.jpg`), photo(), JPEG));
+    await assertFails(uploadBytes(ref(storageAs('bob'), `${FILES}/events/b.jpg`), photo(), JPEG));
+  });
+
+  test('must be JPEG images', async () => {
+    await assertFails(uploadBytes(ref(storageAs('mod'), `${FILES}/events/a.html`), new Uint8Array([60, 62]), { contentType: 'text/html' }));
+  });
+
+  test('are readable by members and not by signed-out visitors', async () => {
+    await seedFile(`${FILES}/events/a.jpg`);
+    await assertSucceeds(getBytes(ref(storageAs('bob'), `${FILES}/events/a.jpg`)));
+    await assertFails(getBytes(ref(storageAs(null), `${FILES}/events/a.jpg`)));
+  });
+
+  test('are deleted by staff only', async () => {
+    await seedFile(`${FILES}/events/a.jpg`);
+    await assertFails(deleteObject(ref(storageAs('bob'), `${FILES}/events/a.jpg`)));
+    await assertSucceeds(deleteObject(ref(storageAs('mod'), `${FILES}/events/a.jpg`)));
+  });
+});
+
+describe('members\' photos', needsEmulators, () => {
+  test('go in the member\'s own folder', async () => {
+    await assertSucceeds(uploadBytes(ref(storageAs('bob'), `${FILES}/submissions/bob/a.jpg`), photo(), JPEG));
+    await assertFails(uploadBytes(ref(storageAs('bob'), `${FILES}/submissions/carol/a.jpg`), photo(), JPEG));
+  });
+
+  test('cannot be replaced', async () => {
+    await seedFile(`${FILES}/submissions/bob/a.jpg`);
+    await assertFails(uploadBytes(ref(storageAs('bob'), `${FILES}/submissions/bob/a.jpg`), photo(), JPEG));
+  });
+
+  test('are deleted by their owner, as when withdrawing a submission, or by staff', async () => {
+    await seedFile(`${FILES}/submissions/bob/a.jpg`);
+    await seedFile(`${FILES}/submissions/carol/a.jpg`);
+    await assertFails(deleteObject(ref(storageAs('bob'), `${FILES}/submissions/carol/a.jpg`)));
+    await assertSucceeds(deleteObject(ref(storageAs('bob'), `${FILES}/submissions/bob/a.jpg`)));
+    await assertSucceeds(deleteObject(ref(storageAs('mod'), `${FILES}/submissions/carol/a.jpg`)));
+  });
+});